@@ -0,0 +1,74 @@
+/**
+ * Audit Log
+ * Records who changed what as append-only AuditEvent documents: the actor,
+ * action, target, before/after values of the changed fields, and the request
+ * they came from. Recording never fails the action being audited; errors are
+ * logged instead.
+ */
+
+const { isDeepStrictEqual } = require('util');
+const AuditEvent = require('../models/AuditEvent');
+
+// The caller of a request, as recorded in audit events
+const auditActor = (req) => {
+  if (req.user) {
+    return {
+      kind: 'user',
+      id: req.user.id,
+      name: req.user.username,
+      apiKeyId: req.apiKey ? req.apiKey.id : null
+    };
+  }
+  if (req.admin) {
+    return { kind: 'adminKey', name: req.admin.name };
+  }
+  return { kind: 'anonymous' };
+};
+
+// Audit actor of a user acting before they are authenticated, e.g. signing in or confirming their email
+const userActor = (user) => ({ kind: 'user', id: user.id, name: user.username });
+
+// Plain copy of some fields of a document, to compare with after a change
+const snapshot = (doc, fields) => Object.fromEntries(fields.map(field => {
+  const value = doc.get(field);
+  return [field, value && typeof value.toObject === 'function' ? value.toObject() : value];
+}));
+
+// Fields whose value differs between two snapshots, with both values
+const diffChanges = (before, after) => Object.keys(after)
+  .filter(field => !isDeepStrictEqual(before[field], after[field]))
+  .map(field => ({ field, before: before[field], after: after[field] }));
+
+/**
+ * Record an audit event for a request. The actor defaults to the request's
+ * caller, for actions such as logins where no one is authenticated yet.
+ */
+const recordAudit = async (req, { action, actor, target = null, changes = [], metadata = {}, error = null }) => {
+  try {
+    await AuditEvent.create({
+      action,
+      actor: actor || auditActor(req),
+      target,
+      changes,
+      outcome: error ? 'failure' : 'success',
+      error,
+      metadata,
+      requestId: req.id || null,
+      ip: req.ip || null
+    });
+  } catch (auditError) {
+    console.error(`❌ Failed to record audit event ${action}:`, auditError.message);
+  }
+};
+
+// Audit target of a user
+const userTarget = (user) => ({ kind: 'user', id: user.id, name: user.username });
+
+module.exports = {
+  auditActor,
+  userActor,
+  snapshot,
+  diffChanges,
+  recordAudit,
+  userTarget
+};
@@ -0,0 +1,44 @@
+/**
+ * API Keys
+ * Long-lived credentials for services that submit tasks without a login. Keys
+ * are random, so a plain SHA-256 is enough to store them; the plain key is only
+ * returned once, when it is created.
+ */
+
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+
+const API_KEY_PREFIX = 'tq_';
+
+// Characters of the key kept in the clear for display
+const DISPLAY_PREFIX_LENGTH = API_KEY_PREFIX.length + 8;
+
+// lastUsedAt is written at most this often per key, not on every request
+const LAST_USED_PRECISION_MS = 60 * 1000;
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// New random key with its hash and display prefix
+const generateApiKey = () => {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  return {
+    key,
+    keyHash: hashApiKey(key),
+    prefix: key.slice(0, DISPLAY_PREFIX_LENGTH)
+  };
+};
+
+const findApiKey = async (key) => ApiKey.findOne({ keyHash: hashApiKey(key) });
+
+const recordApiKeyUse = async (apiKey) => {
+  const now = new Date();
+  if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt >= LAST_USED_PRECISION_MS) {
+    await ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: now } });
+  }
+};
+
+module.exports = {
+  generateApiKey,
+  findApiKey,
+  recordApiKeyUse
+};
@@ -0,0 +1,82 @@
+/**
+ * Email Verification
+ * Mails signed, expiring tokens that prove a user owns an address, as `email`
+ * tasks on the task queues. A token only confirms the address it was issued
+ * for while that address is still the user's email (or pending new email), so
+ * changing the address again invalidates earlier tokens. The token is passed to
+ * the worker as a task secret, so it is never stored with the task or logged.
+ */
+
+const { issueEmailToken } = require('./tokens');
+const { addTaskToQueue, redisConnection } = require('../queue/producer');
+const { SECRET_PLACEHOLDER, storeTaskSecret } = require('../../shared/taskSecrets');
+
+// Page of the client app that submits the token to POST /api/users/verify (optional)
+const EMAIL_VERIFICATION_URL = process.env.EMAIL_VERIFICATION_URL || null;
+
+// Shortest time between two emails requested for the same user
+const RESEND_COOLDOWN_SECONDS = 60;
+const RESEND_KEY_PREFIX = 'email:verification:';
+
+// Verification emails are owned by no user, so they never appear in a user's task list
+const EMAIL_TASK_OWNER = 'system';
+
+const MESSAGES = {
+  verify: {
+    subject: 'Verify your email address',
+    intro: 'Please confirm this email address for your account'
+  },
+  change: {
+    subject: 'Confirm your new email address',
+    intro: 'Please confirm this address as the new email address of your account'
+  }
+};
+
+/**
+ * Queue an email with a token confirming `email` for a user: their current
+ * address by default, or a pending new address with purpose 'change'.
+ * Returns when the token expires, or null if the email could not be queued.
+ */
+const sendEmailVerification = async (user, { email = user.email, purpose = 'verify' } = {}) => {
+  const { token, ttlSeconds, expiresAt } = issueEmailToken(user, email, purpose);
+  // Tokens are URL-safe, the worker fills them in for the placeholder
+  const link = EMAIL_VERIFICATION_URL ? `${EMAIL_VERIFICATION_URL}?token=${SECRET_PLACEHOLDER}` : null;
+  const message = MESSAGES[purpose];
+
+  try {
+    const secretRef = await storeTaskSecret(redisConnection, token, ttlSeconds);
+
+    await addTaskToQueue({
+      type: 'email',
+      data: {
+        recipient: email,
+        subject: message.subject,
+        body: [
+          `Hi ${user.name},`,
+          `${message.intro} (${user.username}).`,
+          link ? `Open ${link}` : `Submit this token to POST /api/users/verify: ${SECRET_PLACEHOLDER}`,
+          `The ${link ? 'link' : 'token'} expires at ${expiresAt}. If you did not request this, ignore this email.`
+        ].join('\n\n')
+      },
+      secretRef,
+      priority: 3,
+      userId: EMAIL_TASK_OWNER
+    });
+  } catch (error) {
+    console.error(`❌ Failed to queue ${purpose} email for user ${user.id}:`, error.message);
+    return null;
+  }
+
+  console.log(`📧 Queued ${purpose} email for user ${user.username}`);
+  return expiresAt;
+};
+
+// Whether a user may request another verification email; starts the cooldown if so
+const claimResend = async (user) =>
+  (await redisConnection.set(`${RESEND_KEY_PREFIX}${user.id}`, '1', 'EX', RESEND_COOLDOWN_SECONDS, 'NX')) === 'OK';
+
+module.exports = {
+  RESEND_COOLDOWN_SECONDS,
+  sendEmailVerification,
+  claimResend
+};
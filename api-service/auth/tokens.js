@@ -0,0 +1,119 @@
+/**
+ * Auth Tokens
+ * Issues short-lived JWT access tokens and single-use refresh tokens. Refresh
+ * tokens are tracked in Redis so logout and rotation can revoke them; access
+ * tokens revoked at logout are denylisted until they expire. Email tokens
+ * prove ownership of an address and are mailed for verification.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { redisConnection } = require('../queue/producer');
+
+const ACCESS_TOKEN_TTL = parseInt(process.env.JWT_ACCESS_TTL_SECONDS) || 15 * 60; // 15 minutes
+const REFRESH_TOKEN_TTL = parseInt(process.env.JWT_REFRESH_TTL_SECONDS) || 7 * 24 * 3600; // 7 days
+const EMAIL_TOKEN_TTL = parseInt(process.env.EMAIL_VERIFICATION_TTL_SECONDS) || 24 * 3600; // 24 hours
+
+// Tokens must verify on every API instance, so the secret should be configured
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+
+if (!process.env.JWT_SECRET) {
+  console.warn('⚠️  JWT_SECRET is not set, tokens only work on this instance until restart');
+}
+
+const REFRESH_KEY_PREFIX = 'auth:refresh:';
+const REVOKED_KEY_PREFIX = 'auth:revoked:';
+
+const signToken = (userId, claims, ttl) => {
+  const jti = crypto.randomUUID();
+  const token = jwt.sign(claims, JWT_SECRET, { subject: userId, expiresIn: ttl, jwtid: jti, algorithm: 'HS256' });
+  return { token, jti };
+};
+
+// Access and refresh token pair for a user, as returned by login, register and refresh.
+// Access tokens carry the username and roles for services without database access.
+const issueTokens = async (user) => {
+  const access = signToken(user.id, { type: 'access', username: user.username, roles: user.roles }, ACCESS_TOKEN_TTL);
+  const refresh = signToken(user.id, { type: 'refresh' }, REFRESH_TOKEN_TTL);
+
+  await redisConnection.set(`${REFRESH_KEY_PREFIX}${refresh.jti}`, user.id, 'EX', REFRESH_TOKEN_TTL);
+
+  return {
+    accessToken: access.token,
+    refreshToken: refresh.token,
+    tokenType: 'Bearer',
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+};
+
+// Token confirming that a user owns an email address, for verifying their
+// address ('verify') or switching to a new one ('change')
+const issueEmailToken = (user, email, purpose) => {
+  const { token } = signToken(user.id, { type: 'email', email, purpose }, EMAIL_TOKEN_TTL);
+  return {
+    token,
+    ttlSeconds: EMAIL_TOKEN_TTL,
+    expiresAt: new Date(Date.now() + EMAIL_TOKEN_TTL * 1000).toISOString()
+  };
+};
+
+// Decode a token of the given type, throwing on a bad signature, expiry or type
+const verifyToken = (token, type) => {
+  const payload = jwt.verify(token, JWT_SECRET, { algorithms: ['HS256'] });
+  if (payload.type !== type) {
+    throw new jwt.JsonWebTokenError(`Expected a ${type} token`);
+  }
+  return payload;
+};
+
+const isAccessTokenRevoked = async (payload) =>
+  (await redisConnection.exists(`${REVOKED_KEY_PREFIX}${payload.jti}`)) === 1;
+
+// Redeem a refresh token, returning its user ID; each refresh token works once
+const consumeRefreshToken = async (token) => {
+  const payload = verifyToken(token, 'refresh');
+  const userId = await redisConnection.getdel(`${REFRESH_KEY_PREFIX}${payload.jti}`);
+  return userId === payload.sub ? userId : null;
+};
+
+// Revoke a refresh token and/or an access token; invalid tokens are ignored.
+// Returns how many were revoked and the ID of the user they belong to.
+const revokeTokens = async ({ refreshToken, accessToken }) => {
+  let revoked = 0;
+  let userId = null;
+
+  if (refreshToken) {
+    try {
+      const payload = verifyToken(refreshToken, 'refresh');
+      revoked += await redisConnection.del(`${REFRESH_KEY_PREFIX}${payload.jti}`);
+      userId = payload.sub;
+    } catch (error) {
+      // Already expired or not a refresh token
+    }
+  }
+
+  if (accessToken) {
+    try {
+      const payload = verifyToken(accessToken, 'access');
+      const ttl = payload.exp - Math.floor(Date.now() / 1000);
+      if (ttl > 0) {
+        await redisConnection.set(`${REVOKED_KEY_PREFIX}${payload.jti}`, payload.sub, 'EX', ttl);
+        revoked++;
+      }
+      userId = payload.sub;
+    } catch (error) {
+      // Already expired or not an access token
+    }
+  }
+
+  return { revoked, userId };
+};
+
+module.exports = {
+  issueTokens,
+  issueEmailToken,
+  verifyToken,
+  isAccessTokenRevoked,
+  consumeRefreshToken,
+  revokeTokens
+};
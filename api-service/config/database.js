@@ -1,39 +1,3 @@
 const mongoose = require('mongoose');
 
-const connectDB = async () => {
-  try {
-    const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://mongodb:27017/microservices_db';
-    
-    const options = {
-      maxPoolSize: 10,
-      minPoolSize: 5,
-      socketTimeoutMS: 45000,
-      serverSelectionTimeoutMS: 5000,
-      family: 4
-    };
-
-    await mongoose.connect(MONGODB_URI, options);
-
-    console.log('✅ MongoDB connected successfully');
-    console.log(`📦 Database: ${mongoose.connection.name}`);
-
-    // Connection event listeners
-    mongoose.connection.on('error', (err) => {
-      console.error('❌ MongoDB connection error:', err);
-    });
-
-    mongoose.connection.on('disconnected', () => {
-      console.warn('⚠️  MongoDB disconnected');
-    });
-
-    mongoose.connection.on('reconnected', () => {
-      console.log('🔄 MongoDB reconnected');
-    });
-
-  } catch (error) {
-    console.error('❌ MongoDB connection failed:', error.message);
-    process.exit(1);
-  }
-};
-
-module.exports = connectDB;
+module.exports = require('../../shared/config/database')(mongoose);
@@ -0,0 +1,37 @@
+/**
+ * Per-user task submission quotas, applied separately to each task type.
+ *
+ * - perMinute counts tasks submitted in the current clock minute
+ * - daily counts tasks submitted since midnight UTC
+ * - concurrent counts the user's queued and running tasks
+ */
+const TASK_QUOTAS = {
+  email: {
+    perMinute: 600,
+    daily: 10000,
+    concurrent: 1000
+  },
+  report: {
+    perMinute: 60,
+    daily: 1000,
+    concurrent: 50
+  },
+  dataProcessing: {
+    perMinute: 300,
+    daily: 5000,
+    concurrent: 200
+  },
+  imageProcessing: {
+    perMinute: 60,
+    daily: 1000,
+    concurrent: 50
+  }
+};
+
+// Quotas can be switched off, e.g. for load tests
+const TASK_QUOTAS_ENABLED = process.env.TASK_QUOTAS_ENABLED !== 'false';
+
+module.exports = {
+  TASK_QUOTAS,
+  TASK_QUOTAS_ENABLED
+};
@@ -0,0 +1,112 @@
+/**
+ * CSV and NDJSON
+ * Parsing of uploaded CSV (RFC 4180) and NDJSON documents into records, and
+ * formatting of records for streamed exports. Records are numbered from 1 in
+ * the order they appear, not counting the CSV header or blank lines.
+ */
+
+// Characters that make spreadsheet applications evaluate a cell as a formula
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+// Rows of a CSV document as arrays of fields; quoted fields may hold commas, line breaks and "" quotes
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char !== '"') {
+        field += char;
+      } else if (text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('CSV ends inside a quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines hold no record
+  return rows.filter(fields => fields.length > 1 || fields[0].trim() !== '');
+};
+
+/**
+ * Records of a CSV document with a header row, as { row, record } where record
+ * maps the header's column names to the row's fields. Throws if the document
+ * cannot be parsed.
+ */
+const parseCsv = (text) => {
+  const [header = [], ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''));
+  const columns = header.map(column => column.trim());
+
+  return {
+    columns,
+    records: rows.map((fields, index) => ({
+      row: index + 1,
+      record: Object.fromEntries(columns.map((column, position) => [column, fields[position]]))
+    }))
+  };
+};
+
+// Records of an NDJSON document as { row, record }, or { row, error } for lines that are not JSON objects
+const parseNdjson = (text) => text
+  .split(/\r?\n/)
+  .filter(line => line.trim() !== '')
+  .map((line, index) => {
+    try {
+      const record = JSON.parse(line);
+      if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        return { row: index + 1, error: 'Line is not a JSON object' };
+      }
+      return { row: index + 1, record };
+    } catch (error) {
+      return { row: index + 1, error: 'Line is not valid JSON' };
+    }
+  });
+
+// One CSV field; fields that a spreadsheet would run as a formula are prefixed with '
+const formatCsvField = (value) => {
+  let text = value === null || value === undefined ? '' : value instanceof Date ? value.toISOString() : String(value);
+
+  if (FORMULA_PREFIXES.includes(text[0])) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV line, with its line break
+const formatCsvRow = (values) => `${values.map(formatCsvField).join(',')}\r\n`;
+
+module.exports = {
+  parseCsv,
+  parseNdjson,
+  formatCsvRow
+};
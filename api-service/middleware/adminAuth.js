@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const requireAuth = require('./auth');
+const { requirePermission } = require('../../shared/permissions');
+
+// Admin credentials as comma-separated "name:key" pairs, e.g. "ops:3f9c...,alice:a71b..."
+const parseAdminKeys = (value = '') => value
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const separator = entry.indexOf(':');
+    return {
+      name: entry.slice(0, separator),
+      digest: crypto.createHash('sha256').update(entry.slice(separator + 1)).digest()
+    };
+  })
+  .filter(({ name }, index, keys) => name && keys.findIndex(key => key.name === name) === index);
+
+const ADMIN_KEYS = parseAdminKeys(process.env.ADMIN_API_KEYS);
+
+if (ADMIN_KEYS.length === 0) {
+  console.warn('⚠️  ADMIN_API_KEYS is not set, admin endpoints only accept users with the admin role');
+}
+
+// Constant-time lookup of the admin a key belongs to
+const findAdmin = (key) => {
+  const digest = crypto.createHash('sha256').update(key).digest();
+  return ADMIN_KEYS.find(admin => crypto.timingSafeEqual(admin.digest, digest)) || null;
+};
+
+// Signed-in users need the queue:admin permission; they are attributed by username
+const requireAdminUser = (req, res, next) => requireAuth(req, res, () =>
+  requirePermission('queue:admin')(req, res, () => {
+    req.admin = { name: req.user.username };
+    next();
+  }));
+
+/**
+ * Requires an X-Admin-Key header matching one of ADMIN_API_KEYS, or an
+ * authenticated user with the admin role, and exposes the admin's name as
+ * req.admin so actions can be attributed.
+ */
+const requireAdmin = (req, res, next) => {
+  const key = req.get('X-Admin-Key');
+
+  if (!key) {
+    return requireAdminUser(req, res, next);
+  }
+
+  if (ADMIN_KEYS.length === 0) {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin API keys are not configured'
+    });
+  }
+
+  const admin = findAdmin(key);
+
+  if (!admin) {
+    return res.status(401).json({
+      success: false,
+      error: 'Valid admin credential required'
+    });
+  }
+
+  req.admin = { name: admin.name };
+  next();
+};
+
+module.exports = requireAdmin;
@@ -0,0 +1,118 @@
+const { verifyToken, isAccessTokenRevoked } = require('../auth/tokens');
+const { findApiKey, recordApiKeyUse } = require('../auth/apiKeys');
+const User = require('../models/User');
+
+// Bearer token from the Authorization header; event streams may pass it as the
+// access_token query parameter instead, since EventSource cannot send headers
+const extractToken = (req) => {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  if (scheme === 'Bearer' && token) {
+    return token;
+  }
+  if (req.get('Accept') === 'text/event-stream' && typeof req.query.access_token === 'string') {
+    return req.query.access_token;
+  }
+  return null;
+};
+
+// X-API-Key authentication; the key must be unrevoked, unexpired and belong to an active user
+const authenticateApiKey = async (req, res, next, key) => {
+  try {
+    const apiKey = await findApiKey(key);
+
+    if (!apiKey || apiKey.revokedAt) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid API key'
+      });
+    }
+
+    if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+      return res.status(401).json({
+        success: false,
+        error: 'API key has expired'
+      });
+    }
+
+    const user = await User.findById(apiKey.userId);
+
+    if (!user || !user.canAuthenticate()) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid API key'
+      });
+    }
+
+    await recordApiKeyUse(apiKey);
+
+    req.user = user;
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    console.error('Error authenticating API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to authenticate request',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Requires a valid, unrevoked JWT access token or an X-API-Key header for an
+ * active user and sets req.user to that user (and req.apiKey for key requests).
+ * Responds 401 otherwise.
+ */
+const requireAuth = async (req, res, next) => {
+  const key = req.get('X-API-Key');
+  if (key) {
+    return authenticateApiKey(req, res, next, key);
+  }
+
+  const token = extractToken(req);
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  let payload;
+  try {
+    payload = verifyToken(token, 'access');
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      error: error.name === 'TokenExpiredError' ? 'Access token has expired' : 'Invalid access token'
+    });
+  }
+
+  try {
+    const [revoked, user] = await Promise.all([
+      isAccessTokenRevoked(payload),
+      User.findById(payload.sub)
+    ]);
+
+    if (revoked || !user || !user.canAuthenticate()) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid access token'
+      });
+    }
+
+    req.user = user;
+    req.apiKey = null;
+    req.accessToken = token;
+    next();
+  } catch (error) {
+    console.error('Error authenticating request:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to authenticate request',
+      message: error.message
+    });
+  }
+};
+
+module.exports = requireAuth;
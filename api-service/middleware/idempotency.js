@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const { redisConnection } = require('../queue/producer');
+
+// How long a key is remembered, and the longest key accepted
+const IDEMPOTENCY_TTL = parseInt(process.env.IDEMPOTENCY_TTL_SECONDS) || 24 * 3600; // 24 hours
+const MAX_KEY_LENGTH = 255;
+
+// JSON with sorted object keys, so equal bodies hash the same regardless of key order
+const canonicalJSON = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const fingerprintRequest = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method} ${req.baseUrl}${req.path}\n${canonicalJSON(req.body)}`)
+  .digest('hex');
+
+/**
+ * Replays the original response when a client retries a request with the same
+ * Idempotency-Key header. Keys are scoped to the user; reusing a key with a
+ * different body is rejected with 409. Only successful (2xx) responses are kept.
+ */
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  try {
+    const userId = req.user.id;
+    const redisKey = `idempotency:${userId}:${key}`;
+    const fingerprint = fingerprintRequest(req);
+
+    // Claim the key; only the first request with it proceeds
+    const claimed = await redisConnection.set(
+      redisKey,
+      JSON.stringify({ fingerprint, status: 'processing' }),
+      'EX', IDEMPOTENCY_TTL,
+      'NX'
+    );
+
+    if (!claimed) {
+      const stored = JSON.parse(await redisConnection.get(redisKey) || 'null');
+
+      if (!stored) {
+        // Expired between SET and GET, treat as a new request
+        return idempotency(req, res, next);
+      }
+
+      if (stored.fingerprint !== fingerprint) {
+        return res.status(409).json({
+          success: false,
+          error: 'Idempotency-Key has already been used with a different request body'
+        });
+      }
+
+      if (stored.status === 'processing') {
+        return res.status(409).json({
+          success: false,
+          error: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(stored.statusCode).json(stored.body);
+    }
+
+    // Capture the response so retries can replay it
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode >= 200 && res.statusCode < 300) {
+        redisConnection.set(
+          redisKey,
+          JSON.stringify({ fingerprint, status: 'completed', statusCode: res.statusCode, body }),
+          'EX', IDEMPOTENCY_TTL
+        ).catch(error => console.error('❌ Failed to store idempotent response:', error.message));
+      } else {
+        // Let the client retry failed requests with the same key
+        redisConnection.del(redisKey)
+          .catch(error => console.error('❌ Failed to release idempotency key:', error.message));
+      }
+      return originalJson(body);
+    };
+
+    next();
+  } catch (error) {
+    console.error('Error checking idempotency key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check idempotency key',
+      message: error.message
+    });
+  }
+};
+
+module.exports = idempotency;
@@ -0,0 +1,18 @@
+const crypto = require('crypto');
+
+// Client-supplied IDs are kept when they look like IDs, so one request can be followed across services
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Gives every request an ID, from the X-Request-ID header or a new UUID, as
+ * req.id. It is echoed in the X-Request-ID response header and recorded with
+ * audit events.
+ */
+const requestId = (req, res, next) => {
+  const supplied = req.get('X-Request-ID');
+  req.id = supplied && REQUEST_ID_PATTERN.test(supplied) ? supplied : crypto.randomUUID();
+  res.set('X-Request-ID', req.id);
+  next();
+};
+
+module.exports = requestId;
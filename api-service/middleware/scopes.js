@@ -0,0 +1,40 @@
+// Methods that only need a resource's read scope
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Limits API key requests to the key's scopes: <resource>:read for reads and
+ * <resource>:write for everything else. Keys without scopes and token-
+ * authenticated requests are not limited. Runs after requireAuth.
+ */
+const requireScope = (resource) => (req, res, next) => {
+  if (!req.apiKey || req.apiKey.scopes.length === 0) {
+    return next();
+  }
+
+  const scope = `${resource}:${READ_METHODS.includes(req.method) ? 'read' : 'write'}`;
+
+  if (!req.apiKey.scopes.includes(scope)) {
+    return res.status(403).json({
+      success: false,
+      error: `API key is missing the ${scope} scope`
+    });
+  }
+
+  next();
+};
+
+// Rejects API key requests, for routes that manage credentials themselves
+const requireSession = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({
+      success: false,
+      error: 'This endpoint requires a login session, not an API key'
+    });
+  }
+  next();
+};
+
+module.exports = {
+  requireScope,
+  requireSession
+};
@@ -0,0 +1,29 @@
+const { getTaskOwner } = require('../queue/producer');
+
+/**
+ * Lets a request for task :id through only when the authenticated user owns the
+ * task. Tasks of other users answer 404, the same as tasks that do not exist.
+ */
+const requireTaskOwner = async (req, res, next) => {
+  try {
+    const ownerId = await getTaskOwner(req.params.id);
+
+    if (!ownerId || ownerId !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error checking task ownership:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check task ownership',
+      message: error.message
+    });
+  }
+};
+
+module.exports = requireTaskOwner;
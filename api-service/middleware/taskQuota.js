@@ -0,0 +1,87 @@
+const { validationResult } = require('express-validator');
+const { consumeTaskQuota, refundTaskQuota } = require('../queue/quotas');
+const { TASK_QUOTAS_ENABLED } = require('../config/quotas');
+
+// Lets the route give back quota it charged for tasks that were not queued
+const allowRefunds = (req, res, userId, charged, chargedAt) => {
+  req.refundTaskQuota = async (counts) => {
+    const refunds = {};
+
+    Object.entries(counts).forEach(([type, count]) => {
+      refunds[type] = Math.min(count, charged[type] || 0);
+      charged[type] = (charged[type] || 0) - refunds[type];
+    });
+
+    try {
+      await refundTaskQuota(userId, refunds, chargedAt);
+    } catch (error) {
+      console.error(`❌ Failed to refund task quota of user ${userId}:`, error.message);
+    }
+  };
+
+  res.on('finish', () => {
+    if (res.statusCode >= 400) {
+      req.refundTaskQuota(charged);
+    }
+  });
+};
+
+/**
+ * Enforces the per-user task submission quotas (see config/quotas.js).
+ * countTasks(req) returns (or resolves to) the number of tasks the request would
+ * queue by task type. Requests over a quota are rejected with 429 and Retry-After; every
+ * checked response carries RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset.
+ * Requests that fail validation are left to the route and use no quota.
+ *
+ * Quota is charged before the route runs. The route gives back quota for tasks
+ * it does not queue with req.refundTaskQuota(counts), and whatever is still
+ * charged is given back when the response is an error.
+ */
+const taskQuota = (countTasks) => async (req, res, next) => {
+  if (!TASK_QUOTAS_ENABLED || !validationResult(req).isEmpty()) {
+    return next();
+  }
+
+  try {
+    const userId = req.user.id;
+    const counts = await countTasks(req);
+    const quota = await consumeTaskQuota(userId, counts);
+
+    if (quota.limit !== undefined) {
+      res.set({
+        'RateLimit-Limit': quota.limit,
+        'RateLimit-Remaining': quota.remaining,
+        'RateLimit-Reset': quota.reset
+      });
+    }
+
+    if (!quota.allowed) {
+      res.set('Retry-After', quota.reset);
+      return res.status(429).json({
+        success: false,
+        error: `Task quota exceeded: ${quota.quota} limit of ${quota.limit} ${quota.type} task(s)`,
+        quota: {
+          type: quota.type,
+          quota: quota.quota,
+          limit: quota.limit,
+          remaining: quota.remaining,
+          requested: quota.requested,
+          retryAfter: quota.reset
+        }
+      });
+    }
+
+    allowRefunds(req, res, userId, { ...counts }, quota.chargedAt);
+
+    next();
+  } catch (error) {
+    console.error('Error checking task quota:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check task quota',
+      message: error.message
+    });
+  }
+};
+
+module.exports = taskQuota;
@@ -0,0 +1,19 @@
+// Task submission can be limited to users who have verified their email address
+const REQUIRE_VERIFIED_EMAIL = process.env.REQUIRE_VERIFIED_EMAIL === 'true';
+
+/**
+ * Refuses requests from users whose email address is not verified with 403
+ * when REQUIRE_VERIFIED_EMAIL is on. Runs after requireAuth.
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (!REQUIRE_VERIFIED_EMAIL || req.user.emailVerified) {
+    return next();
+  }
+
+  res.status(403).json({
+    success: false,
+    error: 'Verify your email address before submitting tasks'
+  });
+};
+
+module.exports = requireVerifiedEmail;
@@ -0,0 +1,3 @@
+const mongoose = require('mongoose');
+
+module.exports = require('../../shared/models/Artifact')(mongoose);
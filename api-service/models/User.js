@@ -1,66 +1,19 @@
 const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
 
-const userSchema = new mongoose.Schema({
-  username: {
-    type: String,
-    required: [true, 'Username is required'],
-    unique: true,
-    trim: true,
-    minlength: [3, 'Username must be at least 3 characters'],
-    maxlength: [30, 'Username must be at most 30 characters'],
-    match: [/^[a-zA-Z0-9_]+$/, 'Username can only contain letters, numbers, and underscores']
-  },
-  email: {
-    type: String,
-    required: [true, 'Email is required'],
-    unique: true,
-    trim: true,
-    lowercase: true,
-    match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address']
-  },
-  name: {
-    type: String,
-    required: [true, 'Name is required'],
-    trim: true,
-    minlength: [1, 'Name must be at least 1 character'],
-    maxlength: [100, 'Name must be at most 100 characters']
-  },
-  isActive: {
-    type: Boolean,
-    default: true
-  },
-  notificationsEnabled: {
-    type: Boolean,
-    default: true
-  },
-  lastActive: {
-    type: Date,
-    default: Date.now
-  }
-}, {
-  timestamps: true,
-  versionKey: false
-});
-
-// Index for faster queries
-userSchema.index({ email: 1 });
-userSchema.index({ username: 1 });
-userSchema.index({ createdAt: -1 });
+// bcrypt cost factor for password hashes
+const PASSWORD_HASH_ROUNDS = 12;
 
-// Virtual for user ID
-userSchema.virtual('id').get(function() {
-  return this._id.toHexString();
-});
+module.exports = require('../../shared/models/User')(mongoose, (userSchema) => {
+  // Hash the password whenever it is set or changed
+  userSchema.pre('save', async function() {
+    if (this.isModified('password') && this.password) {
+      this.password = await bcrypt.hash(this.password, PASSWORD_HASH_ROUNDS);
+    }
+  });
 
-// Ensure virtual fields are serialized
-userSchema.set('toJSON', {
-  virtuals: true,
-  transform: function(doc, ret) {
-    delete ret._id;
-    return ret;
-  }
+  // Compare a plain-text password with the stored hash (select '+password' first)
+  userSchema.methods.comparePassword = function(candidate) {
+    return this.password ? bcrypt.compare(candidate, this.password) : Promise.resolve(false);
+  };
 });
-
-const User = mongoose.model('User', userSchema);
-
-module.exports = User;
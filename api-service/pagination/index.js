@@ -0,0 +1,75 @@
+/**
+ * Cursor Pagination
+ * Opaque cursors for keyset pagination: a cursor holds the sort field, order
+ * and the sort key (value and _id) of the item to continue from, base64url
+ * encoded. Pages are found with an indexed range query instead of skipping
+ * documents, so they stay fast however deep the client pages. Filters are not
+ * part of the cursor and have to be sent again with every page.
+ */
+
+const mongoose = require('mongoose');
+
+const DIRECTIONS = ['next', 'prev'];
+
+// Dates do not survive JSON, so they are tagged
+const encodeValue = (value) => (value instanceof Date ? { date: value.toISOString() } : value);
+const decodeValue = (value) => (value && typeof value === 'object' ? new Date(value.date) : value);
+
+// Cursor continuing after (next) or before (prev) an item of a listing
+const encodeCursor = (item, { sortBy, order, direction }) => Buffer.from(JSON.stringify({
+  sortBy,
+  order,
+  direction,
+  value: encodeValue(item[sortBy]),
+  id: item._id.toString()
+})).toString('base64url');
+
+// Decoded cursor, or null if the string is not a cursor
+const decodeCursor = (cursor) => {
+  try {
+    const { sortBy, order, direction, value, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+
+    if (typeof sortBy !== 'string' || !['asc', 'desc'].includes(order) || !DIRECTIONS.includes(direction) ||
+        !mongoose.isObjectIdOrHexString(id)) {
+      return null;
+    }
+
+    const decoded = decodeValue(value);
+    if (decoded instanceof Date && isNaN(decoded)) {
+      return null;
+    }
+
+    return { sortBy, order, direction, value: decoded, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Whether a page is read in descending order: next pages of descending listings, prev pages of ascending ones
+const readsDescending = ({ order, direction }) => (order === 'desc') === (direction === 'next');
+
+/**
+ * Query condition and sort of the page a cursor points to. Ties on the sort
+ * field are broken by _id. Documents of a prev page come back in reverse and
+ * have to be flipped before they are returned.
+ */
+const cursorPage = (cursor) => {
+  const operator = readsDescending(cursor) ? '$lt' : '$gt';
+  const direction = readsDescending(cursor) ? -1 : 1;
+
+  return {
+    condition: {
+      $or: [
+        { [cursor.sortBy]: { [operator]: cursor.value } },
+        { [cursor.sortBy]: cursor.value, _id: { [operator]: cursor.id } }
+      ]
+    },
+    sort: { [cursor.sortBy]: direction, _id: direction }
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  cursorPage
+};
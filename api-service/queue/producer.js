@@ -1,5 +1,13 @@
 const { Queue } = require('bullmq');
 const Redis = require('ioredis');
+const Task = require('../models/Task');
+const DeadLetter = require('../models/DeadLetter');
+const Schedule = require('../models/Schedule');
+const Workflow = require('../models/Workflow');
+const { TASK_QUEUES, queueJobOptions } = require('../../shared/config/queues');
+const { allocateFairPriorities } = require('../../shared/fairShare');
+const { settleWorkflowNode } = require('../../shared/workflows/settlement')(Workflow);
+const inFlight = require('../../shared/quotas/inFlight');
 
 // Redis connection
 const redisConnection = new Redis({
@@ -13,25 +21,45 @@ const redisConnection = new Redis({
   }
 });
 
-// Create task queue
-const taskQueue = new Queue('tasks', {
-  connection: redisConnection,
-  defaultJobOptions: {
-    attempts: 3,
-    backoff: {
-      type: 'exponential',
-      delay: 2000
-    },
-    removeOnComplete: {
-      count: 1000,
-      age: 24 * 3600 // 24 hours
-    },
-    removeOnFail: {
-      count: 5000,
-      age: 7 * 24 * 3600 // 7 days
-    }
+// Cancellation signals for active jobs, checked by the worker between steps
+const CANCEL_KEY_PREFIX = 'task:cancel:';
+const CANCEL_SIGNAL_TTL = 24 * 3600; // 24 hours
+const CANCELLED_REASON = 'Task cancelled';
+const DRAINED_REASON = 'Drained by admin';
+// Start of the failure reason of jobs the worker rejected with an unrecoverable payload error
+const INVALID_PAYLOAD_REASON = 'Invalid task payload:';
+
+// Job states counted by the queue stats
+const QUEUE_STATES = ['waiting', 'prioritized', 'active', 'delayed', 'completed', 'failed'];
+
+// Create one queue per task type
+const taskQueues = Object.fromEntries(
+  Object.entries(TASK_QUEUES).map(([type, config]) => [
+    type,
+    new Queue(config.queue, {
+      connection: redisConnection,
+      defaultJobOptions: queueJobOptions(type)
+    })
+  ])
+);
+
+// Queue a task type is routed to
+const getTaskQueue = (type) => {
+  const queue = taskQueues[type];
+  if (!queue) {
+    throw new Error(`No queue configured for task type: ${type}`);
   }
-});
+  return queue;
+};
+
+// Queues to operate on: one task type's, or all of them
+const selectQueues = (type) => (type ? [getTaskQueue(type)] : Object.values(taskQueues));
+
+// Find a job in whichever task queue holds it
+const findJob = async (taskId) => {
+  const jobs = await Promise.all(Object.values(taskQueues).map(queue => queue.getJob(taskId)));
+  return jobs.find(Boolean) || null;
+};
 
 // Redis connection event handlers
 redisConnection.on('connect', () => {
@@ -42,26 +70,66 @@ redisConnection.on('error', (err) => {
   console.error('❌ Redis connection error (Producer):', err);
 });
 
+// Build the BullMQ job for a task (immediately, after a delay, or at a given time)
+// jobPriority is the BullMQ priority allocated by fair-share scheduling
+const buildTaskJob = ({ type, data, priority = 5, userId, runAt, delay = 0, timeoutMs, callbackUrl, callbackSecret, secretRef }, jobPriority) => {
+  // runAt takes precedence over a relative delay
+  const jobDelay = runAt ? Math.max(new Date(runAt).getTime() - Date.now(), 0) : delay;
+
+  return {
+    name: type, // job name
+    data: {
+      type,
+      data,
+      userId,
+      priority,
+      // Execution limit per attempt, overriding the task type's default
+      ...(timeoutMs && { timeoutMs }),
+      // Webhook the worker notifies on completion or final failure
+      ...(callbackUrl && { callback: { url: callbackUrl, secret: callbackSecret || null } }),
+      // Reference to a secret the worker fills into an email (see shared/taskSecrets)
+      ...(secretRef && { secretRef }),
+      createdAt: new Date().toISOString()
+    },
+    opts: {
+      priority: jobPriority, // BullMQ: lower number = higher priority
+      jobId: `${type}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      ...(jobDelay > 0 && { delay: jobDelay })
+    }
+  };
+};
+
+// Build the task history record for a queued job
+const buildTaskHistory = (job, { data, priority = 5, userId, callbackUrl }) => {
+  const scheduled = job.opts.delay > 0;
+
+  return {
+    jobId: job.id,
+    type: job.name,
+    data,
+    priority,
+    userId,
+    callbackUrl: callbackUrl || null,
+    scheduledFor: scheduled ? new Date(job.timestamp + job.opts.delay) : null,
+    state: scheduled ? 'delayed' : 'waiting'
+  };
+};
+
 // Add task to queue
 const addTaskToQueue = async (taskData) => {
   try {
-    const { type, data, priority = 5, userId } = taskData;
+    const queue = getTaskQueue(taskData.type);
+    const [jobPriority] = await allocateFairPriorities(redisConnection, queue.name, taskData.userId, [taskData.priority || 5]);
+    const { name, data, opts } = buildTaskJob(taskData, jobPriority);
 
-    const job = await taskQueue.add(
-      type, // job name
-      {
-        type,
-        data,
-        userId,
-        createdAt: new Date().toISOString()
-      },
-      {
-        priority: 10 - priority, // BullMQ: lower number = higher priority
-        jobId: `${type}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
-      }
-    );
+    const job = await queue.add(name, data, opts);
+
+    console.log(`📤 Task added to queue: ${job.id} (Type: ${name}, Priority: ${taskData.priority || 5}${opts.delay ? `, Delay: ${opts.delay}ms` : ''})`);
 
-    console.log(`📤 Task added to queue: ${job.id} (Type: ${type}, Priority: ${priority})`);
+    // Record task history in MongoDB (the queue evicts finished jobs)
+    await recordTaskHistory([buildTaskHistory(job, taskData)]);
+
+    await trackInFlightJobs([job]);
     
     return job;
   } catch (error) {
@@ -70,66 +138,732 @@ const addTaskToQueue = async (taskData) => {
   }
 };
 
+// Add many tasks to their queues, batched per queue; jobs keep the order of tasks
+const addTasksToQueue = async (tasks) => {
+  try {
+    const indexesByType = {};
+    tasks.forEach((task, index) => {
+      (indexesByType[task.type] = indexesByType[task.type] || []).push(index);
+    });
+
+    const jobs = new Array(tasks.length);
+    await Promise.all(Object.entries(indexesByType).map(async ([type, indexes]) => {
+      const queue = getTaskQueue(type);
+      const jobPriorities = await allocateBulkPriorities(queue, indexes.map(index => tasks[index]));
+      const added = await queue.addBulk(indexes.map((index, position) => buildTaskJob(tasks[index], jobPriorities[position])));
+      added.forEach((job, position) => {
+        jobs[indexes[position]] = job;
+      });
+    }));
+
+    console.log(`📤 ${jobs.length} task(s) added to queue in bulk`);
+
+    await recordTaskHistory(jobs.map((job, index) => buildTaskHistory(job, tasks[index])));
+
+    await trackInFlightJobs(jobs);
+
+    return jobs;
+  } catch (error) {
+    console.error('Error adding tasks to queue in bulk:', error);
+    throw error;
+  }
+};
+
+// Fair-share priorities for tasks bound for one queue, allocated per user in submission order
+const allocateBulkPriorities = async (queue, tasks) => {
+  const positionsByUser = {};
+  tasks.forEach((task, position) => {
+    (positionsByUser[task.userId] = positionsByUser[task.userId] || []).push(position);
+  });
+
+  const jobPriorities = new Array(tasks.length);
+  for (const positions of Object.values(positionsByUser)) {
+    const allocated = await allocateFairPriorities(
+      redisConnection, queue.name, tasks[positions[0]].userId, positions.map(position => tasks[position].priority || 5)
+    );
+    positions.forEach((position, index) => {
+      jobPriorities[position] = allocated[index];
+    });
+  }
+  return jobPriorities;
+};
+
+// Persist task history records for queued jobs
+const recordTaskHistory = async (records) => {
+  try {
+    await Task.insertMany(records, { ordered: false });
+  } catch (error) {
+    // The jobs are already queued, so a history write failure must not fail the request
+    console.error(`❌ Failed to record task history for ${records.length} task(s):`, error.message);
+  }
+};
+
+// Count queued jobs against their users' concurrency quotas
+const trackInFlightJobs = async (jobs) => {
+  try {
+    await inFlight.trackInFlightJobs(redisConnection, jobs);
+  } catch (error) {
+    // The jobs are already queued, an untracked job only loosens the quota
+    console.error(`❌ Failed to track ${jobs.length} in-flight task(s):`, error.message);
+  }
+};
+
+// Release jobs that will never run from their users' concurrency quotas
+const releaseInFlightJobs = async (jobs) => {
+  try {
+    await inFlight.releaseInFlightJobs(redisConnection, jobs);
+  } catch (error) {
+    console.error(`❌ Failed to release ${jobs.length} in-flight task(s):`, error.message);
+  }
+};
+
+// Register a schedule as a BullMQ job scheduler on its task type's queue
+const upsertJobScheduler = async (schedule) => {
+  const repeatOpts = {
+    ...(schedule.cron && { pattern: schedule.cron }),
+    ...(schedule.every && { every: schedule.every }),
+    ...(schedule.tz && { tz: schedule.tz }),
+    ...(schedule.limit && { limit: schedule.limit }),
+    ...(schedule.startDate && { startDate: schedule.startDate }),
+    ...(schedule.endDate && { endDate: schedule.endDate })
+  };
+
+  await getTaskQueue(schedule.type).upsertJobScheduler(schedule.id, repeatOpts, {
+    name: schedule.type,
+    data: {
+      type: schedule.type,
+      data: schedule.data,
+      userId: schedule.userId,
+      priority: schedule.priority,
+      ...(schedule.timeoutMs && { timeoutMs: schedule.timeoutMs }),
+      scheduleId: schedule.id
+    },
+    opts: {
+      // Runs are created by BullMQ, so they keep a static priority ahead of fair-share tags
+      priority: 10 - schedule.priority
+    }
+  });
+};
+
+// Create a recurring task schedule
+const createTaskSchedule = async (scheduleData) => {
+  try {
+    const schedule = await Schedule.create(scheduleData);
+
+    try {
+      await upsertJobScheduler(schedule);
+    } catch (error) {
+      await schedule.deleteOne();
+      throw error;
+    }
+
+    console.log(`⏰ Recurring task scheduled: ${schedule.id} (Type: ${schedule.type}, ${schedule.cron ? `Cron: ${schedule.cron}` : `Every: ${schedule.every}ms`})`);
+
+    return schedule;
+  } catch (error) {
+    console.error('Error creating task schedule:', error);
+    throw error;
+  }
+};
+
+// Pause a recurring task schedule (the definition is kept in MongoDB)
+const pauseTaskSchedule = async (scheduleId) => {
+  try {
+    const schedule = await Schedule.findById(scheduleId);
+
+    if (!schedule || schedule.status === 'paused') {
+      return schedule;
+    }
+
+    await getTaskQueue(schedule.type).removeJobScheduler(schedule.id);
+
+    schedule.status = 'paused';
+    await schedule.save();
+
+    console.log(`⏸️  Task schedule paused: ${schedule.id}`);
+
+    return schedule;
+  } catch (error) {
+    console.error('Error pausing task schedule:', error);
+    throw error;
+  }
+};
+
+// Resume a paused recurring task schedule
+const resumeTaskSchedule = async (scheduleId) => {
+  try {
+    const schedule = await Schedule.findById(scheduleId);
+
+    if (!schedule || schedule.status === 'active') {
+      return schedule;
+    }
+
+    await upsertJobScheduler(schedule);
+
+    schedule.status = 'active';
+    await schedule.save();
+
+    console.log(`▶️  Task schedule resumed: ${schedule.id}`);
+
+    return schedule;
+  } catch (error) {
+    console.error('Error resuming task schedule:', error);
+    throw error;
+  }
+};
+
+// Delete a recurring task schedule
+const deleteTaskSchedule = async (scheduleId) => {
+  try {
+    const schedule = await Schedule.findById(scheduleId);
+
+    if (!schedule) {
+      return null;
+    }
+
+    await getTaskQueue(schedule.type).removeJobScheduler(schedule.id);
+    await schedule.deleteOne();
+
+    console.log(`🗑️  Task schedule deleted: ${schedule.id}`);
+
+    return schedule;
+  } catch (error) {
+    console.error('Error deleting task schedule:', error);
+    throw error;
+  }
+};
+
+// Next run time of an active schedule, as reported by the queue
+const getScheduleNextRun = async (schedule) => {
+  try {
+    const scheduler = await getTaskQueue(schedule.type).getJobScheduler(schedule.id);
+    return scheduler && scheduler.next ? new Date(scheduler.next).toISOString() : null;
+  } catch (error) {
+    console.error('Error getting schedule next run:', error);
+    throw error;
+  }
+};
+
+// Job data without secrets (the webhook signing secret stays in the queue)
+const redactJobData = ({ callback, ...data }) => ({
+  ...data,
+  ...(callback && { callback: { url: callback.url, signed: Boolean(callback.secret) } })
+});
+
+// Shape a queued job for API responses
+const formatJob = (job, state) => ({
+  id: job.id,
+  name: job.name,
+  data: redactJobData(job.data),
+  state: job.failedReason === CANCELLED_REASON ? 'cancelled' : state,
+  progress: job.progress,
+  attempts: job.attemptsMade,
+  maxAttempts: job.opts.attempts,
+  createdAt: new Date(job.timestamp).toISOString(),
+  processedAt: job.processedOn ? new Date(job.processedOn).toISOString() : null,
+  finishedAt: job.finishedOn ? new Date(job.finishedOn).toISOString() : null,
+  failedReason: job.failedReason,
+  returnValue: job.returnvalue
+});
+
 // Get task status
 const getTaskStatus = async (taskId) => {
   try {
-    const job = await taskQueue.getJob(taskId);
+    const job = await findJob(taskId);
 
     if (!job) {
       return null;
     }
 
     const state = await job.getState();
-    const progress = job.progress;
     
+    return formatJob(job, state);
+  } catch (error) {
+    console.error('Error getting task status:', error);
+    throw error;
+  }
+};
+
+// ID of the user that owns a task, from its history, dead-letter record or job; null if unknown
+const getTaskOwner = async (taskId) => {
+  try {
+    const record = await Task.findOne({ jobId: taskId }).select('userId').lean()
+      || await DeadLetter.findOne({ jobId: taskId }).select('userId').lean();
+
+    if (record) {
+      return record.userId;
+    }
+
+    const job = await findJob(taskId);
+    return job ? job.data.userId : null;
+  } catch (error) {
+    console.error('Error getting task owner:', error);
+    throw error;
+  }
+};
+
+// Failed jobs, excluding cancellations, optionally filtered by task type and owner
+const findFailedJobs = async ({ type, userId } = {}) => {
+  // Bounded by removeOnFail.count per queue, so the whole sets can be scanned
+  const jobs = (await Promise.all(selectQueues(type).map(queue => queue.getFailed(0, -1)))).flat();
+
+  return jobs
+    .filter(job => job && job.failedReason !== CANCELLED_REASON)
+    .filter(job => !userId || job.data.userId === userId)
+    .sort((a, b) => (b.finishedOn || 0) - (a.finishedOn || 0));
+};
+
+// A job has failed permanently once it has used all of its attempts or failed with
+// an unrecoverable error (it was cancelled, or its payload was invalid)
+const isPermanentlyFailed = (job) =>
+  job.attemptsMade >= (job.opts.attempts || 1) ||
+  job.failedReason === CANCELLED_REASON ||
+  (job.failedReason || '').startsWith(INVALID_PAYLOAD_REASON);
+
+// List failed tasks with their failure reasons and attempt counts
+const getFailedTasks = async ({ type, userId, start = 0, end = -1 } = {}) => {
+  try {
+    const jobs = await findFailedJobs({ type, userId });
+    const page = end === -1 ? jobs.slice(start) : jobs.slice(start, end + 1);
+
     return {
-      id: job.id,
-      name: job.name,
-      data: job.data,
-      state,
-      progress,
-      attempts: job.attemptsMade,
-      maxAttempts: job.opts.attempts,
-      createdAt: new Date(job.timestamp).toISOString(),
-      processedAt: job.processedOn ? new Date(job.processedOn).toISOString() : null,
-      finishedAt: job.finishedOn ? new Date(job.finishedOn).toISOString() : null,
-      failedReason: job.failedReason,
-      returnValue: job.returnvalue
+      total: jobs.length,
+      tasks: page.map(job => ({
+        ...formatJob(job, 'failed'),
+        permanentlyFailed: isPermanentlyFailed(job),
+        stacktrace: job.stacktrace || []
+      }))
     };
   } catch (error) {
-    console.error('Error getting task status:', error);
+    console.error('Error getting failed tasks:', error);
     throw error;
   }
 };
 
-// Get queue stats
+// Move a failed job back to the wait list with a fresh set of attempts
+const requeueFailedJob = async (job) => {
+  await job.retry('failed', { resetAttemptsMade: true });
+
+  // The worker released the job when it failed, it counts against the quota again
+  await trackInFlightJobs([job]);
+
+  await Task.updateOne(
+    { jobId: job.id },
+    { $set: { state: 'waiting', failedReason: null, finishedAt: null, progress: 0 } }
+  );
+
+  console.log(`🔁 Task retried: ${job.id}`);
+};
+
+// Retry a single failed task
+const retryTask = async (taskId) => {
+  try {
+    const job = await findJob(taskId);
+
+    if (!job) {
+      return null;
+    }
+
+    const state = await job.getState();
+
+    if (state !== 'failed' || job.failedReason === CANCELLED_REASON) {
+      return { id: job.id, state: formatJob(job, state).state, retried: false };
+    }
+
+    await requeueFailedJob(job);
+
+    return { id: job.id, state: 'waiting', retried: true };
+  } catch (error) {
+    console.error('Error retrying task:', error);
+    throw error;
+  }
+};
+
+// Retry all failed tasks, optionally filtered by task type and owner
+const retryFailedTasks = async ({ type, userId } = {}) => {
+  try {
+    const jobs = await findFailedJobs({ type, userId });
+    const results = { retried: [], errors: [] };
+
+    for (const job of jobs) {
+      try {
+        await requeueFailedJob(job);
+        results.retried.push(job.id);
+      } catch (error) {
+        results.errors.push({ id: job.id, type: job.name, error: error.message });
+      }
+    }
+
+    return results;
+  } catch (error) {
+    console.error('Error retrying failed tasks:', error);
+    throw error;
+  }
+};
+
+// Failed tasks a retry would requeue, by task type: one task, or all matching a filter
+const countRetryableTasks = async ({ taskId, type, userId } = {}) => {
+  let jobs;
+
+  if (taskId) {
+    const job = await findJob(taskId);
+    jobs = job && job.failedReason !== CANCELLED_REASON && (await job.getState()) === 'failed' ? [job] : [];
+  } else {
+    jobs = await findFailedJobs({ type, userId });
+  }
+
+  return jobs.reduce((counts, job) => {
+    counts[job.name] = (counts[job.name] || 0) + 1;
+    return counts;
+  }, {});
+};
+
+// Copy a failed job into the dead-letter store and remove it from the queue
+const deadLetterJob = async (job) => {
+  await DeadLetter.updateOne(
+    { jobId: job.id },
+    {
+      $set: {
+        type: job.name,
+        userId: job.data.userId,
+        data: job.data.data,
+        priority: job.data.priority || 5,
+        timeoutMs: job.data.timeoutMs || null,
+        callbackUrl: job.data.callback ? job.data.callback.url : null,
+        callbackSecret: job.data.callback ? job.data.callback.secret : null,
+        failedReason: job.failedReason,
+        stacktrace: job.stacktrace || [],
+        attemptsMade: job.attemptsMade,
+        failedAt: job.finishedOn ? new Date(job.finishedOn) : null
+      }
+    },
+    { upsert: true }
+  );
+
+  await job.remove();
+
+  console.log(`🪦 Task moved to dead-letter store: ${job.id}`);
+};
+
+// Move a single permanently failed task to the dead-letter store
+const moveToDeadLetter = async (taskId) => {
+  try {
+    const job = await findJob(taskId);
+
+    if (!job) {
+      return null;
+    }
+
+    const state = await job.getState();
+
+    if (state !== 'failed' || job.failedReason === CANCELLED_REASON || !isPermanentlyFailed(job)) {
+      return { id: job.id, state: formatJob(job, state).state, moved: false };
+    }
+
+    await deadLetterJob(job);
+
+    return { id: job.id, state: 'failed', moved: true };
+  } catch (error) {
+    console.error('Error moving task to dead-letter store:', error);
+    throw error;
+  }
+};
+
+// Move all permanently failed tasks to the dead-letter store, optionally filtered by task type and owner
+const moveFailedToDeadLetter = async ({ type, userId } = {}) => {
+  try {
+    const jobs = (await findFailedJobs({ type, userId })).filter(isPermanentlyFailed);
+    const results = { moved: [], errors: [] };
+
+    for (const job of jobs) {
+      try {
+        await deadLetterJob(job);
+        results.moved.push(job.id);
+      } catch (error) {
+        results.errors.push({ id: job.id, error: error.message });
+      }
+    }
+
+    return results;
+  } catch (error) {
+    console.error('Error moving failed tasks to dead-letter store:', error);
+    throw error;
+  }
+};
+
+// Cancel a task: remove it if it has not started, otherwise signal the worker
+const cancelTask = async (taskId) => {
+  try {
+    const job = await findJob(taskId);
+
+    if (!job) {
+      return null;
+    }
+
+    const state = await job.getState();
+
+    if (state === 'completed' || state === 'failed') {
+      return { id: job.id, state: job.failedReason === CANCELLED_REASON ? 'cancelled' : state, cancelled: false };
+    }
+
+    if (state !== 'active') {
+      try {
+        await job.remove();
+
+        await Task.updateOne(
+          { jobId: job.id },
+          { $set: { state: 'cancelled', failedReason: CANCELLED_REASON, finishedAt: new Date() } }
+        );
+
+        await publishTaskCancelled(job, state);
+
+        await releaseInFlightJobs([{ id: job.id, userId: job.data.userId, type: job.name }]);
+
+        // A queued workflow node never reaches the worker, so settle it here
+        if (job.data.workflowId) {
+          await settleWorkflowNode(job.data.workflowId, job.data.nodeKey, CANCELLED_REASON, 'cancelled');
+        }
+
+        console.log(`🚫 Task removed from queue: ${job.id} (was ${state})`);
+
+        return { id: job.id, state: 'cancelled', cancelled: true };
+      } catch (error) {
+        // The job was picked up by a worker in the meantime, fall through to signalling
+        console.warn(`⚠️  Could not remove job ${job.id}, signalling cancellation instead:`, error.message);
+      }
+    }
+
+    await redisConnection.set(`${CANCEL_KEY_PREFIX}${job.id}`, new Date().toISOString(), 'EX', CANCEL_SIGNAL_TTL);
+
+    console.log(`🚫 Cancellation requested for active task: ${job.id}`);
+
+    return { id: job.id, state: 'cancelling', cancelled: true };
+  } catch (error) {
+    console.error('Error cancelling task:', error);
+    throw error;
+  }
+};
+
+// Publish a cancellation event for a job that never reached a worker
+const publishTaskCancelled = async (job, previousState) => {
+  try {
+    await redisConnection.publish('task:cancelled', JSON.stringify({
+      jobId: job.id,
+      taskType: job.name,
+      userId: job.data.userId,
+      previousState,
+      cancelledAt: new Date().toISOString()
+    }));
+  } catch (error) {
+    console.error(`❌ Failed to publish cancellation event for ${job.id}:`, error.message);
+  }
+};
+
+// Job counts of one queue (jobs waiting in a paused queue count as waiting)
+const getQueueCounts = async (queue) => {
+  const { paused = 0, ...counts } = await queue.getJobCounts(...QUEUE_STATES);
+  counts.waiting += paused;
+  return { ...counts, total: QUEUE_STATES.reduce((sum, state) => sum + counts[state], 0) };
+};
+
+// Get queue stats, summed over all task queues
 const getQueueStats = async () => {
   try {
-    const [waiting, active, completed, failed, delayed] = await Promise.all([
-      taskQueue.getWaitingCount(),
-      taskQueue.getActiveCount(),
-      taskQueue.getCompletedCount(),
-      taskQueue.getFailedCount(),
-      taskQueue.getDelayedCount()
+    const perQueue = await Promise.all(Object.values(taskQueues).map(getQueueCounts));
+
+    return [...QUEUE_STATES, 'total'].reduce((totals, state) => {
+      totals[state] = perQueue.reduce((sum, counts) => sum + counts[state], 0);
+      return totals;
+    }, {});
+  } catch (error) {
+    console.error('Error getting queue stats:', error);
+    throw error;
+  }
+};
+
+// Live job counts and paused state of each task type's queue
+const getQueueStatsByType = async () => {
+  try {
+    const entries = await Promise.all(Object.entries(taskQueues).map(async ([type, queue]) => [
+      type,
+      {
+        queue: queue.name,
+        paused: await queue.isPaused(),
+        counts: await getQueueCounts(queue)
+      }
+    ]));
+
+    return Object.fromEntries(entries);
+  } catch (error) {
+    console.error('Error getting queue stats by type:', error);
+    throw error;
+  }
+};
+
+// Stop (or restart) workers from picking up new jobs; active jobs run to completion
+const pauseQueue = async ({ type } = {}) => {
+  try {
+    const queues = selectQueues(type);
+    await Promise.all(queues.map(queue => queue.pause()));
+    console.log(`⏸️  Paused ${queues.map(queue => queue.name).join(', ')}`);
+    return { paused: queues.map(queue => queue.name) };
+  } catch (error) {
+    console.error('Error pausing queue:', error);
+    throw error;
+  }
+};
+
+const resumeQueue = async ({ type } = {}) => {
+  try {
+    const queues = selectQueues(type);
+    await Promise.all(queues.map(queue => queue.resume()));
+    console.log(`▶️  Resumed ${queues.map(queue => queue.name).join(', ')}`);
+    return { resumed: queues.map(queue => queue.name) };
+  } catch (error) {
+    console.error('Error resuming queue:', error);
+    throw error;
+  }
+};
+
+// Remove every waiting job (and delayed ones if requested); schedule iterations are kept
+const drainQueue = async ({ type, delayed = false } = {}) => {
+  try {
+    const states = delayed ? ['waiting', 'paused', 'prioritized', 'delayed'] : ['waiting', 'paused', 'prioritized'];
+    let jobIds = [];
+
+    for (const queue of selectQueues(type)) {
+      const queueJobIds = await queue.getRanges(states, 0, -1);
+      await queue.drain(delayed);
+      jobIds = jobIds.concat(queueJobIds.filter(jobId => !jobId.startsWith('repeat:')));
+    }
+
+    try {
+      await Task.updateMany(
+        { jobId: { $in: jobIds }, state: { $in: ['waiting', 'delayed'] } },
+        { $set: { state: 'cancelled', failedReason: DRAINED_REASON, finishedAt: new Date() } }
+      );
+    } catch (error) {
+      console.error('❌ Failed to update history for drained tasks:', error.message);
+    }
+
+    try {
+      const drainedTasks = await Task.find({ jobId: { $in: jobIds } }).select('jobId userId type');
+      await releaseInFlightJobs(drainedTasks.map(task => ({ id: task.jobId, userId: task.userId, type: task.type })));
+    } catch (error) {
+      console.error('❌ Failed to look up drained tasks for quota release:', error.message);
+    }
+
+    await settleDrainedWorkflowNodes(jobIds);
+
+    console.log(`🚰 Drained ${jobIds.length} jobs${type ? ` from the ${type} queue` : ''}`);
+    return { drained: jobIds.length, delayed };
+  } catch (error) {
+    console.error('Error draining queue:', error);
+    throw error;
+  }
+};
+
+// Settle the queued workflow nodes among drained jobs as cancelled
+const settleDrainedWorkflowNodes = async (jobIds) => {
+  try {
+    const workflows = await Workflow.find({
+      state: 'running',
+      nodes: { $elemMatch: { jobId: { $in: jobIds }, state: 'queued' } }
+    }).select('nodes.key nodes.jobId nodes.state');
+
+    const drained = new Set(jobIds);
+
+    for (const workflow of workflows) {
+      const nodes = workflow.nodes.filter(node => node.state === 'queued' && drained.has(node.jobId));
+
+      for (const node of nodes) {
+        await settleWorkflowNode(workflow._id, node.key, DRAINED_REASON, 'cancelled');
+      }
+    }
+  } catch (error) {
+    console.error('❌ Failed to settle drained workflow nodes:', error.message);
+  }
+};
+
+// Remove completed or failed jobs finished more than olderThan seconds ago
+const cleanQueue = async ({ type, state, olderThan = 0, limit = 0 }) => {
+  try {
+    let cleaned = 0;
+
+    for (const queue of selectQueues(type)) {
+      cleaned += (await queue.clean(olderThan * 1000, limit, state)).length;
+    }
+
+    console.log(`🧹 Cleaned ${cleaned} ${state} jobs older than ${olderThan}s${type ? ` from the ${type} queue` : ''}`);
+    return { cleaned, state, olderThan };
+  } catch (error) {
+    console.error('Error cleaning queue:', error);
+    throw error;
+  }
+};
+
+// Task history states that make up a user's backlog
+const BACKLOG_STATES = ['waiting', 'delayed', 'active'];
+
+// Unfinished tasks per user, largest backlog first, optionally for one task type or user
+const getUserBacklog = async ({ type, userId, skip = 0, limit = 20 } = {}) => {
+  try {
+    const match = { state: { $in: BACKLOG_STATES } };
+    if (type) match.type = type;
+    if (userId) match.userId = userId;
+
+    const [{ users, total }] = await Task.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { userId: '$userId', type: '$type', state: '$state' },
+          count: { $sum: 1 },
+          oldestAt: { $min: '$createdAt' }
+        }
+      },
+      {
+        $group: {
+          _id: '$_id.userId',
+          total: { $sum: '$count' },
+          entries: { $push: { type: '$_id.type', state: '$_id.state', count: '$count', oldestAt: '$oldestAt' } }
+        }
+      },
+      { $sort: { total: -1, _id: 1 } },
+      {
+        $facet: {
+          users: [{ $skip: skip }, { $limit: limit }],
+          total: [{ $count: 'count' }]
+        }
+      }
     ]);
 
     return {
-      waiting,
-      active,
-      completed,
-      failed,
-      delayed,
-      total: waiting + active + completed + failed + delayed
+      total: total.length > 0 ? total[0].count : 0,
+      users: users.map(({ _id, total: count, entries }) => {
+        const backlog = { userId: _id, total: count, waiting: 0, delayed: 0, active: 0, oldestWaitingAt: null, byType: {} };
+
+        entries.forEach(({ type: taskType, state, count: stateCount, oldestAt }) => {
+          backlog[state] += stateCount;
+          backlog.byType[taskType] = backlog.byType[taskType] || { waiting: 0, delayed: 0, active: 0 };
+          backlog.byType[taskType][state] = stateCount;
+
+          if (state === 'waiting' && (!backlog.oldestWaitingAt || oldestAt < backlog.oldestWaitingAt)) {
+            backlog.oldestWaitingAt = oldestAt;
+          }
+        });
+
+        return backlog;
+      })
     };
   } catch (error) {
-    console.error('Error getting queue stats:', error);
+    console.error('Error fetching user backlog:', error);
     throw error;
   }
 };
 
 // Graceful shutdown
 const closeQueue = async () => {
-  await taskQueue.close();
+  await Promise.all(Object.values(taskQueues).map(queue => queue.close()));
   await redisConnection.quit();
   console.log('Queue and Redis connection closed');
 };
@@ -138,9 +872,35 @@ process.on('SIGTERM', closeQueue);
 process.on('SIGINT', closeQueue);
 
 module.exports = {
-  taskQueue,
+  redisConnection,
+  buildTaskHistory,
+  recordTaskHistory,
+  trackInFlightJobs,
+  taskQueues,
+  getTaskQueue,
+  CANCELLED_REASON,
   addTaskToQueue,
+  addTasksToQueue,
+  createTaskSchedule,
+  pauseTaskSchedule,
+  resumeTaskSchedule,
+  deleteTaskSchedule,
+  getScheduleNextRun,
   getTaskStatus,
+  getTaskOwner,
+  cancelTask,
+  getFailedTasks,
+  retryTask,
+  retryFailedTasks,
+  countRetryableTasks,
+  moveToDeadLetter,
+  moveFailedToDeadLetter,
   getQueueStats,
+  getQueueStatsByType,
+  pauseQueue,
+  resumeQueue,
+  drainQueue,
+  cleanQueue,
+  getUserBacklog,
   closeQueue
 };
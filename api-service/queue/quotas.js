@@ -0,0 +1,206 @@
+const { redisConnection } = require('./producer');
+const { inFlightKey } = require('../../shared/quotas/inFlight');
+const { TASK_QUOTAS } = require('../config/quotas');
+
+const QUOTA_KEY_PREFIX = 'quota:';
+
+// Concurrency slots free up as jobs finish, so there is no fixed reset time to wait for
+const CONCURRENT_RETRY_AFTER = 10; // seconds
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 3600 * 1000;
+
+// Checks every quota of every task type in the request before consuming any, so a
+// rejected request uses no quota. Expired in-flight entries are pruned first.
+// KEYS: minute counter, daily counter and in-flight set per task type
+// ARGV: now, minute reset, day reset, then count, perMinute, daily, concurrent per task type
+// Returns {0, minute usage per type} or {type index, quota index, usage} for the first quota exceeded
+redisConnection.defineCommand('consumeTaskQuota', {
+  lua: `
+    local now = tonumber(ARGV[1])
+    local minuteUsage = {}
+
+    for i = 1, #KEYS / 3 do
+      local k = (i - 1) * 3
+      local a = 3 + (i - 1) * 4
+      local count = tonumber(ARGV[a + 1])
+
+      redis.call('ZREMRANGEBYSCORE', KEYS[k + 3], '-inf', now)
+
+      local usage = {
+        tonumber(redis.call('GET', KEYS[k + 1]) or '0'),
+        tonumber(redis.call('GET', KEYS[k + 2]) or '0'),
+        redis.call('ZCARD', KEYS[k + 3])
+      }
+
+      for q = 1, 3 do
+        if usage[q] + count > tonumber(ARGV[a + 1 + q]) then
+          return {i, q, usage[q]}
+        end
+      end
+
+      minuteUsage[i] = usage[1] + count
+    end
+
+    for i = 1, #KEYS / 3 do
+      local k = (i - 1) * 3
+      local count = tonumber(ARGV[3 + (i - 1) * 4 + 1])
+
+      redis.call('INCRBY', KEYS[k + 1], count)
+      redis.call('PEXPIREAT', KEYS[k + 1], ARGV[2])
+      redis.call('INCRBY', KEYS[k + 2], count)
+      redis.call('PEXPIREAT', KEYS[k + 2], ARGV[3])
+    end
+
+    return {0, unpack(minuteUsage)}
+  `
+});
+
+// Gives back per-minute and daily quota; counters of windows that have ended are left alone
+// KEYS: counters to decrement, ARGV: amount per counter
+redisConnection.defineCommand('refundTaskQuota', {
+  lua: `
+    for i = 1, #KEYS do
+      if redis.call('EXISTS', KEYS[i]) == 1 then
+        redis.call('DECRBY', KEYS[i], ARGV[i])
+      end
+    end
+    return 0
+  `
+});
+
+// Quota names in the order the script checks them
+const QUOTA_NAMES = ['perMinute', 'daily', 'concurrent'];
+
+// Current fixed windows; the daily window resets at midnight UTC
+const quotaWindows = (now) => ({
+  minute: { id: Math.floor(now / MINUTE), resetAt: (Math.floor(now / MINUTE) + 1) * MINUTE },
+  day: { id: Math.floor(now / DAY), resetAt: (Math.floor(now / DAY) + 1) * DAY }
+});
+
+const counterKey = (userId, type, window, id) => `${QUOTA_KEY_PREFIX}${userId}:${type}:${window}:${id}`;
+
+const secondsUntil = (time, now) => Math.max(Math.ceil((time - now) / 1000), 1);
+
+/**
+ * Consume quota for the tasks a user is submitting, given as counts by task type.
+ * Returns the quota to report in RateLimit-* headers: the tightest per-minute
+ * quota when allowed, otherwise the quota that was exceeded with its retry delay.
+ */
+const consumeTaskQuota = async (userId, counts) => {
+  const now = Date.now();
+  const windows = quotaWindows(now);
+  const types = Object.keys(TASK_QUOTAS).filter(type => counts[type] > 0);
+
+  if (types.length === 0) {
+    return { allowed: true };
+  }
+
+  const keys = types.flatMap(type => [
+    counterKey(userId, type, 'minute', windows.minute.id),
+    counterKey(userId, type, 'day', windows.day.id),
+    inFlightKey(userId, type)
+  ]);
+  const args = types.flatMap(type => [
+    counts[type],
+    TASK_QUOTAS[type].perMinute,
+    TASK_QUOTAS[type].daily,
+    TASK_QUOTAS[type].concurrent
+  ]);
+
+  const [exceeded, ...rest] = await redisConnection.consumeTaskQuota(
+    keys.length, ...keys, now, windows.minute.resetAt, windows.day.resetAt, ...args
+  );
+
+  if (exceeded === 0) {
+    const remaining = types.map((type, index) => TASK_QUOTAS[type].perMinute - rest[index]);
+    const tightest = remaining.indexOf(Math.min(...remaining));
+
+    return {
+      allowed: true,
+      type: types[tightest],
+      quota: 'perMinute',
+      limit: TASK_QUOTAS[types[tightest]].perMinute,
+      remaining: remaining[tightest],
+      reset: secondsUntil(windows.minute.resetAt, now),
+      chargedAt: now
+    };
+  }
+
+  const type = types[exceeded - 1];
+  const quota = QUOTA_NAMES[rest[0] - 1];
+  const limit = TASK_QUOTAS[type][quota];
+  const reset = quota === 'perMinute'
+    ? secondsUntil(windows.minute.resetAt, now)
+    : quota === 'daily' ? secondsUntil(windows.day.resetAt, now) : CONCURRENT_RETRY_AFTER;
+
+  return {
+    allowed: false,
+    type,
+    quota,
+    limit,
+    remaining: Math.max(limit - rest[1], 0),
+    requested: counts[type],
+    reset
+  };
+};
+
+/**
+ * Give back quota consumed at chargedAt (see consumeTaskQuota) for tasks that
+ * were not queued after all, given as counts by task type. The concurrency
+ * quota needs no refund, since only queued jobs are in flight.
+ */
+const refundTaskQuota = async (userId, counts, chargedAt) => {
+  const types = Object.keys(TASK_QUOTAS).filter(type => counts[type] > 0);
+
+  if (types.length === 0) {
+    return;
+  }
+
+  const windows = quotaWindows(chargedAt);
+
+  const keys = types.flatMap(type => [
+    counterKey(userId, type, 'minute', windows.minute.id),
+    counterKey(userId, type, 'day', windows.day.id)
+  ]);
+
+  await redisConnection.refundTaskQuota(keys.length, ...keys, ...types.flatMap(type => [counts[type], counts[type]]));
+};
+
+// Current consumption of every quota for a user, by task type
+const getTaskUsage = async (userId) => {
+  const now = Date.now();
+  const windows = quotaWindows(now);
+  const types = Object.keys(TASK_QUOTAS);
+
+  const pipeline = redisConnection.pipeline();
+  types.forEach(type => {
+    pipeline.get(counterKey(userId, type, 'minute', windows.minute.id));
+    pipeline.get(counterKey(userId, type, 'day', windows.day.id));
+    pipeline.zcount(inFlightKey(userId, type), `(${now}`, '+inf');
+  });
+  const results = await pipeline.exec();
+
+  return Object.fromEntries(types.map((type, index) => {
+    const [[, minute], [, day], [, inFlight]] = results.slice(index * 3, index * 3 + 3);
+    const { perMinute, daily, concurrent } = TASK_QUOTAS[type];
+    const usage = (used, limit, resetAt) => ({
+      used,
+      limit,
+      remaining: Math.max(limit - used, 0),
+      ...(resetAt && { resetsAt: new Date(resetAt).toISOString() })
+    });
+
+    return [type, {
+      perMinute: usage(parseInt(minute) || 0, perMinute, windows.minute.resetAt),
+      daily: usage(parseInt(day) || 0, daily, windows.day.resetAt),
+      concurrent: usage(inFlight, concurrent)
+    }];
+  }));
+};
+
+module.exports = {
+  consumeTaskQuota,
+  refundTaskQuota,
+  getTaskUsage
+};
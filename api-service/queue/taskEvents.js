@@ -0,0 +1,79 @@
+const { QueueEvents } = require('bullmq');
+const { TASK_QUEUES } = require('../../shared/config/queues');
+
+// Queue events relayed to per-task subscribers
+const RELAYED_EVENTS = ['waiting', 'delayed', 'active', 'progress', 'completed', 'failed', 'removed'];
+
+// Subscribers by job ID, so one QueueEvents per task queue serves every open stream
+const subscribers = new Map();
+
+let queueEvents = null;
+
+// QueueEvents blocks on its connection, so each gets its own rather than the producer's
+const getQueueEvents = () => {
+  if (queueEvents) {
+    return queueEvents;
+  }
+
+  queueEvents = Object.values(TASK_QUEUES).map(({ queue }) => {
+    const events = new QueueEvents(queue, {
+      connection: {
+        host: process.env.REDIS_HOST || 'redis',
+        port: process.env.REDIS_PORT || 6379,
+        maxRetriesPerRequest: null
+      }
+    });
+
+    RELAYED_EVENTS.forEach(event => {
+      events.on(event, (args) => {
+        const listeners = subscribers.get(args.jobId);
+        if (listeners) {
+          listeners.forEach(listener => listener(event, args));
+        }
+      });
+    });
+
+    events.on('error', (error) => {
+      console.error(`❌ Queue events error (${queue}):`, error.message);
+    });
+
+    return events;
+  });
+
+  return queueEvents;
+};
+
+// Call listener(event, args) for every queue event of a job; returns an unsubscribe function
+const subscribeToTask = async (jobId, listener) => {
+  await Promise.all(getQueueEvents().map(events => events.waitUntilReady()));
+
+  if (!subscribers.has(jobId)) {
+    subscribers.set(jobId, new Set());
+  }
+  subscribers.get(jobId).add(listener);
+
+  return () => {
+    const listeners = subscribers.get(jobId);
+    if (listeners) {
+      listeners.delete(listener);
+      if (listeners.size === 0) {
+        subscribers.delete(jobId);
+      }
+    }
+  };
+};
+
+const closeTaskEvents = async () => {
+  if (queueEvents) {
+    await Promise.all(queueEvents.map(events => events.close()));
+    queueEvents = null;
+  }
+};
+
+process.on('SIGTERM', closeTaskEvents);
+process.on('SIGINT', closeTaskEvents);
+
+module.exports = {
+  subscribeToTask,
+  closeTaskEvents
+};
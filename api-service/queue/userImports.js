@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const { Queue } = require('bullmq');
+const { redisConnection } = require('./producer');
+
+// Queue the worker runs user imports from. Imports are not retried, since a
+// second run would report the users created by the first as conflicts.
+const USER_IMPORT_QUEUE = 'user-imports';
+const USER_IMPORT_RETENTION = 7 * 24 * 3600; // 7 days
+
+const userImportQueue = new Queue(USER_IMPORT_QUEUE, {
+  connection: redisConnection,
+  defaultJobOptions: {
+    attempts: 1,
+    removeOnComplete: { age: USER_IMPORT_RETENTION },
+    removeOnFail: { age: USER_IMPORT_RETENTION }
+  }
+});
+
+/**
+ * Queue an import of validated rows. Rows that failed validation are passed
+ * along so the final report lists every row's errors.
+ */
+const enqueueUserImport = async ({ requestedBy, format, dryRun, total, rows, errors }) => {
+  const job = await userImportQueue.add('import', {
+    requestedBy,
+    format,
+    dryRun,
+    total,
+    rows,
+    errors,
+    createdAt: new Date().toISOString()
+  }, {
+    jobId: `import-${crypto.randomUUID()}`
+  });
+
+  return job.id;
+};
+
+// Status, progress and (once finished) the report of an import
+const getUserImport = async (importId) => {
+  const job = await userImportQueue.getJob(importId);
+
+  if (!job) {
+    return null;
+  }
+
+  return {
+    id: job.id,
+    requestedBy: job.data.requestedBy,
+    format: job.data.format,
+    dryRun: job.data.dryRun,
+    state: await job.getState(),
+    progress: job.progress || { processed: 0, total: job.data.total },
+    report: job.returnvalue || null,
+    error: job.failedReason || null,
+    createdAt: job.data.createdAt,
+    finishedAt: job.finishedOn ? new Date(job.finishedOn).toISOString() : null
+  };
+};
+
+module.exports = {
+  enqueueUserImport,
+  getUserImport
+};
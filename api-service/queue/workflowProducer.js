@@ -0,0 +1,137 @@
+const { redisConnection, getTaskQueue, buildTaskHistory, recordTaskHistory, trackInFlightJobs } = require('./producer');
+const Workflow = require('../models/Workflow');
+const { allocateFairPriorities } = require('../../shared/fairShare');
+
+// Node states after which a node will not change again
+const TERMINAL_NODE_STATES = ['completed', 'failed', 'skipped', 'cancelled'];
+
+// Deterministic job ID so a workflow node is never enqueued twice
+const workflowJobId = (workflowId, nodeKey) => `workflow-${workflowId}-${nodeKey}`;
+
+// Claim a pending node and add it to the queue (root nodes only, the worker enqueues the rest)
+const enqueueRootNode = async (workflow, node) => {
+  const jobId = workflowJobId(workflow.id, node.key);
+
+  const claimed = await Workflow.findOneAndUpdate(
+    { _id: workflow._id, state: 'running', nodes: { $elemMatch: { key: node.key, state: 'pending' } } },
+    { $set: { 'nodes.$.state': 'queued', 'nodes.$.jobId': jobId } }
+  );
+
+  if (!claimed) {
+    return;
+  }
+
+  const queue = getTaskQueue(node.type);
+  const [jobPriority] = await allocateFairPriorities(redisConnection, queue.name, workflow.userId, [node.priority]);
+
+  const job = await queue.add(
+    node.type,
+    {
+      type: node.type,
+      data: node.data,
+      userId: workflow.userId,
+      priority: node.priority,
+      workflowId: workflow.id,
+      nodeKey: node.key,
+      createdAt: new Date().toISOString()
+    },
+    {
+      priority: jobPriority, // BullMQ: lower number = higher priority
+      jobId
+    }
+  );
+
+  // Listed in the user's task history from the moment it is queued, like single tasks
+  await recordTaskHistory([buildTaskHistory(job, { data: node.data, priority: node.priority, userId: workflow.userId })]);
+  await trackInFlightJobs([job]);
+};
+
+// Create a workflow and enqueue the nodes that have no dependencies
+const createWorkflow = async ({ name, userId, failurePolicy, tasks }) => {
+  try {
+    const workflow = await Workflow.create({
+      name,
+      userId,
+      failurePolicy,
+      nodes: tasks.map(task => ({
+        key: task.id,
+        type: task.type,
+        data: task.data,
+        priority: task.priority,
+        dependsOn: task.dependsOn || [],
+        inputs: task.inputs || {}
+      }))
+    });
+
+    const roots = workflow.nodes.filter(node => node.dependsOn.length === 0);
+
+    for (const node of roots) {
+      await enqueueRootNode(workflow, node);
+    }
+
+    console.log(`🧩 Workflow created: ${workflow.id} (${workflow.nodes.length} tasks, ${roots.length} root(s), policy: ${workflow.failurePolicy})`);
+
+    return workflow;
+  } catch (error) {
+    console.error('Error creating workflow:', error);
+    throw error;
+  }
+};
+
+// Get workflow status with per-node state and an aggregate progress value
+const getWorkflowStatus = async (workflowId) => {
+  try {
+    const workflow = await Workflow.findById(workflowId);
+
+    if (!workflow) {
+      return null;
+    }
+
+    const nodes = await Promise.all(workflow.nodes.map(async (node) => {
+      let progress = TERMINAL_NODE_STATES.includes(node.state) ? 100 : 0;
+
+      // In-flight nodes report live progress from the queue
+      if (node.jobId && (node.state === 'queued' || node.state === 'active')) {
+        const job = await getTaskQueue(node.type).getJob(node.jobId);
+        progress = job && typeof job.progress === 'number' ? job.progress : 0;
+      }
+
+      return {
+        id: node.key,
+        type: node.type,
+        dependsOn: node.dependsOn,
+        state: node.state,
+        jobId: node.jobId,
+        progress,
+        result: node.result,
+        failedReason: node.failedReason,
+        startedAt: node.startedAt,
+        finishedAt: node.finishedAt
+      };
+    }));
+
+    const progress = nodes.length > 0
+      ? Math.round(nodes.reduce((sum, node) => sum + node.progress, 0) / nodes.length)
+      : 0;
+
+    return {
+      id: workflow.id,
+      name: workflow.name,
+      userId: workflow.userId,
+      failurePolicy: workflow.failurePolicy,
+      state: workflow.state,
+      progress,
+      nodes,
+      createdAt: workflow.createdAt,
+      finishedAt: workflow.finishedAt
+    };
+  } catch (error) {
+    console.error('Error getting workflow status:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  createWorkflow,
+  getWorkflowStatus
+};
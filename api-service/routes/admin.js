@@ -0,0 +1,294 @@
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const {
+  getQueueStats,
+  getQueueStatsByType,
+  pauseQueue,
+  resumeQueue,
+  drainQueue,
+  cleanQueue,
+  getUserBacklog
+} = require('../queue/producer');
+const { TASK_TYPES } = require('../../shared/config/queues');
+const requireAdmin = require('../middleware/adminAuth');
+const AuditEvent = require('../models/AuditEvent');
+const { recordAudit } = require('../audit');
+
+// Queue actions recorded in the audit log
+const QUEUE_ACTIONS = ['pause', 'resume', 'drain', 'clean'];
+
+// Every admin endpoint requires an admin credential
+router.use(requireAdmin);
+
+// Run a queue action and record who triggered it, whether it succeeded or not
+const auditedAction = async (req, action, params, run) => {
+  const audit = (fields) => recordAudit(req, {
+    action: `queue.${action}`,
+    target: { kind: 'queue', id: params.type || null },
+    ...fields
+  });
+
+  try {
+    const result = await run();
+    await audit({ metadata: { params, result } });
+    console.log(`🛡️  Queue ${action} by ${req.admin.name}`);
+    return result;
+  } catch (error) {
+    await audit({ metadata: { params }, error: error.message });
+    throw error;
+  }
+};
+
+// Shape an audit event of a queue action as this endpoint always returned it
+const formatQueueAction = (event) => ({
+  _id: event._id,
+  action: event.action.slice('queue.'.length),
+  actor: event.actor.name,
+  ip: event.ip,
+  requestId: event.requestId,
+  params: event.metadata.params || {},
+  result: event.metadata.result === undefined ? null : event.metadata.result,
+  error: event.error,
+  createdAt: event.createdAt
+});
+
+// Optional task type restricting an action to that type's queue
+const validateQueueType = body('type').optional().isIn(TASK_TYPES).withMessage('Invalid task type');
+
+// GET /api/admin/queue - Live counts, overall and per task type
+router.get('/queue', async (req, res) => {
+  try {
+    const [counts, byType] = await Promise.all([
+      getQueueStats(),
+      getQueueStatsByType()
+    ]);
+
+    res.json({
+      success: true,
+      queue: {
+        counts,
+        byType
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching queue stats:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch queue stats',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/admin/queue/pause - Stop workers from picking up new jobs
+router.post('/queue/pause', [validateQueueType], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const params = { type: req.body.type };
+    const result = await auditedAction(req, 'pause', params, () => pauseQueue(params));
+
+    res.json({
+      success: true,
+      message: 'Queue paused',
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error pausing queue:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to pause queue',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/admin/queue/resume - Resume processing
+router.post('/queue/resume', [validateQueueType], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const params = { type: req.body.type };
+    const result = await auditedAction(req, 'resume', params, () => resumeQueue(params));
+
+    res.json({
+      success: true,
+      message: 'Queue resumed',
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error resuming queue:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resume queue',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/admin/queue/drain - Remove waiting (and optionally delayed) jobs
+router.post('/queue/drain', [
+  validateQueueType,
+  body('delayed').optional().isBoolean({ strict: true }).withMessage('delayed must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const params = { type: req.body.type, delayed: req.body.delayed === true };
+    const result = await auditedAction(req, 'drain', params, () => drainQueue(params));
+
+    res.json({
+      success: true,
+      message: `Drained ${result.drained} jobs`,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error draining queue:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to drain queue',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/admin/queue/clean - Remove completed or failed jobs older than a given age
+router.post('/queue/clean', [
+  validateQueueType,
+  body('state').isIn(['completed', 'failed']).withMessage('State must be completed or failed'),
+  body('olderThan').isInt({ min: 0 }).withMessage('olderThan must be a non-negative number of seconds').toInt(),
+  body('limit').optional().isInt({ min: 1 }).withMessage('Limit must be a positive integer').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { type, state, olderThan, limit = 0 } = req.body;
+    const params = { type, state, olderThan, limit };
+    const result = await auditedAction(req, 'clean', params, () => cleanQueue(params));
+
+    res.json({
+      success: true,
+      message: `Cleaned ${result.cleaned} ${state} jobs`,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error cleaning queue:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to clean queue',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/admin/queue/backlog - Unfinished tasks per user, largest backlog first
+router.get('/queue/backlog', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('type').optional().isIn(TASK_TYPES).withMessage('Invalid task type'),
+  query('userId').optional().trim().notEmpty().withMessage('User ID must not be empty')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const { users, total } = await getUserBacklog({
+      type: req.query.type,
+      userId: req.query.userId,
+      skip: (page - 1) * limit,
+      limit
+    });
+
+    res.json({
+      success: true,
+      users,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching user backlog:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch user backlog',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/admin/queue/audit - Recent queue administration actions, from the audit log
+router.get('/queue/audit', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('action').optional().isIn(QUEUE_ACTIONS).withMessage('Invalid action'),
+  query('actor').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {
+      action: req.query.action ? `queue.${req.query.action}` : { $in: QUEUE_ACTIONS.map(action => `queue.${action}`) }
+    };
+    if (req.query.actor) filter['actor.name'] = req.query.actor;
+
+    const [actions, total] = await Promise.all([
+      AuditEvent.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      AuditEvent.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      actions: actions.map(formatQueueAction),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching queue audit log:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch queue audit log',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
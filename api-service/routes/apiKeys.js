@@ -0,0 +1,219 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { body, param, validationResult } = require('express-validator');
+const ApiKey = require('../models/ApiKey');
+const { generateApiKey } = require('../auth/apiKeys');
+const { snapshot, diffChanges, recordAudit } = require('../audit');
+
+// Most keys a user may hold at once, revoked and expired ones excluded
+const MAX_API_KEYS_PER_USER = parseInt(process.env.MAX_API_KEYS_PER_USER) || 25;
+
+// Keys can only be managed by their own user
+const requireSelf = (req, res, next) => {
+  if (req.params.id !== req.user.id) {
+    return res.status(403).json({
+      success: false,
+      error: 'You can only manage your own API keys'
+    });
+  }
+  next();
+};
+
+router.use(requireSelf);
+
+// Audit target of an API key
+const apiKeyTarget = (apiKey) => ({ kind: 'apiKey', id: apiKey.id, name: apiKey.label });
+
+// Shape an API key for responses; the key itself is never stored
+const formatApiKey = (apiKey) => ({
+  id: apiKey.id,
+  label: apiKey.label,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  status: apiKey.status,
+  expiresAt: apiKey.expiresAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  revokedAt: apiKey.revokedAt,
+  createdAt: apiKey.createdAt
+});
+
+const validateKeyId = [
+  param('keyId').isMongoId().withMessage('Invalid API key ID')
+];
+
+// Unrevoked keys that have not expired
+const activeKeysQuery = (userId) => ({
+  userId,
+  revokedAt: null,
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+});
+
+// POST /api/users/:id/api-keys - Create an API key (the key is only returned here)
+router.post('/', [
+  body('label').trim().isLength({ min: 1, max: 100 }).withMessage('Label must be 1-100 characters'),
+  body('scopes').optional().isArray().withMessage('Scopes must be an array'),
+  body('scopes.*').isIn(ApiKey.SCOPES).withMessage(`Scopes must be among: ${ApiKey.SCOPES.join(', ')}`),
+  body('expiresAt').optional({ values: 'null' }).isISO8601().withMessage('expiresAt must be an ISO 8601 date')
+    .bail().custom(value => new Date(value) > new Date()).withMessage('expiresAt must be in the future')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const activeKeys = await ApiKey.countDocuments(activeKeysQuery(req.user.id));
+
+    if (activeKeys >= MAX_API_KEYS_PER_USER) {
+      return res.status(409).json({
+        success: false,
+        error: `A user can hold at most ${MAX_API_KEYS_PER_USER} active API keys`
+      });
+    }
+
+    const { label, scopes = [], expiresAt } = req.body;
+    const { key, keyHash, prefix } = generateApiKey();
+
+    const apiKey = await ApiKey.create({
+      userId: req.user.id,
+      label,
+      keyHash,
+      prefix,
+      scopes: [...new Set(scopes)],
+      expiresAt: expiresAt ? new Date(expiresAt) : null
+    });
+
+    await recordAudit(req, {
+      action: 'apiKey.create',
+      target: apiKeyTarget(apiKey),
+      metadata: { prefix: apiKey.prefix, scopes: apiKey.scopes, expiresAt: apiKey.expiresAt }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created, store it now as it will not be shown again',
+      key,
+      apiKey: formatApiKey(apiKey)
+    });
+
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create API key',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/users/:id/api-keys - List API keys, including revoked and expired ones
+router.get('/', async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ userId: req.user.id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      apiKeys: apiKeys.map(formatApiKey)
+    });
+
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch API keys',
+      message: error.message
+    });
+  }
+});
+
+// PATCH /api/users/:id/api-keys/:keyId - Relabel an API key
+router.patch('/:keyId', [
+  ...validateKeyId,
+  body('label').trim().isLength({ min: 1, max: 100 }).withMessage('Label must be 1-100 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const apiKey = await ApiKey.findOne({ _id: req.params.keyId, userId: req.user.id });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    const before = snapshot(apiKey, ['label']);
+    apiKey.label = req.body.label;
+    await apiKey.save();
+
+    await recordAudit(req, {
+      action: 'apiKey.update',
+      target: apiKeyTarget(apiKey),
+      changes: diffChanges(before, snapshot(apiKey, ['label']))
+    });
+
+    res.json({
+      success: true,
+      message: 'API key updated successfully',
+      apiKey: formatApiKey(apiKey)
+    });
+
+  } catch (error) {
+    console.error('Error updating API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update API key',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/users/:id/api-keys/:keyId - Revoke an API key
+router.delete('/:keyId', validateKeyId, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const apiKey = await ApiKey.findOne({ _id: req.params.keyId, userId: req.user.id });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+
+      await recordAudit(req, {
+        action: 'apiKey.revoke',
+        target: apiKeyTarget(apiKey),
+        changes: [{ field: 'revokedAt', before: null, after: apiKey.revokedAt }]
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully',
+      apiKey: formatApiKey(apiKey)
+    });
+
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke API key',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { param, query, validationResult } = require('express-validator');
+const Artifact = require('../models/Artifact');
+const { getStorage, ARTIFACT_NAME_PATTERN } = require('../storage');
+const requireAuth = require('../middleware/auth');
+const requireTaskOwner = require('../middleware/taskOwner');
+const { requireScope } = require('../middleware/scopes');
+
+// Lifetime of a signed download link
+const ARTIFACT_LINK_TTL = parseInt(process.env.ARTIFACT_LINK_TTL_SECONDS) || 15 * 60; // 15 minutes
+
+// Links must verify on every API instance, so the secret should be configured
+const ARTIFACT_SIGNING_SECRET = process.env.ARTIFACT_SIGNING_SECRET || crypto.randomBytes(32).toString('hex');
+
+if (!process.env.ARTIFACT_SIGNING_SECRET) {
+  console.warn('⚠️  ARTIFACT_SIGNING_SECRET is not set, download links only work on this instance until restart');
+}
+
+const signArtifact = (taskId, name, expires) => crypto
+  .createHmac('sha256', ARTIFACT_SIGNING_SECRET)
+  .update(`${taskId}/${name}:${expires}`)
+  .digest('hex');
+
+// Signed, expiring download link for an artifact
+const signedArtifactLink = (taskId, name) => {
+  const expires = Math.floor(Date.now() / 1000) + ARTIFACT_LINK_TTL;
+  const path = `/api/tasks/${encodeURIComponent(taskId)}/artifacts/${encodeURIComponent(name)}`;
+  return {
+    url: `${path}?expires=${expires}&signature=${signArtifact(taskId, name, expires)}`,
+    expiresAt: new Date(expires * 1000).toISOString()
+  };
+};
+
+const isValidSignature = (taskId, name, expires, signature) => {
+  if (Number(expires) * 1000 < Date.now()) {
+    return false;
+  }
+  const expected = Buffer.from(signArtifact(taskId, name, expires));
+  const actual = Buffer.from(String(signature));
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+// Authenticated owner of the task, with the tasks scope for API keys
+const requireOwner = [requireAuth, requireScope('tasks'), requireTaskOwner];
+
+// Signed download links carry their own authorization; everything else needs the task's owner
+const requireOwnerUnlessSigned = (req, res, next) => {
+  if (req.query.expires || req.query.signature) {
+    return next();
+  }
+  const run = ([check, ...rest]) => (check ? check(req, res, () => run(rest)) : next());
+  run(requireOwner);
+};
+
+// GET /api/tasks/:id/artifacts - List a task's artifacts with signed download links
+router.get('/', [
+  param('id').notEmpty().withMessage('Task ID is required')
+], requireOwner, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const artifacts = await Artifact.find({ taskId: req.params.id }).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      taskId: req.params.id,
+      artifacts: artifacts.map(artifact => {
+        const link = signedArtifactLink(artifact.taskId, artifact.name);
+        return {
+          name: artifact.name,
+          contentType: artifact.contentType,
+          size: artifact.size,
+          createdAt: artifact.createdAt,
+          retainedUntil: artifact.expiresAt,
+          downloadUrl: link.url,
+          downloadUrlExpiresAt: link.expiresAt
+        };
+      })
+    });
+
+  } catch (error) {
+    console.error('Error fetching artifacts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch artifacts',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/tasks/:id/artifacts/:name - Download an artifact (unsigned requests are redirected to a signed link)
+router.get('/:name', [
+  param('id').notEmpty().withMessage('Task ID is required'),
+  param('name').matches(ARTIFACT_NAME_PATTERN).withMessage('Invalid artifact name'),
+  query('expires').optional().isInt({ min: 0 }).withMessage('Invalid link expiry'),
+  query('signature').optional().isHexadecimal().withMessage('Invalid link signature')
+], requireOwnerUnlessSigned, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id: taskId, name } = req.params;
+    const { expires, signature } = req.query;
+
+    if ((expires || signature) && !isValidSignature(taskId, name, expires, signature)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Download link is invalid or has expired'
+      });
+    }
+
+    const artifact = await Artifact.findOne({ taskId, name });
+
+    if (!artifact) {
+      return res.status(404).json({
+        success: false,
+        error: 'Artifact not found'
+      });
+    }
+
+    if (!signature) {
+      return res.redirect(302, signedArtifactLink(taskId, name).url);
+    }
+
+    const stream = await getStorage().getObjectStream(artifact.key);
+
+    if (!stream) {
+      return res.status(404).json({
+        success: false,
+        error: 'Artifact not found'
+      });
+    }
+
+    res.set({
+      'Content-Type': artifact.contentType,
+      'Content-Length': artifact.size,
+      'Content-Disposition': `attachment; filename="${artifact.name}"`,
+      'Cache-Control': 'private, no-store'
+    });
+
+    stream.on('error', (error) => {
+      console.error(`❌ Failed to stream artifact ${artifact.key}:`, error.message);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+
+  } catch (error) {
+    console.error('Error downloading artifact:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to download artifact',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
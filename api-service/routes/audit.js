@@ -0,0 +1,86 @@
+const express = require('express');
+const router = express.Router();
+const { query, validationResult } = require('express-validator');
+const AuditEvent = require('../models/AuditEvent');
+const { requirePermission } = require('../../shared/permissions');
+
+// The audit log is for admins
+router.use(requirePermission('audit:read'));
+
+// Shape an audit event for responses
+const formatAuditEvent = (event) => ({
+  id: event._id,
+  action: event.action,
+  actor: event.actor,
+  target: event.target,
+  changes: event.changes,
+  outcome: event.outcome,
+  error: event.error,
+  metadata: event.metadata,
+  requestId: event.requestId,
+  ip: event.ip,
+  createdAt: event.createdAt
+});
+
+// GET /api/audit - Audit events, newest first (filter by actor, action, target and time range)
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('actor').optional().isString().trim().notEmpty().withMessage('Actor must be a user ID or name'),
+  query('action').optional().isIn(AuditEvent.ACTIONS).withMessage('Invalid action'),
+  query('targetType').optional().isIn(AuditEvent.TARGET_KINDS).withMessage('Invalid target type'),
+  query('targetId').optional().isString().trim().notEmpty().withMessage('Target ID must not be empty'),
+  query('from').optional().isISO8601().withMessage('From must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('To must be an ISO 8601 date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page = 1, limit = 20, actor, action, targetType, targetId, from, to } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    // Actors are matched by ID or by name, which is how admin keys are known
+    const filter = {};
+    if (actor) filter.$or = [{ 'actor.id': actor }, { 'actor.name': actor }];
+    if (action) filter.action = action;
+    if (targetType) filter['target.kind'] = targetType;
+    if (targetId) filter['target.id'] = targetId;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const [events, total] = await Promise.all([
+      AuditEvent.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      AuditEvent.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      events: events.map(formatAuditEvent),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / parseInt(limit))
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching audit events:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch audit events',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
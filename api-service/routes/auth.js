@@ -0,0 +1,236 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const { issueTokens, consumeRefreshToken, revokeTokens } = require('../auth/tokens');
+const { sendEmailVerification } = require('../auth/emailVerification');
+const { userActor, recordAudit, userTarget } = require('../audit');
+
+// Shape the authenticated user for auth responses
+const formatAuthUser = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  name: user.name,
+  emailVerified: user.emailVerified,
+  roles: user.roles
+});
+
+// Validation middleware
+const validateRegistration = [
+  body('username').trim().isLength({ min: 3, max: 30 }).withMessage('Username must be 3-30 characters')
+    .matches(/^[a-zA-Z0-9_]+$/).withMessage('Username can only contain letters, numbers, and underscores'),
+  body('email').isEmail().normalizeEmail().withMessage('Invalid email address'),
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+  body('password').isString().isLength({ min: 8, max: 128 }).withMessage('Password must be 8-128 characters')
+];
+
+const validateLogin = [
+  body('login').trim().notEmpty().withMessage('Username or email is required'),
+  // Email addresses are looked up as registration normalized them (e.g. without gmail dots)
+  body('login').if(body('login').isEmail()).normalizeEmail(),
+  body('password').isString().notEmpty().withMessage('Password is required')
+];
+
+const validateRefreshToken = [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+];
+
+// POST /api/auth/register - Create an account and sign in
+router.post('/register', validateRegistration, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { username, email, name, password } = req.body;
+
+    const existingUser = await User.findOne({
+      $or: [{ email }, { username }]
+    });
+
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        error: 'User already exists with this email or username'
+      });
+    }
+
+    const user = await User.create({
+      username,
+      email,
+      name: name || username,
+      password,
+      isActive: true,
+      notificationsEnabled: true
+    });
+
+    await recordAudit(req, {
+      action: 'auth.register',
+      actor: userActor(user),
+      target: userTarget(user)
+    });
+
+    // New accounts start unverified
+    const verificationExpiresAt = await sendEmailVerification(user);
+
+    res.status(201).json({
+      success: true,
+      message: 'User registered successfully',
+      user: formatAuthUser(user),
+      verificationExpiresAt,
+      tokens: await issueTokens(user)
+    });
+
+  } catch (error) {
+    console.error('Error registering user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to register user',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/auth/login - Exchange a username or email and password for tokens
+router.post('/login', validateLogin, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { login, password } = req.body;
+
+    const user = await User.findOne({
+      $or: [{ email: login }, { username: login }]
+    }).select('+password');
+
+    // Same response for unknown users and wrong passwords
+    if (!user || !user.canAuthenticate() || !(await user.comparePassword(password))) {
+      await recordAudit(req, {
+        action: 'auth.login_failed',
+        target: user ? userTarget(user) : null,
+        metadata: { login },
+        error: 'Invalid credentials'
+      });
+
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid credentials'
+      });
+    }
+
+    user.lastActive = new Date();
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'auth.login',
+      actor: userActor(user),
+      target: userTarget(user)
+    });
+
+    res.json({
+      success: true,
+      message: 'Logged in successfully',
+      user: formatAuthUser(user),
+      tokens: await issueTokens(user)
+    });
+
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to log in',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/auth/refresh - Exchange a refresh token for a new token pair (the old one is revoked)
+router.post('/refresh', validateRefreshToken, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    let userId;
+    try {
+      userId = await consumeRefreshToken(req.body.refreshToken);
+    } catch (error) {
+      userId = null;
+    }
+
+    const user = userId ? await User.findById(userId) : null;
+
+    if (!user || !user.canAuthenticate()) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired refresh token'
+      });
+    }
+
+    res.json({
+      success: true,
+      tokens: await issueTokens(user)
+    });
+
+  } catch (error) {
+    console.error('Error refreshing tokens:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to refresh tokens',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/auth/logout - Revoke the refresh token in the body and the bearer access token
+router.post('/logout', [
+  body('refreshToken').optional().isString().withMessage('Refresh token must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const [scheme, accessToken] = (req.get('Authorization') || '').split(' ');
+    const refreshToken = req.body.refreshToken;
+
+    if (!refreshToken && scheme !== 'Bearer') {
+      return res.status(400).json({
+        success: false,
+        error: 'A refresh token or bearer access token is required'
+      });
+    }
+
+    const { revoked, userId } = await revokeTokens({ refreshToken, accessToken: scheme === 'Bearer' ? accessToken : null });
+
+    if (userId) {
+      await recordAudit(req, {
+        action: 'auth.logout',
+        actor: { kind: 'user', id: userId },
+        target: { kind: 'user', id: userId },
+        metadata: { revokedTokens: revoked }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to log out',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
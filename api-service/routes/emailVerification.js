@@ -0,0 +1,100 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const { verifyToken } = require('../auth/tokens');
+const { userActor, snapshot, diffChanges, recordAudit, userTarget } = require('../audit');
+
+// Fields a confirmed token changes, as recorded in the audit log
+const EMAIL_FIELDS = ['email', 'emailVerified', 'pendingEmail'];
+
+const invalidToken = (res, message = 'Invalid verification token') => res.status(400).json({
+  success: false,
+  error: message
+});
+
+// POST /api/users/verify - Confirm an email address with a mailed token (no sign-in needed)
+router.post('/', [
+  body('token').isString().notEmpty().withMessage('Token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    let payload;
+    try {
+      payload = verifyToken(req.body.token, 'email');
+    } catch (error) {
+      return invalidToken(res, error.name === 'TokenExpiredError' ? 'Verification token has expired' : undefined);
+    }
+
+    const user = await User.findOne({ _id: payload.sub, deletedAt: null });
+
+    if (!user) {
+      return invalidToken(res);
+    }
+
+    // Tokens for an address the user has since replaced no longer apply
+    const changing = payload.purpose === 'change';
+    if (payload.email !== (changing ? user.pendingEmail : user.email)) {
+      return invalidToken(res);
+    }
+
+    if (!changing && user.emailVerified) {
+      return res.json({
+        success: true,
+        message: 'Email address is already verified',
+        user: { id: user._id, email: user.email, emailVerified: true }
+      });
+    }
+
+    // Another account may have taken the address since the change was requested
+    if (changing && await User.exists({ email: payload.email, _id: { $ne: user._id } })) {
+      return res.status(409).json({
+        success: false,
+        error: 'Email address is already in use'
+      });
+    }
+
+    const before = snapshot(user, EMAIL_FIELDS);
+
+    if (changing) {
+      user.email = user.pendingEmail;
+      user.pendingEmail = null;
+    }
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'user.verify_email',
+      actor: userActor(user),
+      target: userTarget(user),
+      changes: diffChanges(before, snapshot(user, EMAIL_FIELDS))
+    });
+
+    res.json({
+      success: true,
+      message: changing ? 'Email address changed successfully' : 'Email address verified successfully',
+      user: {
+        id: user._id,
+        email: user.email,
+        emailVerified: user.emailVerified,
+        emailVerifiedAt: user.emailVerifiedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Error verifying email:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify email',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
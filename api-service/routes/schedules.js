@@ -0,0 +1,236 @@
+const express = require('express');
+const router = express.Router();
+const { param, query, validationResult } = require('express-validator');
+const {
+  pauseTaskSchedule,
+  resumeTaskSchedule,
+  deleteTaskSchedule,
+  getScheduleNextRun
+} = require('../queue/producer');
+const Schedule = require('../models/Schedule');
+
+// Validation middleware for the schedule listing
+const validateScheduleQuery = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('type').optional().isIn(Schedule.schema.path('type').enumValues).withMessage('Invalid task type'),
+  query('status').optional().isIn(Schedule.schema.path('status').enumValues).withMessage('Invalid schedule status')
+];
+
+const validateScheduleId = [
+  param('id').isMongoId().withMessage('Invalid schedule ID')
+];
+
+// Only lets requests for the caller's own schedules through; others answer 404
+const requireScheduleOwner = async (req, res, next) => {
+  if (!validationResult(req).isEmpty()) {
+    return next();
+  }
+
+  try {
+    const owned = await Schedule.exists({ _id: req.params.id, userId: req.user.id });
+
+    if (!owned) {
+      return res.status(404).json({
+        success: false,
+        error: 'Schedule not found'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error checking schedule ownership:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check schedule ownership',
+      message: error.message
+    });
+  }
+};
+
+// Shape a schedule for API responses, including its next run from the queue
+const formatSchedule = async (schedule) => ({
+  ...schedule.toJSON(),
+  nextRunAt: schedule.status === 'active' ? await getScheduleNextRun(schedule) : null
+});
+
+// GET /api/tasks/schedules - List the caller's recurring task schedules
+router.get('/', validateScheduleQuery, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page = 1, limit = 20, type, status } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    // Build query, limited to the caller's own schedules
+    const query = { userId: req.user.id };
+    if (type) query.type = type;
+    if (status) query.status = status;
+
+    const [schedules, total] = await Promise.all([
+      Schedule.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Schedule.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      schedules: await Promise.all(schedules.map(formatSchedule)),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / parseInt(limit))
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching schedules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch schedules',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/tasks/schedules/:id - Get schedule by ID
+router.get('/:id', validateScheduleId, requireScheduleOwner, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const schedule = await Schedule.findById(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Schedule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      schedule: await formatSchedule(schedule)
+    });
+
+  } catch (error) {
+    console.error('Error fetching schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch schedule',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/tasks/schedules/:id/pause - Pause schedule
+router.post('/:id/pause', validateScheduleId, requireScheduleOwner, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const schedule = await pauseTaskSchedule(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Schedule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Schedule paused successfully',
+      schedule: await formatSchedule(schedule)
+    });
+
+  } catch (error) {
+    console.error('Error pausing schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to pause schedule',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/tasks/schedules/:id/resume - Resume schedule
+router.post('/:id/resume', validateScheduleId, requireScheduleOwner, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const schedule = await resumeTaskSchedule(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Schedule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Schedule resumed successfully',
+      schedule: await formatSchedule(schedule)
+    });
+
+  } catch (error) {
+    console.error('Error resuming schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resume schedule',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/tasks/schedules/:id - Delete schedule
+router.delete('/:id', validateScheduleId, requireScheduleOwner, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const schedule = await deleteTaskSchedule(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Schedule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Schedule deleted successfully',
+      deletedSchedule: {
+        id: schedule.id,
+        type: schedule.type
+      }
+    });
+
+  } catch (error) {
+    console.error('Error deleting schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete schedule',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
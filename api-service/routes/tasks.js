@@ -1,44 +1,263 @@
 const express = require('express');
 const router = express.Router();
-const { body, param, validationResult } = require('express-validator');
-const { addTaskToQueue, getTaskStatus } = require('../queue/producer');
+const cronParser = require('cron-parser');
+const { body, param, query, validationResult } = require('express-validator');
+const {
+  addTaskToQueue,
+  addTasksToQueue,
+  createTaskSchedule,
+  getScheduleNextRun,
+  getTaskStatus,
+  cancelTask,
+  getFailedTasks,
+  retryTask,
+  retryFailedTasks,
+  countRetryableTasks,
+  moveToDeadLetter,
+  moveFailedToDeadLetter,
+  CANCELLED_REASON
+} = require('../queue/producer');
+const { subscribeToTask } = require('../queue/taskEvents');
+const idempotency = require('../middleware/idempotency');
+const taskQuota = require('../middleware/taskQuota');
+const requireTaskOwner = require('../middleware/taskOwner');
+const requireVerifiedEmail = require('../middleware/verifiedEmail');
+const { taskSchemas, validateTaskData } = require('../schemas/taskSchemas');
+const Task = require('../models/Task');
+const DeadLetter = require('../models/DeadLetter');
+const WebhookDelivery = require('../models/WebhookDelivery');
+
+// Interval between SSE comment lines that keep idle streams open through proxies
+const SSE_HEARTBEAT_MS = 15000;
+
+// Task states after which no further events are emitted
+const TERMINAL_TASK_STATES = ['completed', 'failed', 'cancelled'];
+
+// Longest delay accepted for a one-off scheduled task
+const MAX_TASK_DELAY = 30 * 24 * 3600 * 1000; // 30 days
+
+// Bounds for a per-job execution timeout (the task type's timeout applies otherwise)
+const MIN_TASK_TIMEOUT = 1000; // 1 second
+const MAX_TASK_TIMEOUT = 3600 * 1000; // 1 hour
+
+// Throws on an invalid cron expression (evaluated in the schedule's timezone)
+const isValidCron = (value, { req }) => {
+  cronParser.parseExpression(value, { tz: req.body.repeat.tz });
+  return true;
+};
+
+// Throws on an unknown IANA timezone
+const isValidTimezone = (value) => {
+  Intl.DateTimeFormat('en-US', { timeZone: value });
+  return true;
+};
 
 // Validation middleware
 const validateTask = [
   body('type').isIn(['email', 'report', 'dataProcessing', 'imageProcessing']).withMessage('Invalid task type'),
   body('data').isObject().withMessage('Data must be an object'),
-  body('priority').optional().isInt({ min: 1, max: 10 }).withMessage('Priority must be between 1 and 10')
+  body('priority').optional().isInt({ min: 1, max: 10 }).withMessage('Priority must be between 1 and 10'),
+  body('runAt').optional().isISO8601().withMessage('runAt must be an ISO 8601 date')
+    .bail().custom(value => new Date(value) > new Date()).withMessage('runAt must be in the future'),
+  body('delay').optional().isInt({ min: 0, max: MAX_TASK_DELAY }).withMessage(`Delay must be between 0 and ${MAX_TASK_DELAY}ms`),
+  body('timeoutMs').optional().isInt({ min: MIN_TASK_TIMEOUT, max: MAX_TASK_TIMEOUT })
+    .withMessage(`timeoutMs must be between ${MIN_TASK_TIMEOUT} and ${MAX_TASK_TIMEOUT}ms`),
+  body('repeat').optional().isObject().withMessage('Repeat must be an object')
+    .bail().custom(repeat => Boolean(repeat.cron) !== Boolean(repeat.every)).withMessage('Repeat requires exactly one of cron or every'),
+  body('repeat.cron').optional().isString().bail().custom(isValidCron).withMessage('Invalid cron expression'),
+  body('repeat.every').optional().isInt({ min: 1000 }).withMessage('Repeat interval must be at least 1000ms'),
+  body('repeat.tz').optional().isString().bail().custom(isValidTimezone).withMessage('Invalid timezone'),
+  body('repeat.limit').optional().isInt({ min: 1 }).withMessage('Repeat limit must be a positive integer'),
+  body('repeat.startDate').optional().isISO8601().withMessage('Repeat startDate must be an ISO 8601 date'),
+  body('repeat.endDate').optional().isISO8601().withMessage('Repeat endDate must be an ISO 8601 date'),
+  body('callbackUrl').optional().isURL({ protocols: ['http', 'https'], require_tld: false, require_protocol: true })
+    .withMessage('callbackUrl must be an http(s) URL'),
+  body('callbackSecret').optional().isString().isLength({ min: 16, max: 256 })
+    .withMessage('callbackSecret must be 16-256 characters'),
+  body('callbackSecret').if(body('callbackUrl').not().exists()).not().exists()
+    .withMessage('callbackSecret requires a callbackUrl'),
+  body().custom(task => ['runAt', 'delay', 'repeat'].filter(field => task[field] !== undefined).length <= 1)
+    .withMessage('runAt, delay and repeat cannot be combined'),
+  body().custom(task => !(task.repeat !== undefined && task.callbackUrl !== undefined))
+    .withMessage('callbackUrl is not supported for recurring tasks')
 ];
 
+// Field-level errors for task data that does not match its type's schema
+const payloadFieldErrors = (task) => {
+  if (!task || !taskSchemas[task.type] || !task.data || typeof task.data !== 'object') {
+    return [];
+  }
+
+  return validateTaskData(task.type, task.data).map(error => ({
+    type: 'field',
+    msg: error.message,
+    path: `data.${error.field}`,
+    location: 'body'
+  }));
+};
+
+// Largest batch accepted by POST /api/tasks/bulk
+const BULK_TASK_MAX_ITEMS = parseInt(process.env.BULK_TASK_MAX_ITEMS) || 1000;
+
+// Validate one bulk item with the same rules as POST /api/tasks
+const validateBulkItem = async (item) => {
+  const itemReq = { body: item };
+  await Promise.all(validateTask.map(validator => validator.run(itemReq)));
+
+  const errors = [...validationResult(itemReq).array(), ...payloadFieldErrors(item)];
+
+  // Recurring schedules are not queue jobs, so they cannot be batched
+  if (item && item.repeat !== undefined) {
+    errors.push({ type: 'field', value: item.repeat, msg: 'Recurring tasks cannot be submitted in bulk', path: 'repeat', location: 'body' });
+  }
+
+  return errors;
+};
+
+// Fields the task listing can be sorted by
+const SORTABLE_FIELDS = ['createdAt', 'updatedAt', 'finishedAt', 'priority', 'type', 'state'];
+
+// Validation middleware for the task listing
+const validateTaskQuery = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('type').optional().isIn(Task.schema.path('type').enumValues).withMessage('Invalid task type'),
+  query('state').optional().isIn(Task.schema.path('state').enumValues).withMessage('Invalid task state'),
+  query('from').optional().isISO8601().withMessage('From must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('To must be an ISO 8601 date'),
+  query('sortBy').optional().isIn(SORTABLE_FIELDS).withMessage(`Sort field must be one of: ${SORTABLE_FIELDS.join(', ')}`),
+  query('order').optional().isIn(['asc', 'desc']).withMessage('Order must be asc or desc')
+];
+
+// Validation middleware for failed and dead-letter listings
+const validateFailedQuery = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('type').optional().isIn(Task.schema.path('type').enumValues).withMessage('Invalid task type')
+];
+
+// Validation middleware for bulk actions on failed tasks
+const validateBulkFilter = [
+  body('type').optional().isIn(Task.schema.path('type').enumValues).withMessage('Invalid task type')
+];
+
+// Shape a dead-letter entry for API responses
+const formatDeadLetter = (entry) => ({
+  id: entry.jobId,
+  type: entry.type,
+  userId: entry.userId,
+  data: entry.data,
+  priority: entry.priority,
+  timeoutMs: entry.timeoutMs,
+  callbackUrl: entry.callbackUrl,
+  failedReason: entry.failedReason,
+  stacktrace: entry.stacktrace,
+  attempts: entry.attemptsMade,
+  failedAt: entry.failedAt,
+  movedAt: entry.movedAt
+});
+
+// Shape a task history record for API responses
+const formatTask = (task) => ({
+  id: task.jobId,
+  type: task.type,
+  userId: task.userId,
+  data: task.data,
+  priority: task.priority,
+  state: task.state,
+  progress: task.progress,
+  attempts: task.attemptsMade,
+  result: task.result,
+  failedReason: task.failedReason,
+  callbackUrl: task.callbackUrl,
+  createdAt: task.createdAt,
+  startedAt: task.startedAt,
+  finishedAt: task.finishedAt
+});
+
+// Tasks a request queues by type, counted against the submission quotas (schedules are not)
+const countTask = ({ body: task }) => (task.repeat === undefined ? { [task.type]: 1 } : {});
+
+const countBulkTasks = ({ body: { tasks } }) => tasks.reduce((counts, task) => {
+  if (task && typeof task.type === 'string' && task.repeat === undefined) {
+    counts[task.type] = (counts[task.type] || 0) + 1;
+  }
+  return counts;
+}, {});
+
+const countRetriedTask = (req) => countRetryableTasks({ taskId: req.params.id });
+
+const countRetriedFailedTasks = (req) => countRetryableTasks({ type: req.body.type, userId: req.user.id });
+
+const countRequeuedDeadLetter = async (req) => {
+  const entry = await DeadLetter.findOne({ jobId: req.params.id, userId: req.user.id }).select('type');
+  return entry ? { [entry.type]: 1 } : {};
+};
+
 // POST /api/tasks - Create a new task
-router.post('/', validateTask, async (req, res) => {
+router.post('/', requireVerifiedEmail, validateTask, idempotency, taskQuota(countTask), async (req, res) => {
   try {
-    // Validate request
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
+    // Validate request, including the data payload against its type's schema
+    const errors = [...validationResult(req).array(), ...payloadFieldErrors(req.body)];
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
     }
 
-    const { type, data, priority = 5 } = req.body;
+    const { type, data, priority = 5, runAt, delay, timeoutMs, repeat, callbackUrl, callbackSecret } = req.body;
+    const userId = req.user.id;
+
+    // Recurring tasks are stored as schedules and enqueued by BullMQ on each run
+    if (repeat) {
+      const schedule = await createTaskSchedule({
+        type,
+        data,
+        priority,
+        userId,
+        timeoutMs: timeoutMs !== undefined ? parseInt(timeoutMs) : null,
+        cron: repeat.cron,
+        every: repeat.every,
+        tz: repeat.tz,
+        limit: repeat.limit,
+        startDate: repeat.startDate,
+        endDate: repeat.endDate
+      });
+
+      return res.status(201).json({
+        success: true,
+        message: 'Recurring task scheduled successfully',
+        schedule: {
+          ...schedule.toJSON(),
+          nextRunAt: await getScheduleNextRun(schedule)
+        }
+      });
+    }
 
     // Add task to queue
     const job = await addTaskToQueue({
       type,
       data,
       priority,
-      userId: req.body.userId || 'anonymous',
+      userId,
+      runAt,
+      delay: delay !== undefined ? parseInt(delay) : 0,
+      timeoutMs: timeoutMs !== undefined ? parseInt(timeoutMs) : undefined,
+      callbackUrl,
+      callbackSecret,
       createdAt: new Date().toISOString()
     });
 
+    const scheduled = job.opts.delay > 0;
+
     res.status(201).json({
       success: true,
-      message: 'Task created and queued successfully',
+      message: scheduled ? 'Task scheduled successfully' : 'Task created and queued successfully',
       task: {
         id: job.id,
         type,
-        status: 'queued',
+        status: scheduled ? 'scheduled' : 'queued',
         priority,
-        queuedAt: new Date().toISOString()
+        queuedAt: new Date().toISOString(),
+        ...(scheduled && { runAt: new Date(job.timestamp + job.opts.delay).toISOString() })
       }
     });
 
@@ -52,10 +271,660 @@ router.post('/', validateTask, async (req, res) => {
   }
 });
 
+// GET /api/tasks/types - Task types and the JSON Schema of their data payload
+router.get('/types', (req, res) => {
+  res.json({
+    success: true,
+    types: Object.entries(taskSchemas).map(([type, schema]) => ({
+      type,
+      title: schema.title,
+      description: schema.description,
+      schema
+    }))
+  });
+});
+
+// POST /api/tasks/bulk - Create many tasks in one batched queue operation
+router.post('/bulk', requireVerifiedEmail, [
+  body('tasks').isArray({ min: 1, max: BULK_TASK_MAX_ITEMS }).withMessage(`Tasks must be an array of 1-${BULK_TASK_MAX_ITEMS} task specs`)
+], idempotency, taskQuota(countBulkTasks), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { tasks } = req.body;
+    const userId = req.user.id;
+
+    const itemErrors = await Promise.all(tasks.map(validateBulkItem));
+    const results = new Array(tasks.length);
+    const validIndexes = [];
+
+    itemErrors.forEach((errors, index) => {
+      if (errors.length > 0) {
+        results[index] = { index, success: false, errors };
+      } else {
+        validIndexes.push(index);
+      }
+    });
+
+    // Items that failed validation are not queued, so they give back their quota
+    if (req.refundTaskQuota && validIndexes.length < tasks.length) {
+      await req.refundTaskQuota(countBulkTasks({ body: { tasks: tasks.filter((task, index) => itemErrors[index].length > 0) } }));
+    }
+
+    if (validIndexes.length > 0) {
+      const jobs = await addTasksToQueue(validIndexes.map(index => {
+        const { type, data, priority = 5, runAt, delay, timeoutMs, callbackUrl, callbackSecret } = tasks[index];
+        return {
+          type,
+          data,
+          priority,
+          userId,
+          runAt,
+          delay: delay !== undefined ? parseInt(delay) : 0,
+          timeoutMs: timeoutMs !== undefined ? parseInt(timeoutMs) : undefined,
+          callbackUrl,
+          callbackSecret
+        };
+      }));
+
+      jobs.forEach((job, position) => {
+        const index = validIndexes[position];
+        const scheduled = job.opts.delay > 0;
+
+        results[index] = {
+          index,
+          success: true,
+          task: {
+            id: job.id,
+            type: job.name,
+            status: scheduled ? 'scheduled' : 'queued',
+            ...(scheduled && { runAt: new Date(job.timestamp + job.opts.delay).toISOString() })
+          }
+        };
+      });
+    }
+
+    const accepted = validIndexes.length;
+    const rejected = tasks.length - accepted;
+
+    // 201 when every item was queued, 207 on partial success, 400 when nothing was queued
+    res.status(rejected === 0 ? 201 : (accepted > 0 ? 207 : 400)).json({
+      success: accepted > 0,
+      message: `${accepted} of ${tasks.length} task(s) queued`,
+      summary: {
+        total: tasks.length,
+        accepted,
+        rejected
+      },
+      results
+    });
+
+  } catch (error) {
+    console.error('Error creating tasks in bulk:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to create tasks',
+      message: error.message 
+    });
+  }
+});
+
+// GET /api/tasks/failed - List failed tasks
+router.get('/failed', validateFailedQuery, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page = 1, limit = 20, type } = req.query;
+    const start = (parseInt(page) - 1) * parseInt(limit);
+
+    const { tasks, total } = await getFailedTasks({
+      type,
+      userId: req.user.id,
+      start,
+      end: start + parseInt(limit) - 1
+    });
+
+    res.json({
+      success: true,
+      tasks,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / parseInt(limit))
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching failed tasks:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch failed tasks',
+      message: error.message 
+    });
+  }
+});
+
+// POST /api/tasks/failed/retry - Retry all failed tasks (optionally by type)
+router.post('/failed/retry', validateBulkFilter, taskQuota(countRetriedFailedTasks), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { retried, errors: retryErrors } = await retryFailedTasks({ type: req.body.type, userId: req.user.id });
+
+    // Tasks that could not be requeued give back their quota
+    if (req.refundTaskQuota && retryErrors.length > 0) {
+      await req.refundTaskQuota(countBulkTasks({ body: { tasks: retryErrors } }));
+    }
+
+    res.json({
+      success: true,
+      message: `${retried.length} failed task(s) requeued`,
+      retried,
+      errors: retryErrors
+    });
+
+  } catch (error) {
+    console.error('Error retrying failed tasks:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to retry tasks',
+      message: error.message 
+    });
+  }
+});
+
+// POST /api/tasks/failed/dead-letter - Move permanently failed tasks to the dead-letter store
+router.post('/failed/dead-letter', validateBulkFilter, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { moved, errors: moveErrors } = await moveFailedToDeadLetter({ type: req.body.type, userId: req.user.id });
+
+    res.json({
+      success: true,
+      message: `${moved.length} failed task(s) moved to the dead-letter store`,
+      moved,
+      errors: moveErrors
+    });
+
+  } catch (error) {
+    console.error('Error moving failed tasks to dead-letter store:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to move tasks to the dead-letter store',
+      message: error.message 
+    });
+  }
+});
+
+// GET /api/tasks/dead-letter - List dead-lettered tasks
+router.get('/dead-letter', validateFailedQuery, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page = 1, limit = 20, type } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const query = { userId: req.user.id };
+    if (type) query.type = type;
+
+    const [entries, total] = await Promise.all([
+      DeadLetter.find(query)
+        .sort({ movedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      DeadLetter.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      tasks: entries.map(formatDeadLetter),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / parseInt(limit))
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching dead-letter tasks:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch dead-letter tasks',
+      message: error.message 
+    });
+  }
+});
+
+// DELETE /api/tasks/dead-letter - Purge the dead-letter store (optionally by type and age)
+router.delete('/dead-letter', [
+  query('type').optional().isIn(Task.schema.path('type').enumValues).withMessage('Invalid task type'),
+  query('before').optional().isISO8601().withMessage('Before must be an ISO 8601 date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { type, before } = req.query;
+    const query = { userId: req.user.id };
+    if (type) query.type = type;
+    if (before) query.movedAt = { $lt: new Date(before) };
+
+    const { deletedCount } = await DeadLetter.deleteMany(query);
+
+    res.json({
+      success: true,
+      message: `${deletedCount} dead-letter task(s) purged`,
+      purged: deletedCount
+    });
+
+  } catch (error) {
+    console.error('Error purging dead-letter tasks:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to purge dead-letter tasks',
+      message: error.message 
+    });
+  }
+});
+
+// GET /api/tasks/dead-letter/:id - Inspect a dead-lettered task
+router.get('/dead-letter/:id', [
+  param('id').notEmpty().withMessage('Task ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const entry = await DeadLetter.findOne({ jobId: req.params.id, userId: req.user.id });
+
+    if (!entry) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Dead-letter task not found' 
+      });
+    }
+
+    res.json({
+      success: true,
+      task: formatDeadLetter(entry)
+    });
+
+  } catch (error) {
+    console.error('Error fetching dead-letter task:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch dead-letter task',
+      message: error.message 
+    });
+  }
+});
+
+// POST /api/tasks/dead-letter/:id/requeue - Submit a dead-lettered task again as a new task
+router.post('/dead-letter/:id/requeue', [
+  param('id').notEmpty().withMessage('Task ID is required')
+], taskQuota(countRequeuedDeadLetter), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const entry = await DeadLetter.findOne({ jobId: req.params.id, userId: req.user.id }).select('+callbackSecret');
+
+    if (!entry) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Dead-letter task not found' 
+      });
+    }
+
+    // The task keeps its timeout and webhook, as it would on a retry
+    const job = await addTaskToQueue({
+      type: entry.type,
+      data: entry.data,
+      priority: entry.priority,
+      userId: entry.userId,
+      timeoutMs: entry.timeoutMs || undefined,
+      callbackUrl: entry.callbackUrl || undefined,
+      callbackSecret: entry.callbackSecret || undefined
+    });
+
+    await entry.deleteOne();
+
+    res.status(201).json({
+      success: true,
+      message: 'Dead-letter task requeued successfully',
+      task: {
+        id: job.id,
+        type: entry.type,
+        status: 'queued',
+        priority: entry.priority,
+        requeuedFrom: entry.jobId,
+        queuedAt: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('Error requeueing dead-letter task:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to requeue dead-letter task',
+      message: error.message 
+    });
+  }
+});
+
+// DELETE /api/tasks/dead-letter/:id - Purge a single dead-lettered task
+router.delete('/dead-letter/:id', [
+  param('id').notEmpty().withMessage('Task ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const entry = await DeadLetter.findOneAndDelete({ jobId: req.params.id, userId: req.user.id });
+
+    if (!entry) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Dead-letter task not found' 
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Dead-letter task purged successfully',
+      purged: entry.jobId
+    });
+
+  } catch (error) {
+    console.error('Error purging dead-letter task:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to purge dead-letter task',
+      message: error.message 
+    });
+  }
+});
+
+// POST /api/tasks/:id/retry - Retry a failed task
+router.post('/:id/retry', [
+  param('id').notEmpty().withMessage('Task ID is required')
+], requireTaskOwner, taskQuota(countRetriedTask), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const outcome = await retryTask(req.params.id);
+
+    if (!outcome) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Task not found' 
+      });
+    }
+
+    if (!outcome.retried) {
+      return res.status(409).json({
+        success: false,
+        error: 'Only failed tasks can be retried',
+        task: { id: outcome.id, state: outcome.state }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Task requeued successfully',
+      task: { id: outcome.id, state: outcome.state }
+    });
+
+  } catch (error) {
+    console.error('Error retrying task:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to retry task',
+      message: error.message 
+    });
+  }
+});
+
+// POST /api/tasks/:id/dead-letter - Move a permanently failed task to the dead-letter store
+router.post('/:id/dead-letter', [
+  param('id').notEmpty().withMessage('Task ID is required')
+], requireTaskOwner, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const outcome = await moveToDeadLetter(req.params.id);
+
+    if (!outcome) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Task not found' 
+      });
+    }
+
+    if (!outcome.moved) {
+      return res.status(409).json({
+        success: false,
+        error: 'Only permanently failed tasks can be dead-lettered',
+        task: { id: outcome.id, state: outcome.state }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Task moved to the dead-letter store',
+      task: { id: outcome.id, state: outcome.state }
+    });
+
+  } catch (error) {
+    console.error('Error moving task to dead-letter store:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to move task to the dead-letter store',
+      message: error.message 
+    });
+  }
+});
+
+// GET /api/tasks/:id/webhooks - Webhook delivery log for a task
+router.get('/:id/webhooks', [
+  param('id').notEmpty().withMessage('Task ID is required')
+], requireTaskOwner, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const deliveries = await WebhookDelivery.find({ taskId: req.params.id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      taskId: req.params.id,
+      deliveries: deliveries.map(delivery => ({
+        id: delivery.deliveryId,
+        event: delivery.event,
+        url: delivery.url,
+        state: delivery.state,
+        attempts: delivery.attempts,
+        createdAt: delivery.createdAt,
+        lastAttemptAt: delivery.lastAttemptAt,
+        deliveredAt: delivery.deliveredAt
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch webhook deliveries',
+      message: error.message 
+    });
+  }
+});
+
+// GET /api/tasks/:id/events - Stream state, progress and the outcome of a task (SSE)
+router.get('/:id/events', [
+  param('id').notEmpty().withMessage('Task ID is required')
+], requireTaskOwner, async (req, res) => {
+  let unsubscribe = null;
+  let heartbeat = null;
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const closeStream = () => {
+    clearInterval(heartbeat);
+    if (unsubscribe) {
+      unsubscribe();
+      unsubscribe = null;
+    }
+    res.end();
+  };
+
+  // Final event for a finished task, then the stream closes
+  const sendOutcome = ({ state, result, failedReason }) => {
+    if (state === 'completed') {
+      sendEvent('completed', { id: req.params.id, state, result });
+    } else {
+      sendEvent(state, { id: req.params.id, state, failedReason });
+    }
+    closeStream();
+  };
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const taskId = req.params.id;
+
+    // Queue events that arrive before the snapshot is sent are replayed after it
+    const buffered = [];
+    let snapshotSent = false;
+
+    const handleQueueEvent = (event, args) => {
+      if (!snapshotSent) {
+        return buffered.push([event, args]);
+      }
+
+      switch (event) {
+        case 'progress':
+          return sendEvent('progress', { id: taskId, progress: args.data });
+        case 'completed':
+          return sendOutcome({ state: 'completed', result: args.returnvalue });
+        case 'failed':
+          return sendOutcome({
+            state: args.failedReason === CANCELLED_REASON ? 'cancelled' : 'failed',
+            failedReason: args.failedReason
+          });
+        case 'removed':
+          return sendOutcome({ state: 'cancelled', failedReason: CANCELLED_REASON });
+        default:
+          return sendEvent('state', { id: taskId, state: event });
+      }
+    };
+
+    // Subscribe before reading the current state so no transition is missed
+    unsubscribe = await subscribeToTask(taskId, handleQueueEvent);
+
+    let snapshot = await getTaskStatus(taskId);
+
+    if (!snapshot) {
+      // Finished jobs are evicted from the queue, fall back to task history
+      const task = await Task.findOne({ jobId: taskId });
+
+      if (!task) {
+        unsubscribe();
+        return res.status(404).json({ 
+          success: false,
+          error: 'Task not found' 
+        });
+      }
+
+      snapshot = { state: task.state, progress: task.progress, returnValue: task.result, failedReason: task.failedReason };
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    req.on('close', closeStream);
+
+    sendEvent('state', { id: taskId, state: snapshot.state, progress: snapshot.progress });
+
+    if (TERMINAL_TASK_STATES.includes(snapshot.state)) {
+      return sendOutcome({ state: snapshot.state, result: snapshot.returnValue, failedReason: snapshot.failedReason });
+    }
+
+    heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+
+    snapshotSent = true;
+    buffered.forEach(([event, args]) => {
+      if (!res.writableEnded) {
+        handleQueueEvent(event, args);
+      }
+    });
+
+  } catch (error) {
+    console.error('Error streaming task events:', error);
+
+    if (res.headersSent) {
+      sendEvent('error', { error: 'Failed to stream task events', message: error.message });
+      return closeStream();
+    }
+
+    if (unsubscribe) {
+      unsubscribe();
+    }
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to stream task events',
+      message: error.message 
+    });
+  }
+});
+
 // GET /api/tasks/:id - Get task status
 router.get('/:id', [
   param('id').notEmpty().withMessage('Task ID is required')
-], async (req, res) => {
+], requireTaskOwner, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -66,9 +935,19 @@ router.get('/:id', [
     const taskStatus = await getTaskStatus(taskId);
 
     if (!taskStatus) {
-      return res.status(404).json({ 
-        success: false,
-        error: 'Task not found' 
+      // Finished jobs are evicted from the queue, fall back to task history
+      const task = await Task.findOne({ jobId: taskId });
+
+      if (!task) {
+        return res.status(404).json({ 
+          success: false,
+          error: 'Task not found' 
+        });
+      }
+
+      return res.json({
+        success: true,
+        task: formatTask(task)
       });
     }
 
@@ -87,20 +966,107 @@ router.get('/:id', [
   }
 });
 
-// GET /api/tasks - Get all tasks (with pagination)
-router.get('/', async (req, res) => {
+// Cancel a task - shared by DELETE /api/tasks/:id and POST /api/tasks/:id/cancel
+const cancelTaskHandler = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const outcome = await cancelTask(req.params.id);
+
+    if (!outcome) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Task not found' 
+      });
+    }
+
+    if (!outcome.cancelled) {
+      return res.status(409).json({
+        success: false,
+        error: 'Task has already finished',
+        task: { id: outcome.id, state: outcome.state }
+      });
+    }
+
+    // Active tasks stop at the worker's next cancellation check
+    const accepted = outcome.state === 'cancelling';
+
+    res.status(accepted ? 202 : 200).json({
+      success: true,
+      message: accepted ? 'Cancellation requested, the task will stop at its next step' : 'Task cancelled successfully',
+      task: { id: outcome.id, state: outcome.state }
+    });
+
+  } catch (error) {
+    console.error('Error cancelling task:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to cancel task',
+      message: error.message 
+    });
+  }
+};
+
+// DELETE /api/tasks/:id - Cancel task
+router.delete('/:id', [
+  param('id').notEmpty().withMessage('Task ID is required')
+], requireTaskOwner, cancelTaskHandler);
+
+// POST /api/tasks/:id/cancel - Cancel task
+router.post('/:id/cancel', [
+  param('id').notEmpty().withMessage('Task ID is required')
+], requireTaskOwner, cancelTaskHandler);
+
+// GET /api/tasks - Get the caller's task history (with filters and pagination)
+router.get('/', validateTaskQuery, async (req, res) => {
   try {
-    const { page = 1, limit = 20, status } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const {
+      page = 1,
+      limit = 20,
+      type,
+      state,
+      from,
+      to,
+      sortBy = 'createdAt',
+      order = 'desc'
+    } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    // Build query, limited to the caller's own tasks
+    const query = { userId: req.user.id };
+    if (type) query.type = type;
+    if (state) query.state = state;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const [tasks, total] = await Promise.all([
+      Task.find(query)
+        .sort({ [sortBy]: order === 'asc' ? 1 : -1, _id: order === 'asc' ? 1 : -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Task.countDocuments(query)
+    ]);
 
-    // This is a simplified version - in production, you'd fetch from queue or database
     res.json({
       success: true,
-      message: 'Tasks list endpoint',
+      tasks: tasks.map(formatTask),
       pagination: {
         page: parseInt(page),
-        limit: parseInt(limit)
-      },
-      note: 'Task history can be fetched from completed jobs in Redis or stored in MongoDB'
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / parseInt(limit))
+      }
     });
 
   } catch (error) {
@@ -1,17 +1,156 @@
 const express = require('express');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
 const router = express.Router();
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const User = require('../models/User');
+const { getTaskUsage } = require('../queue/quotas');
+const { TASK_QUOTAS_ENABLED } = require('../config/quotas');
+const { ROLES, requirePermission } = require('../../shared/permissions');
+const { redisConnection } = require('../queue/producer');
+const {
+  NOTIFICATION_EVENTS,
+  NOTIFICATION_CHANNELS,
+  isValidTimezone,
+  isValidQuietHours
+} = require('../../shared/preferences');
+const { encodeCursor, decodeCursor, cursorPage } = require('../pagination');
+const { snapshot, diffChanges, recordAudit, userTarget } = require('../audit');
+const { parseCsv, parseNdjson, formatCsvRow } = require('../formats');
+const { enqueueUserImport, getUserImport } = require('../queue/userImports');
+const { RESEND_COOLDOWN_SECONDS, sendEmailVerification, claimResend } = require('../auth/emailVerification');
+
+// How long a deleted user can be restored before the worker's purge job removes it
+const USER_DELETION_GRACE_DAYS = parseInt(process.env.USER_DELETION_GRACE_DAYS) || 30;
+
+const purgeDate = (deletedAt) => new Date(deletedAt.getTime() + USER_DELETION_GRACE_DAYS * 24 * 3600 * 1000);
+
+// Tell the notification service to drop its cached copy of a user's preferences
+const publishUserUpdated = async (user) => {
+  try {
+    await redisConnection.publish('user:updated', JSON.stringify({
+      userId: user.id,
+      updatedAt: new Date().toISOString()
+    }));
+  } catch (error) {
+    console.error(`❌ Failed to publish update of user ${user.id}:`, error.message);
+  }
+};
+
+// Shape a user's notification settings for responses
+const formatNotificationPreferences = (user) => ({
+  notificationsEnabled: user.notificationsEnabled,
+  ...user.notificationPreferences.toObject()
+});
 
 // Validation middleware
 const validateUser = [
-  body('username').trim().isLength({ min: 3, max: 30 }).withMessage('Username must be 3-30 characters'),
+  body('username').trim().isLength({ min: 3, max: 30 }).withMessage('Username must be 3-30 characters')
+    .matches(/^[a-zA-Z0-9_]+$/).withMessage('Username can only contain letters, numbers, and underscores'),
   body('email').isEmail().normalizeEmail().withMessage('Invalid email address'),
   body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters')
 ];
 
+// User fields whose changes are recorded in the audit log (roles and preferences have their own actions)
+const AUDITED_USER_FIELDS = ['username', 'email', 'pendingEmail', 'name', 'isActive', 'notificationsEnabled'];
+const PREFERENCE_FIELDS = ['notificationsEnabled', 'notificationPreferences'];
+
+// Fields the user listing can be sorted by
+const SORTABLE_FIELDS = ['createdAt', 'lastActive', 'username', 'name', 'email'];
+
+// Largest upload and number of users accepted per import
+const USER_IMPORT_MAX_SIZE = process.env.USER_IMPORT_MAX_SIZE || '5mb';
+const USER_IMPORT_MAX_ROWS = parseInt(process.env.USER_IMPORT_MAX_ROWS) || 10000;
+
+// Import formats by upload content type
+const IMPORT_FORMATS = {
+  'text/csv': 'csv',
+  'application/x-ndjson': 'ndjson',
+  'application/ndjson': 'ndjson'
+};
+
+// Columns of an export, in order
+const EXPORT_FIELDS = ['id', 'username', 'email', 'name', 'roles', 'isActive', 'createdAt', 'lastActive'];
+
+// Validation middleware for the filters and sort of the user listing and export
+const validateUserFilters = [
+  query('search').optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage('Search must be 1-100 characters'),
+  query('isActive').optional().isBoolean().withMessage('isActive must be true or false').toBoolean(true),
+  query('from').optional().isISO8601().withMessage('From must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('To must be an ISO 8601 date'),
+  query('sortBy').optional().isIn(SORTABLE_FIELDS).withMessage(`Sort field must be one of: ${SORTABLE_FIELDS.join(', ')}`),
+  query('order').optional().isIn(['asc', 'desc']).withMessage('Order must be asc or desc')
+];
+
+// Validation middleware for the user listing
+const validateUserQuery = [
+  ...validateUserFilters,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('cursor').optional()
+    .custom(value => {
+      const cursor = decodeCursor(value);
+      return cursor !== null && SORTABLE_FIELDS.includes(cursor.sortBy);
+    }).withMessage('Invalid cursor')
+    .bail().custom((value, { req }) => req.query.page === undefined).withMessage('Use either cursor or page, not both')
+];
+
+// Query of the user listing and export filters, leaving out deleted users
+const userFilter = ({ search, isActive, from, to }) => {
+  const filter = { deletedAt: null };
+  if (search) filter.$text = { $search: search };
+  if (typeof isActive === 'boolean') filter.isActive = isActive;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+  return filter;
+};
+
+// Account routes only act on the authenticated user's own account
+const requireSelf = (req, res, next) => {
+  if (req.params.id !== req.user.id) {
+    return res.status(403).json({
+      success: false,
+      error: 'You can only access your own account'
+    });
+  }
+  next();
+};
+
+// The user's own account, or any account for callers holding the permission
+const requireSelfOr = (permission) => (req, res, next) => {
+  if (req.params.id === req.user.id) {
+    return next();
+  }
+  requirePermission(permission)(req, res, next);
+};
+
+// Fields of PATCH /api/users/:id that users change on their own account
+const SELF_SERVICE_FIELDS = ['email', 'name', 'notificationsEnabled'];
+
+// Activating or deactivating an account is for admins (on any account) and must be
+// requested on its own, so an admin cannot change other fields of someone else's account
+const authorizeUserUpdate = (req, res, next) => {
+  if (req.body.isActive === undefined) {
+    return requireSelf(req, res, next);
+  }
+
+  const otherFields = SELF_SERVICE_FIELDS.filter(field => req.body[field] !== undefined);
+
+  if (otherFields.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: `isActive cannot be changed together with ${otherFields.join(', ')}`
+    });
+  }
+
+  requirePermission('users:deactivate')(req, res, next);
+};
+
 // POST /api/users - Create a new user
-router.post('/', validateUser, async (req, res) => {
+router.post('/', requirePermission('users:create'), validateUser, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -43,6 +182,15 @@ router.post('/', validateUser, async (req, res) => {
 
     await user.save();
 
+    await recordAudit(req, {
+      action: 'user.create',
+      target: userTarget(user),
+      changes: diffChanges({}, snapshot(user, AUDITED_USER_FIELDS))
+    });
+
+    // New accounts start unverified
+    const verificationExpiresAt = await sendEmailVerification(user);
+
     res.status(201).json({
       success: true,
       message: 'User created successfully',
@@ -50,9 +198,11 @@ router.post('/', validateUser, async (req, res) => {
         id: user._id,
         username: user.username,
         email: user.email,
+        emailVerified: user.emailVerified,
         name: user.name,
         createdAt: user.createdAt
-      }
+      },
+      verificationExpiresAt
     });
 
   } catch (error) {
@@ -65,10 +215,222 @@ router.post('/', validateUser, async (req, res) => {
   }
 });
 
+// Records of an upload as { row, record } (or { row, error }), given its format
+const parseUpload = (format, text) => {
+  if (format === 'ndjson') {
+    return parseNdjson(text);
+  }
+
+  const { columns, records } = parseCsv(text);
+  const missing = ['username', 'email'].filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    throw new Error(`CSV header is missing columns: ${missing.join(', ')}`);
+  }
+
+  // Empty CSV fields are left out, as they would be from a JSON body
+  return records.map(({ row, record }) => ({
+    row,
+    record: Object.fromEntries(Object.entries(record).filter(([, value]) => value !== undefined && value !== ''))
+  }));
+};
+
+// Validation errors of an imported record, from the same rules as POST /api/users
+const validateImportRecord = async (record) => {
+  const recordReq = { body: { username: record.username, email: record.email, name: record.name } };
+  await Promise.all(validateUser.map(validator => validator.run(recordReq)));
+
+  return { errors: validationResult(recordReq).array(), user: recordReq.body };
+};
+
+// POST /api/users/import - Create users from a CSV or NDJSON upload in the background (?dryRun=true only validates)
+router.post('/import', requirePermission('users:import'), express.text({
+  type: Object.keys(IMPORT_FORMATS),
+  limit: USER_IMPORT_MAX_SIZE
+}), [
+  query('dryRun').optional().isBoolean().withMessage('dryRun must be true or false').toBoolean(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const format = IMPORT_FORMATS[(req.get('Content-Type') || '').split(';')[0].trim().toLowerCase()];
+    if (!format || typeof req.body !== 'string') {
+      return res.status(415).json({
+        success: false,
+        error: `Upload must be one of: ${Object.keys(IMPORT_FORMATS).join(', ')}`
+      });
+    }
+
+    let records;
+    try {
+      records = parseUpload(format, req.body);
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid upload',
+        message: parseError.message
+      });
+    }
+
+    if (records.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Upload contains no users'
+      });
+    }
+    if (records.length > USER_IMPORT_MAX_ROWS) {
+      return res.status(400).json({
+        success: false,
+        error: `An import can create at most ${USER_IMPORT_MAX_ROWS} users`
+      });
+    }
+
+    // Rows are validated here so the worker only sees well-formed users
+    const rows = [];
+    const rowErrors = [];
+
+    for (const { row, record, error } of records) {
+      if (error) {
+        rowErrors.push({ row, errors: [{ msg: error }] });
+        continue;
+      }
+
+      const { errors: recordErrors, user } = await validateImportRecord(record);
+      if (recordErrors.length > 0) {
+        rowErrors.push({ row, errors: recordErrors });
+      } else {
+        rows.push({ row, username: user.username, email: user.email, name: user.name || user.username });
+      }
+    }
+
+    const dryRun = req.query.dryRun === true;
+    const importId = await enqueueUserImport({
+      requestedBy: { id: req.user.id, username: req.user.username },
+      format,
+      dryRun,
+      total: records.length,
+      rows,
+      errors: rowErrors
+    });
+
+    res.status(202).json({
+      success: true,
+      message: dryRun ? 'Import dry run queued' : 'Import queued',
+      import: {
+        id: importId,
+        format,
+        dryRun,
+        total: records.length,
+        valid: rows.length,
+        invalid: rowErrors.length,
+        statusUrl: `/api/users/imports/${importId}`
+      }
+    });
+
+  } catch (error) {
+    console.error('Error importing users:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import users',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/users/imports/:importId - Progress and report of an import (for the user who started it)
+router.get('/imports/:importId', [
+  param('importId').trim().notEmpty().withMessage('Import ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userImport = await getUserImport(req.params.importId);
+
+    if (!userImport || userImport.requestedBy.id !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        error: 'Import not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      import: userImport
+    });
+
+  } catch (error) {
+    console.error('Error fetching import:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch import',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/users/export - Stream the users matching the listing's filters as CSV or NDJSON
+router.get('/export', requirePermission('users:export'), [
+  ...validateUserFilters,
+  query('format').optional().isIn(['csv', 'ndjson']).withMessage('Format must be csv or ndjson')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { format = 'csv', sortBy = 'createdAt', order = 'desc' } = req.query;
+  const direction = order === 'asc' ? 1 : -1;
+
+  const users = User.find(userFilter(req.query))
+    .select('-__v')
+    .sort({ [sortBy]: direction, _id: direction })
+    .cursor();
+
+  // Users are written as they are read, so exports of any size use constant memory
+  async function* lines() {
+    if (format === 'csv') {
+      yield formatCsvRow(EXPORT_FIELDS);
+    }
+    for await (const user of users) {
+      const exported = {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        name: user.name,
+        roles: user.roles,
+        isActive: user.isActive,
+        createdAt: user.createdAt,
+        lastActive: user.lastActive
+      };
+      yield format === 'csv'
+        ? formatCsvRow(EXPORT_FIELDS.map(field => (field === 'roles' ? exported.roles.join(';') : exported[field])))
+        : `${JSON.stringify(exported)}\n`;
+    }
+  }
+
+  res.set({
+    'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8',
+    'Content-Disposition': `attachment; filename="users-${new Date().toISOString().slice(0, 10)}.${format}"`
+  });
+
+  try {
+    await pipeline(Readable.from(lines()), res);
+  } catch (error) {
+    // Headers are already sent, so the client sees a truncated download
+    console.error('Error exporting users:', error);
+    res.destroy(error);
+  }
+});
+
 // GET /api/users/:id - Get user by ID
 router.get('/:id', [
   param('id').isMongoId().withMessage('Invalid user ID')
-], async (req, res) => {
+], requireSelfOr('users:read'), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -90,7 +452,10 @@ router.get('/:id', [
         id: user._id,
         username: user.username,
         email: user.email,
+        emailVerified: user.emailVerified,
+        pendingEmail: user.pendingEmail,
         name: user.name,
+        roles: user.roles,
         isActive: user.isActive,
         notificationsEnabled: user.notificationsEnabled,
         createdAt: user.createdAt,
@@ -108,29 +473,265 @@ router.get('/:id', [
   }
 });
 
-// GET /api/users - Get all users (with pagination)
-router.get('/', async (req, res) => {
+// POST /api/users/:id/verification-email - Mail a new token for an unverified or pending email address
+// (admins may do so for any account, such as imported users, who are not mailed one)
+router.post('/:id/verification-email', [
+  param('id').isMongoId().withMessage('Invalid user ID')
+], requireSelfOr('users:create'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findOne({ _id: req.params.id, deletedAt: null });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    // A pending change is confirmed at the new address; otherwise the current one is verified
+    const email = user.pendingEmail || user.email;
+    const purpose = user.pendingEmail ? 'change' : 'verify';
+
+    if (purpose === 'verify' && user.emailVerified) {
+      return res.status(409).json({
+        success: false,
+        error: 'Email address is already verified'
+      });
+    }
+
+    if (!(await claimResend(user))) {
+      res.set('Retry-After', RESEND_COOLDOWN_SECONDS);
+      return res.status(429).json({
+        success: false,
+        error: `A verification email can be requested once every ${RESEND_COOLDOWN_SECONDS} seconds`
+      });
+    }
+
+    const expiresAt = await sendEmailVerification(user, { email, purpose });
+
+    if (!expiresAt) {
+      return res.status(503).json({
+        success: false,
+        error: 'Failed to queue verification email'
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: `Verification email sent to ${email}`,
+      verificationExpiresAt: expiresAt
+    });
+
+  } catch (error) {
+    console.error('Error sending verification email:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send verification email',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/users/:id/usage - Task quota consumption of a user
+router.get('/:id/usage', [
+  param('id').trim().notEmpty().withMessage('User ID is required')
+], requireSelf, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    res.json({
+      success: true,
+      userId: req.params.id,
+      quotasEnabled: TASK_QUOTAS_ENABLED,
+      usage: await getTaskUsage(req.params.id)
+    });
+
+  } catch (error) {
+    console.error('Error fetching user usage:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch user usage',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/users/:id/notification-preferences - Get notification preferences
+router.get('/:id/notification-preferences', [
+  param('id').isMongoId().withMessage('Invalid user ID')
+], requireSelf, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findOne({ _id: req.params.id, deletedAt: null });
+
+    if (!user) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'User not found' 
+      });
+    }
+
+    res.json({
+      success: true,
+      preferences: formatNotificationPreferences(user)
+    });
+
+  } catch (error) {
+    console.error('Error fetching notification preferences:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch notification preferences',
+      message: error.message 
+    });
+  }
+});
+
+// PUT /api/users/:id/notification-preferences - Replace notification preferences;
+// event types and fields left out are reset to their defaults
+router.put('/:id/notification-preferences', [
+  param('id').isMongoId().withMessage('Invalid user ID'),
+  body('notificationsEnabled').optional().isBoolean().withMessage('notificationsEnabled must be a boolean'),
+  body('timezone').optional().isString().bail().custom(isValidTimezone).withMessage('Timezone must be an IANA timezone such as Europe/Berlin'),
+  body('events').optional().isObject().withMessage('Events must be an object')
+    .bail().custom(events => Object.keys(events).every(type => NOTIFICATION_EVENTS[type]))
+    .withMessage(`Event types must be among: ${Object.keys(NOTIFICATION_EVENTS).join(', ')}`),
+  body('events.*.enabled').optional().isBoolean().withMessage('enabled must be a boolean'),
+  body('events.*.channels').optional().isArray().withMessage('Channels must be an array'),
+  body('events.*.channels.*').isIn(NOTIFICATION_CHANNELS).withMessage(`Channels must be among: ${NOTIFICATION_CHANNELS.join(', ')}`),
+  body('events.*.quietHours').optional().custom(isValidQuietHours)
+    .withMessage('quietHours must be null or { start, end } with different HH:MM times')
+], requireSelf, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findOne({ _id: req.params.id, deletedAt: null });
+
+    if (!user) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'User not found' 
+      });
+    }
+
+    const { notificationsEnabled, timezone, events = {} } = req.body;
+    const before = snapshot(user, PREFERENCE_FIELDS);
+
+    if (typeof notificationsEnabled === 'boolean') {
+      user.notificationsEnabled = notificationsEnabled;
+    }
+    user.notificationPreferences = {
+      timezone,
+      events: Object.fromEntries(Object.keys(NOTIFICATION_EVENTS).map(type => {
+        const { enabled, channels, quietHours } = events[type] || {};
+        return [type, { enabled, channels: channels && [...new Set(channels)], quietHours }];
+      }))
+    };
+
+    await user.save();
+    await publishUserUpdated(user);
+
+    await recordAudit(req, {
+      action: 'user.preferences',
+      target: userTarget(user),
+      changes: diffChanges(before, snapshot(user, PREFERENCE_FIELDS))
+    });
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated successfully',
+      preferences: formatNotificationPreferences(user)
+    });
+
+  } catch (error) {
+    console.error('Error updating notification preferences:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to update notification preferences',
+      message: error.message 
+    });
+  }
+});
+
+// GET /api/users - Get all users (with search, filters and offset or cursor pagination)
+router.get('/', requirePermission('users:list'), validateUserQuery, async (req, res) => {
   try {
-    const { page = 1, limit = 20, search } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    // Build query
-    const query = search ? {
-      $or: [
-        { username: { $regex: search, $options: 'i' } },
-        { email: { $regex: search, $options: 'i' } },
-        { name: { $regex: search, $options: 'i' } }
-      ]
-    } : {};
-
-    const [users, total] = await Promise.all([
-      User.find(query)
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page = 1, limit = 20, cursor } = req.query;
+    const pageSize = parseInt(limit);
+
+    // A cursor carries the sort of the listing it came from
+    const position = cursor ? decodeCursor(cursor) : null;
+    const sortBy = position ? position.sortBy : req.query.sortBy || 'createdAt';
+    const order = position ? position.order : req.query.order || 'desc';
+
+    const query = userFilter(req.query);
+
+    const cursorFor = (user, direction) => encodeCursor(user, { sortBy, order, direction });
+    let users;
+    let pagination;
+
+    if (position) {
+      // One extra user tells whether there is another page in the cursor's direction
+      const { condition, sort } = cursorPage(position);
+      users = await User.find({ $and: [query, condition] })
         .select('-__v')
-        .limit(parseInt(limit))
-        .skip(skip)
-        .sort({ createdAt: -1 }),
-      User.countDocuments(query)
-    ]);
+        .sort(sort)
+        .limit(pageSize + 1);
+
+      const hasMore = users.length > pageSize;
+      users = users.slice(0, pageSize);
+      if (position.direction === 'prev') users.reverse();
+
+      const first = users[0];
+      const last = users[users.length - 1];
+
+      pagination = {
+        limit: pageSize,
+        next: last && (position.direction === 'prev' || hasMore) ? cursorFor(last, 'next') : null,
+        prev: first && (position.direction === 'next' || hasMore) ? cursorFor(first, 'prev') : null
+      };
+    } else {
+      const skip = (parseInt(page) - 1) * pageSize;
+      const direction = order === 'asc' ? 1 : -1;
+      let total;
+
+      [users, total] = await Promise.all([
+        User.find(query)
+          .select('-__v')
+          .sort({ [sortBy]: direction, _id: direction })
+          .skip(skip)
+          .limit(pageSize),
+        User.countDocuments(query)
+      ]);
+
+      pagination = {
+        page: parseInt(page),
+        limit: pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize),
+        next: users.length > 0 && skip + users.length < total ? cursorFor(users[users.length - 1], 'next') : null,
+        prev: users.length > 0 && skip > 0 ? cursorFor(users[0], 'prev') : null
+      };
+    }
 
     res.json({
       success: true,
@@ -139,15 +740,12 @@ router.get('/', async (req, res) => {
         username: user.username,
         email: user.email,
         name: user.name,
+        roles: user.roles,
         isActive: user.isActive,
-        createdAt: user.createdAt
+        createdAt: user.createdAt,
+        lastActive: user.lastActive
       })),
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        totalPages: Math.ceil(total / parseInt(limit))
-      }
+      pagination
     });
 
   } catch (error) {
@@ -163,31 +761,18 @@ router.get('/', async (req, res) => {
 // PATCH /api/users/:id - Update user
 router.patch('/:id', [
   param('id').isMongoId().withMessage('Invalid user ID'),
+  body('email').optional().isEmail().normalizeEmail().withMessage('Invalid email address'),
   body('name').optional().trim().isLength({ min: 1, max: 100 }),
   body('notificationsEnabled').optional().isBoolean(),
   body('isActive').optional().isBoolean()
-], async (req, res) => {
+], authorizeUserUpdate, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const updateFields = {};
-    if (req.body.name) updateFields.name = req.body.name;
-    if (typeof req.body.notificationsEnabled === 'boolean') {
-      updateFields.notificationsEnabled = req.body.notificationsEnabled;
-    }
-    if (typeof req.body.isActive === 'boolean') {
-      updateFields.isActive = req.body.isActive;
-    }
-    updateFields.lastActive = new Date();
-
-    const user = await User.findByIdAndUpdate(
-      req.params.id,
-      { $set: updateFields },
-      { new: true, runValidators: true }
-    ).select('-__v');
+    const user = await User.findOne({ _id: req.params.id, deletedAt: null }).select('-__v');
 
     if (!user) {
       return res.status(404).json({ 
@@ -196,18 +781,61 @@ router.patch('/:id', [
       });
     }
 
+    // A new email address only replaces the current one once it is confirmed;
+    // asking for the current address again cancels a pending change
+    const { email } = req.body;
+    const emailChangeRequested = Boolean(email) && email !== user.email && email !== user.pendingEmail;
+
+    if (emailChangeRequested && await User.exists({ email, _id: { $ne: user._id } })) {
+      return res.status(409).json({
+        success: false,
+        error: 'Email address is already in use'
+      });
+    }
+
+    const before = snapshot(user, AUDITED_USER_FIELDS);
+
+    if (email) user.pendingEmail = email === user.email ? null : email;
+    if (req.body.name) user.name = req.body.name;
+    if (typeof req.body.notificationsEnabled === 'boolean') {
+      user.notificationsEnabled = req.body.notificationsEnabled;
+    }
+    if (typeof req.body.isActive === 'boolean') {
+      user.isActive = req.body.isActive;
+    }
+    user.lastActive = new Date();
+
+    await user.save();
+    await publishUserUpdated(user);
+
+    await recordAudit(req, {
+      action: 'user.update',
+      target: userTarget(user),
+      changes: diffChanges(before, snapshot(user, AUDITED_USER_FIELDS))
+    });
+
+    const verificationExpiresAt = emailChangeRequested
+      ? await sendEmailVerification(user, { email, purpose: 'change' })
+      : undefined;
+
     res.json({
       success: true,
-      message: 'User updated successfully',
+      message: emailChangeRequested
+        ? 'User updated successfully; confirm the new email address to complete the change'
+        : 'User updated successfully',
       user: {
         id: user._id,
         username: user.username,
         email: user.email,
+        emailVerified: user.emailVerified,
+        pendingEmail: user.pendingEmail,
         name: user.name,
+        roles: user.roles,
         isActive: user.isActive,
         notificationsEnabled: user.notificationsEnabled,
         lastActive: user.lastActive
-      }
+      },
+      verificationExpiresAt
     });
 
   } catch (error) {
@@ -220,17 +848,154 @@ router.patch('/:id', [
   }
 });
 
-// DELETE /api/users/:id - Delete user
+// PUT /api/users/:id/roles - Replace a user's roles (admin)
+router.put('/:id/roles', [
+  param('id').isMongoId().withMessage('Invalid user ID'),
+  body('roles').isArray({ min: 1 }).withMessage('Roles must be a non-empty array'),
+  body('roles.*').isIn(ROLES).withMessage(`Roles must be among: ${ROLES.join(', ')}`)
+], requirePermission('users:roles'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findOne({ _id: req.params.id, deletedAt: null });
+
+    if (!user) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'User not found' 
+      });
+    }
+
+    const before = snapshot(user, ['roles']);
+    user.roles = [...new Set(req.body.roles)];
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'user.roles',
+      target: userTarget(user),
+      changes: diffChanges(before, snapshot(user, ['roles']))
+    });
+
+    console.log(`🛡️  Roles of ${user.username} set to ${user.roles.join(', ')} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'User roles updated successfully',
+      user: {
+        id: user._id,
+        username: user.username,
+        roles: user.roles
+      }
+    });
+
+  } catch (error) {
+    console.error('Error updating user roles:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to update user roles',
+      message: error.message 
+    });
+  }
+});
+
+// POST /api/users/:id/restore - Restore a deleted user within the grace period (admin)
+router.post('/:id/restore', [
+  param('id').isMongoId().withMessage('Invalid user ID')
+], requirePermission('users:restore'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'User not found' 
+      });
+    }
+
+    if (!user.deletedAt) {
+      return res.status(409).json({
+        success: false,
+        error: 'User is not deleted'
+      });
+    }
+
+    if (purgeDate(user.deletedAt) <= new Date()) {
+      return res.status(410).json({
+        success: false,
+        error: 'The restore period has ended, the user is being purged'
+      });
+    }
+
+    // Only restore if the purge job has not claimed the user in the meantime
+    const restored = await User.findOneAndUpdate(
+      { _id: user._id, deletedAt: user.deletedAt },
+      { $set: { deletedAt: null } },
+      { new: true }
+    );
+
+    if (!restored) {
+      return res.status(410).json({
+        success: false,
+        error: 'The restore period has ended, the user is being purged'
+      });
+    }
+
+    await publishUserUpdated(restored);
+
+    await recordAudit(req, {
+      action: 'user.restore',
+      target: userTarget(restored),
+      changes: [{ field: 'deletedAt', before: user.deletedAt, after: null }]
+    });
+
+    console.log(`♻️  User ${restored.username} restored by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'User restored successfully',
+      user: {
+        id: restored._id,
+        username: restored.username,
+        email: restored.email,
+        name: restored.name,
+        isActive: restored.isActive
+      }
+    });
+
+  } catch (error) {
+    console.error('Error restoring user:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to restore user',
+      message: error.message 
+    });
+  }
+});
+
+// DELETE /api/users/:id - Delete user (admin). The account is disabled at once and
+// purged with its tasks, history and artifacts after USER_DELETION_GRACE_DAYS.
 router.delete('/:id', [
   param('id').isMongoId().withMessage('Invalid user ID')
-], async (req, res) => {
+], requirePermission('users:delete'), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const user = await User.findByIdAndDelete(req.params.id);
+    const user = await User.findOneAndUpdate(
+      { _id: req.params.id, deletedAt: null },
+      { $set: { deletedAt: new Date() } },
+      { new: true }
+    );
 
     if (!user) {
       return res.status(404).json({ 
@@ -239,13 +1004,26 @@ router.delete('/:id', [
       });
     }
 
+    await publishUserUpdated(user);
+
+    await recordAudit(req, {
+      action: 'user.delete',
+      target: userTarget(user),
+      changes: [{ field: 'deletedAt', before: null, after: user.deletedAt }],
+      metadata: { restorableUntil: purgeDate(user.deletedAt) }
+    });
+
+    console.log(`🗑️  User ${user.username} deleted by ${req.user.username}, purge after ${purgeDate(user.deletedAt).toISOString()}`);
+
     res.json({
       success: true,
       message: 'User deleted successfully',
       deletedUser: {
         id: user._id,
         username: user.username,
-        email: user.email
+        email: user.email,
+        deletedAt: user.deletedAt,
+        restorableUntil: purgeDate(user.deletedAt)
       }
     });
 
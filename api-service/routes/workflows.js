@@ -0,0 +1,177 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, validationResult } = require('express-validator');
+const { createWorkflow, getWorkflowStatus } = require('../queue/workflowProducer');
+const Workflow = require('../models/Workflow');
+const { validateTaskData } = require('../schemas/taskSchemas');
+const requireVerifiedEmail = require('../middleware/verifiedEmail');
+const taskQuota = require('../middleware/taskQuota');
+
+// Largest number of tasks accepted in a single workflow
+const MAX_WORKFLOW_TASKS = 50;
+
+// Throws unless the task specs form a DAG with resolvable dependencies and inputs
+const validateWorkflowGraph = (tasks) => {
+  const ids = new Set();
+
+  tasks.forEach(task => {
+    if (ids.has(task.id)) {
+      throw new Error(`Duplicate task id: ${task.id}`);
+    }
+    ids.add(task.id);
+  });
+
+  tasks.forEach(task => {
+    const dependsOn = task.dependsOn || [];
+
+    dependsOn.forEach(parentId => {
+      if (parentId === task.id) {
+        throw new Error(`Task ${task.id} cannot depend on itself`);
+      }
+      if (!ids.has(parentId)) {
+        throw new Error(`Task ${task.id} depends on unknown task: ${parentId}`);
+      }
+    });
+
+    Object.entries(task.inputs || {}).forEach(([field, path]) => {
+      const parentId = typeof path === 'string' ? path.split('.')[0] : null;
+      if (!dependsOn.includes(parentId)) {
+        throw new Error(`Input ${task.id}.${field} must reference a task it depends on`);
+      }
+    });
+  });
+
+  // Kahn's algorithm: every task must be reachable in topological order
+  const remaining = new Map(tasks.map(task => [task.id, (task.dependsOn || []).length]));
+  const ready = tasks.filter(task => remaining.get(task.id) === 0).map(task => task.id);
+  let visited = 0;
+
+  while (ready.length > 0) {
+    const current = ready.shift();
+    visited++;
+
+    tasks
+      .filter(task => (task.dependsOn || []).includes(current))
+      .forEach(task => {
+        remaining.set(task.id, remaining.get(task.id) - 1);
+        if (remaining.get(task.id) === 0) {
+          ready.push(task.id);
+        }
+      });
+  }
+
+  if (visited !== tasks.length) {
+    throw new Error('Workflow dependencies contain a cycle');
+  }
+
+  return true;
+};
+
+// Field-level payload errors for every task; fields supplied by inputs may be missing
+const payloadFieldErrors = (tasks) => tasks.flatMap((task, index) => {
+  const inputs = task.inputs || {};
+
+  return validateTaskData(task.type, task.data)
+    .filter(error => !(error.keyword === 'required' && inputs[error.field] !== undefined))
+    .map(error => ({
+      type: 'field',
+      msg: error.message,
+      path: `tasks[${index}].data.${error.field}`,
+      location: 'body'
+    }));
+});
+
+// Validation middleware
+const validateWorkflow = [
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+  body('failurePolicy').optional().isIn(Workflow.schema.path('failurePolicy').enumValues).withMessage('Failure policy must be fail or skip'),
+  body('tasks').isArray({ min: 1, max: MAX_WORKFLOW_TASKS }).withMessage(`Tasks must be an array of 1-${MAX_WORKFLOW_TASKS} task specs`),
+  body('tasks.*.id').isString().matches(/^[a-zA-Z0-9_-]{1,50}$/).withMessage('Task id must be 1-50 letters, numbers, underscores or dashes'),
+  body('tasks.*.type').isIn(['email', 'report', 'dataProcessing', 'imageProcessing']).withMessage('Invalid task type'),
+  body('tasks.*.data').isObject().withMessage('Data must be an object'),
+  body('tasks.*.priority').optional().isInt({ min: 1, max: 10 }).withMessage('Priority must be between 1 and 10'),
+  body('tasks.*.dependsOn').optional().isArray().withMessage('dependsOn must be an array of task ids'),
+  body('tasks.*.inputs').optional().isObject().withMessage('Inputs must be an object of field: "taskId.path" mappings'),
+  body('tasks').if(body('tasks').isArray({ min: 1 })).custom(validateWorkflowGraph)
+];
+
+// Every task of a workflow counts against the submission quotas when it is created
+const countWorkflowTasks = ({ body: { tasks } }) => tasks.reduce((counts, task) => {
+  counts[task.type] = (counts[task.type] || 0) + 1;
+  return counts;
+}, {});
+
+// POST /api/workflows - Create a workflow of dependent tasks
+router.post('/', requireVerifiedEmail, validateWorkflow, taskQuota(countWorkflowTasks), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, failurePolicy = 'fail', tasks } = req.body;
+
+    const payloadErrors = payloadFieldErrors(tasks);
+    if (payloadErrors.length > 0) {
+      return res.status(400).json({ errors: payloadErrors });
+    }
+
+    const workflow = await createWorkflow({
+      name,
+      failurePolicy,
+      tasks,
+      userId: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Workflow created successfully',
+      workflow: await getWorkflowStatus(workflow.id)
+    });
+
+  } catch (error) {
+    console.error('Error creating workflow:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create workflow',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/workflows/:id - Get workflow status
+router.get('/:id', [
+  param('id').isMongoId().withMessage('Invalid workflow ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const workflow = await getWorkflowStatus(req.params.id);
+
+    // Workflows of other users are reported as missing
+    if (!workflow || workflow.userId !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        error: 'Workflow not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      workflow
+    });
+
+  } catch (error) {
+    console.error('Error fetching workflow:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch workflow status',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const connectDB = require('./config/database');
+const requestId = require('./middleware/requestId');
 
 // Load environment variables
 dotenv.config();
@@ -11,7 +12,8 @@ const app = express();
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(requestId);
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '10mb' })); // bulk submissions exceed the 100kb default
 app.use(express.urlencoded({ extended: true }));
 
 // Request logging middleware
@@ -33,12 +35,33 @@ app.get('/health', (req, res) => {
 });
 
 // Import routes
+const authRoutes = require('./routes/auth');
 const taskRoutes = require('./routes/tasks');
+const scheduleRoutes = require('./routes/schedules');
+const artifactRoutes = require('./routes/artifacts');
 const userRoutes = require('./routes/users');
+const apiKeyRoutes = require('./routes/apiKeys');
+const emailVerificationRoutes = require('./routes/emailVerification');
+const workflowRoutes = require('./routes/workflows');
+const adminRoutes = require('./routes/admin');
+const auditRoutes = require('./routes/audit');
+const requireAuth = require('./middleware/auth');
+const { requireScope, requireSession } = require('./middleware/scopes');
 
-// Mount routes
-app.use('/api/tasks', taskRoutes);
-app.use('/api/users', userRoutes);
+// Mount routes (schedules, artifacts, email verification and API keys before their parents so /:id does not capture them).
+// Artifacts check auth per request, since signed download links carry no token,
+// and email verification needs no sign-in since the mailed token is the proof.
+// API keys are limited to their scopes and cannot manage API keys.
+app.use('/api/auth', authRoutes);
+app.use('/api/tasks/schedules', requireAuth, requireScope('tasks'), scheduleRoutes);
+app.use('/api/tasks/:id/artifacts', artifactRoutes);
+app.use('/api/tasks', requireAuth, requireScope('tasks'), taskRoutes);
+app.use('/api/users/verify', emailVerificationRoutes);
+app.use('/api/users/:id/api-keys', requireAuth, requireSession, apiKeyRoutes);
+app.use('/api/users', requireAuth, requireScope('users'), userRoutes);
+app.use('/api/workflows', requireAuth, requireScope('workflows'), workflowRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/audit', requireAuth, auditRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -46,8 +69,13 @@ app.get('/', (req, res) => {
     message: 'API Service - Real-Time Microservices Platform',
     version: '1.0.0',
     endpoints: {
+      auth: '/api/auth',
       tasks: '/api/tasks',
+      schedules: '/api/tasks/schedules',
       users: '/api/users',
+      workflows: '/api/workflows',
+      admin: '/api/admin/queue',
+      audit: '/api/audit',
       health: '/health'
     }
   });
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+const notificationPreferencesSchema = require('../../shared/preferences/schema')(mongoose);
+
+// The fields of the API's users that decide which notifications they get. The
+// full schema, with passwords and roles, lives in api-service/models/User.js.
+const userSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true
+  },
+  notificationsEnabled: {
+    type: Boolean,
+    default: true
+  },
+  notificationPreferences: {
+    type: notificationPreferencesSchema,
+    default: () => ({})
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+const User = mongoose.model('User', userSchema);
+
+module.exports = User;
@@ -0,0 +1,94 @@
+/**
+ * Preference Cache
+ * Looks up the notification preferences of users before notifications are
+ * emitted to them, caching each user for NOTIFICATION_PREFERENCES_CACHE_SECONDS.
+ * The API publishes user:updated whenever a user's preferences or status change,
+ * which drops the cached entry at once.
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { shouldDeliver } = require('../../shared/preferences');
+
+// Read when used, the setting is loaded from .env after this module
+const cacheTtlMs = () => (parseInt(process.env.NOTIFICATION_PREFERENCES_CACHE_SECONDS) || 300) * 1000;
+
+// Oldest entries are evicted beyond this many cached users
+const MAX_CACHED_USERS = 10000;
+
+const cache = new Map(); // userId -> { lookup, expiresAt }
+
+const loadPreferences = (userId) =>
+  User.findById(userId).select('notificationsEnabled notificationPreferences deletedAt').exec();
+
+// Cached lookup; concurrent callers share the pending query
+const getUserPreferences = (userId) => {
+  const cached = cache.get(userId);
+
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.lookup;
+  }
+
+  cache.delete(userId);
+  if (cache.size >= MAX_CACHED_USERS) {
+    cache.delete(cache.keys().next().value);
+  }
+
+  const entry = { lookup: loadPreferences(userId), expiresAt: Date.now() + cacheTtlMs() };
+  cache.set(userId, entry);
+
+  // Failed lookups are retried on the next notification
+  entry.lookup.catch(() => {
+    if (cache.get(userId) === entry) {
+      cache.delete(userId);
+    }
+  });
+
+  return entry.lookup;
+};
+
+const invalidateUserPreferences = (userId) => {
+  cache.delete(userId);
+};
+
+/**
+ * Whether a user should receive an event type over a channel right now.
+ * Unknown users (such as anonymous tasks) keep getting everything, and a failed
+ * lookup delivers the notification rather than dropping it.
+ */
+const canNotify = async (userId, type, channel = 'socket') => {
+  if (!mongoose.isObjectIdOrHexString(userId)) {
+    return true;
+  }
+
+  try {
+    const user = await getUserPreferences(userId);
+
+    if (!user) {
+      return true;
+    }
+
+    return user.notificationsEnabled && !user.deletedAt && shouldDeliver(user.notificationPreferences, type, channel);
+  } catch (error) {
+    console.error(`❌ Failed to load notification preferences of ${userId}:`, error.message);
+    return true;
+  }
+};
+
+/**
+ * Where to emit an event type meant for everyone: all sockets except the user
+ * rooms whose preferences hold it back. Resolves to { recipients, heldBack }.
+ */
+const exceptHeldBackUsers = async (io, type) => {
+  const userRooms = Array.from(io.sockets.adapter.rooms.keys()).filter(room => room.startsWith('user:'));
+  const allowed = await Promise.all(userRooms.map(room => canNotify(room.slice('user:'.length), type)));
+  const heldBack = userRooms.filter((room, index) => !allowed[index]);
+
+  return { recipients: heldBack.length > 0 ? io.except(heldBack) : io, heldBack };
+};
+
+module.exports = {
+  canNotify,
+  exceptHeldBackUsers,
+  invalidateUserPreferences
+};
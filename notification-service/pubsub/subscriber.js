@@ -4,6 +4,7 @@
  */
 
 const Redis = require('ioredis');
+const { canNotify, exceptHeldBackUsers, invalidateUserPreferences } = require('../preferences/cache');
 
 let redisSubscriber = null;
 
@@ -37,7 +38,7 @@ const initializeRedisSubscriber = (io) => {
   });
 
   // Subscribe to channels
-  const channels = ['task:completed', 'task:failed', 'task:started', 'system:broadcast'];
+  const channels = ['task:completed', 'task:failed', 'task:started', 'task:cancelled', 'task:timeout', 'system:broadcast', 'user:updated', 'user:purged', 'import:progress', 'import:completed', 'import:failed'];
   
   redisSubscriber.subscribe(...channels, (err, count) => {
     if (err) {
@@ -49,7 +50,7 @@ const initializeRedisSubscriber = (io) => {
   });
 
   // Handle incoming messages
-  redisSubscriber.on('message', (channel, message) => {
+  redisSubscriber.on('message', async (channel, message) => {
     try {
       const data = JSON.parse(message);
       
@@ -60,19 +61,47 @@ const initializeRedisSubscriber = (io) => {
       // Route messages based on channel
       switch (channel) {
         case 'task:completed':
-          handleTaskCompleted(io, data);
+          await handleTaskCompleted(io, data);
           break;
           
         case 'task:failed':
-          handleTaskFailed(io, data);
+          await handleTaskFailed(io, data);
           break;
           
         case 'task:started':
-          handleTaskStarted(io, data);
+          await handleTaskStarted(io, data);
+          break;
+          
+        case 'task:cancelled':
+          await handleTaskCancelled(io, data);
+          break;
+          
+        case 'task:timeout':
+          await handleTaskTimeout(io, data);
           break;
           
         case 'system:broadcast':
-          handleSystemBroadcast(io, data);
+          await handleSystemBroadcast(io, data);
+          break;
+          
+        case 'user:updated':
+          invalidateUserPreferences(data.userId);
+          break;
+          
+        case 'user:purged':
+          handleUserPurged(io, data);
+          break;
+          
+        case 'import:progress':
+          handleImportProgress(io, data);
+          break;
+          
+        case 'import:completed':
+          handleImportCompleted(io, data);
+          break;
+          
+        case 'import:failed':
+          handleImportFailed(io, data);
           break;
           
         default:
@@ -88,8 +117,17 @@ const initializeRedisSubscriber = (io) => {
   return redisSubscriber;
 };
 
+// Whether a user's notification preferences hold back an event type
+const isHeldBack = async (userId, type) => {
+  if (await canNotify(userId, type)) {
+    return false;
+  }
+  console.log(`   🔕 Held back for user:${userId} by notification preferences`);
+  return true;
+};
+
 // Handle task completion notification
-const handleTaskCompleted = (io, data) => {
+const handleTaskCompleted = async (io, data) => {
   const notification = {
     type: 'success',
     event: 'task:completed',
@@ -108,6 +146,9 @@ const handleTaskCompleted = (io, data) => {
 
   // Send to specific user
   if (data.userId && data.userId !== 'anonymous') {
+    if (await isHeldBack(data.userId, 'completed')) {
+      return;
+    }
     io.to(`user:${data.userId}`).emit('notification', notification);
     io.to(`user:${data.userId}`).emit('task:completed', notification);
     console.log(`   ✅ Sent to user:${data.userId}`);
@@ -119,7 +160,7 @@ const handleTaskCompleted = (io, data) => {
 };
 
 // Handle task failure notification
-const handleTaskFailed = (io, data) => {
+const handleTaskFailed = async (io, data) => {
   const notification = {
     type: 'error',
     event: 'task:failed',
@@ -138,6 +179,9 @@ const handleTaskFailed = (io, data) => {
 
   // Send to specific user
   if (data.userId && data.userId !== 'anonymous') {
+    if (await isHeldBack(data.userId, 'failed')) {
+      return;
+    }
     io.to(`user:${data.userId}`).emit('notification', notification);
     io.to(`user:${data.userId}`).emit('task:failed', notification);
     console.log(`   ❌ Sent to user:${data.userId}`);
@@ -149,7 +193,7 @@ const handleTaskFailed = (io, data) => {
 };
 
 // Handle task started notification (optional)
-const handleTaskStarted = (io, data) => {
+const handleTaskStarted = async (io, data) => {
   const notification = {
     type: 'info',
     event: 'task:started',
@@ -164,13 +208,78 @@ const handleTaskStarted = (io, data) => {
   };
 
   if (data.userId && data.userId !== 'anonymous') {
+    if (await isHeldBack(data.userId, 'started')) {
+      return;
+    }
     io.to(`user:${data.userId}`).emit('notification', notification);
     console.log(`   🔄 Sent to user:${data.userId}`);
   }
 };
 
-// Handle system-wide broadcast
-const handleSystemBroadcast = (io, data) => {
+// Handle task cancellation notification
+const handleTaskCancelled = async (io, data) => {
+  const notification = {
+    type: 'warning',
+    event: 'task:cancelled',
+    title: 'Task Cancelled',
+    message: `Your ${data.taskType} task has been cancelled`,
+    data: {
+      jobId: data.jobId,
+      taskType: data.taskType,
+      previousState: data.previousState,
+      cancelledAt: data.cancelledAt,
+      workerName: data.workerName
+    },
+    timestamp: new Date().toISOString()
+  };
+
+  if (data.userId && data.userId !== 'anonymous') {
+    if (await isHeldBack(data.userId, 'cancelled')) {
+      return;
+    }
+    io.to(`user:${data.userId}`).emit('notification', notification);
+    io.to(`user:${data.userId}`).emit('task:cancelled', notification);
+    console.log(`   🚫 Sent to user:${data.userId}`);
+  }
+};
+
+// Handle task timeout notification (sent for every timed-out attempt, governed by the failed preference)
+const handleTaskTimeout = async (io, data) => {
+  const notification = {
+    type: data.willRetry ? 'warning' : 'error',
+    event: 'task:timeout',
+    title: 'Task Timed Out',
+    message: data.willRetry
+      ? `Your ${data.taskType} task timed out and will be retried`
+      : `Your ${data.taskType} task timed out and has failed`,
+    data: {
+      jobId: data.jobId,
+      taskType: data.taskType,
+      error: data.error,
+      timeoutMs: data.timeoutMs,
+      attemptsMade: data.attemptsMade,
+      willRetry: data.willRetry,
+      failedAt: data.failedAt,
+      workerName: data.workerName
+    },
+    timestamp: new Date().toISOString()
+  };
+
+  if (data.userId && data.userId !== 'anonymous') {
+    if (await isHeldBack(data.userId, 'failed')) {
+      return;
+    }
+    io.to(`user:${data.userId}`).emit('notification', notification);
+    io.to(`user:${data.userId}`).emit('task:timeout', notification);
+    console.log(`   ⏱️  Sent to user:${data.userId}`);
+  } else {
+    io.emit('notification', notification);
+    console.log(`   ⏱️  Broadcast to all users`);
+  }
+};
+
+// Handle system-wide broadcast, leaving out identified users who turned system notifications off
+const handleSystemBroadcast = async (io, data) => {
   const notification = {
     type: 'info',
     event: 'system:broadcast',
@@ -180,9 +289,86 @@ const handleSystemBroadcast = (io, data) => {
     timestamp: new Date().toISOString()
   };
 
-  io.emit('notification', notification);
-  io.emit('system:broadcast', notification);
-  console.log(`   📢 System broadcast sent to all users`);
+  const { recipients, heldBack } = await exceptHeldBackUsers(io, 'system');
+
+  recipients.emit('notification', notification);
+  recipients.emit('system:broadcast', notification);
+  console.log(`   📢 System broadcast sent to all users${heldBack.length > 0 ? ` (${heldBack.length} held back by notification preferences)` : ''}`);
+};
+
+// Disconnect the sockets of a user whose account was purged
+const handleUserPurged = (io, data) => {
+  const room = `user:${data.userId}`;
+  invalidateUserPreferences(data.userId);
+
+  io.to(room).emit('account_deleted', {
+    userId: data.userId,
+    message: 'Your account has been deleted',
+    timestamp: new Date().toISOString()
+  });
+  io.in(room).disconnectSockets(true);
+  console.log(`   🔌 Disconnected sockets in ${room}`);
+};
+
+// Handle user import progress (sent after each batch, to the user who started the import)
+const handleImportProgress = (io, data) => {
+  io.to(`user:${data.userId}`).emit('import:progress', {
+    importId: data.importId,
+    dryRun: data.dryRun,
+    processed: data.processed,
+    total: data.total,
+    created: data.created,
+    failed: data.failed,
+    timestamp: new Date().toISOString()
+  });
+  console.log(`   📥 Import ${data.importId}: ${data.processed}/${data.total} sent to user:${data.userId}`);
+};
+
+// Handle user import completion
+const handleImportCompleted = (io, data) => {
+  const notification = {
+    type: data.failed > 0 ? 'warning' : 'success',
+    event: 'import:completed',
+    title: data.dryRun ? 'Import Dry Run Finished' : 'Import Finished',
+    message: data.dryRun
+      ? `${data.created} of ${data.total} users would be created, ${data.failed} rows have errors`
+      : `${data.created} of ${data.total} users were created, ${data.failed} rows have errors`,
+    data: {
+      importId: data.importId,
+      dryRun: data.dryRun,
+      total: data.total,
+      created: data.created,
+      failed: data.failed,
+      completedAt: data.completedAt
+    },
+    timestamp: new Date().toISOString()
+  };
+
+  io.to(`user:${data.userId}`).emit('notification', notification);
+  io.to(`user:${data.userId}`).emit('import:completed', notification);
+  console.log(`   ✅ Sent to user:${data.userId}`);
+};
+
+// Handle user import failure
+const handleImportFailed = (io, data) => {
+  const notification = {
+    type: 'error',
+    event: 'import:failed',
+    title: 'Import Failed',
+    message: `Your user import failed after creating ${data.created} users`,
+    data: {
+      importId: data.importId,
+      dryRun: data.dryRun,
+      created: data.created,
+      error: data.error,
+      failedAt: data.failedAt
+    },
+    timestamp: new Date().toISOString()
+  };
+
+  io.to(`user:${data.userId}`).emit('notification', notification);
+  io.to(`user:${data.userId}`).emit('import:failed', notification);
+  console.log(`   ❌ Sent to user:${data.userId}`);
 };
 
 // Close Redis subscriber connection
@@ -3,12 +3,17 @@ const http = require('http');
 const { Server } = require('socket.io');
 const cors = require('cors');
 const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const connectDB = require('./config/database');
 const { initializeSocketHandlers } = require('./socket/socketHandler');
 const { initializeRedisSubscriber } = require('./pubsub/subscriber');
 
 // Load environment variables
 dotenv.config();
 
+// Connect to MongoDB, where notification preferences are read from
+connectDB();
+
 // Initialize Express app
 const app = express();
 const server = http.createServer(app);
@@ -63,7 +68,7 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     websocket: {
       endpoint: 'ws://localhost:4000',
-      events: ['notification', 'task:completed', 'task:failed']
+      events: ['notification', 'task:completed', 'task:failed', 'task:cancelled', 'task:timeout']
     },
     endpoints: {
       health: '/health',
@@ -109,6 +114,10 @@ const gracefulShutdown = async (signal) => {
       console.log('✅ All socket connections closed');
     });
     
+    // Close MongoDB connection
+    await mongoose.connection.close();
+    console.log('✅ MongoDB connection closed');
+    
     // Close HTTP server
     server.close(() => {
       console.log('✅ HTTP server closed');
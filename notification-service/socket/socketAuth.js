@@ -0,0 +1,45 @@
+/**
+ * Socket Authentication
+ * Verifies the API access token a client sends with its handshake
+ * (io(url, { auth: { token } })) and exposes the token's user as socket.user.
+ * Sockets without a token connect anonymously and hold no roles.
+ */
+
+const jwt = require('jsonwebtoken');
+
+const authenticateSocket = (socket, next) => {
+  const { token } = socket.handshake.auth || {};
+  socket.user = null;
+
+  if (!token) {
+    return next();
+  }
+
+  // Read at connection time, the secret is loaded from .env after this module
+  if (!process.env.JWT_SECRET) {
+    console.warn(`⚠️  JWT_SECRET is not set, rejecting token of socket ${socket.id}`);
+    return next(new Error('Token authentication is not configured'));
+  }
+
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS256'] });
+
+    if (payload.type !== 'access') {
+      throw new jwt.JsonWebTokenError('Expected an access token');
+    }
+
+    socket.user = {
+      id: payload.sub,
+      username: payload.username || payload.sub,
+      roles: payload.roles || []
+    };
+    next();
+  } catch (error) {
+    console.warn(`🚫 Rejected socket ${socket.id}: ${error.message}`);
+    next(new Error(error.name === 'TokenExpiredError' ? 'Access token has expired' : 'Invalid access token'));
+  }
+};
+
+module.exports = {
+  authenticateSocket
+};
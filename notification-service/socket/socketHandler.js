@@ -3,13 +3,25 @@
  * Manages WebSocket connections, rooms, and real-time notifications
  */
 
+const { authenticateSocket } = require('./socketAuth');
+const { requireSocketPermissions } = require('../../shared/permissions');
+const { exceptHeldBackUsers } = require('../preferences/cache');
+
 let connectedClients = new Map(); // Track connected clients: socketId -> userId
 
+// Events only some roles may send
+const EVENT_PERMISSIONS = {
+  broadcast: 'notifications:broadcast'
+};
+
 const initializeSocketHandlers = (io) => {
   
   // Track total connections
   let totalConnections = 0;
   let peakConnections = 0;
+
+  // Resolve the user of sockets that connect with an access token
+  io.use(authenticateSocket);
   
   // Connection event
   io.on('connection', (socket) => {
@@ -26,6 +38,8 @@ const initializeSocketHandlers = (io) => {
     console.log(`   Total connections: ${currentConnections}`);
     console.log(`   Peak connections: ${peakConnections}\n`);
 
+    socket.use(requireSocketPermissions(socket, EVENT_PERMISSIONS));
+
     // Send welcome message
     socket.emit('connected', {
       message: 'Successfully connected to notification service',
@@ -34,8 +48,21 @@ const initializeSocketHandlers = (io) => {
     });
 
     // Handle user identification
-    socket.on('identify', (data) => {
-      const { userId, username } = data;
+    socket.on('identify', () => {
+      // A user's room is only open to sockets holding that user's token
+      if (!socket.user) {
+        console.warn(`🚫 Socket ${socket.id} tried to identify without an access token`);
+        socket.emit('permission_denied', {
+          status: 401,
+          event: 'identify',
+          error: 'An access token is required to identify',
+          timestamp: new Date().toISOString()
+        });
+        return;
+      }
+
+      const userId = socket.user.id;
+      const username = socket.user.username;
       
       // Store user info
       socket.userId = userId;
@@ -65,6 +92,18 @@ const initializeSocketHandlers = (io) => {
     // Handle joining custom rooms
     socket.on('join_room', (data) => {
       const { room } = data;
+
+      // User rooms are joined through identify only
+      if (typeof room === 'string' && room.startsWith('user:')) {
+        console.warn(`🚫 Socket ${socket.id} tried to join user room ${room}`);
+        socket.emit('permission_denied', {
+          status: 403,
+          event: 'join_room',
+          error: 'User rooms are joined by identifying',
+          timestamp: new Date().toISOString()
+        });
+        return;
+      }
       
       socket.join(room);
       console.log(`📥 Socket ${socket.id} joined room: ${room}`);
@@ -126,17 +165,18 @@ const initializeSocketHandlers = (io) => {
       });
     });
 
-    // Handle broadcast to all users
-    socket.on('broadcast', (data) => {
-      if (socket.userId) {
-        console.log(`📢 Broadcasting message from user ${socket.userId}`);
-        
-        io.emit('broadcast_message', {
-          from: socket.username || socket.userId,
-          message: data.message,
-          timestamp: new Date().toISOString()
-        });
-      }
+    // Handle system broadcast to all users (admins only, see EVENT_PERMISSIONS)
+    socket.on('broadcast', async (data) => {
+      // Like system broadcasts from the API, skipping users who opted out of 'system'
+      const { recipients, heldBack } = await exceptHeldBackUsers(io, 'system');
+
+      console.log(`📢 Broadcasting message from admin ${socket.user.username}${heldBack.length > 0 ? ` (${heldBack.length} held back by notification preferences)` : ''}`);
+      
+      recipients.emit('broadcast_message', {
+        from: socket.user.username,
+        message: data.message,
+        timestamp: new Date().toISOString()
+      });
     });
 
     // Handle disconnection
@@ -0,0 +1,64 @@
+/**
+ * Task queue configuration, one BullMQ queue per task type so slow types
+ * cannot starve quick ones. Shared by the API and worker services.
+ *
+ * - concurrency and limiter apply to each worker process consuming the queue
+ * - attempts and backoff are the queue's default job options
+ * - timeoutMs limits each attempt's execution time unless the job sets its own
+ */
+const TASK_QUEUES = {
+  email: {
+    queue: 'tasks-email',
+    concurrency: 50,
+    limiter: { max: 200, duration: 1000 },
+    attempts: 3,
+    backoff: { type: 'exponential', delay: 2000 },
+    timeoutMs: 30 * 1000 // 30 seconds
+  },
+  report: {
+    queue: 'tasks-report',
+    concurrency: 20,
+    limiter: { max: 50, duration: 1000 },
+    attempts: 3,
+    backoff: { type: 'exponential', delay: 5000 },
+    timeoutMs: 2 * 60 * 1000 // 2 minutes
+  },
+  dataProcessing: {
+    queue: 'tasks-data-processing',
+    concurrency: 20,
+    limiter: { max: 50, duration: 1000 },
+    attempts: 3,
+    backoff: { type: 'exponential', delay: 5000 },
+    timeoutMs: 10 * 60 * 1000 // 10 minutes
+  },
+  imageProcessing: {
+    queue: 'tasks-image-processing',
+    concurrency: 5,
+    limiter: { max: 10, duration: 1000 },
+    attempts: 2,
+    backoff: { type: 'exponential', delay: 10000 },
+    timeoutMs: 5 * 60 * 1000 // 5 minutes
+  }
+};
+
+const TASK_TYPES = Object.keys(TASK_QUEUES);
+
+// Default job options for a task type's queue
+const queueJobOptions = (type) => ({
+  attempts: TASK_QUEUES[type].attempts,
+  backoff: TASK_QUEUES[type].backoff,
+  removeOnComplete: {
+    count: 1000,
+    age: 24 * 3600 // 24 hours
+  },
+  removeOnFail: {
+    count: 5000,
+    age: 7 * 24 * 3600 // 7 days
+  }
+});
+
+module.exports = {
+  TASK_QUEUES,
+  TASK_TYPES,
+  queueJobOptions
+};
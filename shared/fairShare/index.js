@@ -0,0 +1,102 @@
+/**
+ * Fair Share Scheduling
+ * Round-robin across users on each task queue, built on BullMQ priorities.
+ * Shared by the API and worker services.
+ *
+ * Every queue has a virtual clock. A job is tagged with its user's next virtual
+ * finish time, max(clock, user's last tag) + 1, and queued with that tag as its
+ * BullMQ priority. A user with a deep backlog therefore takes turns with users
+ * who submit little instead of running ahead of them. Workers advance the clock
+ * to the tag of each job they start. The requested priority (1-10) moves a job
+ * ahead by PRIORITY_ROUNDS rounds per level, so it only reorders nearby work.
+ */
+
+// Rounds a job moves ahead per requested priority level above 1
+const PRIORITY_ROUNDS = 2;
+
+// Requested priorities are 1-10; recurring runs keep static BullMQ priorities below this
+const PRIORITY_LEVELS = 10;
+
+// Largest priority BullMQ accepts
+const MAX_JOB_PRIORITY = 2097151;
+
+// Clocks are rebased to 0 once past this, well before tags reach MAX_JOB_PRIORITY
+const REBASE_THRESHOLD = 1000000;
+
+const fairClockKey = (queueName) => `fair:${queueName}:clock`;
+const fairUsersKey = (queueName) => `fair:${queueName}:users`;
+
+// Reserve count consecutive tags for a user, returning the first
+const ALLOCATE_SCRIPT = `
+  local clock = tonumber(redis.call('GET', KEYS[1]) or '0')
+  local last = tonumber(redis.call('HGET', KEYS[2], ARGV[1]) or '0')
+  local start = math.max(clock, last)
+  redis.call('HSET', KEYS[2], ARGV[1], start + tonumber(ARGV[2]))
+  return start + 1
+`;
+
+// Move the clock forward (never back) to a started job's tag
+const ADVANCE_SCRIPT = `
+  local clock = tonumber(redis.call('GET', KEYS[1]) or '0')
+  if tonumber(ARGV[1]) > clock then
+    redis.call('SET', KEYS[1], ARGV[1])
+    return tonumber(ARGV[1])
+  end
+  return clock
+`;
+
+// Forget users whose last tag the clock has passed (their next job starts at the
+// clock anyway) and, past the threshold, shift the clock and all tags down to 0.
+// Returns the amount tags were shifted by.
+const COMPACT_SCRIPT = `
+  local clock = tonumber(redis.call('GET', KEYS[1]) or '0')
+  local shift = 0
+  if clock > tonumber(ARGV[1]) then
+    shift = clock
+    redis.call('SET', KEYS[1], 0)
+  end
+  local users = redis.call('HGETALL', KEYS[2])
+  for i = 1, #users, 2 do
+    local last = tonumber(users[i + 1])
+    if last <= clock then
+      redis.call('HDEL', KEYS[2], users[i])
+    elseif shift > 0 then
+      redis.call('HSET', KEYS[2], users[i], last - shift)
+    end
+  end
+  return shift
+`;
+
+// BullMQ priority of a job with the given tag and requested priority
+const fairPriority = (tag, priority = 5) =>
+  Math.min(tag + (PRIORITY_LEVELS - priority) * PRIORITY_ROUNDS, MAX_JOB_PRIORITY);
+
+// BullMQ priorities for a user's jobs on one queue, in submission order
+const allocateFairPriorities = async (connection, queueName, userId, priorities) => {
+  const first = await connection.eval(
+    ALLOCATE_SCRIPT, 2, fairClockKey(queueName), fairUsersKey(queueName), userId || 'anonymous', priorities.length
+  );
+  return priorities.map((priority, index) => fairPriority(first + index, priority));
+};
+
+// Tag a job was queued with, recovered from its current BullMQ priority
+const jobFairTag = (job) =>
+  job.priority - (PRIORITY_LEVELS - (job.data.priority || 5)) * PRIORITY_ROUNDS;
+
+const advanceFairClock = async (connection, queueName, tag) =>
+  connection.eval(ADVANCE_SCRIPT, 1, fairClockKey(queueName), tag);
+
+const getFairClock = async (connection, queueName) =>
+  parseInt(await connection.get(fairClockKey(queueName))) || 0;
+
+const compactFairShare = async (connection, queueName) =>
+  connection.eval(COMPACT_SCRIPT, 2, fairClockKey(queueName), fairUsersKey(queueName), REBASE_THRESHOLD);
+
+module.exports = {
+  PRIORITY_LEVELS,
+  allocateFairPriorities,
+  jobFairTag,
+  advanceFairClock,
+  getFairClock,
+  compactFairShare
+};
@@ -0,0 +1,71 @@
+// API keys, shared by the API and worker services, which each pass in their own mongoose instance
+module.exports = (mongoose) => {
+  // Scopes an API key can be limited to; a key without scopes may do anything its user can
+  const API_KEY_SCOPES = [
+    'tasks:read',
+    'tasks:write',
+    'workflows:read',
+    'workflows:write',
+    'users:read',
+    'users:write'
+  ];
+
+  const apiKeySchema = new mongoose.Schema({
+    userId: {
+      type: String,
+      required: [true, 'User ID is required']
+    },
+    label: {
+      type: String,
+      required: [true, 'Label is required'],
+      trim: true,
+      maxlength: [100, 'Label must be at most 100 characters']
+    },
+    // SHA-256 of the key; the key itself is only shown once, when it is created
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false
+    },
+    // First characters of the key, so users can tell their keys apart
+    prefix: {
+      type: String,
+      required: true
+    },
+    scopes: {
+      type: [{ type: String, enum: API_KEY_SCOPES }],
+      default: []
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    }
+  }, {
+    timestamps: true,
+    versionKey: false
+  });
+
+  // Index for listing a user's keys
+  apiKeySchema.index({ userId: 1, createdAt: -1 });
+
+  // active, expired or revoked
+  apiKeySchema.virtual('status').get(function() {
+    if (this.revokedAt) {
+      return 'revoked';
+    }
+    return this.expiresAt && this.expiresAt <= new Date() ? 'expired' : 'active';
+  });
+
+  apiKeySchema.statics.SCOPES = API_KEY_SCOPES;
+
+  return mongoose.model('ApiKey', apiKeySchema);
+};
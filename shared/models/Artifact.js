@@ -0,0 +1,44 @@
+// Task output files, shared by the API and worker services, which each pass in their own mongoose instance
+module.exports = (mongoose) => {
+  const artifactSchema = new mongoose.Schema({
+    taskId: {
+      type: String,
+      required: [true, 'Task ID is required']
+    },
+    name: {
+      type: String,
+      required: [true, 'Name is required']
+    },
+    key: {
+      type: String,
+      required: [true, 'Storage key is required']
+    },
+    storage: {
+      type: String,
+      enum: ['local', 's3'],
+      required: [true, 'Storage backend is required']
+    },
+    contentType: {
+      type: String,
+      default: 'application/octet-stream'
+    },
+    size: {
+      type: Number,
+      default: 0
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, 'Expiry is required']
+    }
+  }, {
+    timestamps: true,
+    versionKey: false
+  });
+
+  // One artifact per name per task
+  artifactSchema.index({ taskId: 1, name: 1 }, { unique: true });
+  // Index for the retention sweep
+  artifactSchema.index({ expiresAt: 1 });
+
+  return mongoose.model('Artifact', artifactSchema);
+};
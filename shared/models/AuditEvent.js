@@ -0,0 +1,146 @@
+// Audit log, shared by the API and worker services, which each pass in their own mongoose instance
+module.exports = (mongoose) => {
+  // Audited actions, as <resource>.<action>
+  const AUDIT_ACTIONS = [
+    'auth.register',
+    'auth.login',
+    'auth.login_failed',
+    'auth.logout',
+    'user.create',
+    'user.update',
+    'user.roles',
+    'user.preferences',
+    'user.delete',
+    'user.restore',
+    'user.purge',
+    'user.import',
+    'user.verify_email',
+    'apiKey.create',
+    'apiKey.update',
+    'apiKey.revoke',
+    'queue.pause',
+    'queue.resume',
+    'queue.drain',
+    'queue.clean'
+  ];
+
+  // Kinds of resources actions are performed on
+  const TARGET_KINDS = ['user', 'apiKey', 'queue'];
+
+  // Who performed an action: a user (possibly through an API key), an admin key, the system or nobody signed in
+  const actorSchema = new mongoose.Schema({
+    kind: {
+      type: String,
+      required: true,
+      enum: ['user', 'adminKey', 'system', 'anonymous']
+    },
+    id: {
+      type: String,
+      default: null
+    },
+    name: {
+      type: String,
+      default: null
+    },
+    apiKeyId: {
+      type: String,
+      default: null
+    }
+  }, { _id: false });
+
+  // What an action was performed on
+  const targetSchema = new mongoose.Schema({
+    kind: {
+      type: String,
+      required: true,
+      enum: TARGET_KINDS
+    },
+    id: {
+      type: String,
+      default: null
+    },
+    name: {
+      type: String,
+      default: null
+    }
+  }, { _id: false });
+
+  // A changed field with its values before and after the action
+  const changeSchema = new mongoose.Schema({
+    field: {
+      type: String,
+      required: true
+    },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }, { _id: false });
+
+  // Audit record of a user, auth or administrative action (append-only)
+  const auditEventSchema = new mongoose.Schema({
+    action: {
+      type: String,
+      required: [true, 'Action is required'],
+      enum: AUDIT_ACTIONS
+    },
+    actor: {
+      type: actorSchema,
+      required: [true, 'Actor is required']
+    },
+    target: {
+      type: targetSchema,
+      default: null
+    },
+    changes: {
+      type: [changeSchema],
+      default: []
+    },
+    outcome: {
+      type: String,
+      enum: ['success', 'failure'],
+      default: 'success'
+    },
+    error: {
+      type: String,
+      default: null
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    requestId: {
+      type: String,
+      default: null
+    },
+    ip: {
+      type: String,
+      default: null
+    }
+  }, {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false
+  });
+
+  // Indexes for the audit log filters, newest first
+  auditEventSchema.index({ createdAt: -1 });
+  auditEventSchema.index({ 'actor.id': 1, createdAt: -1 });
+  auditEventSchema.index({ 'actor.name': 1, createdAt: -1 });
+  auditEventSchema.index({ 'target.kind': 1, 'target.id': 1, createdAt: -1 });
+  auditEventSchema.index({ action: 1, createdAt: -1 });
+
+  // Events are never changed once written; only retention deletes them
+  const rejectChange = function() {
+    throw new Error('Audit events are append-only');
+  };
+
+  auditEventSchema.pre('save', function() {
+    if (!this.isNew) {
+      rejectChange();
+    }
+  });
+  auditEventSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], rejectChange);
+
+  auditEventSchema.statics.ACTIONS = AUDIT_ACTIONS;
+  auditEventSchema.statics.TARGET_KINDS = TARGET_KINDS;
+
+  return mongoose.model('AuditEvent', auditEventSchema);
+};
@@ -0,0 +1,67 @@
+// Dead-lettered jobs, shared by the API and worker services, which each pass in their own mongoose instance
+module.exports = (mongoose) => {
+  const deadLetterSchema = new mongoose.Schema({
+    jobId: {
+      type: String,
+      required: [true, 'Job ID is required'],
+      unique: true
+    },
+    type: {
+      type: String,
+      required: [true, 'Task type is required']
+    },
+    userId: {
+      type: String,
+      default: 'anonymous'
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    priority: {
+      type: Number,
+      default: 5
+    },
+    // Execution limit per attempt the task was submitted with, if any
+    timeoutMs: {
+      type: Number,
+      default: null
+    },
+    // Webhook of the task, kept so a requeued task still notifies it
+    callbackUrl: {
+      type: String,
+      default: null
+    },
+    // Signing secret of the webhook, never returned by queries unless selected explicitly
+    callbackSecret: {
+      type: String,
+      default: null,
+      select: false
+    },
+    failedReason: {
+      type: String,
+      default: null
+    },
+    stacktrace: {
+      type: [String],
+      default: []
+    },
+    attemptsMade: {
+      type: Number,
+      default: 0
+    },
+    failedAt: {
+      type: Date,
+      default: null
+    }
+  }, {
+    timestamps: { createdAt: 'movedAt', updatedAt: true },
+    versionKey: false
+  });
+
+  // Indexes for inspecting and purging the dead-letter store
+  deadLetterSchema.index({ type: 1, movedAt: -1 });
+  deadLetterSchema.index({ movedAt: -1 });
+
+  return mongoose.model('DeadLetter', deadLetterSchema);
+};
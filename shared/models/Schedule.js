@@ -0,0 +1,81 @@
+// Recurring tasks, shared by the API and worker services, which each pass in their own mongoose instance
+module.exports = (mongoose) => {
+  const scheduleSchema = new mongoose.Schema({
+    type: {
+      type: String,
+      required: [true, 'Task type is required'],
+      enum: ['email', 'report', 'dataProcessing', 'imageProcessing']
+    },
+    userId: {
+      type: String,
+      default: 'anonymous'
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    priority: {
+      type: Number,
+      min: 1,
+      max: 10,
+      default: 5
+    },
+    timeoutMs: {
+      type: Number,
+      min: [1000, 'Timeout must be at least 1000ms'],
+      default: null
+    },
+    cron: {
+      type: String,
+      default: null
+    },
+    every: {
+      type: Number,
+      min: [1000, 'Interval must be at least 1000ms'],
+      default: null
+    },
+    tz: {
+      type: String,
+      default: null
+    },
+    limit: {
+      type: Number,
+      default: null
+    },
+    startDate: {
+      type: Date,
+      default: null
+    },
+    endDate: {
+      type: Date,
+      default: null
+    },
+    status: {
+      type: String,
+      enum: ['active', 'paused'],
+      default: 'active'
+    }
+  }, {
+    timestamps: true,
+    versionKey: false
+  });
+
+  // Index for listing schedules
+  scheduleSchema.index({ userId: 1, status: 1, createdAt: -1 });
+
+  // Virtual for schedule ID
+  scheduleSchema.virtual('id').get(function() {
+    return this._id.toHexString();
+  });
+
+  // Ensure virtual fields are serialized
+  scheduleSchema.set('toJSON', {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret._id;
+      return ret;
+    }
+  });
+
+  return mongoose.model('Schedule', scheduleSchema);
+};
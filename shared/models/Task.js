@@ -0,0 +1,86 @@
+// Task history, shared by the API and worker services, which each pass in their own mongoose instance
+module.exports = (mongoose) => {
+  const taskSchema = new mongoose.Schema({
+    jobId: {
+      type: String,
+      required: [true, 'Job ID is required'],
+      unique: true
+    },
+    type: {
+      type: String,
+      required: [true, 'Task type is required'],
+      enum: ['email', 'report', 'dataProcessing', 'imageProcessing']
+    },
+    userId: {
+      type: String,
+      default: 'anonymous'
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    priority: {
+      type: Number,
+      min: 1,
+      max: 10,
+      default: 5
+    },
+    state: {
+      type: String,
+      enum: ['waiting', 'delayed', 'active', 'completed', 'failed', 'cancelled'],
+      default: 'waiting'
+    },
+    progress: {
+      type: Number,
+      default: 0
+    },
+    attemptsMade: {
+      type: Number,
+      default: 0
+    },
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    failedReason: {
+      type: String,
+      default: null
+    },
+    scheduleId: {
+      type: String,
+      default: null
+    },
+    callbackUrl: {
+      type: String,
+      default: null
+    },
+    scheduledFor: {
+      type: Date,
+      default: null
+    },
+    // Set when priority aging moved the job to the front of its queue
+    promotedAt: {
+      type: Date,
+      default: null
+    },
+    startedAt: {
+      type: Date,
+      default: null
+    },
+    finishedAt: {
+      type: Date,
+      default: null
+    }
+  }, {
+    timestamps: true,
+    versionKey: false
+  });
+
+  // Indexes for the task history listing filters
+  taskSchema.index({ userId: 1, createdAt: -1 });
+  taskSchema.index({ type: 1, state: 1, createdAt: -1 });
+  taskSchema.index({ state: 1, createdAt: -1 });
+  taskSchema.index({ createdAt: -1 });
+
+  return mongoose.model('Task', taskSchema);
+};
@@ -0,0 +1,119 @@
+// Users, shared by the API and worker services, which each pass in their own mongoose instance.
+// Password hashing needs bcryptjs, which only the API installs, so the API adds it
+// through `extend`, called with the schema before the model is compiled.
+const { ROLES } = require('../permissions');
+
+module.exports = (mongoose, extend = () => {}) => {
+  const notificationPreferencesSchema = require('../preferences/schema')(mongoose);
+
+  const userSchema = new mongoose.Schema({
+    username: {
+      type: String,
+      required: [true, 'Username is required'],
+      unique: true,
+      trim: true,
+      minlength: [3, 'Username must be at least 3 characters'],
+      maxlength: [30, 'Username must be at most 30 characters'],
+      match: [/^[a-zA-Z0-9_]+$/, 'Username can only contain letters, numbers, and underscores']
+    },
+    email: {
+      type: String,
+      required: [true, 'Email is required'],
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address']
+    },
+    // Set once the user confirms a token mailed to their address
+    emailVerified: {
+      type: Boolean,
+      default: false
+    },
+    emailVerifiedAt: {
+      type: Date,
+      default: null
+    },
+    // New address requested with PATCH /api/users/:id, replacing email once confirmed
+    pendingEmail: {
+      type: String,
+      default: null,
+      trim: true,
+      lowercase: true
+    },
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      minlength: [1, 'Name must be at least 1 character'],
+      maxlength: [100, 'Name must be at most 100 characters']
+    },
+    // bcrypt hash, never returned by queries unless selected explicitly
+    password: {
+      type: String,
+      select: false
+    },
+    roles: {
+      type: [{ type: String, enum: ROLES }],
+      default: ['user']
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    // Turns all notifications off, whatever notificationPreferences say
+    notificationsEnabled: {
+      type: Boolean,
+      default: true
+    },
+    notificationPreferences: {
+      type: notificationPreferencesSchema,
+      default: () => ({})
+    },
+    lastActive: {
+      type: Date,
+      default: Date.now
+    },
+    // Set by DELETE /api/users/:id; the account can be restored until the purge job removes it
+    deletedAt: {
+      type: Date,
+      default: null
+    }
+  }, {
+    timestamps: true,
+    versionKey: false
+  });
+
+  // Index for faster queries
+  userSchema.index({ email: 1 });
+  userSchema.index({ username: 1 });
+  userSchema.index({ createdAt: -1 });
+  userSchema.index({ lastActive: -1 });
+  userSchema.index({ name: 1 });
+  // Word search of GET /api/users
+  userSchema.index({ username: 'text', email: 'text', name: 'text' });
+  userSchema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } });
+
+  // Deactivated and deleted accounts cannot sign in or use their tokens and API keys
+  userSchema.methods.canAuthenticate = function() {
+    return this.isActive && !this.deletedAt;
+  };
+
+  // Virtual for user ID
+  userSchema.virtual('id').get(function() {
+    return this._id.toHexString();
+  });
+
+  // Ensure virtual fields are serialized
+  userSchema.set('toJSON', {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret._id;
+      delete ret.password;
+      return ret;
+    }
+  });
+
+  extend(userSchema);
+
+  return mongoose.model('User', userSchema);
+};
@@ -0,0 +1,73 @@
+// Webhook delivery log, shared by the API and worker services, which each pass in their own mongoose instance
+module.exports = (mongoose) => {
+  const deliveryAttemptSchema = new mongoose.Schema({
+    attempt: {
+      type: Number,
+      required: true
+    },
+    statusCode: {
+      type: Number,
+      default: null
+    },
+    error: {
+      type: String,
+      default: null
+    },
+    durationMs: {
+      type: Number,
+      default: 0
+    },
+    attemptedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }, {
+    _id: false
+  });
+
+  const webhookDeliverySchema = new mongoose.Schema({
+    deliveryId: {
+      type: String,
+      required: [true, 'Delivery ID is required'],
+      unique: true
+    },
+    taskId: {
+      type: String,
+      required: [true, 'Task ID is required']
+    },
+    event: {
+      type: String,
+      required: [true, 'Event is required'],
+      enum: ['task:completed', 'task:failed']
+    },
+    url: {
+      type: String,
+      required: [true, 'URL is required']
+    },
+    state: {
+      type: String,
+      enum: ['pending', 'retrying', 'delivered', 'failed'],
+      default: 'pending'
+    },
+    attempts: {
+      type: [deliveryAttemptSchema],
+      default: []
+    },
+    lastAttemptAt: {
+      type: Date,
+      default: null
+    },
+    deliveredAt: {
+      type: Date,
+      default: null
+    }
+  }, {
+    timestamps: true,
+    versionKey: false
+  });
+
+  // Index for the per-task delivery log
+  webhookDeliverySchema.index({ taskId: 1, createdAt: -1 });
+
+  return mongoose.model('WebhookDelivery', webhookDeliverySchema);
+};
@@ -0,0 +1,101 @@
+// Workflow runs, shared by the API and worker services, which each pass in their own mongoose instance
+module.exports = (mongoose) => {
+  const workflowNodeSchema = new mongoose.Schema({
+    key: {
+      type: String,
+      required: [true, 'Node key is required']
+    },
+    type: {
+      type: String,
+      required: [true, 'Task type is required'],
+      enum: ['email', 'report', 'dataProcessing', 'imageProcessing']
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    priority: {
+      type: Number,
+      min: 1,
+      max: 10,
+      default: 5
+    },
+    dependsOn: {
+      type: [String],
+      default: []
+    },
+    // Maps child data fields to parent return values, e.g. { reportUrl: 'report.downloadUrl' }
+    inputs: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    state: {
+      type: String,
+      enum: ['pending', 'queued', 'active', 'completed', 'failed', 'skipped', 'cancelled'],
+      default: 'pending'
+    },
+    jobId: {
+      type: String,
+      default: null
+    },
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    failedReason: {
+      type: String,
+      default: null
+    },
+    startedAt: {
+      type: Date,
+      default: null
+    },
+    finishedAt: {
+      type: Date,
+      default: null
+    }
+  }, {
+    _id: false
+  });
+
+  const workflowSchema = new mongoose.Schema({
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Name must be at most 100 characters'],
+      default: null
+    },
+    userId: {
+      type: String,
+      default: 'anonymous'
+    },
+    // fail: a failed node fails the workflow and cancels pending nodes
+    // skip: a failed node skips its dependants, independent branches continue
+    failurePolicy: {
+      type: String,
+      enum: ['fail', 'skip'],
+      default: 'fail'
+    },
+    state: {
+      type: String,
+      enum: ['running', 'completed', 'failed'],
+      default: 'running'
+    },
+    nodes: {
+      type: [workflowNodeSchema],
+      default: []
+    },
+    finishedAt: {
+      type: Date,
+      default: null
+    }
+  }, {
+    timestamps: true,
+    versionKey: false
+  });
+
+  // Index for listing a user's workflows
+  workflowSchema.index({ userId: 1, createdAt: -1 });
+
+  return mongoose.model('Workflow', workflowSchema);
+};
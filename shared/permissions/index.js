@@ -0,0 +1,84 @@
+/**
+ * Permissions
+ * Role-based access control for HTTP routes and Socket.io events.
+ * Shared by the API and notification services.
+ *
+ * A principal is the authenticated caller, { id, username, roles }: the user
+ * loaded by the API's auth middleware, or the access token claims of a socket.
+ */
+
+const ROLES = ['user', 'admin'];
+
+// Roles granted each permission
+const PERMISSIONS = {
+  'users:list': ['admin'],
+  'users:read': ['admin'],
+  'users:create': ['admin'],
+  'users:delete': ['admin'],
+  'users:deactivate': ['admin'],
+  'users:restore': ['admin'],
+  'users:roles': ['admin'],
+  'users:import': ['admin'],
+  'users:export': ['admin'],
+  'queue:admin': ['admin'],
+  'audit:read': ['admin'],
+  'notifications:broadcast': ['admin']
+};
+
+const hasPermission = (principal, permission) =>
+  Boolean(principal) && (PERMISSIONS[permission] || []).some(role => (principal.roles || []).includes(role));
+
+// Check a permission, logging denials with who tried what
+const checkPermission = (principal, permission, action) => {
+  if (hasPermission(principal, permission)) {
+    return true;
+  }
+
+  const actor = principal ? `${principal.username || principal.id} (${principal.id})` : 'anonymous';
+  console.warn(`🚫 Permission denied: ${actor} lacks ${permission} for ${action}`);
+  return false;
+};
+
+/**
+ * Express middleware allowing the request only if req.user has the permission;
+ * responds 403 otherwise. Runs after the service's authentication middleware.
+ */
+const requirePermission = (permission) => (req, res, next) => {
+  if (!checkPermission(req.user, permission, `${req.method} ${req.originalUrl}`)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Permission denied',
+      permission
+    });
+  }
+  next();
+};
+
+/**
+ * Socket.io packet middleware (socket.use) that drops events the socket's user
+ * may not send, given as { event: permission }. The sender gets a
+ * permission_denied event with status 403 instead.
+ */
+const requireSocketPermissions = (socket, eventPermissions) => ([event], next) => {
+  const permission = eventPermissions[event];
+
+  if (!permission || checkPermission(socket.user, permission, `socket event ${event}`)) {
+    return next();
+  }
+
+  socket.emit('permission_denied', {
+    status: 403,
+    event,
+    permission,
+    error: 'Permission denied',
+    timestamp: new Date().toISOString()
+  });
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  hasPermission,
+  requirePermission,
+  requireSocketPermissions
+};
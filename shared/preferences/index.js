@@ -0,0 +1,94 @@
+/**
+ * Notification Preferences
+ * Which notifications a user receives, over which channels and outside which
+ * quiet hours. Shared by the API, which stores them on the user, and the
+ * notification service, which checks them before emitting. The Mongoose schema
+ * is built by ./schema.js.
+ */
+
+// Configurable event types and the event each one governs (timeouts fall under failed)
+const NOTIFICATION_EVENTS = {
+  completed: 'task:completed',
+  failed: 'task:failed',
+  started: 'task:started',
+  cancelled: 'task:cancelled',
+  system: 'system:broadcast'
+};
+
+// Only Socket.io delivers notifications for now; email and webhook channels
+// would need a service sending notifications over them first
+const NOTIFICATION_CHANNELS = ['socket'];
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Quiet hours are a daily HH:MM window, which may run past midnight (22:00-07:00)
+const isValidQuietHours = (quietHours) => quietHours === null || (
+  typeof quietHours === 'object' &&
+  TIME_OF_DAY.test(quietHours.start) &&
+  TIME_OF_DAY.test(quietHours.end) &&
+  quietHours.start !== quietHours.end
+);
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Minutes past midnight of a date in a timezone
+const minutesInTimezone = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const part = (type) => parseInt(parts.find(entry => entry.type === type).value);
+  return part('hour') * 60 + part('minute');
+};
+
+const isWithinQuietHours = (quietHours, timezone, date = new Date()) => {
+  if (!quietHours) {
+    return false;
+  }
+
+  const now = minutesInTimezone(date, timezone || 'UTC');
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+
+  return start < end ? now >= start && now < end : now >= start || now < end;
+};
+
+/**
+ * Whether an event type should be delivered over a channel at the given time.
+ * Notifications held back by quiet hours are dropped, not delivered later.
+ */
+const shouldDeliver = (preferences, type, channel, date = new Date()) => {
+  const event = preferences && preferences.events && preferences.events[type];
+
+  if (!event) {
+    return true;
+  }
+
+  return event.enabled &&
+    event.channels.includes(channel) &&
+    !isWithinQuietHours(event.quietHours, preferences.timezone, date);
+};
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  NOTIFICATION_CHANNELS,
+  TIME_OF_DAY,
+  isValidTimezone,
+  isValidQuietHours,
+  isWithinQuietHours,
+  shouldDeliver
+};
@@ -0,0 +1,37 @@
+// Mongoose schema of a user's notification preferences, built with the mongoose
+// instance of the calling service
+const { NOTIFICATION_EVENTS, NOTIFICATION_CHANNELS, TIME_OF_DAY, isValidTimezone } = require('./index');
+
+module.exports = (mongoose) => {
+  const quietHoursSchema = new mongoose.Schema({
+    start: { type: String, required: true, match: TIME_OF_DAY },
+    end: { type: String, required: true, match: TIME_OF_DAY }
+  }, { _id: false });
+
+  const eventPreferenceSchema = new mongoose.Schema({
+    enabled: { type: Boolean, default: true },
+    channels: {
+      type: [{ type: String, enum: NOTIFICATION_CHANNELS }],
+      default: ['socket']
+    },
+    quietHours: { type: quietHoursSchema, default: null }
+  }, { _id: false });
+
+  const notificationPreferencesSchema = new mongoose.Schema({
+    // IANA timezone the quiet hours are in
+    timezone: {
+      type: String,
+      default: 'UTC',
+      validate: [isValidTimezone, 'Invalid timezone']
+    },
+    events: {
+      type: new mongoose.Schema(Object.fromEntries(Object.keys(NOTIFICATION_EVENTS).map(type => [
+        type,
+        { type: eventPreferenceSchema, default: () => ({}) }
+      ])), { _id: false }),
+      default: () => ({})
+    }
+  }, { _id: false });
+
+  return notificationPreferencesSchema;
+};
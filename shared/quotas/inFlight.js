@@ -0,0 +1,38 @@
+/**
+ * In-flight Jobs
+ * Queued and running jobs per user and task type, counted by the API's
+ * concurrency quota: a Redis sorted set per user and type, scored by expiry.
+ * Shared by the API and the worker, which both queue jobs, and the worker
+ * releases them when they finish. Entries expire after INFLIGHT_TTL in case a
+ * release is missed.
+ */
+
+const INFLIGHT_KEY_PREFIX = 'quota:inflight:';
+const INFLIGHT_TTL = 24 * 3600 * 1000; // 24 hours
+
+// Sorted set of a user's in-flight jobs of one task type
+const inFlightKey = (userId, type) => `${INFLIGHT_KEY_PREFIX}${userId || 'anonymous'}:${type}`;
+
+// Count queued BullMQ jobs against their users' concurrency quotas
+const trackInFlightJobs = async (connection, jobs) => {
+  const pipeline = connection.pipeline();
+  jobs.forEach(job => {
+    pipeline.zadd(inFlightKey(job.data.userId, job.name), Date.now() + (job.opts.delay || 0) + INFLIGHT_TTL, job.id);
+  });
+  await pipeline.exec();
+};
+
+// Release jobs, given as { id, userId, type }, from their users' concurrency quotas
+const releaseInFlightJobs = async (connection, jobs) => {
+  const pipeline = connection.pipeline();
+  jobs.forEach(({ id, userId, type }) => {
+    pipeline.zrem(inFlightKey(userId, type), id);
+  });
+  await pipeline.exec();
+};
+
+module.exports = {
+  inFlightKey,
+  trackInFlightJobs,
+  releaseInFlightJobs
+};
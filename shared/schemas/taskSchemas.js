@@ -0,0 +1,97 @@
+/**
+ * Task Payload Schemas
+ * JSON Schemas for the `data` object of each task type, keyed by task type.
+ * Shared by the API and worker services, which each pass in their own Ajv
+ * and ajv-formats packages.
+ */
+
+module.exports = ({ Ajv, addFormats }) => {
+  const taskSchemas = {
+    email: {
+      title: 'Email',
+      description: 'Send an email to a single recipient',
+      type: 'object',
+      properties: {
+        recipient: { type: 'string', format: 'email', description: 'Recipient email address' },
+        subject: { type: 'string', minLength: 1, maxLength: 200, description: 'Subject line' },
+        body: { type: 'string', maxLength: 100000, description: 'Message body' },
+        cc: { type: 'array', items: { type: 'string', format: 'email' }, maxItems: 50, description: 'Carbon copy recipients' }
+      },
+      required: ['recipient']
+    },
+    report: {
+      title: 'Report',
+      description: 'Generate a report file',
+      type: 'object',
+      properties: {
+        reportType: { type: 'string', minLength: 1, maxLength: 50, description: 'Kind of report to generate' },
+        format: { type: 'string', enum: ['PDF', 'CSV', 'XLSX'], default: 'PDF', description: 'Output file format' },
+        from: { type: 'string', format: 'date-time', description: 'Start of the reporting period' },
+        to: { type: 'string', format: 'date-time', description: 'End of the reporting period' }
+      },
+      required: ['reportType']
+    },
+    dataProcessing: {
+      title: 'Data processing',
+      description: 'Process a batch of records',
+      type: 'object',
+      properties: {
+        batchId: { type: 'string', minLength: 1, maxLength: 100, description: 'Batch identifier' },
+        recordCount: { type: 'integer', minimum: 1, maximum: 1000000, description: 'Number of records in the batch' }
+      },
+      required: ['recordCount']
+    },
+    imageProcessing: {
+      title: 'Image processing',
+      description: 'Apply a sequence of operations to an image',
+      type: 'object',
+      properties: {
+        imageUrl: { type: 'string', format: 'uri', description: 'Source image URL' },
+        operations: {
+          type: 'array',
+          items: { type: 'string', enum: ['resize', 'compress', 'watermark', 'crop', 'rotate', 'grayscale'] },
+          minItems: 1,
+          maxItems: 20,
+          description: 'Operations to apply, in order'
+        },
+        targetWidth: { type: 'integer', minimum: 1, maximum: 10000, description: 'Output width in pixels' },
+        targetHeight: { type: 'integer', minimum: 1, maximum: 10000, description: 'Output height in pixels' }
+      },
+      required: ['imageUrl']
+    }
+  };
+
+  const ajv = new Ajv({ allErrors: true, strict: false });
+  addFormats(ajv);
+
+  const validators = Object.fromEntries(
+    Object.entries(taskSchemas).map(([type, schema]) => [type, ajv.compile(schema)])
+  );
+
+  // Validate a task's data against its type's schema.
+  // Returns field-level errors ([] when valid or when the type has no schema).
+  const validateTaskData = (type, data) => {
+    const validate = validators[type];
+
+    if (!validate || validate(data)) {
+      return [];
+    }
+
+    return validate.errors.map(error => {
+      const field = error.keyword === 'required'
+        ? [error.instancePath.slice(1), error.params.missingProperty].filter(Boolean).join('.')
+        : error.instancePath.slice(1).replace(/\//g, '.');
+
+      return {
+        field,
+        keyword: error.keyword,
+        message: error.keyword === 'required' ? `${field} is required` : `${field || 'data'} ${error.message}`
+      };
+    });
+  };
+
+  return {
+    taskSchemas,
+    validateTaskData
+  };
+};
@@ -0,0 +1,52 @@
+/**
+ * Artifact Storage
+ * Backend for task output files, selected with ARTIFACT_STORAGE (local or s3).
+ * Shared by the API and worker services, which each pass in their own
+ * @aws-sdk/client-s3 package.
+ */
+
+const createLocalStorage = require('./localStorage');
+const createS3Storage = require('./s3Storage');
+
+module.exports = (s3) => {
+  const STORAGE_BACKENDS = {
+    local: () => createLocalStorage({
+      directory: process.env.ARTIFACT_STORAGE_DIR || '/data/artifacts'
+    }),
+    s3: () => createS3Storage(s3, {
+      bucket: process.env.S3_BUCKET || 'task-artifacts',
+      endpoint: process.env.S3_ENDPOINT,
+      region: process.env.S3_REGION || 'us-east-1',
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+    })
+  };
+
+  // Artifact names are single path segments, e.g. "report.pdf"
+  const ARTIFACT_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,99}$/;
+
+  // Storage key of a task artifact
+  const artifactKey = (taskId, name) => `tasks/${taskId}/${name}`;
+
+  let storage = null;
+
+  const getStorage = () => {
+    if (!storage) {
+      const backend = process.env.ARTIFACT_STORAGE || 'local';
+
+      if (!STORAGE_BACKENDS[backend]) {
+        throw new Error(`Unknown ARTIFACT_STORAGE backend: ${backend}`);
+      }
+
+      storage = STORAGE_BACKENDS[backend]();
+    }
+    return storage;
+  };
+
+  return {
+    getStorage,
+    artifactKey,
+    ARTIFACT_NAME_PATTERN
+  };
+};
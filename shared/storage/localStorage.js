@@ -0,0 +1,49 @@
+const fs = require('fs');
+const path = require('path');
+
+// Filesystem backend; the directory is a volume shared by the API and workers
+const createLocalStorage = ({ directory }) => {
+  const root = path.resolve(directory);
+
+  // Resolve a key inside the storage directory, rejecting keys that escape it
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async putObject(key, body) {
+      const filePath = resolveKey(key);
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      // Write then rename so readers never see a partial file
+      await fs.promises.writeFile(tempPath, body);
+      await fs.promises.rename(tempPath, filePath);
+    },
+
+    // Readable stream of the object, or null if it does not exist
+    async getObjectStream(key) {
+      const filePath = resolveKey(key);
+
+      try {
+        await fs.promises.access(filePath, fs.constants.R_OK);
+      } catch (error) {
+        return null;
+      }
+
+      return fs.createReadStream(filePath);
+    },
+
+    async deleteObject(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    }
+  };
+};
+
+module.exports = createLocalStorage;
@@ -0,0 +1,66 @@
+// S3-compatible backend (AWS S3, or MinIO locally with forcePathStyle), built
+// with the @aws-sdk/client-s3 package of the calling service
+const createS3Storage = (s3, { bucket, endpoint, region, accessKeyId, secretAccessKey, forcePathStyle }) => {
+  const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand,
+    HeadBucketCommand,
+    CreateBucketCommand
+  } = s3;
+
+  const client = new S3Client({
+    region,
+    ...(endpoint && { endpoint }),
+    forcePathStyle,
+    ...(accessKeyId && { credentials: { accessKeyId, secretAccessKey } })
+  });
+
+  // Create the bucket on first use if it is missing (local stand-ins start empty)
+  let bucketReady = null;
+  const ensureBucket = () => {
+    if (!bucketReady) {
+      bucketReady = client.send(new HeadBucketCommand({ Bucket: bucket }))
+        .catch(() => client.send(new CreateBucketCommand({ Bucket: bucket })))
+        .catch(error => {
+          bucketReady = null;
+          throw error;
+        });
+    }
+    return bucketReady;
+  };
+
+  return {
+    name: 's3',
+
+    async putObject(key, body, contentType) {
+      await ensureBucket();
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType
+      }));
+    },
+
+    // Readable stream of the object, or null if it does not exist
+    async getObjectStream(key) {
+      try {
+        const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return response.Body;
+      } catch (error) {
+        if (error.name === 'NoSuchKey' || error.name === 'NotFound') {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async deleteObject(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+};
+
+module.exports = createS3Storage;
@@ -0,0 +1,39 @@
+/**
+ * Task Secrets
+ * Values an email task has to send, such as verification tokens, that must not
+ * be stored with the job or its task history, or logged. The API keeps the value
+ * in Redis under a random reference for as long as it is valid, queues the task
+ * with that reference as job.data.secretRef and SECRET_PLACEHOLDER in the body.
+ * The worker puts the value into the outgoing email and deletes it once sent.
+ * Shared by the API and worker services.
+ */
+
+const crypto = require('crypto');
+
+const SECRET_KEY_PREFIX = 'task:secret:';
+const SECRET_PLACEHOLDER = '{{secret}}';
+
+const secretKey = (ref) => `${SECRET_KEY_PREFIX}${ref}`;
+
+// Store a secret for ttlSeconds and return its reference
+const storeTaskSecret = async (connection, value, ttlSeconds) => {
+  const ref = crypto.randomBytes(16).toString('hex');
+  await connection.set(secretKey(ref), value, 'EX', ttlSeconds);
+  return ref;
+};
+
+// The stored secret, or null once it has expired or been used
+const readTaskSecret = (connection, ref) => connection.get(secretKey(ref));
+
+const deleteTaskSecret = (connection, ref) => connection.del(secretKey(ref));
+
+// Text with every placeholder replaced by the secret
+const fillTaskSecret = (text, secret) => text.split(SECRET_PLACEHOLDER).join(secret);
+
+module.exports = {
+  SECRET_PLACEHOLDER,
+  storeTaskSecret,
+  readTaskSecret,
+  deleteTaskSecret,
+  fillTaskSecret
+};
@@ -0,0 +1,104 @@
+/**
+ * Workflow Settlement
+ * Records workflow nodes that will not complete and applies the workflow's
+ * failure policy. Shared by the worker, for nodes that fail or are cancelled
+ * while running, and the API, for queued nodes that are cancelled or drained;
+ * each passes in its own Workflow model.
+ */
+
+// Node states after which a node will not change again
+const TERMINAL_NODE_STATES = ['completed', 'failed', 'skipped', 'cancelled'];
+
+// All transitive dependants of a node
+const collectDependants = (nodes, nodeKey) => {
+  const dependants = new Set();
+  const pending = [nodeKey];
+
+  while (pending.length > 0) {
+    const current = pending.pop();
+    nodes
+      .filter(node => node.dependsOn.includes(current) && !dependants.has(node.key))
+      .forEach(node => {
+        dependants.add(node.key);
+        pending.push(node.key);
+      });
+  }
+
+  return Array.from(dependants);
+};
+
+module.exports = (Workflow) => {
+  // Mark the workflow finished once every node has reached a terminal state
+  const finalizeWorkflow = async (workflowId) => {
+    const workflow = await Workflow.findById(workflowId);
+
+    if (!workflow || workflow.state !== 'running') {
+      return;
+    }
+
+    if (!workflow.nodes.every(node => TERMINAL_NODE_STATES.includes(node.state))) {
+      return;
+    }
+
+    const state = workflow.nodes.every(node => node.state === 'completed') ? 'completed' : 'failed';
+
+    await Workflow.updateOne(
+      { _id: workflowId, state: 'running' },
+      { $set: { state, finishedAt: new Date() } }
+    );
+
+    console.log(`🧩 Workflow ${workflowId} ${state}`);
+  };
+
+  // Record a node that failed or was cancelled and apply the failure policy
+  const settleWorkflowNode = async (workflowId, nodeKey, reason, state = 'failed') => {
+    try {
+      const workflow = await Workflow.findOneAndUpdate(
+        { _id: workflowId, 'nodes.key': nodeKey },
+        {
+          $set: {
+            'nodes.$.state': state,
+            'nodes.$.failedReason': reason,
+            'nodes.$.finishedAt': new Date()
+          }
+        },
+        { new: true }
+      );
+
+      if (!workflow || workflow.state !== 'running') {
+        return;
+      }
+
+      if (workflow.failurePolicy === 'skip') {
+        // Skip everything downstream of the failed node, other branches continue
+        const dependants = collectDependants(workflow.nodes, nodeKey);
+
+        if (dependants.length > 0) {
+          await Workflow.updateOne(
+            { _id: workflowId },
+            { $set: { 'nodes.$[node].state': 'skipped' } },
+            { arrayFilters: [{ 'node.key': { $in: dependants }, 'node.state': 'pending' }] }
+          );
+        }
+
+        await finalizeWorkflow(workflowId);
+      } else {
+        // Fail the whole workflow, nodes already queued or active run to completion
+        await Workflow.updateOne(
+          { _id: workflowId, state: 'running' },
+          { $set: { state: 'failed', finishedAt: new Date(), 'nodes.$[node].state': 'cancelled' } },
+          { arrayFilters: [{ 'node.state': 'pending' }] }
+        );
+
+        console.log(`🧩 Workflow ${workflowId} failed at ${nodeKey}`);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to record workflow ${workflowId} failure at ${nodeKey}:`, error.message);
+    }
+  };
+
+  return {
+    finalizeWorkflow,
+    settleWorkflowNode
+  };
+};
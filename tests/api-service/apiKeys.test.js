@@ -0,0 +1,145 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { loadApi, serveRoutes } = require('../helpers/api');
+const { request } = require('../helpers/http');
+const { query } = require('../helpers/mongo');
+const { load } = require('../helpers/modules');
+
+const { bullmq } = loadApi();
+const User = load('api-service/models/User');
+const ApiKey = load('api-service/models/ApiKey');
+const Task = load('api-service/models/Task');
+const AuditEvent = load('api-service/models/AuditEvent');
+const { issueTokens } = load('api-service/auth/tokens');
+const { requireScope, requireSession } = load('api-service/middleware/scopes');
+
+const alice = User.hydrate({ _id: new User()._id, username: 'alice', email: 'alice@example.com', name: 'Alice', roles: ['user'], emailVerified: true, isActive: true, deletedAt: null });
+
+let server;
+let session;
+let keys;
+
+before(async () => {
+  server = await serveRoutes(
+    ['/api/users/:id/api-keys', 'api-service/middleware/auth', requireSession, 'api-service/routes/apiKeys'],
+    ['/api/tasks', 'api-service/middleware/auth', requireScope('tasks'), 'api-service/routes/tasks']
+  );
+  session = { Authorization: `Bearer ${(await issueTokens(alice)).accessToken}` };
+});
+
+after(() => server.close());
+
+const matches = (doc, filter) => Object.entries(filter).every(([field, value]) => String(doc[field]) === String(value));
+
+beforeEach((t) => {
+  bullmq.Queue.reset();
+  keys = [];
+  t.mock.method(User, 'findById', async (id) => (String(id) === alice.id ? alice : null));
+  t.mock.method(ApiKey.collection, 'insertOne', async (doc) => {
+    keys.push(ApiKey.hydrate(doc));
+    return { acknowledged: true };
+  });
+  t.mock.method(ApiKey.collection, 'updateOne', async () => ({ acknowledged: true }));
+  t.mock.method(ApiKey, 'countDocuments', async () => keys.length);
+  t.mock.method(ApiKey, 'find', () => query(keys));
+  t.mock.method(ApiKey, 'findOne', async (filter) => keys.find(key => matches(key, filter)) || null);
+  t.mock.method(ApiKey, 'updateOne', async (filter, update) => {
+    keys.find(key => key.id === String(filter._id)).lastUsedAt = update.$set.lastUsedAt;
+    return {};
+  });
+  t.mock.method(AuditEvent, 'create', async (fields) => fields);
+  t.mock.method(Task, 'insertMany', async () => []);
+  t.mock.method(Task, 'find', () => query([]));
+  t.mock.method(Task, 'countDocuments', async () => 0);
+});
+
+const createKey = async (body = {}) => {
+  const res = await request(server.url, 'POST', `/api/users/${alice.id}/api-keys`, { headers: session, body: { label: 'nightly export', ...body } });
+  assert.equal(res.status, 201);
+  return res.body;
+};
+
+const report = { type: 'report', data: { reportType: 'sales' } };
+
+test('a new key is returned once and only its hash is stored', async () => {
+  const { key, apiKey } = await createKey({ scopes: ['tasks:write'] });
+
+  assert.match(key, /^tq_[\w-]{43}$/);
+  assert.equal(apiKey.prefix, key.slice(0, 11));
+  assert.equal(keys[0].keyHash, crypto.createHash('sha256').update(key).digest('hex'));
+  assert.ok(!JSON.stringify(keys[0].toObject()).includes(key));
+
+  const listed = await request(server.url, 'GET', `/api/users/${alice.id}/api-keys`, { headers: session });
+  assert.deepEqual(listed.body.apiKeys.map(({ label, scopes, status }) => ({ label, scopes, status })), [
+    { label: 'nightly export', scopes: ['tasks:write'], status: 'active' }
+  ]);
+  assert.ok(!JSON.stringify(listed.body).includes(key.slice(11)));
+  assert.equal(listed.body.apiKeys[0].keyHash, undefined);
+});
+
+test('tasks submitted with X-API-Key belong to the key\'s user and record its use', async () => {
+  const { key } = await createKey();
+
+  const first = await request(server.url, 'POST', '/api/tasks', { headers: { 'X-API-Key': key }, body: report });
+  const second = await request(server.url, 'POST', '/api/tasks', { headers: { 'X-API-Key': key }, body: report });
+
+  assert.equal(first.status, 201);
+  assert.equal(second.status, 201);
+  assert.deepEqual(bullmq.Queue.jobs('tasks-report').map(job => job.data.userId), [alice.id, alice.id]);
+  // lastUsedAt is written at most once a minute
+  assert.equal(ApiKey.updateOne.mock.callCount(), 1);
+  assert.ok(keys[0].lastUsedAt instanceof Date);
+});
+
+test('scoped keys can only do what their scopes allow', async () => {
+  const { key } = await createKey({ scopes: ['tasks:read'] });
+
+  const read = await request(server.url, 'GET', '/api/tasks', { headers: { 'X-API-Key': key } });
+  const write = await request(server.url, 'POST', '/api/tasks', { headers: { 'X-API-Key': key }, body: report });
+
+  assert.equal(read.status, 200);
+  assert.equal(write.status, 403);
+  assert.equal(write.body.error, 'API key is missing the tasks:write scope');
+});
+
+test('revoked, expired and unknown keys are refused', async () => {
+  const { key, apiKey } = await createKey({ expiresAt: new Date(Date.now() + 60000).toISOString() });
+  const { key: expiredKey } = await createKey();
+  keys[1].expiresAt = new Date(Date.now() - 1000);
+
+  const revoked = await request(server.url, 'DELETE', `/api/users/${alice.id}/api-keys/${apiKey.id}`, { headers: session });
+
+  assert.equal(revoked.body.apiKey.status, 'revoked');
+  assert.equal((await request(server.url, 'GET', '/api/tasks', { headers: { 'X-API-Key': key } })).status, 401);
+  assert.equal((await request(server.url, 'GET', '/api/tasks', { headers: { 'X-API-Key': expiredKey } })).body.error, 'API key has expired');
+  assert.equal((await request(server.url, 'GET', '/api/tasks', { headers: { 'X-API-Key': 'tq_unknown' } })).status, 401);
+});
+
+test('keys can be relabelled by their user', async () => {
+  const { apiKey } = await createKey();
+
+  const res = await request(server.url, 'PATCH', `/api/users/${alice.id}/api-keys/${apiKey.id}`, { headers: session, body: { label: 'ci' } });
+
+  assert.equal(res.status, 200);
+  assert.equal(keys[0].label, 'ci');
+});
+
+test('API keys cannot manage API keys, nor users other than their own', async () => {
+  const { key } = await createKey();
+
+  const byKey = await request(server.url, 'POST', `/api/users/${alice.id}/api-keys`, { headers: { 'X-API-Key': key }, body: { label: 'more' } });
+  const otherUser = await request(server.url, 'GET', `/api/users/${new User()._id}/api-keys`, { headers: session });
+
+  assert.equal(byKey.status, 403);
+  assert.equal(otherUser.status, 403);
+});
+
+test('keys need known scopes and a future expiry', async () => {
+  const invalid = [{ scopes: ['admin'] }, { expiresAt: new Date(Date.now() - 1000).toISOString() }, { label: '' }];
+
+  for (const body of invalid) {
+    const res = await request(server.url, 'POST', `/api/users/${alice.id}/api-keys`, { headers: session, body: { label: 'x', ...body } });
+    assert.equal(res.status, 400, JSON.stringify(body));
+  }
+});
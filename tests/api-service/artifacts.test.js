@@ -0,0 +1,107 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadApi, serveRouter } = require('../helpers/api');
+const { request } = require('../helpers/http');
+const { query } = require('../helpers/mongo');
+const { load, stubModule } = require('../helpers/modules');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'artifacts-'));
+process.env.ARTIFACT_STORAGE_DIR = storageDir;
+process.env.ARTIFACT_SIGNING_SECRET = 'artifact-secret';
+
+loadApi();
+// Requests already carry their user; ownership is checked against task history
+stubModule('api-service/middleware/auth', (req, res, next) => next());
+const Task = load('api-service/models/Task');
+const Artifact = load('api-service/models/Artifact');
+const { getStorage } = load('api-service/storage');
+
+const CSV = 'region,total\nnorth,42\n';
+
+const artifact = {
+  taskId: 'task-1',
+  name: 'report.csv',
+  key: 'tasks/task-1/report.csv',
+  contentType: 'text/csv',
+  size: Buffer.byteLength(CSV)
+};
+
+let server;
+
+before(async () => {
+  await getStorage().putObject(artifact.key, CSV);
+  server = await serveRouter('/api/tasks/:id/artifacts', 'api-service/routes/artifacts');
+});
+
+after(async () => {
+  await server.close();
+  fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+beforeEach((t) => {
+  t.mock.method(Task, 'findOne', () => query({ userId: 'user-1' }));
+  t.mock.method(Artifact, 'find', () => query([artifact]));
+  t.mock.method(Artifact, 'findOne', async (filter) => (filter.name === artifact.name ? artifact : null));
+});
+
+const signedLink = async () => {
+  const res = await request(server.url, 'GET', '/api/tasks/task-1/artifacts');
+  return res.body.artifacts[0];
+};
+
+test('GET /api/tasks/:id/artifacts lists artifacts with signed, expiring links', async () => {
+  const listed = await signedLink();
+
+  assert.equal(listed.name, 'report.csv');
+  assert.equal(listed.contentType, 'text/csv');
+  assert.match(listed.downloadUrl, /^\/api\/tasks\/task-1\/artifacts\/report\.csv\?expires=\d+&signature=[0-9a-f]{64}$/);
+  const ttl = Date.parse(listed.downloadUrlExpiresAt) - Date.now();
+  assert.ok(ttl > 14 * 60 * 1000 && ttl <= 15 * 60 * 1000);
+});
+
+test('a signed link downloads the artifact with its content type', async () => {
+  const { downloadUrl } = await signedLink();
+
+  const res = await request(server.url, 'GET', downloadUrl);
+
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('content-type'), 'text/csv; charset=utf-8');
+  assert.equal(res.headers.get('content-disposition'), 'attachment; filename="report.csv"');
+  assert.equal(res.body, CSV);
+});
+
+test('the owner\'s unsigned download is redirected to a signed link', async () => {
+  const res = await fetch(`${server.url}/api/tasks/task-1/artifacts/report.csv`, { redirect: 'manual' });
+
+  assert.equal(res.status, 302);
+  assert.match(res.headers.get('location'), /\?expires=\d+&signature=[0-9a-f]{64}$/);
+});
+
+test('signed links work without the owner, unsigned requests do not', async (t) => {
+  const { downloadUrl } = await signedLink();
+  t.mock.method(Task, 'findOne', () => query({ userId: 'user-2' }));
+
+  assert.equal((await request(server.url, 'GET', '/api/tasks/task-1/artifacts/report.csv')).status, 404);
+  assert.equal((await request(server.url, 'GET', downloadUrl)).status, 200);
+});
+
+test('tampered and expired links are refused', async () => {
+  const { downloadUrl } = await signedLink();
+  const tampered = downloadUrl.replace(/signature=./, (match) => `signature=${match.endsWith('0') ? '1' : '0'}`);
+  const expires = Math.floor(Date.now() / 1000) - 1;
+  const expired = `/api/tasks/task-1/artifacts/report.csv?expires=${expires}&signature=${'0'.repeat(64)}`;
+  const otherName = downloadUrl.replace('report.csv', 'other.csv');
+
+  assert.equal((await request(server.url, 'GET', tampered)).status, 403);
+  assert.equal((await request(server.url, 'GET', expired)).status, 403);
+  assert.equal((await request(server.url, 'GET', otherName)).status, 403);
+});
+
+test('artifact names must be single path segments', async () => {
+  const res = await request(server.url, 'GET', '/api/tasks/task-1/artifacts/..%2Fsecret');
+
+  assert.equal(res.status, 400);
+});
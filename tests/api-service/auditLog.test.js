@@ -0,0 +1,123 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApi, apiUser, serveRouter, serveRoutes } = require('../helpers/api');
+const { request } = require('../helpers/http');
+const { query } = require('../helpers/mongo');
+const { load } = require('../helpers/modules');
+
+loadApi();
+const User = load('api-service/models/User');
+const AuditEvent = load('api-service/models/AuditEvent');
+const { snapshot, diffChanges } = load('api-service/audit');
+
+const aliceId = new User()._id;
+
+let users;
+let auditor;
+let member;
+let alice;
+
+// Signed in as alice through an API key, with request IDs as server.js assigns them
+const asAlice = (req, res, next) => {
+  req.user = apiUser({ id: aliceId.toHexString() });
+  req.apiKey = { id: 'key-1' };
+  next();
+};
+
+before(async () => {
+  users = await serveRoutes(['/api/users', 'api-service/middleware/requestId', asAlice, 'api-service/routes/users']);
+  auditor = await serveRouter('/api/audit', 'api-service/routes/audit', apiUser({ roles: ['admin'] }));
+  member = await serveRouter('/api/audit', 'api-service/routes/audit');
+});
+
+after(() => Promise.all([users.close(), auditor.close(), member.close()]));
+
+beforeEach((t) => {
+  alice = User.hydrate({ _id: aliceId, username: 'alice', email: 'alice@example.com', name: 'Alice', isActive: true, deletedAt: null });
+  t.mock.method(User, 'findOne', () => query(alice));
+  t.mock.method(User.collection, 'updateOne', async () => ({ acknowledged: true }));
+  t.mock.method(AuditEvent, 'create', async (fields) => fields);
+});
+
+test('user updates record who changed which fields, from which request', async () => {
+  const res = await request(users.url, 'PATCH', `/api/users/${aliceId}`, {
+    headers: { 'X-Request-ID': 'req-42' },
+    body: { name: 'Alice Liddell', notificationsEnabled: true }
+  });
+
+  assert.equal(res.status, 200);
+  const [event] = AuditEvent.create.mock.calls.map(call => call.arguments[0]);
+  assert.equal(event.action, 'user.update');
+  assert.deepEqual(event.actor, { kind: 'user', id: aliceId.toHexString(), name: 'alice', apiKeyId: 'key-1' });
+  assert.deepEqual(event.target, { kind: 'user', id: aliceId.toHexString(), name: 'alice' });
+  assert.deepEqual(event.changes, [{ field: 'name', before: 'Alice', after: 'Alice Liddell' }]);
+  assert.equal(event.outcome, 'success');
+  assert.equal(event.requestId, 'req-42');
+});
+
+test('a failing audit log never fails the audited action', async (t) => {
+  AuditEvent.create.mock.mockImplementation(async () => {
+    throw new Error('audit store unavailable');
+  });
+  const errors = t.mock.method(console, 'error', () => {});
+
+  const res = await request(users.url, 'PATCH', `/api/users/${aliceId}`, { body: { name: 'Alice Liddell' } });
+
+  assert.equal(res.status, 200);
+  assert.equal(User.collection.updateOne.mock.callCount(), 1);
+  assert.match(errors.mock.calls[0].arguments[0], /Failed to record audit event user.update/);
+});
+
+test('audit events are append-only', async (t) => {
+  t.mock.method(AuditEvent.collection, 'insertOne', async () => ({ acknowledged: true }));
+  const stored = AuditEvent.hydrate({ _id: new AuditEvent()._id, action: 'user.update', actor: { kind: 'system' } });
+  stored.action = 'user.delete';
+
+  await new AuditEvent({ action: 'user.update', actor: { kind: 'system' } }).save();
+  await assert.rejects(stored.save(), /append-only/);
+  await assert.rejects(AuditEvent.updateOne({}, { action: 'user.delete' }), /append-only/);
+  await assert.rejects(AuditEvent.findOneAndUpdate({}, { action: 'user.delete' }), /append-only/);
+  assert.equal(AuditEvent.collection.insertOne.mock.callCount(), 1);
+});
+
+test('snapshots and diffs compare nested values, such as notification preferences', () => {
+  const before = snapshot(alice, ['name', 'notificationPreferences']);
+  alice.notificationPreferences.events.completed.enabled = false;
+  const after = snapshot(alice, ['name', 'notificationPreferences']);
+
+  const changes = diffChanges(before, after);
+
+  assert.deepEqual(changes.map(change => change.field), ['notificationPreferences']);
+  assert.equal(changes[0].before.events.completed.enabled, true);
+  assert.equal(changes[0].after.events.completed.enabled, false);
+  assert.deepEqual(diffChanges(after, snapshot(alice, ['name', 'notificationPreferences'])), []);
+});
+
+test('GET /api/audit is for admins and filters by actor, target, action and time range', async (t) => {
+  const event = new AuditEvent({ action: 'queue.pause', actor: { kind: 'adminKey', name: 'ops' }, target: { kind: 'queue', id: 'report' } });
+  const find = t.mock.method(AuditEvent, 'find', () => query([event]));
+  t.mock.method(AuditEvent, 'countDocuments', async () => 41);
+
+  const denied = await request(member.url, 'GET', '/api/audit');
+  const res = await request(auditor.url, 'GET', '/api/audit?actor=ops&action=queue.pause&targetType=queue&targetId=report&from=2026-01-01&to=2026-02-01&page=2&limit=20');
+
+  assert.equal(denied.status, 403);
+  assert.equal(res.status, 200);
+  assert.deepEqual(find.mock.calls[0].arguments[0], {
+    $or: [{ 'actor.id': 'ops' }, { 'actor.name': 'ops' }],
+    action: 'queue.pause',
+    'target.kind': 'queue',
+    'target.id': 'report',
+    createdAt: { $gte: new Date('2026-01-01'), $lte: new Date('2026-02-01') }
+  });
+  assert.deepEqual(find.mock.calls[0].result.calls, [['sort', [{ createdAt: -1, _id: -1 }]], ['skip', [20]], ['limit', [20]]]);
+  assert.equal(res.body.events[0].actor.name, 'ops');
+  assert.deepEqual(res.body.pagination, { page: 2, limit: 20, total: 41, totalPages: 3 });
+});
+
+test('GET /api/audit rejects unknown actions, target types and dates', async () => {
+  for (const params of ['action=user.dance', 'targetType=planet', 'from=yesterday', 'limit=500']) {
+    const res = await request(auditor.url, 'GET', `/api/audit?${params}`);
+    assert.equal(res.status, 400, params);
+  }
+});
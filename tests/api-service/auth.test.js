@@ -0,0 +1,164 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApi, serveRoutes } = require('../helpers/api');
+const { request } = require('../helpers/http');
+const { query } = require('../helpers/mongo');
+const { load, loadPackage } = require('../helpers/modules');
+
+const { bullmq, redis } = loadApi();
+const bcrypt = loadPackage('api-service', 'bcryptjs');
+const User = load('api-service/models/User');
+const Task = load('api-service/models/Task');
+const AuditEvent = load('api-service/models/AuditEvent');
+
+const PASSWORD = 'correct horse battery';
+const HASH = bcrypt.hashSync(PASSWORD, 4);
+
+let server;
+let users;
+
+before(async () => {
+  server = await serveRoutes(
+    ['/api/auth', 'api-service/routes/auth'],
+    ['/api/tasks', 'api-service/middleware/auth', 'api-service/routes/tasks']
+  );
+});
+
+after(() => server.close());
+
+// A stored user, as MongoDB would return it
+const storedUser = (fields = {}) => User.hydrate({
+  _id: new User()._id,
+  username: 'alice',
+  email: 'alice@example.com',
+  name: 'Alice',
+  password: HASH,
+  roles: ['user'],
+  emailVerified: true,
+  isActive: true,
+  deletedAt: null,
+  ...fields
+});
+
+const matches = (user, filter) => filter.$or.some(condition =>
+  Object.entries(condition).every(([field, value]) => user[field] === value));
+
+beforeEach((t) => {
+  bullmq.Queue.reset();
+  users = [storedUser()];
+  t.mock.method(User, 'findOne', (filter) => query(users.find(user => matches(user, filter)) || null));
+  t.mock.method(User, 'findById', async (id) => users.find(user => user.id === String(id)) || null);
+  t.mock.method(User.collection, 'insertOne', async () => ({ acknowledged: true }));
+  t.mock.method(User.collection, 'updateOne', async () => ({ acknowledged: true }));
+  t.mock.method(AuditEvent, 'create', async (fields) => fields);
+  t.mock.method(Task, 'insertMany', async () => []);
+});
+
+const login = (password = PASSWORD, name = 'alice') => request(server.url, 'POST', '/api/auth/login', { body: { login: name, password } });
+
+const bearer = (tokens) => ({ Authorization: `Bearer ${tokens.accessToken}` });
+
+test('registering stores a hashed password and signs the new user in', async () => {
+  const res = await request(server.url, 'POST', '/api/auth/register', {
+    body: { username: 'bob', email: 'Bob@Example.com', password: PASSWORD }
+  });
+
+  assert.equal(res.status, 201);
+  assert.equal(res.body.user.username, 'bob');
+  assert.equal(res.body.user.email, 'bob@example.com');
+  assert.equal(res.body.user.password, undefined);
+  assert.equal(res.body.tokens.tokenType, 'Bearer');
+  const [stored] = User.collection.insertOne.mock.calls[0].arguments;
+  assert.match(stored.password, /^\$2[aby]\$12\$/);
+  assert.ok(await bcrypt.compare(PASSWORD, stored.password));
+});
+
+test('registering an existing username or email is a conflict', async () => {
+  const res = await request(server.url, 'POST', '/api/auth/register', {
+    body: { username: 'alice', email: 'other@example.com', password: PASSWORD }
+  });
+
+  assert.equal(res.status, 409);
+  assert.equal(User.collection.insertOne.mock.callCount(), 0);
+});
+
+test('logging in with a wrong password is refused and audited', async () => {
+  const res = await login('wrong password');
+
+  assert.equal(res.status, 401);
+  assert.equal(res.body.tokens, undefined);
+  const [audit] = AuditEvent.create.mock.calls.map(call => call.arguments[0]);
+  assert.equal(audit.action, 'auth.login_failed');
+  assert.equal(audit.outcome, 'failure');
+});
+
+test('users log in with their email address as they typed it at registration', async () => {
+  const registered = await request(server.url, 'POST', '/api/auth/register', {
+    body: { username: 'john', email: 'John.Doe+tasks@gmail.com', password: PASSWORD }
+  });
+  const [stored] = User.collection.insertOne.mock.calls[0].arguments;
+  users.push(storedUser({ _id: stored._id, username: 'john', email: stored.email }));
+
+  const byEmail = await login(PASSWORD, 'John.Doe+tasks@gmail.com');
+  const byOtherSpelling = await login(PASSWORD, 'johndoe@GMAIL.com');
+
+  assert.equal(registered.status, 201);
+  assert.equal(stored.email, 'johndoe@gmail.com');
+  assert.equal(byEmail.status, 200);
+  assert.equal(byEmail.body.user.username, 'john');
+  assert.equal(byOtherSpelling.status, 200);
+});
+
+test('deactivated users cannot log in', async () => {
+  users = [storedUser({ isActive: false })];
+
+  assert.equal((await login()).status, 401);
+});
+
+test('tasks are owned by the signed-in user, whatever the body says', async () => {
+  const { body: { tokens } } = await login();
+
+  const res = await request(server.url, 'POST', '/api/tasks', {
+    headers: bearer(tokens),
+    body: { type: 'report', data: { reportType: 'sales' }, userId: 'mallory' }
+  });
+
+  assert.equal(res.status, 201);
+  assert.equal(bullmq.Queue.jobs('tasks-report')[0].data.userId, users[0].id);
+});
+
+test('task routes need a valid access token', async () => {
+  const { body: { tokens } } = await login();
+  const missing = await request(server.url, 'GET', '/api/tasks');
+  const refreshAsAccess = await request(server.url, 'GET', '/api/tasks', { headers: { Authorization: `Bearer ${tokens.refreshToken}` } });
+  const tampered = await request(server.url, 'GET', '/api/tasks', { headers: { Authorization: `Bearer ${tokens.accessToken}x` } });
+
+  assert.equal(missing.status, 401);
+  assert.equal(refreshAsAccess.status, 401);
+  assert.equal(tampered.status, 401);
+});
+
+test('refresh tokens are single use', async () => {
+  const { body: { tokens } } = await login();
+
+  const first = await request(server.url, 'POST', '/api/auth/refresh', { body: { refreshToken: tokens.refreshToken } });
+  const replay = await request(server.url, 'POST', '/api/auth/refresh', { body: { refreshToken: tokens.refreshToken } });
+
+  assert.equal(first.status, 200);
+  assert.notEqual(first.body.tokens.refreshToken, tokens.refreshToken);
+  assert.equal(replay.status, 401);
+});
+
+test('logging out revokes both the access and the refresh token', async (t) => {
+  t.mock.method(Task, 'find', () => query([]));
+  t.mock.method(Task, 'countDocuments', async () => 0);
+  const { body: { tokens } } = await login();
+  assert.equal((await request(server.url, 'GET', '/api/tasks', { headers: bearer(tokens) })).status, 200);
+
+  const res = await request(server.url, 'POST', '/api/auth/logout', { headers: bearer(tokens), body: { refreshToken: tokens.refreshToken } });
+
+  assert.equal(res.status, 200);
+  assert.equal((await request(server.url, 'GET', '/api/tasks', { headers: bearer(tokens) })).status, 401);
+  assert.equal((await request(server.url, 'POST', '/api/auth/refresh', { body: { refreshToken: tokens.refreshToken } })).status, 401);
+  assert.ok([...redis.ttls.entries()].some(([key, ttl]) => key.startsWith('auth:revoked:') && ttl > 0 && ttl <= 15 * 60));
+});
@@ -0,0 +1,79 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApi, serveRouter } = require('../helpers/api');
+const { request } = require('../helpers/http');
+const { load } = require('../helpers/modules');
+
+const { bullmq } = loadApi();
+const Task = load('api-service/models/Task');
+
+let server;
+
+before(async () => {
+  server = await serveRouter('/api/tasks', 'api-service/routes/tasks');
+});
+
+after(() => server.close());
+
+beforeEach((t) => {
+  bullmq.Queue.reset();
+  t.mock.method(Task, 'insertMany', async () => []);
+});
+
+const email = (recipient, fields = {}) => ({ type: 'email', data: { recipient }, ...fields });
+
+test('every valid item is queued, in order, with 201', async () => {
+  const res = await request(server.url, 'POST', '/api/tasks/bulk', {
+    body: { tasks: [email('a@example.com'), { type: 'report', data: { reportType: 'sales' } }, email('b@example.com', { delay: 60000 })] }
+  });
+
+  assert.equal(res.status, 201);
+  assert.deepEqual(res.body.summary, { total: 3, accepted: 3, rejected: 0 });
+  const emails = bullmq.Queue.jobs('tasks-email');
+  assert.deepEqual(emails.map(job => job.data.data.recipient), ['a@example.com', 'b@example.com']);
+  assert.deepEqual(res.body.results.map(result => result.task.id), [emails[0].id, bullmq.Queue.jobs('tasks-report')[0].id, emails[1].id]);
+  assert.equal(res.body.results[2].task.status, 'scheduled');
+});
+
+test('invalid items are reported per index while the rest are queued with 207', async () => {
+  const res = await request(server.url, 'POST', '/api/tasks/bulk', {
+    body: {
+      tasks: [
+        email('a@example.com'),
+        email('not-an-address'),
+        { type: 'fax', data: {} },
+        email('b@example.com', { repeat: { every: 60000 } })
+      ]
+    }
+  });
+
+  assert.equal(res.status, 207);
+  assert.deepEqual(res.body.summary, { total: 4, accepted: 1, rejected: 3 });
+  assert.equal(res.body.results[0].success, true);
+  assert.deepEqual(res.body.results[1].errors.map(error => error.path), ['data.recipient']);
+  assert.ok(res.body.results[2].errors.some(error => error.path === 'type'));
+  assert.ok(res.body.results[3].errors.some(error => error.msg === 'Recurring tasks cannot be submitted in bulk'));
+  assert.equal(bullmq.Queue.jobs('tasks-email').length, 1);
+});
+
+test('a batch without a single valid item answers 400 and queues nothing', async () => {
+  const res = await request(server.url, 'POST', '/api/tasks/bulk', { body: { tasks: [email('nope'), email('')] } });
+
+  assert.equal(res.status, 400);
+  assert.equal(res.body.success, false);
+  assert.deepEqual(bullmq.Queue.jobs('tasks-email'), []);
+});
+
+test('the batch must be a non-empty array', async () => {
+  for (const tasks of [[], 'email', undefined]) {
+    const res = await request(server.url, 'POST', '/api/tasks/bulk', { body: { tasks } });
+    assert.equal(res.status, 400);
+  }
+});
+
+test('items record their history in one write', async () => {
+  await request(server.url, 'POST', '/api/tasks/bulk', { body: { tasks: [email('a@example.com'), email('b@example.com')] } });
+
+  assert.equal(Task.insertMany.mock.callCount(), 1);
+  assert.equal(Task.insertMany.mock.calls[0].arguments[0].length, 2);
+});
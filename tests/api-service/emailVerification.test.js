@@ -0,0 +1,201 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApi, apiUser, serveRouter, serveRoutes } = require('../helpers/api');
+const { request } = require('../helpers/http');
+const { query } = require('../helpers/mongo');
+const { load, loadPackage } = require('../helpers/modules');
+
+process.env.JWT_SECRET = 'verification-secret';
+process.env.REQUIRE_VERIFIED_EMAIL = 'true';
+
+const { bullmq, redis } = loadApi();
+const jwt = loadPackage('api-service', 'jsonwebtoken');
+const User = load('api-service/models/User');
+const Task = load('api-service/models/Task');
+const AuditEvent = load('api-service/models/AuditEvent');
+const requireVerifiedEmail = load('api-service/middleware/verifiedEmail');
+
+const aliceId = new User()._id;
+
+let admin;
+let aliceApp;
+let verify;
+let alice;
+let takenEmails;
+
+before(async () => {
+  admin = await serveRouter('/api/users', 'api-service/routes/users', apiUser({ id: 'admin-1', username: 'root', roles: ['admin'] }));
+  aliceApp = await serveRouter('/api/users', 'api-service/routes/users', apiUser({ id: aliceId.toHexString(), emailVerified: false }));
+  verify = await serveRoutes(['/api/users/verify', 'api-service/routes/emailVerification']);
+});
+
+after(() => Promise.all([admin.close(), aliceApp.close(), verify.close()]));
+
+beforeEach((t) => {
+  bullmq.Queue.reset();
+  redis.store.clear();
+  redis.ttls.clear();
+  takenEmails = [];
+  alice = User.hydrate({ _id: aliceId, username: 'alice', email: 'alice@example.com', name: 'Alice', isActive: true, emailVerified: false, deletedAt: null });
+  t.mock.method(User, 'findOne', (filter) => query(() => (filter._id && String(filter._id) === alice.id ? alice : null)));
+  t.mock.method(User, 'exists', async ({ email }) => (takenEmails.includes(email) ? { _id: new User()._id } : null));
+  t.mock.method(User.collection, 'insertOne', async () => ({ acknowledged: true }));
+  t.mock.method(User.collection, 'updateOne', async () => ({ acknowledged: true }));
+  t.mock.method(AuditEvent, 'create', async (fields) => fields);
+  t.mock.method(Task, 'insertMany', async () => []);
+});
+
+// The email tasks queued, with the token each one mails
+const sentEmails = () => bullmq.Queue.jobs('tasks-email').map(job => ({
+  job,
+  token: redis.store.get(`task:secret:${job.data.secretRef}`)
+}));
+
+const confirm = (token) => request(verify.url, 'POST', '/api/users/verify', { body: { token } });
+
+test('new accounts start unverified and are mailed a token kept out of the task', async () => {
+  const res = await request(admin.url, 'POST', '/api/users', { body: { username: 'bob', email: 'bob@example.com' } });
+
+  assert.equal(res.status, 201);
+  assert.equal(res.body.user.emailVerified, false);
+  const [{ job, token }] = sentEmails();
+  assert.equal(job.data.userId, 'system');
+  assert.equal(job.data.data.recipient, 'bob@example.com');
+  assert.match(job.data.data.body, /Submit this token to POST \/api\/users\/verify: \{\{secret\}\}/);
+  assert.ok(!JSON.stringify(job.data).includes(token));
+  assert.equal(redis.ttls.get(`task:secret:${job.data.secretRef}`), 24 * 3600);
+
+  const payload = jwt.verify(token, 'verification-secret');
+  assert.equal(payload.type, 'email');
+  assert.equal(payload.email, 'bob@example.com');
+  assert.equal(payload.purpose, 'verify');
+  assert.ok(Math.abs(Date.parse(res.body.verificationExpiresAt) - payload.exp * 1000) < 1000);
+});
+
+test('a mailed token verifies the address once; using it again changes nothing', async () => {
+  await request(aliceApp.url, 'POST', `/api/users/${aliceId}/verification-email`);
+  const [{ token }] = sentEmails();
+
+  const res = await confirm(token);
+  const again = await confirm(token);
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.message, 'Email address verified successfully');
+  assert.equal(alice.emailVerified, true);
+  assert.ok(alice.emailVerifiedAt instanceof Date);
+  const audit = AuditEvent.create.mock.calls[0].arguments[0];
+  assert.equal(audit.action, 'user.verify_email');
+  assert.deepEqual(audit.actor, { kind: 'user', id: alice.id, name: 'alice' });
+  assert.deepEqual(audit.changes, [{ field: 'emailVerified', before: false, after: true }]);
+
+  assert.equal(again.status, 200);
+  assert.equal(again.body.message, 'Email address is already verified');
+  assert.equal(User.collection.updateOne.mock.callCount(), 1);
+});
+
+test('an email change only takes effect once the new address is confirmed', async () => {
+  alice.emailVerified = true;
+
+  const res = await request(aliceApp.url, 'PATCH', `/api/users/${aliceId}`, { body: { email: 'alice@new.example.com' } });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.user.email, 'alice@example.com');
+  assert.equal(res.body.user.pendingEmail, 'alice@new.example.com');
+  const [{ job, token }] = sentEmails();
+  assert.equal(job.data.data.recipient, 'alice@new.example.com');
+  assert.equal(job.data.data.subject, 'Confirm your new email address');
+
+  const confirmed = await confirm(token);
+
+  assert.equal(confirmed.status, 200);
+  assert.equal(confirmed.body.message, 'Email address changed successfully');
+  assert.equal(alice.email, 'alice@new.example.com');
+  assert.equal(alice.pendingEmail, null);
+});
+
+test('tokens for an address the user has since replaced no longer apply', async () => {
+  await request(aliceApp.url, 'PATCH', `/api/users/${aliceId}`, { body: { email: 'first@example.com' } });
+  await request(aliceApp.url, 'PATCH', `/api/users/${aliceId}`, { body: { email: 'second@example.com' } });
+  const [first, second] = sentEmails();
+
+  const stale = await confirm(first.token);
+  const current = await confirm(second.token);
+
+  assert.equal(stale.status, 400);
+  assert.equal(stale.body.error, 'Invalid verification token');
+  assert.equal(current.status, 200);
+  assert.equal(alice.email, 'second@example.com');
+});
+
+test('an address taken by another account while the change was pending is a conflict', async () => {
+  await request(aliceApp.url, 'PATCH', `/api/users/${aliceId}`, { body: { email: 'wanted@example.com' } });
+  const [{ token }] = sentEmails();
+  takenEmails.push('wanted@example.com');
+
+  const res = await confirm(token);
+
+  assert.equal(res.status, 409);
+  assert.equal(alice.email, 'alice@example.com');
+});
+
+test('expired, forged and other kinds of tokens are rejected', async () => {
+  const claims = { type: 'email', email: alice.email, purpose: 'verify' };
+  const expired = jwt.sign({ ...claims, exp: Math.floor(Date.now() / 1000) - 60 }, 'verification-secret', { subject: alice.id });
+  const forged = jwt.sign(claims, 'guessed-secret', { subject: alice.id });
+  const access = jwt.sign({ type: 'access' }, 'verification-secret', { subject: alice.id });
+
+  assert.deepEqual((await confirm(expired)).body, { success: false, error: 'Verification token has expired' });
+  assert.equal((await confirm(forged)).status, 400);
+  assert.equal((await confirm(access)).status, 400);
+  assert.equal((await confirm('')).status, 400);
+  assert.equal(alice.emailVerified, false);
+});
+
+test('verification emails can be requested again once a minute, until the address is verified', async () => {
+  const first = await request(aliceApp.url, 'POST', `/api/users/${aliceId}/verification-email`);
+  const second = await request(aliceApp.url, 'POST', `/api/users/${aliceId}/verification-email`);
+
+  assert.equal(first.status, 202);
+  assert.equal(second.status, 429);
+  assert.equal(second.headers.get('retry-after'), '60');
+  assert.equal(sentEmails().length, 1);
+
+  alice.emailVerified = true;
+  redis.store.clear();
+  const verified = await request(aliceApp.url, 'POST', `/api/users/${aliceId}/verification-email`);
+
+  assert.equal(verified.status, 409);
+});
+
+test('admins can mail any user a token, such as imported users, but other users cannot', async () => {
+  const other = await serveRouter('/api/users', 'api-service/routes/users', apiUser({ id: 'user-2', username: 'bob' }));
+
+  const denied = await request(other.url, 'POST', `/api/users/${aliceId}/verification-email`);
+  const byAdmin = await request(admin.url, 'POST', `/api/users/${aliceId}/verification-email`);
+  await other.close();
+
+  assert.equal(denied.status, 403);
+  assert.equal(byAdmin.status, 202);
+  const [{ job, token }] = sentEmails();
+  assert.equal(job.data.data.recipient, 'alice@example.com');
+  assert.equal(jwt.verify(token, process.env.JWT_SECRET).sub, alice.id);
+});
+
+test('with REQUIRE_VERIFIED_EMAIL on, unverified users cannot submit tasks', async () => {
+  const asUser = (emailVerified) => (req, res, next) => {
+    req.user = apiUser({ emailVerified });
+    next();
+  };
+  const submitted = (req, res) => res.status(201).json({ success: true });
+  const server = await serveRoutes(
+    ['/unverified', asUser(false), requireVerifiedEmail, submitted],
+    ['/verified', asUser(true), requireVerifiedEmail, submitted]
+  );
+
+  try {
+    assert.equal((await request(server.url, 'POST', '/unverified')).status, 403);
+    assert.equal((await request(server.url, 'POST', '/verified')).status, 201);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,143 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApi, serveRouter } = require('../helpers/api');
+const { request } = require('../helpers/http');
+const { query } = require('../helpers/mongo');
+const { load } = require('../helpers/modules');
+
+const { bullmq, producer, redis } = loadApi();
+const Task = load('api-service/models/Task');
+const DeadLetter = load('api-service/models/DeadLetter');
+
+const INFLIGHT_KEY = 'quota:inflight:user-1:report';
+
+let server;
+
+before(async () => {
+  server = await serveRouter('/api/tasks', 'api-service/routes/tasks');
+});
+
+after(() => server.close());
+
+beforeEach((t) => {
+  bullmq.Queue.reset();
+  t.mock.method(Task, 'insertMany', async () => []);
+  t.mock.method(Task, 'updateOne', async () => ({}));
+  t.mock.method(Task, 'findOne', () => query({ userId: 'user-1' }));
+});
+
+// A report task of user-1 that failed after the given attempts (report tasks get 3)
+const failedReport = async (reason, attemptsMade, userId = 'user-1', options = {}) => {
+  const job = await producer.addTaskToQueue({ type: 'report', data: { reportType: 'sales' }, userId, ...options });
+  await redis.zrem(`quota:inflight:${userId}:report`, job.id);
+  return job.fail(reason, { attemptsMade });
+};
+
+test('GET /api/tasks/failed tells permanent failures from retriable ones', async () => {
+  const exhausted = await failedReport('Upstream timeout', 3);
+  const retriable = await failedReport('Upstream timeout', 1);
+  const invalid = await failedReport('Invalid task payload: reportType is required', 1);
+  await failedReport('Task cancelled', 1);
+  await failedReport('Upstream timeout', 3, 'user-2');
+
+  const res = await request(server.url, 'GET', '/api/tasks/failed');
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.pagination.total, 3);
+  const permanent = Object.fromEntries(res.body.tasks.map(task => [task.id, task.permanentlyFailed]));
+  assert.deepEqual(permanent, { [exhausted.id]: true, [retriable.id]: false, [invalid.id]: true });
+});
+
+test('POST /api/tasks/:id/retry requeues a failed task with fresh attempts', async () => {
+  const job = await failedReport('Upstream timeout', 3);
+
+  const res = await request(server.url, 'POST', `/api/tasks/${job.id}/retry`);
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.task, { id: job.id, state: 'waiting' });
+  assert.equal(job.state, 'waiting');
+  assert.equal(job.attemptsMade, 0);
+  assert.equal(Task.updateOne.mock.calls[0].arguments[1].$set.state, 'waiting');
+  // The requeued task counts against the concurrency quota again
+  assert.equal(await redis.zcard(INFLIGHT_KEY), 1);
+});
+
+test('only failed tasks can be retried', async () => {
+  const job = await producer.addTaskToQueue({ type: 'report', data: { reportType: 'sales' }, userId: 'user-1' });
+
+  const res = await request(server.url, 'POST', `/api/tasks/${job.id}/retry`);
+
+  assert.equal(res.status, 409);
+});
+
+test('POST /api/tasks/:id/dead-letter only moves permanently failed tasks', async (t) => {
+  const updateOne = t.mock.method(DeadLetter, 'updateOne', async () => ({}));
+  const retriable = await failedReport('Upstream timeout', 1);
+  const exhausted = await failedReport('Upstream timeout', 3, 'user-1', {
+    timeoutMs: 5000, callbackUrl: 'https://hooks.example.com/tasks', callbackSecret: 'hook-secret'
+  });
+
+  const refused = await request(server.url, 'POST', `/api/tasks/${retriable.id}/dead-letter`);
+  assert.equal(refused.status, 409);
+
+  const moved = await request(server.url, 'POST', `/api/tasks/${exhausted.id}/dead-letter`);
+  assert.equal(moved.status, 200);
+
+  assert.equal(updateOne.mock.callCount(), 1);
+  const [filter, update, options] = updateOne.mock.calls[0].arguments;
+  assert.deepEqual(filter, { jobId: exhausted.id });
+  assert.equal(update.$set.type, 'report');
+  assert.equal(update.$set.userId, 'user-1');
+  assert.deepEqual(update.$set.data, { reportType: 'sales' });
+  assert.equal(update.$set.failedReason, 'Upstream timeout');
+  assert.equal(update.$set.attemptsMade, 3);
+  assert.equal(update.$set.timeoutMs, 5000);
+  assert.equal(update.$set.callbackUrl, 'https://hooks.example.com/tasks');
+  assert.equal(update.$set.callbackSecret, 'hook-secret');
+  assert.deepEqual(options, { upsert: true });
+  assert.deepEqual(bullmq.Queue.jobs('tasks-report').map(job => job.id), [retriable.id]);
+});
+
+test('POST /api/tasks/dead-letter/:id/requeue submits the task again and drops the entry', async (t) => {
+  const entry = new DeadLetter({
+    jobId: 'report-old', type: 'report', userId: 'user-1', data: { reportType: 'sales' }, priority: 8, failedReason: 'Upstream timeout'
+  });
+  const deleteOne = t.mock.method(entry, 'deleteOne', async () => ({}));
+  const findOne = t.mock.method(DeadLetter, 'findOne', () => query(entry));
+
+  const res = await request(server.url, 'POST', '/api/tasks/dead-letter/report-old/requeue');
+
+  assert.equal(res.status, 201);
+  assert.deepEqual(findOne.mock.calls[0].arguments[0], { jobId: 'report-old', userId: 'user-1' });
+  const [job] = bullmq.Queue.jobs('tasks-report');
+  assert.equal(res.body.task.id, job.id);
+  assert.equal(res.body.task.requeuedFrom, 'report-old');
+  assert.deepEqual(job.data.data, { reportType: 'sales' });
+  assert.equal(job.data.priority, 8);
+  assert.equal(job.data.timeoutMs, undefined);
+  assert.equal(job.data.callback, undefined);
+  assert.equal(deleteOne.mock.callCount(), 1);
+});
+
+test('requeued dead-letter tasks keep their timeout and webhook', async (t) => {
+  const entry = new DeadLetter({
+    jobId: 'report-old',
+    type: 'report',
+    userId: 'user-1',
+    data: { reportType: 'sales' },
+    timeoutMs: 5000,
+    callbackUrl: 'https://hooks.example.com/tasks',
+    callbackSecret: 'hook-secret'
+  });
+  t.mock.method(entry, 'deleteOne', async () => ({}));
+  const findOne = t.mock.method(DeadLetter, 'findOne', () => query(entry));
+
+  const res = await request(server.url, 'POST', '/api/tasks/dead-letter/report-old/requeue');
+
+  assert.equal(res.status, 201);
+  assert.deepEqual(findOne.mock.calls[0].result.calls, [['select', ['+callbackSecret']]]);
+  const [job] = bullmq.Queue.jobs('tasks-report');
+  assert.equal(job.data.timeoutMs, 5000);
+  assert.deepEqual(job.data.callback, { url: 'https://hooks.example.com/tasks', secret: 'hook-secret' });
+  assert.equal(Task.insertMany.mock.calls[0].arguments[0][0].callbackUrl, 'https://hooks.example.com/tasks');
+});
@@ -0,0 +1,111 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApi, apiUser, serveRouter } = require('../helpers/api');
+const { request } = require('../helpers/http');
+const { load, stubModule } = require('../helpers/modules');
+
+const { bullmq, producer, redis } = loadApi();
+// Requests already carry their user; only the admin checks are under test
+stubModule('api-service/middleware/auth', (req, res, next) => next());
+const Task = load('api-service/models/Task');
+const { jobFairTag } = load('shared/fairShare');
+
+const CLOCK_KEY = 'fair:tasks-report:clock';
+
+let admin;
+let lastTags;
+
+before(async () => {
+  admin = await serveRouter('/api/admin', 'api-service/routes/admin', apiUser({ roles: ['admin'] }));
+});
+
+after(() => admin.close());
+
+beforeEach((t) => {
+  bullmq.Queue.reset();
+  redis.store.clear();
+  lastTags = new Map();
+  t.mock.method(Task, 'insertMany', async () => []);
+  // Stand-in for the allocation script: a user's tags continue from max(clock, their last tag)
+  t.mock.method(redis, 'eval', async (script, numKeys, clockKey, usersKey, userId, count) => {
+    const clock = parseInt(await redis.get(clockKey)) || 0;
+    const start = Math.max(clock, lastTags.get(userId) || 0);
+    lastTags.set(userId, start + Number(count));
+    return start + 1;
+  });
+});
+
+const report = (userId, priority) => ({ type: 'report', data: { reportType: 'sales' }, userId, priority });
+
+// Users of the report queue's jobs in the order BullMQ runs them: by priority, then FIFO
+const runOrder = () => bullmq.Queue.jobs('tasks-report')
+  .map((job, index) => ({ job, index }))
+  .sort((a, b) => a.job.priority - b.job.priority || a.index - b.index)
+  .map(({ job }) => job.data.userId);
+
+test('users take turns instead of waiting behind a deep backlog', async () => {
+  await producer.addTasksToQueue([1, 2, 3, 4].map(() => report('heavy')));
+  await producer.addTaskToQueue(report('light'));
+  await producer.addTaskToQueue(report('light'));
+
+  assert.deepEqual(runOrder(), ['heavy', 'light', 'heavy', 'light', 'heavy', 'heavy']);
+});
+
+test('users joining later start at the queue\'s clock, not behind earlier tags', async () => {
+  await producer.addTasksToQueue([1, 2, 3, 4, 5, 6].map(() => report('heavy')));
+  await redis.set(CLOCK_KEY, '4');
+
+  await producer.addTaskToQueue(report('late'));
+
+  assert.deepEqual(runOrder(), ['heavy', 'heavy', 'heavy', 'heavy', 'heavy', 'late', 'heavy']);
+});
+
+test('a higher requested priority moves a job ahead by two rounds per level', async () => {
+  await producer.addTasksToQueue([1, 2, 3].map(() => report('alice')));
+  const [urgent] = await producer.addTasksToQueue([1, 2, 3].map(() => report('bob', 6)));
+
+  assert.equal(urgent.priority, 1 + 4 * 2);
+  assert.equal(jobFairTag(urgent), 1);
+  // Two rounds ahead only reorders nearby work: bob's third job still follows alice's first
+  assert.deepEqual(runOrder(), ['bob', 'bob', 'alice', 'bob', 'alice', 'alice']);
+});
+
+test('bulk submissions allocate one run of tags per user', async () => {
+  const jobs = await producer.addTasksToQueue([report('alice'), report('bob'), report('alice')]);
+
+  assert.equal(redis.eval.mock.callCount(), 2);
+  assert.deepEqual(jobs.map(jobFairTag), [1, 1, 2]);
+});
+
+test('GET /api/admin/queue/backlog reports unfinished tasks per user', async (t) => {
+  const oldest = new Date('2026-01-01T10:00:00Z');
+  const aggregate = t.mock.method(Task, 'aggregate', async () => [{
+    total: [{ count: 1 }],
+    users: [{
+      _id: 'heavy',
+      total: 7,
+      entries: [
+        { type: 'report', state: 'waiting', count: 5, oldestAt: oldest.toISOString() },
+        { type: 'email', state: 'active', count: 2, oldestAt: oldest.toISOString() }
+      ]
+    }]
+  }]);
+
+  const res = await request(admin.url, 'GET', '/api/admin/queue/backlog?type=report&limit=10');
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(aggregate.mock.calls[0].arguments[0][0].$match, { state: { $in: ['waiting', 'delayed', 'active'] }, type: 'report' });
+  assert.deepEqual(res.body.users[0], {
+    userId: 'heavy',
+    total: 7,
+    waiting: 5,
+    delayed: 0,
+    active: 2,
+    oldestWaitingAt: oldest.toISOString(),
+    byType: {
+      report: { waiting: 5, delayed: 0, active: 0 },
+      email: { waiting: 0, delayed: 0, active: 2 }
+    }
+  });
+  assert.deepEqual(res.body.pagination, { page: 1, limit: 10, total: 1, totalPages: 1 });
+});
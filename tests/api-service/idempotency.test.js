@@ -0,0 +1,83 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApi, serveRouter, apiUser } = require('../helpers/api');
+const { request } = require('../helpers/http');
+const { load } = require('../helpers/modules');
+
+const { bullmq } = loadApi();
+const Task = load('api-service/models/Task');
+
+let alice;
+let bob;
+
+before(async () => {
+  alice = await serveRouter('/api/tasks', 'api-service/routes/tasks');
+  bob = await serveRouter('/api/tasks', 'api-service/routes/tasks', apiUser({ id: 'user-2', username: 'bob' }));
+});
+
+after(() => Promise.all([alice.close(), bob.close()]));
+
+beforeEach((t) => {
+  bullmq.Queue.reset();
+  t.mock.method(Task, 'insertMany', async () => []);
+});
+
+const submit = (server, key, data) => request(server.url, 'POST', '/api/tasks', {
+  headers: { 'Idempotency-Key': key },
+  body: { type: 'dataProcessing', data }
+});
+
+test('a retried request replays the first response without queueing again', async () => {
+  const first = await submit(alice, 'replay-1', { recordCount: 10, batchId: 'b-1' });
+  // Same body with its keys in another order
+  const retry = await submit(alice, 'replay-1', { batchId: 'b-1', recordCount: 10 });
+
+  assert.equal(first.status, 201);
+  assert.equal(retry.status, 201);
+  assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+  assert.deepEqual(retry.body, first.body);
+  assert.equal(bullmq.Queue.jobs('tasks-data-processing').length, 1);
+});
+
+test('reusing a key with a different body is rejected', async () => {
+  await submit(alice, 'conflict-1', { recordCount: 10 });
+
+  const res = await submit(alice, 'conflict-1', { recordCount: 20 });
+
+  assert.equal(res.status, 409);
+  assert.equal(bullmq.Queue.jobs('tasks-data-processing').length, 1);
+});
+
+test('keys are scoped to the user', async () => {
+  await submit(alice, 'shared-key', { recordCount: 10 });
+
+  const res = await submit(bob, 'shared-key', { recordCount: 10 });
+
+  assert.equal(res.status, 201);
+  assert.equal(res.headers.get('idempotent-replayed'), null);
+  assert.equal(bullmq.Queue.jobs('tasks-data-processing').length, 2);
+});
+
+test('a failed request frees its key for a corrected retry', async () => {
+  const rejected = await submit(alice, 'fix-1', { recordCount: 0 });
+  const retry = await submit(alice, 'fix-1', { recordCount: 10 });
+
+  assert.equal(rejected.status, 400);
+  assert.equal(retry.status, 201);
+  assert.equal(bullmq.Queue.jobs('tasks-data-processing').length, 1);
+});
+
+test('keys longer than 255 characters are refused', async () => {
+  const res = await submit(alice, 'k'.repeat(256), { recordCount: 10 });
+
+  assert.equal(res.status, 400);
+  assert.deepEqual(bullmq.Queue.jobs('tasks-data-processing'), []);
+});
+
+test('requests without a key are never deduplicated', async () => {
+  const body = { type: 'dataProcessing', data: { recordCount: 10 } };
+  await request(alice.url, 'POST', '/api/tasks', { body });
+  await request(alice.url, 'POST', '/api/tasks', { body });
+
+  assert.equal(bullmq.Queue.jobs('tasks-data-processing').length, 2);
+});
@@ -0,0 +1,103 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApi, apiUser, serveRouter } = require('../helpers/api');
+const { request } = require('../helpers/http');
+const { load } = require('../helpers/modules');
+
+const { redis } = loadApi();
+const User = load('api-service/models/User');
+const AuditEvent = load('api-service/models/AuditEvent');
+
+const aliceId = new User()._id;
+
+let app;
+let alice;
+
+before(async () => {
+  app = await serveRouter('/api/users', 'api-service/routes/users', apiUser({ id: aliceId.toHexString() }));
+});
+
+after(() => app.close());
+
+beforeEach((t) => {
+  redis.published = [];
+  alice = User.hydrate({ _id: aliceId, username: 'alice', email: 'alice@example.com', name: 'Alice', isActive: true, deletedAt: null });
+  t.mock.method(User, 'findOne', async () => alice);
+  t.mock.method(User.collection, 'updateOne', async () => ({ acknowledged: true }));
+  t.mock.method(AuditEvent, 'create', async (fields) => fields);
+});
+
+const preferencesUrl = `/api/users/${aliceId}/notification-preferences`;
+
+test('users start with every event type delivered over the socket at any hour', async () => {
+  const res = await request(app.url, 'GET', preferencesUrl);
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.preferences.notificationsEnabled, true);
+  assert.equal(res.body.preferences.timezone, 'UTC');
+  assert.deepEqual(Object.keys(res.body.preferences.events), ['completed', 'failed', 'started', 'cancelled', 'system']);
+  assert.deepEqual(res.body.preferences.events.failed, { enabled: true, channels: ['socket'], quietHours: null });
+});
+
+test('PUT replaces the preferences, resets event types left out and invalidates the notification cache', async () => {
+  alice.notificationPreferences.events.system.enabled = false;
+
+  const res = await request(app.url, 'PUT', preferencesUrl, {
+    body: {
+      timezone: 'Europe/Berlin',
+      events: {
+        completed: { enabled: false },
+        failed: { channels: ['socket', 'socket'], quietHours: { start: '22:00', end: '07:00' } }
+      }
+    }
+  });
+
+  assert.equal(res.status, 200);
+  const { preferences } = res.body;
+  assert.equal(preferences.timezone, 'Europe/Berlin');
+  assert.deepEqual(preferences.events.completed, { enabled: false, channels: ['socket'], quietHours: null });
+  assert.deepEqual(preferences.events.failed, { enabled: true, channels: ['socket'], quietHours: { start: '22:00', end: '07:00' } });
+  assert.equal(preferences.events.system.enabled, true);
+
+  const [, update] = User.collection.updateOne.mock.calls[0].arguments;
+  assert.equal(update.$set.notificationPreferences.timezone, 'Europe/Berlin');
+  assert.deepEqual(redis.published.map(message => message.channel), ['user:updated']);
+  assert.equal(JSON.parse(redis.published[0].message).userId, aliceId.toHexString());
+  assert.equal(AuditEvent.create.mock.calls[0].arguments[0].action, 'user.preferences');
+});
+
+test('turning notifications off keeps the per-event settings', async () => {
+  const res = await request(app.url, 'PUT', preferencesUrl, { body: { notificationsEnabled: false, events: { started: { enabled: false } } } });
+
+  assert.equal(res.body.preferences.notificationsEnabled, false);
+  assert.equal(res.body.preferences.events.started.enabled, false);
+  assert.equal(alice.notificationsEnabled, false);
+});
+
+test('PUT rejects unknown event types, channels, timezones and quiet hours', async () => {
+  const invalid = [
+    { events: { deleted: { enabled: false } } },
+    { events: { completed: { channels: ['email'] } } },
+    { events: { completed: { enabled: 'sometimes' } } },
+    { timezone: 'Mars/Olympus_Mons' },
+    { events: { failed: { quietHours: { start: '22:00', end: '22:00' } } } },
+    { events: { failed: { quietHours: { start: '25:00', end: '07:00' } } } }
+  ];
+
+  for (const body of invalid) {
+    const res = await request(app.url, 'PUT', preferencesUrl, { body });
+    assert.equal(res.status, 400, JSON.stringify(body));
+  }
+  assert.equal(User.collection.updateOne.mock.callCount(), 0);
+  assert.equal(redis.published.length, 0);
+});
+
+test('users only see and change their own preferences', async () => {
+  const otherUrl = `/api/users/${new User()._id}/notification-preferences`;
+
+  const read = await request(app.url, 'GET', otherUrl);
+  const write = await request(app.url, 'PUT', otherUrl, { body: { notificationsEnabled: false } });
+
+  assert.equal(read.status, 403);
+  assert.equal(write.status, 403);
+});
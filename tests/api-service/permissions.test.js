@@ -0,0 +1,106 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApi, apiUser, serveRouter } = require('../helpers/api');
+const { request } = require('../helpers/http');
+const { query } = require('../helpers/mongo');
+const { load } = require('../helpers/modules');
+
+const { redis } = loadApi();
+const User = load('api-service/models/User');
+const AuditEvent = load('api-service/models/AuditEvent');
+
+const aliceId = new User()._id;
+const bobId = new User()._id;
+
+let member;
+let admin;
+let bob;
+
+before(async () => {
+  member = await serveRouter('/api/users', 'api-service/routes/users', apiUser({ id: aliceId.toHexString() }));
+  admin = await serveRouter('/api/users', 'api-service/routes/users', apiUser({ id: 'admin-1', username: 'root', roles: ['admin'] }));
+});
+
+after(() => Promise.all([member.close(), admin.close()]));
+
+beforeEach((t) => {
+  redis.published = [];
+  bob = User.hydrate({ _id: bobId, username: 'bob', email: 'bob@example.com', name: 'Bob', roles: ['user'], isActive: true, deletedAt: null });
+  t.mock.method(User, 'findOne', () => query(bob));
+  t.mock.method(User, 'findOneAndUpdate', async (filter, update) => {
+    bob.set(update.$set);
+    return bob;
+  });
+  t.mock.method(User.collection, 'updateOne', async () => ({ acknowledged: true }));
+  t.mock.method(AuditEvent, 'create', async (fields) => fields);
+});
+
+test('only admins can delete users; denials are 403 and logged', async (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+
+  const denied = await request(member.url, 'DELETE', `/api/users/${bobId}`);
+
+  assert.equal(denied.status, 403);
+  assert.deepEqual(denied.body, { success: false, error: 'Permission denied', permission: 'users:delete' });
+  assert.equal(User.findOneAndUpdate.mock.callCount(), 0);
+  assert.match(warn.mock.calls[0].arguments[0], new RegExp(`alice \\(${aliceId}\\) lacks users:delete for DELETE /api/users/${bobId}`));
+
+  const deleted = await request(admin.url, 'DELETE', `/api/users/${bobId}`);
+
+  assert.equal(deleted.status, 200);
+  assert.ok(bob.deletedAt instanceof Date);
+  assert.equal(AuditEvent.create.mock.calls[0].arguments[0].action, 'user.delete');
+});
+
+test('only admins can deactivate accounts, their own included', async () => {
+  const self = await request(member.url, 'PATCH', `/api/users/${aliceId}`, { body: { isActive: false } });
+  const other = await request(admin.url, 'PATCH', `/api/users/${bobId}`, { body: { isActive: false } });
+
+  assert.equal(self.status, 403);
+  assert.equal(other.status, 200);
+  assert.equal(bob.isActive, false);
+  assert.deepEqual(redis.published.map(({ channel }) => channel), ['user:updated']);
+});
+
+test('admins change activation on its own, not other fields of someone else\'s account', async () => {
+  const res = await request(admin.url, 'PATCH', `/api/users/${bobId}`, { body: { isActive: false, name: 'Robert' } });
+
+  assert.equal(res.status, 400);
+  assert.equal(bob.isActive, true);
+  assert.equal(bob.name, 'Bob');
+});
+
+test('profiles are only edited by their own user, not even by admins', async () => {
+  const other = await request(member.url, 'PATCH', `/api/users/${bobId}`, { body: { name: 'Robert' } });
+  const byAdmin = await request(admin.url, 'PATCH', `/api/users/${bobId}`, { body: { name: 'Robert' } });
+
+  assert.equal(other.status, 403);
+  assert.equal(byAdmin.status, 403);
+  assert.equal(bob.name, 'Bob');
+});
+
+test('users read their own account, admins read anyone\'s', async (t) => {
+  t.mock.method(User, 'findById', () => query(bob));
+
+  const other = await request(member.url, 'GET', `/api/users/${bobId}`);
+  const byAdmin = await request(admin.url, 'GET', `/api/users/${bobId}`);
+
+  assert.equal(other.status, 403);
+  assert.equal(byAdmin.status, 200);
+  assert.equal(byAdmin.body.user.username, 'bob');
+});
+
+test('roles are assigned by admins only', async () => {
+  const denied = await request(member.url, 'PUT', `/api/users/${aliceId}/roles`, { body: { roles: ['admin'] } });
+  const granted = await request(admin.url, 'PUT', `/api/users/${bobId}/roles`, { body: { roles: ['admin', 'user', 'admin'] } });
+  const unknown = await request(admin.url, 'PUT', `/api/users/${bobId}/roles`, { body: { roles: ['root'] } });
+
+  assert.equal(denied.status, 403);
+  assert.deepEqual(granted.body.user.roles, ['admin', 'user']);
+  assert.equal(unknown.status, 400);
+});
+
+test('listing and creating users are admin operations', async () => {
+  assert.equal((await request(member.url, 'GET', '/api/users')).status, 403);
+  assert.equal((await request(member.url, 'POST', '/api/users', { body: { username: 'carol', email: 'carol@example.com', name: 'Carol' } })).status, 403);
+});
@@ -0,0 +1,149 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApi, apiUser, serveRouter } = require('../helpers/api');
+const { request } = require('../helpers/http');
+const { query } = require('../helpers/mongo');
+const { load, stubModule } = require('../helpers/modules');
+
+process.env.ADMIN_API_KEYS = 'ops:ops-secret';
+
+const { bullmq, producer } = loadApi();
+// Requests already carry their user; only the admin checks are under test
+stubModule('api-service/middleware/auth', (req, res, next) => next());
+const Task = load('api-service/models/Task');
+const Workflow = load('api-service/models/Workflow');
+const AuditEvent = load('api-service/models/AuditEvent');
+
+const OPS_KEY = { 'X-Admin-Key': 'ops-secret' };
+
+let admin;
+let member;
+
+before(async () => {
+  admin = await serveRouter('/api/admin', 'api-service/routes/admin', apiUser({ username: 'root', roles: ['admin'] }));
+  member = await serveRouter('/api/admin', 'api-service/routes/admin');
+});
+
+after(() => Promise.all([admin.close(), member.close()]));
+
+beforeEach((t) => {
+  bullmq.Queue.reset();
+  t.mock.method(AuditEvent, 'create', async (fields) => fields);
+  t.mock.method(Task, 'insertMany', async () => []);
+  t.mock.method(Task, 'updateMany', async () => ({}));
+  t.mock.method(Task, 'find', () => query([]));
+  t.mock.method(Workflow, 'find', () => query([]));
+});
+
+test('admin endpoints need the queue:admin permission or a configured admin key', async () => {
+  const denied = await request(member.url, 'GET', '/api/admin/queue');
+  const wrongKey = await request(member.url, 'GET', '/api/admin/queue', { headers: { 'X-Admin-Key': 'guess' } });
+  const byKey = await request(member.url, 'GET', '/api/admin/queue', { headers: OPS_KEY });
+  const byRole = await request(admin.url, 'GET', '/api/admin/queue');
+
+  assert.equal(denied.status, 403);
+  assert.equal(wrongKey.status, 401);
+  assert.equal(byKey.status, 200);
+  assert.equal(byRole.status, 200);
+});
+
+test('GET /api/admin/queue reports counts overall and per task type', async () => {
+  await producer.addTaskToQueue({ type: 'email', data: { recipient: 'a@example.com' }, userId: 'user-1' });
+  await producer.addTaskToQueue({ type: 'report', data: { reportType: 'sales' }, userId: 'user-1' });
+  await producer.addTaskToQueue({ type: 'report', data: { reportType: 'sales' }, userId: 'user-1', delay: 60000 });
+
+  const res = await request(admin.url, 'GET', '/api/admin/queue');
+
+  assert.equal(res.body.queue.counts.total, 3);
+  assert.equal(res.body.queue.byType.email.counts.total, 1);
+  assert.equal(res.body.queue.byType.report.counts.delayed, 1);
+  assert.equal(res.body.queue.byType.report.queue, 'tasks-report');
+  assert.equal(res.body.queue.byType.imageProcessing.counts.total, 0);
+});
+
+test('pause and resume act on one type\'s queue or all of them and are audited', async () => {
+  const paused = await request(admin.url, 'POST', '/api/admin/queue/pause', { body: { type: 'report' } });
+
+  assert.equal(paused.status, 200);
+  assert.deepEqual(paused.body.paused, ['tasks-report']);
+  assert.equal(await producer.getTaskQueue('report').isPaused(), true);
+  assert.equal(await producer.getTaskQueue('email').isPaused(), false);
+
+  const resumed = await request(member.url, 'POST', '/api/admin/queue/resume', { headers: OPS_KEY });
+
+  assert.equal(resumed.body.resumed.length, 4);
+  assert.equal(await producer.getTaskQueue('report').isPaused(), false);
+
+  const [pauseAudit, resumeAudit] = AuditEvent.create.mock.calls.map(call => call.arguments[0]);
+  assert.equal(pauseAudit.action, 'queue.pause');
+  assert.deepEqual(pauseAudit.actor, { kind: 'user', id: 'user-1', name: 'root', apiKeyId: null });
+  assert.deepEqual(pauseAudit.target, { kind: 'queue', id: 'report' });
+  assert.equal(resumeAudit.action, 'queue.resume');
+  assert.equal(resumeAudit.actor.name, 'alice');
+});
+
+test('POST /api/admin/queue/pause rejects unknown task types', async () => {
+  const res = await request(admin.url, 'POST', '/api/admin/queue/pause', { body: { type: 'fax' } });
+
+  assert.equal(res.status, 400);
+  assert.equal(await producer.getTaskQueue('report').isPaused(), false);
+});
+
+test('draining removes waiting jobs, keeps delayed ones unless asked, and cancels their history', async () => {
+  const waiting = await producer.addTaskToQueue({ type: 'report', data: { reportType: 'sales' }, userId: 'user-1' });
+  const delayed = await producer.addTaskToQueue({ type: 'report', data: { reportType: 'sales' }, userId: 'user-1', delay: 60000 });
+
+  const res = await request(admin.url, 'POST', '/api/admin/queue/drain', { body: { type: 'report' } });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.drained, 1);
+  assert.deepEqual(bullmq.Queue.jobs('tasks-report').map(job => job.id), [delayed.id]);
+  const [filter, update] = Task.updateMany.mock.calls[0].arguments;
+  assert.deepEqual(filter.jobId, { $in: [waiting.id] });
+  assert.equal(update.$set.state, 'cancelled');
+
+  const withDelayed = await request(admin.url, 'POST', '/api/admin/queue/drain', { body: { type: 'report', delayed: true } });
+
+  assert.equal(withDelayed.body.drained, 1);
+  assert.equal(bullmq.Queue.jobs('tasks-report').length, 0);
+});
+
+test('draining settles the workflow nodes of drained jobs as cancelled', async (t) => {
+  const workflow = new Workflow({ userId: 'user-1', nodes: [{ key: 'report', type: 'report', state: 'queued' }] });
+  const queue = producer.getTaskQueue('report');
+  const job = await queue.add('report', { type: 'report', data: {}, userId: 'user-1', workflowId: workflow.id, nodeKey: 'report' });
+  workflow.nodes[0].jobId = job.id;
+  t.mock.method(Workflow, 'find', () => query([workflow]));
+  const settle = t.mock.method(Workflow, 'findOneAndUpdate', async () => workflow);
+  t.mock.method(Workflow, 'findById', async () => workflow);
+  t.mock.method(Workflow, 'updateOne', async () => ({}));
+
+  const res = await request(admin.url, 'POST', '/api/admin/queue/drain', { body: {} });
+
+  assert.equal(res.body.drained, 1);
+  const [filter, update] = settle.mock.calls[0].arguments;
+  assert.deepEqual(filter, { _id: workflow._id, 'nodes.key': 'report' });
+  assert.equal(update.$set['nodes.$.state'], 'cancelled');
+});
+
+test('POST /api/admin/queue/clean removes finished jobs older than the given age', async () => {
+  const old = await producer.addTaskToQueue({ type: 'report', data: { reportType: 'sales' }, userId: 'user-1' });
+  const recent = await producer.addTaskToQueue({ type: 'report', data: { reportType: 'sales' }, userId: 'user-1' });
+  old.fail('Upstream timeout', { attemptsMade: 3, finishedOn: Date.now() - 2 * 3600 * 1000 });
+  recent.fail('Upstream timeout', { attemptsMade: 3 });
+
+  const res = await request(admin.url, 'POST', '/api/admin/queue/clean', { body: { state: 'failed', olderThan: 3600 } });
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body, { success: true, message: 'Cleaned 1 failed jobs', cleaned: 1, state: 'failed', olderThan: 3600 });
+  assert.deepEqual(bullmq.Queue.jobs('tasks-report').map(job => job.id), [recent.id]);
+});
+
+test('POST /api/admin/queue/clean requires a finished state and an age', async () => {
+  const invalid = [{ state: 'waiting', olderThan: 0 }, { state: 'failed' }, { state: 'failed', olderThan: -1 }];
+
+  for (const body of invalid) {
+    const res = await request(admin.url, 'POST', '/api/admin/queue/clean', { body });
+    assert.equal(res.status, 400, JSON.stringify(body));
+  }
+});
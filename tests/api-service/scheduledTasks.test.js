@@ -0,0 +1,122 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApi, serveRouter } = require('../helpers/api');
+const { request } = require('../helpers/http');
+const { load } = require('../helpers/modules');
+
+const { bullmq } = loadApi();
+const Task = load('api-service/models/Task');
+const Schedule = load('api-service/models/Schedule');
+
+let tasks;
+let schedules;
+
+before(async () => {
+  tasks = await serveRouter('/api/tasks', 'api-service/routes/tasks');
+  schedules = await serveRouter('/api/tasks/schedules', 'api-service/routes/schedules');
+});
+
+after(() => Promise.all([tasks.close(), schedules.close()]));
+
+beforeEach((t) => {
+  bullmq.Queue.reset();
+  t.mock.method(Task, 'insertMany', async () => []);
+});
+
+const reportTask = (fields) => ({ type: 'report', data: { reportType: 'sales' }, ...fields });
+
+// Schedule documents are built in memory and never saved to a database
+const stubScheduleCreate = (t) => t.mock.method(Schedule, 'create', async (fields) => new Schedule(fields));
+
+test('runAt delays the job until the requested time', async () => {
+  const runAt = new Date(Date.now() + 3600 * 1000);
+
+  const res = await request(tasks.url, 'POST', '/api/tasks', { body: reportTask({ runAt: runAt.toISOString() }) });
+
+  assert.equal(res.status, 201);
+  assert.equal(res.body.task.status, 'scheduled');
+  const [job] = bullmq.Queue.jobs('tasks-report');
+  assert.equal(job.state, 'delayed');
+  assert.ok(Math.abs(job.opts.delay - 3600 * 1000) < 5000);
+});
+
+test('invalid or conflicting scheduling options are rejected', async () => {
+  const invalid = [
+    reportTask({ runAt: new Date(Date.now() - 1000).toISOString() }),
+    reportTask({ runAt: new Date(Date.now() + 60000).toISOString(), delay: 1000 }),
+    reportTask({ repeat: { cron: '0 * * * *', every: 60000 } }),
+    reportTask({ repeat: { cron: 'every day' } }),
+    reportTask({ repeat: { every: 500 } }),
+    reportTask({ repeat: { cron: '0 9 * * *', tz: 'Mars/Olympus_Mons' } }),
+    reportTask({ repeat: { every: 60000 }, callbackUrl: 'https://example.com/hook' })
+  ];
+
+  for (const body of invalid) {
+    const res = await request(tasks.url, 'POST', '/api/tasks', { body });
+    assert.equal(res.status, 400, JSON.stringify(body));
+  }
+  assert.deepEqual(bullmq.Queue.jobs('tasks-report'), []);
+});
+
+test('repeat creates a schedule registered as a job scheduler', async (t) => {
+  const create = stubScheduleCreate(t);
+
+  const res = await request(tasks.url, 'POST', '/api/tasks', {
+    body: reportTask({ priority: 7, repeat: { cron: '0 9 * * 1', tz: 'Europe/Berlin', limit: 10 } })
+  });
+
+  assert.equal(res.status, 201);
+  assert.equal(create.mock.calls[0].arguments[0].userId, 'user-1');
+
+  const schedule = res.body.schedule;
+  const scheduler = await new bullmq.Queue('tasks-report').getJobScheduler(schedule.id);
+  assert.deepEqual(scheduler.repeat, { pattern: '0 9 * * 1', tz: 'Europe/Berlin', limit: 10 });
+  assert.equal(scheduler.template.data.scheduleId, schedule.id);
+  assert.equal(scheduler.template.opts.priority, 3);
+  assert.equal(schedule.nextRunAt, new Date(scheduler.next).toISOString());
+  // Runs are queued by BullMQ, nothing is queued up front
+  assert.deepEqual(bullmq.Queue.jobs('tasks-report'), []);
+});
+
+test('a schedule the queue rejects is not kept', async (t) => {
+  stubScheduleCreate(t);
+  t.mock.method(bullmq.Queue.prototype, 'upsertJobScheduler', async () => {
+    throw new Error('Invalid repeat options');
+  });
+  const deleteOne = t.mock.method(Schedule.prototype, 'deleteOne', async () => ({}));
+
+  const res = await request(tasks.url, 'POST', '/api/tasks', { body: reportTask({ repeat: { every: 60000 } }) });
+
+  assert.equal(res.status, 500);
+  assert.equal(deleteOne.mock.callCount(), 1);
+});
+
+test('pausing and resuming a schedule removes and restores its job scheduler', async (t) => {
+  const schedule = new Schedule({ type: 'report', userId: 'user-1', data: { reportType: 'sales' }, every: 60000 });
+  const queue = new bullmq.Queue('tasks-report');
+  await queue.upsertJobScheduler(schedule.id, { every: 60000 }, {});
+  const exists = t.mock.method(Schedule, 'exists', async () => ({ _id: schedule._id }));
+  t.mock.method(Schedule, 'findById', async () => schedule);
+  t.mock.method(schedule, 'save', async () => schedule);
+
+  const paused = await request(schedules.url, 'POST', `/api/tasks/schedules/${schedule.id}/pause`);
+
+  assert.equal(paused.status, 200);
+  assert.deepEqual(exists.mock.calls[0].arguments[0], { _id: schedule.id, userId: 'user-1' });
+  assert.equal(schedule.status, 'paused');
+  assert.equal(await queue.getJobScheduler(schedule.id), undefined);
+
+  const resumed = await request(schedules.url, 'POST', `/api/tasks/schedules/${schedule.id}/resume`);
+
+  assert.equal(resumed.status, 200);
+  assert.equal(schedule.status, 'active');
+  assert.deepEqual((await queue.getJobScheduler(schedule.id)).repeat, { every: 60000 });
+});
+
+test('schedules of other users answer 404', async (t) => {
+  t.mock.method(Schedule, 'exists', async () => null);
+
+  const res = await request(schedules.url, 'DELETE', '/api/tasks/schedules/64b7f0c2a1b2c3d4e5f60718');
+
+  assert.equal(res.status, 404);
+});
@@ -0,0 +1,84 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApi, serveRouter } = require('../helpers/api');
+const { request } = require('../helpers/http');
+const { query } = require('../helpers/mongo');
+const { load } = require('../helpers/modules');
+
+const { bullmq, producer, redis } = loadApi();
+const Task = load('api-service/models/Task');
+
+let server;
+
+before(async () => {
+  server = await serveRouter('/api/tasks', 'api-service/routes/tasks');
+});
+
+after(() => server.close());
+
+beforeEach((t) => {
+  bullmq.Queue.reset();
+  redis.published = [];
+  t.mock.method(Task, 'insertMany', async () => []);
+});
+
+// Queue a task for user-1 and make the history report them as its owner
+const queueOwnedTask = async (t, owner = 'user-1') => {
+  const job = await producer.addTaskToQueue({ type: 'dataProcessing', data: { recordCount: 10 }, userId: owner });
+  t.mock.method(Task, 'findOne', () => query({ userId: owner }));
+  return job;
+};
+
+test('cancelling a waiting task removes it from the queue and releases it', async (t) => {
+  const updateOne = t.mock.method(Task, 'updateOne', async () => ({}));
+  const job = await queueOwnedTask(t);
+  assert.equal(await redis.zcard('quota:inflight:user-1:dataProcessing'), 1);
+
+  const res = await request(server.url, 'POST', `/api/tasks/${job.id}/cancel`);
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.task, { id: job.id, state: 'cancelled' });
+  assert.deepEqual(bullmq.Queue.jobs('tasks-data-processing'), []);
+
+  const [filter, update] = updateOne.mock.calls[0].arguments;
+  assert.deepEqual(filter, { jobId: job.id });
+  assert.equal(update.$set.state, 'cancelled');
+  assert.equal(update.$set.failedReason, producer.CANCELLED_REASON);
+
+  assert.equal(redis.published[0].channel, 'task:cancelled');
+  // Jobs queued with a fair-share priority wait in BullMQ's prioritized set
+  assert.equal(JSON.parse(redis.published[0].message).previousState, 'prioritized');
+  assert.equal(await redis.zcard('quota:inflight:user-1:dataProcessing'), 0);
+});
+
+test('cancelling an active task signals the worker with 202', async (t) => {
+  const job = await queueOwnedTask(t);
+  job.state = 'active';
+
+  const res = await request(server.url, 'DELETE', `/api/tasks/${job.id}`);
+
+  assert.equal(res.status, 202);
+  assert.equal(res.body.task.state, 'cancelling');
+  assert.ok(await redis.get(`task:cancel:${job.id}`));
+  assert.equal(redis.ttls.get(`task:cancel:${job.id}`), 24 * 3600);
+  assert.equal(bullmq.Queue.jobs('tasks-data-processing').length, 1);
+});
+
+test('finished tasks cannot be cancelled', async (t) => {
+  const job = await queueOwnedTask(t);
+  job.state = 'completed';
+
+  const res = await request(server.url, 'POST', `/api/tasks/${job.id}/cancel`);
+
+  assert.equal(res.status, 409);
+  assert.deepEqual(res.body.task, { id: job.id, state: 'completed' });
+});
+
+test('tasks of other users answer 404', async (t) => {
+  const job = await queueOwnedTask(t, 'user-2');
+
+  const res = await request(server.url, 'POST', `/api/tasks/${job.id}/cancel`);
+
+  assert.equal(res.status, 404);
+  assert.equal(bullmq.Queue.jobs('tasks-data-processing').length, 1);
+});
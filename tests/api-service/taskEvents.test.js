@@ -0,0 +1,103 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApi, serveRouter } = require('../helpers/api');
+const { request } = require('../helpers/http');
+const { query } = require('../helpers/mongo');
+const { load } = require('../helpers/modules');
+
+const { bullmq, producer } = loadApi();
+const Task = load('api-service/models/Task');
+
+let server;
+
+before(async () => {
+  server = await serveRouter('/api/tasks', 'api-service/routes/tasks');
+});
+
+after(() => server.close());
+
+beforeEach((t) => {
+  bullmq.Queue.reset();
+  t.mock.method(Task, 'insertMany', async () => []);
+  t.mock.method(Task, 'findOne', () => query({ userId: 'user-1' }));
+});
+
+// Queue events of a task queue, created once the first stream subscribes
+const queueEvents = (queueName) => bullmq.QueueEvents.instances.find(events => events.name === queueName);
+
+// Open a task's event stream; next() resolves with its next event, or null once it ends
+const openStream = async (taskId) => {
+  const response = await fetch(`${server.url}/api/tasks/${taskId}/events`, { headers: { Accept: 'text/event-stream' } });
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const next = async () => {
+    for (;;) {
+      const blocks = buffer.split('\n\n');
+      const complete = blocks.slice(0, -1).filter(block => !block.startsWith(':'));
+      if (complete.length > 0) {
+        buffer = buffer.slice(buffer.indexOf(complete[0]) + complete[0].length + 2);
+        const [, event] = complete[0].match(/^event: (.*)$/m);
+        const [, data] = complete[0].match(/^data: (.*)$/m);
+        return { event, data: JSON.parse(data) };
+      }
+      const { value, done } = await reader.read();
+      if (done) {
+        return null;
+      }
+      buffer += decoder.decode(value, { stream: true });
+    }
+  };
+
+  return { response, next };
+};
+
+test('a running task streams its state, progress and outcome, then the stream ends', async () => {
+  const job = await producer.addTaskToQueue({ type: 'report', data: { reportType: 'sales' }, userId: 'user-1' });
+  const stream = await openStream(job.id);
+
+  assert.match(stream.response.headers.get('content-type'), /^text\/event-stream/);
+  assert.deepEqual(await stream.next(), { event: 'state', data: { id: job.id, state: 'prioritized', progress: 0 } });
+
+  const events = queueEvents('tasks-report');
+  events.emit('active', { jobId: job.id });
+  events.emit('progress', { jobId: job.id, data: 40 });
+  events.emit('progress', { jobId: 'someone-else', data: 99 });
+  events.emit('completed', { jobId: job.id, returnvalue: { status: 'generated' } });
+
+  assert.deepEqual(await stream.next(), { event: 'state', data: { id: job.id, state: 'active' } });
+  assert.deepEqual(await stream.next(), { event: 'progress', data: { id: job.id, progress: 40 } });
+  assert.deepEqual(await stream.next(), { event: 'completed', data: { id: job.id, state: 'completed', result: { status: 'generated' } } });
+  assert.equal(await stream.next(), null);
+});
+
+test('a cancelled task ends its stream with a cancelled event', async () => {
+  const job = await producer.addTaskToQueue({ type: 'report', data: { reportType: 'sales' }, userId: 'user-1' });
+  const stream = await openStream(job.id);
+  await stream.next();
+
+  queueEvents('tasks-report').emit('failed', { jobId: job.id, failedReason: 'Task cancelled' });
+
+  assert.deepEqual(await stream.next(), { event: 'cancelled', data: { id: job.id, state: 'cancelled', failedReason: 'Task cancelled' } });
+  assert.equal(await stream.next(), null);
+});
+
+test('a task evicted from the queue replays its outcome from the history', async (t) => {
+  t.mock.method(Task, 'findOne', () => query({ userId: 'user-1', state: 'failed', progress: 60, failedReason: 'Upstream timeout' }));
+
+  const stream = await openStream('report-9');
+
+  assert.deepEqual(await stream.next(), { event: 'state', data: { id: 'report-9', state: 'failed', progress: 60 } });
+  assert.deepEqual(await stream.next(), { event: 'failed', data: { id: 'report-9', state: 'failed', failedReason: 'Upstream timeout' } });
+  assert.equal(await stream.next(), null);
+});
+
+test('streams of other users\' tasks answer 404', async (t) => {
+  const job = await producer.addTaskToQueue({ type: 'report', data: { reportType: 'sales' }, userId: 'user-2' });
+  t.mock.method(Task, 'findOne', () => query({ userId: 'user-2' }));
+
+  const res = await request(server.url, 'GET', `/api/tasks/${job.id}/events`);
+
+  assert.equal(res.status, 404);
+});
@@ -0,0 +1,100 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApi, serveRouter } = require('../helpers/api');
+const { request } = require('../helpers/http');
+const { query } = require('../helpers/mongo');
+const { load } = require('../helpers/modules');
+
+const { bullmq } = loadApi();
+const Task = load('api-service/models/Task');
+
+let server;
+
+before(async () => {
+  server = await serveRouter('/api/tasks', 'api-service/routes/tasks');
+});
+
+after(() => server.close());
+
+test('POST /api/tasks records the queued job in the task history', async (t) => {
+  const insertMany = t.mock.method(Task, 'insertMany', async () => []);
+
+  const res = await request(server.url, 'POST', '/api/tasks', {
+    body: { type: 'email', data: { recipient: 'bob@example.com', subject: 'Hi' }, priority: 7 }
+  });
+
+  assert.equal(res.status, 201);
+  const [job] = bullmq.Queue.jobs('tasks-email');
+  assert.equal(res.body.task.id, job.id);
+
+  const [records] = insertMany.mock.calls[0].arguments;
+  assert.deepEqual(records, [{
+    jobId: job.id,
+    type: 'email',
+    data: { recipient: 'bob@example.com', subject: 'Hi' },
+    priority: 7,
+    userId: 'user-1',
+    callbackUrl: null,
+    scheduledFor: null,
+    state: 'waiting'
+  }]);
+});
+
+test('delayed tasks are recorded as delayed with their run time', async (t) => {
+  const insertMany = t.mock.method(Task, 'insertMany', async () => []);
+
+  const res = await request(server.url, 'POST', '/api/tasks', {
+    body: { type: 'report', data: { reportType: 'sales' }, delay: 60000 }
+  });
+
+  assert.equal(res.status, 201);
+  const [[record]] = insertMany.mock.calls[0].arguments;
+  assert.equal(record.state, 'delayed');
+  assert.equal(record.scheduledFor.toISOString(), res.body.task.runAt);
+});
+
+test('a failed history write does not fail the submission', async (t) => {
+  const insertMany = t.mock.method(Task, 'insertMany', async () => {
+    throw new Error('connection lost');
+  });
+
+  const res = await request(server.url, 'POST', '/api/tasks', {
+    body: { type: 'email', data: { recipient: 'bob@example.com' } }
+  });
+
+  assert.equal(res.status, 201);
+  assert.equal(insertMany.mock.callCount(), 1);
+});
+
+test('GET /api/tasks lists only the caller\'s tasks with the requested filters', async (t) => {
+  const stored = [{ jobId: 'email-1', type: 'email', userId: 'user-1', state: 'failed', priority: 5, attemptsMade: 3 }];
+  const find = t.mock.method(Task, 'find', () => query(stored));
+  const countDocuments = t.mock.method(Task, 'countDocuments', async () => 41);
+
+  const res = await request(server.url, 'GET',
+    '/api/tasks?type=email&state=failed&from=2026-01-01T00:00:00Z&to=2026-02-01T00:00:00Z&sortBy=priority&order=asc&page=3&limit=20');
+
+  assert.equal(res.status, 200);
+  const [filter] = find.mock.calls[0].arguments;
+  assert.deepEqual(filter, {
+    userId: 'user-1',
+    type: 'email',
+    state: 'failed',
+    createdAt: { $gte: new Date('2026-01-01T00:00:00Z'), $lte: new Date('2026-02-01T00:00:00Z') }
+  });
+  assert.deepEqual(countDocuments.mock.calls[0].arguments[0], filter);
+
+  const chain = find.mock.calls[0].result.calls;
+  assert.deepEqual(chain, [['sort', [{ priority: 1, _id: 1 }]], ['skip', [40]], ['limit', [20]]]);
+
+  assert.equal(res.body.tasks[0].id, 'email-1');
+  assert.equal(res.body.tasks[0].attempts, 3);
+  assert.deepEqual(res.body.pagination, { page: 3, limit: 20, total: 41, totalPages: 3 });
+});
+
+test('GET /api/tasks rejects unknown filters and sort fields', async () => {
+  const res = await request(server.url, 'GET', '/api/tasks?state=lost&sortBy=password');
+
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.body.errors.map(error => error.path).sort(), ['sortBy', 'state']);
+});
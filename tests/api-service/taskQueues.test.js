@@ -0,0 +1,35 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApi } = require('../helpers/api');
+const { load } = require('../helpers/modules');
+
+const { bullmq, producer } = loadApi();
+const Task = load('api-service/models/Task');
+
+beforeEach((t) => {
+  bullmq.Queue.reset();
+  t.mock.method(Task, 'insertMany', async () => []);
+});
+
+test('tasks are routed to their own type\'s queue', async () => {
+  const email = await producer.addTaskToQueue({ type: 'email', data: { recipient: 'a@example.com' }, userId: 'user-1' });
+  const image = await producer.addTaskToQueue({ type: 'imageProcessing', data: { imageUrl: 'https://example.com/a.png' }, userId: 'user-1' });
+
+  assert.deepEqual(bullmq.Queue.jobs('tasks-email').map(job => job.id), [email.id]);
+  assert.deepEqual(bullmq.Queue.jobs('tasks-image-processing').map(job => job.id), [image.id]);
+  assert.equal(bullmq.Queue.jobs('tasks-report').length, 0);
+});
+
+test('each type\'s queue retries with that type\'s attempts and backoff', () => {
+  const image = producer.getTaskQueue('imageProcessing').defaultJobOptions;
+  const email = producer.getTaskQueue('email').defaultJobOptions;
+
+  assert.equal(image.attempts, 2);
+  assert.deepEqual(image.backoff, { type: 'exponential', delay: 10000 });
+  assert.equal(email.attempts, 3);
+  assert.deepEqual(email.backoff, { type: 'exponential', delay: 2000 });
+});
+
+test('unknown task types have no queue', () => {
+  assert.throws(() => producer.getTaskQueue('fax'), /No queue configured for task type: fax/);
+});
@@ -0,0 +1,134 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApi, serveRouter } = require('../helpers/api');
+const { request } = require('../helpers/http');
+const { load } = require('../helpers/modules');
+
+const { bullmq, producer, redis } = loadApi({ quotas: true });
+const Task = load('api-service/models/Task');
+
+let tasks;
+let users;
+
+before(async () => {
+  tasks = await serveRouter('/api/tasks', 'api-service/routes/tasks');
+  users = await serveRouter('/api/users', 'api-service/routes/users');
+});
+
+after(() => Promise.all([tasks.close(), users.close()]));
+
+// Stand-ins for the quota scripts, answering as the Lua scripts do
+const allow = (...minuteUsage) => async () => [0, ...minuteUsage];
+const exceed = (typeIndex, quotaIndex, usage) => async () => [typeIndex, quotaIndex, usage];
+
+beforeEach((t) => {
+  bullmq.Queue.reset();
+  redis.sortedSets.clear();
+  t.mock.method(Task, 'insertMany', async () => []);
+  t.mock.method(redis, 'consumeTaskQuota', allow(1));
+  t.mock.method(redis, 'refundTaskQuota', async () => 0);
+});
+
+const report = { type: 'report', data: { reportType: 'sales' } };
+
+// Arguments of a quota script call, split into its keys and the values after them
+const scriptCall = (mock) => {
+  const [numKeys, ...rest] = mock.mock.calls[0].arguments;
+  return { keys: rest.slice(0, numKeys), values: rest.slice(numKeys) };
+};
+
+test('accepted submissions report the per-minute quota in RateLimit headers', async (t) => {
+  t.mock.method(redis, 'consumeTaskQuota', allow(12));
+
+  const res = await request(tasks.url, 'POST', '/api/tasks', { body: report });
+
+  assert.equal(res.status, 201);
+  assert.equal(res.headers.get('ratelimit-limit'), '60');
+  assert.equal(res.headers.get('ratelimit-remaining'), '48');
+  assert.ok(Number(res.headers.get('ratelimit-reset')) <= 60);
+  const { keys, values } = scriptCall(redis.consumeTaskQuota);
+  assert.deepEqual(keys.map(key => key.replace(/:\d+$/, '')), ['quota:user-1:report:minute', 'quota:user-1:report:day', 'quota:inflight:user-1:report']);
+  assert.deepEqual(values.slice(3), [1, 60, 1000, 50]);
+  assert.equal(redis.refundTaskQuota.mock.callCount(), 0);
+});
+
+test('submissions over a quota get 429 with Retry-After and are not queued', async (t) => {
+  t.mock.method(redis, 'consumeTaskQuota', exceed(1, 2, 1000));
+
+  const res = await request(tasks.url, 'POST', '/api/tasks', { body: report });
+
+  assert.equal(res.status, 429);
+  assert.equal(res.headers.get('ratelimit-remaining'), '0');
+  assert.equal(res.headers.get('retry-after'), res.headers.get('ratelimit-reset'));
+  assert.deepEqual({ ...res.body.quota, retryAfter: undefined }, {
+    type: 'report', quota: 'daily', limit: 1000, remaining: 0, requested: 1, retryAfter: undefined
+  });
+  assert.equal(bullmq.Queue.jobs('tasks-report').length, 0);
+});
+
+test('the concurrency quota asks clients to retry shortly', async (t) => {
+  t.mock.method(redis, 'consumeTaskQuota', exceed(1, 3, 50));
+
+  const res = await request(tasks.url, 'POST', '/api/tasks', { body: report });
+
+  assert.equal(res.status, 429);
+  assert.equal(res.body.quota.quota, 'concurrent');
+  assert.equal(res.headers.get('retry-after'), '10');
+});
+
+test('invalid submissions use no quota', async () => {
+  const res = await request(tasks.url, 'POST', '/api/tasks', { body: { type: 'fax', data: {} } });
+
+  assert.equal(res.status, 400);
+  assert.equal(redis.consumeTaskQuota.mock.callCount(), 0);
+});
+
+test('quota charged for a task that could not be queued is given back', async (t) => {
+  t.mock.method(producer.getTaskQueue('report'), 'add', async () => {
+    throw new Error('Redis unavailable');
+  });
+
+  const res = await request(tasks.url, 'POST', '/api/tasks', { body: report });
+
+  assert.equal(res.status, 500);
+  const { keys, values } = scriptCall(redis.refundTaskQuota);
+  assert.deepEqual(keys.map(key => key.replace(/:\d+$/, '')), ['quota:user-1:report:minute', 'quota:user-1:report:day']);
+  assert.deepEqual(values, [1, 1]);
+});
+
+test('bulk submissions are charged per type and refunded for rejected items', async (t) => {
+  t.mock.method(redis, 'consumeTaskQuota', allow(2, 3));
+
+  const res = await request(tasks.url, 'POST', '/api/tasks/bulk', {
+    body: { tasks: [report, { type: 'email', data: { recipient: 'a@example.com' } }, { type: 'email', data: { recipient: 'nope' } }, report] }
+  });
+
+  assert.equal(res.status, 207);
+  const consumed = scriptCall(redis.consumeTaskQuota);
+  assert.deepEqual(consumed.keys.filter((key, index) => index % 3 === 0).map(key => key.split(':')[2]), ['email', 'report']);
+  assert.deepEqual([consumed.values[3], consumed.values[7]], [2, 2]);
+  const refunded = scriptCall(redis.refundTaskQuota);
+  assert.deepEqual(refunded.keys.map(key => key.split(':')[2]), ['email', 'email']);
+  assert.deepEqual(refunded.values, [1, 1]);
+});
+
+test('GET /api/users/:id/usage shows current consumption of every quota', async () => {
+  await producer.addTaskToQueue({ ...report, userId: 'user-1' });
+  await redis.set(`quota:user-1:report:minute:${Math.floor(Date.now() / 60000)}`, '7');
+
+  const res = await request(users.url, 'GET', '/api/users/user-1/usage');
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.quotasEnabled, true);
+  const { perMinute, daily, concurrent } = res.body.usage.report;
+  assert.deepEqual({ ...perMinute, resetsAt: undefined }, { used: 7, limit: 60, remaining: 53, resetsAt: undefined });
+  assert.equal(daily.used, 0);
+  assert.deepEqual(concurrent, { used: 1, limit: 50, remaining: 49 });
+  assert.equal(res.body.usage.email.concurrent.used, 0);
+});
+
+test('users can only see their own usage', async () => {
+  const res = await request(users.url, 'GET', '/api/users/user-2/usage');
+
+  assert.equal(res.status, 403);
+});
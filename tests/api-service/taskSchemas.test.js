@@ -0,0 +1,65 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApi, serveRouter } = require('../helpers/api');
+const { request } = require('../helpers/http');
+const { load } = require('../helpers/modules');
+
+const { bullmq } = loadApi();
+const Task = load('api-service/models/Task');
+
+let server;
+
+before(async () => {
+  server = await serveRouter('/api/tasks', 'api-service/routes/tasks');
+});
+
+after(() => server.close());
+
+beforeEach((t) => {
+  bullmq.Queue.reset();
+  t.mock.method(Task, 'insertMany', async () => []);
+});
+
+test('GET /api/tasks/types publishes the payload schema of every task type', async () => {
+  const res = await request(server.url, 'GET', '/api/tasks/types');
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.types.map(type => type.type), ['email', 'report', 'dataProcessing', 'imageProcessing']);
+  const email = res.body.types[0];
+  assert.deepEqual(email.schema.required, ['recipient']);
+  assert.equal(email.schema.properties.recipient.format, 'email');
+});
+
+test('payloads that do not match their type\'s schema get field-level errors', async () => {
+  const res = await request(server.url, 'POST', '/api/tasks', {
+    body: {
+      type: 'imageProcessing',
+      data: { imageUrl: 'not a url', operations: ['resize', 'explode'], targetWidth: 0 }
+    }
+  });
+
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.body.errors.map(error => error.path).sort(), [
+    'data.imageUrl',
+    'data.operations.1',
+    'data.targetWidth'
+  ]);
+  assert.ok(res.body.errors.every(error => error.location === 'body' && error.msg));
+  assert.deepEqual(bullmq.Queue.jobs('tasks-image-processing'), []);
+});
+
+test('missing required fields are reported by their path', async () => {
+  const res = await request(server.url, 'POST', '/api/tasks', { body: { type: 'report', data: {} } });
+
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.body.errors, [{ type: 'field', msg: 'reportType is required', path: 'data.reportType', location: 'body' }]);
+});
+
+test('valid payloads are queued unchanged', async () => {
+  const data = { imageUrl: 'https://example.com/cat.png', operations: ['crop', 'grayscale'], targetWidth: 640 };
+
+  const res = await request(server.url, 'POST', '/api/tasks', { body: { type: 'imageProcessing', data } });
+
+  assert.equal(res.status, 201);
+  assert.deepEqual(bullmq.Queue.jobs('tasks-image-processing')[0].data.data, data);
+});
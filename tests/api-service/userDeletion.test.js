@@ -0,0 +1,87 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApi, apiUser, serveRouter } = require('../helpers/api');
+const { request } = require('../helpers/http');
+const { load } = require('../helpers/modules');
+
+const { redis } = loadApi();
+const User = load('api-service/models/User');
+const AuditEvent = load('api-service/models/AuditEvent');
+
+const DAY = 24 * 3600 * 1000;
+
+let admin;
+let bob;
+
+before(async () => {
+  admin = await serveRouter('/api/users', 'api-service/routes/users', apiUser({ id: 'admin-1', username: 'root', roles: ['admin'] }));
+});
+
+after(() => admin.close());
+
+beforeEach((t) => {
+  redis.published = [];
+  bob = User.hydrate({ _id: new User()._id, username: 'bob', email: 'bob@example.com', name: 'Bob', isActive: true, deletedAt: null });
+  t.mock.method(User, 'findById', async () => bob);
+  t.mock.method(User, 'findOneAndUpdate', async (filter, update) => {
+    if (String(filter.deletedAt) !== String(bob.deletedAt)) {
+      return null;
+    }
+    bob.set(update.$set);
+    return bob;
+  });
+  t.mock.method(AuditEvent, 'create', async (fields) => fields);
+});
+
+const deletedDaysAgo = (days) => {
+  bob.deletedAt = new Date(Date.now() - days * DAY);
+};
+
+test('deleting a user only marks them deleted, restorable for the grace period', async () => {
+  const res = await request(admin.url, 'DELETE', `/api/users/${bob.id}`);
+
+  assert.equal(res.status, 200);
+  assert.ok(bob.deletedAt instanceof Date);
+  assert.equal(Date.parse(res.body.deletedUser.restorableUntil), bob.deletedAt.getTime() + 30 * DAY);
+  assert.equal(bob.canAuthenticate(), false);
+  assert.deepEqual(User.findOneAndUpdate.mock.calls[0].arguments[0], { _id: bob.id, deletedAt: null });
+  assert.equal(redis.published[0].channel, 'user:updated');
+});
+
+test('deleted users can be restored within the grace period', async () => {
+  deletedDaysAgo(29);
+
+  const res = await request(admin.url, 'POST', `/api/users/${bob.id}/restore`);
+
+  assert.equal(res.status, 200);
+  assert.equal(bob.deletedAt, null);
+  assert.equal(bob.canAuthenticate(), true);
+  assert.equal(AuditEvent.create.mock.calls[0].arguments[0].action, 'user.restore');
+});
+
+test('restores after the grace period, or after the purge claimed the user, are gone', async (t) => {
+  deletedDaysAgo(31);
+  const expired = await request(admin.url, 'POST', `/api/users/${bob.id}/restore`);
+
+  deletedDaysAgo(1);
+  t.mock.method(User, 'findOneAndUpdate', async () => null);
+  const claimed = await request(admin.url, 'POST', `/api/users/${bob.id}/restore`);
+
+  assert.equal(expired.status, 410);
+  assert.equal(claimed.status, 410);
+  assert.notEqual(bob.deletedAt, null);
+});
+
+test('users that are not deleted cannot be restored', async () => {
+  const res = await request(admin.url, 'POST', `/api/users/${bob.id}/restore`);
+
+  assert.equal(res.status, 409);
+});
+
+test('deleting a user twice finds nothing to delete', async () => {
+  deletedDaysAgo(1);
+
+  const res = await request(admin.url, 'DELETE', `/api/users/${bob.id}`);
+
+  assert.equal(res.status, 404);
+});
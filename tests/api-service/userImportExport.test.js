@@ -0,0 +1,193 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApi, apiUser, serveRouter } = require('../helpers/api');
+const { request } = require('../helpers/http');
+const { load } = require('../helpers/modules');
+
+const { bullmq } = loadApi();
+const User = load('api-service/models/User');
+const { parseCsv, parseNdjson, formatCsvRow } = load('api-service/formats');
+
+let admin;
+let otherAdmin;
+let member;
+
+before(async () => {
+  admin = await serveRouter('/api/users', 'api-service/routes/users', apiUser({ id: 'admin-1', username: 'root', roles: ['admin'] }));
+  otherAdmin = await serveRouter('/api/users', 'api-service/routes/users', apiUser({ id: 'admin-2', username: 'ops', roles: ['admin'] }));
+  member = await serveRouter('/api/users', 'api-service/routes/users');
+});
+
+after(() => Promise.all([admin.close(), otherAdmin.close(), member.close()]));
+
+beforeEach(() => {
+  bullmq.Queue.reset();
+});
+
+// Upload a document as the given content type
+const upload = async (server, text, contentType, params = '') => {
+  const response = await fetch(`${server.url}/api/users/import${params}`, {
+    method: 'POST',
+    headers: { 'Content-Type': contentType },
+    body: text
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const importJob = () => bullmq.Queue.jobs('user-imports')[0];
+
+test('CSV fields may be quoted around commas, quotes and line breaks', () => {
+  const { columns, records } = parseCsv('﻿username, email ,name\r\nann,ann@example.com,"Smith, ""Ann"""\r\n\r\nbo,bo@example.com,"two\nlines"\n');
+
+  assert.deepEqual(columns, ['username', 'email', 'name']);
+  assert.deepEqual(records, [
+    { row: 1, record: { username: 'ann', email: 'ann@example.com', name: 'Smith, "Ann"' } },
+    { row: 2, record: { username: 'bo', email: 'bo@example.com', name: 'two\nlines' } }
+  ]);
+  assert.throws(() => parseCsv('username,email\n"ann,ann@example.com\n'), /inside a quoted field/);
+});
+
+test('NDJSON lines that are not JSON objects are reported by row', () => {
+  const records = parseNdjson('{"username":"ann"}\n\n[1,2]\n{oops\n');
+
+  assert.deepEqual(records, [
+    { row: 1, record: { username: 'ann' } },
+    { row: 2, error: 'Line is not a JSON object' },
+    { row: 3, error: 'Line is not valid JSON' }
+  ]);
+});
+
+test('exported CSV fields are escaped and never run as spreadsheet formulas', () => {
+  assert.equal(formatCsvRow(['plain', 'a,b', 'say "hi"', null, new Date('2026-01-01T00:00:00Z')]), 'plain,"a,b","say ""hi""",,2026-01-01T00:00:00.000Z\r\n');
+  assert.equal(formatCsvRow(['=HYPERLINK("x")', '+1', '@SUM(A1)']), '"\'=HYPERLINK(""x"")",\'+1,\'@SUM(A1)\r\n');
+});
+
+test('imports are validated like POST /api/users and queued with their row errors', async () => {
+  const csv = 'username,email,name\nann,Ann@Example.com,Ann\nx,bad-address,\nbob,bob@example.com,\n';
+
+  const res = await upload(admin, csv, 'text/csv');
+
+  assert.equal(res.status, 202);
+  assert.deepEqual(res.body.import, {
+    id: importJob().id, format: 'csv', dryRun: false, total: 3, valid: 2, invalid: 1, statusUrl: `/api/users/imports/${importJob().id}`
+  });
+  const { data } = importJob();
+  assert.deepEqual(data.requestedBy, { id: 'admin-1', username: 'root' });
+  assert.deepEqual(data.rows, [
+    { row: 1, username: 'ann', email: 'ann@example.com', name: 'Ann' },
+    { row: 3, username: 'bob', email: 'bob@example.com', name: 'bob' }
+  ]);
+  assert.equal(data.errors[0].row, 2);
+  assert.deepEqual(data.errors[0].errors.map(error => error.path).sort(), ['email', 'username']);
+  assert.equal(importJob().opts.attempts, 1);
+});
+
+test('imported usernames may only hold letters, numbers and underscores', async () => {
+  const res = await upload(admin, 'username,email\nbob smith,bob@example.com\n', 'text/csv');
+
+  assert.equal(res.status, 202);
+  const { data } = importJob();
+  assert.deepEqual(data.rows, []);
+  assert.deepEqual(data.errors[0].errors.map(error => [error.path, error.msg]), [
+    ['username', 'Username can only contain letters, numbers, and underscores']
+  ]);
+});
+
+test('NDJSON dry runs are queued with unparseable lines as row errors', async () => {
+  const ndjson = '{"username":"ann","email":"ann@example.com"}\nnot json\n';
+
+  const res = await upload(admin, ndjson, 'application/x-ndjson', '?dryRun=true');
+
+  assert.equal(res.status, 202);
+  assert.equal(res.body.message, 'Import dry run queued');
+  assert.equal(importJob().data.dryRun, true);
+  assert.deepEqual(importJob().data.errors, [{ row: 2, errors: [{ msg: 'Line is not valid JSON' }] }]);
+});
+
+test('uploads that cannot be imported are rejected before anything is queued', async () => {
+  const cases = [
+    [member, 'username,email\nann,ann@example.com\n', 'text/csv', 403],
+    [admin, '{"username":"ann"}', 'application/json', 415],
+    [admin, 'username,name\nann,Ann\n', 'text/csv', 400],
+    [admin, 'username,email\n"ann,ann@example.com\n', 'text/csv', 400],
+    [admin, '\n\n', 'application/x-ndjson', 400]
+  ];
+
+  for (const [server, text, contentType, status] of cases) {
+    const res = await upload(server, text, contentType);
+    assert.equal(res.status, status, `${contentType}: ${text}`);
+  }
+  assert.equal(bullmq.Queue.jobs('user-imports').length, 0);
+});
+
+test('import progress and reports are only shown to the user who started the import', async () => {
+  const res = await upload(admin, 'username,email\nann,ann@example.com\n', 'text/csv');
+  const job = importJob();
+  job.progress = { processed: 1, total: 1, created: 1, failed: 0 };
+
+  const own = await request(admin.url, 'GET', `/api/users/imports/${res.body.import.id}`);
+  const other = await request(otherAdmin.url, 'GET', `/api/users/imports/${res.body.import.id}`);
+  const missing = await request(admin.url, 'GET', '/api/users/imports/import-unknown');
+
+  assert.equal(own.status, 200);
+  assert.equal(own.body.import.state, 'waiting');
+  assert.deepEqual(own.body.import.progress, { processed: 1, total: 1, created: 1, failed: 0 });
+  assert.equal(other.status, 404);
+  assert.equal(missing.status, 404);
+});
+
+// Stand-in for a Mongoose find whose cursor yields the given users
+const findCursor = (users) => {
+  const calls = [];
+  const chain = {
+    calls,
+    select(...args) {
+      calls.push(['select', args]);
+      return chain;
+    },
+    sort(...args) {
+      calls.push(['sort', args]);
+      return chain;
+    },
+    async *cursor() {
+      yield* users;
+    }
+  };
+  return chain;
+};
+
+test('exports stream the filtered users as CSV or NDJSON', async (t) => {
+  const users = [
+    new User({ username: 'ann', email: 'ann@example.com', name: '=cmd()', roles: ['user', 'admin'], createdAt: new Date('2026-01-01T00:00:00Z') }),
+    new User({ username: 'bo', email: 'bo@example.com', name: 'Bo, Jr.' })
+  ];
+  const find = t.mock.method(User, 'find', () => findCursor(users));
+
+  const csv = await request(admin.url, 'GET', '/api/users/export?isActive=true&sortBy=username&order=asc');
+  const ndjson = await request(admin.url, 'GET', '/api/users/export?format=ndjson');
+
+  assert.equal(csv.status, 200);
+  assert.match(csv.headers.get('content-type'), /^text\/csv/);
+  assert.match(csv.headers.get('content-disposition'), /^attachment; filename="users-\d{4}-\d{2}-\d{2}\.csv"$/);
+  const lines = csv.body.split('\r\n');
+  assert.equal(lines[0], 'id,username,email,name,roles,isActive,createdAt,lastActive');
+  assert.ok(lines[1].startsWith(`${users[0].id},ann,ann@example.com,'=cmd(),user;admin,true,2026-01-01T00:00:00.000Z,`));
+  assert.ok(lines[2].includes(',"Bo, Jr.",'));
+  assert.deepEqual(find.mock.calls[0].arguments[0], { deletedAt: null, isActive: true });
+  assert.deepEqual(find.mock.calls[0].result.calls[1], ['sort', [{ username: 1, _id: 1 }]]);
+
+  assert.match(ndjson.headers.get('content-type'), /^application\/x-ndjson/);
+  const records = ndjson.body.trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(records.map(record => record.username), ['ann', 'bo']);
+  assert.deepEqual(records[0].roles, ['user', 'admin']);
+});
+
+test('exports are for admins and take the listing\'s filters', async () => {
+  const denied = await request(member.url, 'GET', '/api/users/export');
+  const badFormat = await request(admin.url, 'GET', '/api/users/export?format=xlsx');
+  const badSort = await request(admin.url, 'GET', '/api/users/export?sortBy=password');
+
+  assert.equal(denied.status, 403);
+  assert.equal(badFormat.status, 400);
+  assert.equal(badSort.status, 400);
+});
@@ -0,0 +1,158 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApi, apiUser, serveRouter } = require('../helpers/api');
+const { request } = require('../helpers/http');
+const { query } = require('../helpers/mongo');
+const { load } = require('../helpers/modules');
+
+loadApi();
+const User = load('api-service/models/User');
+const { encodeCursor, decodeCursor } = load('api-service/pagination');
+
+const DAY = 24 * 3600 * 1000;
+
+// Evaluates the subset of MongoDB filters the listing builds; $text matches a username
+const compare = (a, b) => {
+  const key = (value) => (value instanceof Date ? value.getTime() : String(value));
+  return key(a) < key(b) ? -1 : key(a) > key(b) ? 1 : 0;
+};
+const OPERATORS = {
+  $lt: (value, bound) => compare(value, bound) < 0,
+  $gt: (value, bound) => compare(value, bound) > 0,
+  $lte: (value, bound) => compare(value, bound) <= 0,
+  $gte: (value, bound) => compare(value, bound) >= 0
+};
+const matches = (doc, filter) => Object.entries(filter).every(([field, condition]) => {
+  if (field === '$and') return condition.every(part => matches(doc, part));
+  if (field === '$or') return condition.some(part => matches(doc, part));
+  if (field === '$text') return doc.username.includes(condition.$search);
+  if (condition && typeof condition === 'object' && !(condition instanceof Date) && !condition._bsontype) {
+    return Object.entries(condition).every(([operator, bound]) => OPERATORS[operator](doc[field], bound));
+  }
+  return condition === null ? doc[field] === null : compare(doc[field], condition) === 0;
+});
+
+// Runs a find query's filter, sort, skip and limit over the stored users
+const findUsers = (filter) => {
+  const chain = query(() => {
+    const option = (name) => (chain.calls.find(([called]) => called === name) || [null, []])[1][0];
+    const sort = Object.entries(option('sort'));
+    const skip = option('skip') || 0;
+    return users
+      .filter(user => matches(user, filter))
+      .sort((a, b) => sort.reduce((result, [field, direction]) => result || compare(a[field], b[field]) * direction, 0))
+      .slice(skip, skip + (option('limit') || users.length));
+  });
+  return chain;
+};
+
+let admin;
+let users;
+
+before(async () => {
+  admin = await serveRouter('/api/users', 'api-service/routes/users', apiUser({ roles: ['admin'] }));
+});
+
+after(() => admin.close());
+
+beforeEach((t) => {
+  const start = Date.parse('2026-01-01T00:00:00Z');
+  // carol and dave signed up at the same moment, so pages have to break the tie by _id
+  const signUpDays = { alice: 0, bob: 1, carol: 2, dave: 2, erin: 3 };
+  users = Object.entries(signUpDays).map(([username, day]) => User.hydrate({
+    _id: new User()._id,
+    username,
+    email: `${username}@example.com`,
+    name: username,
+    isActive: username !== 'bob',
+    deletedAt: null,
+    createdAt: new Date(start + day * DAY)
+  }));
+  users.push(User.hydrate({ _id: new User()._id, username: 'zed', email: 'zed@example.com', name: 'Zed', deletedAt: new Date(), createdAt: new Date(start) }));
+  t.mock.method(User, 'find', findUsers);
+  t.mock.method(User, 'countDocuments', async (filter) => users.filter(user => matches(user, filter)).length);
+});
+
+const list = (params) => request(admin.url, 'GET', `/api/users?${new URLSearchParams(params)}`);
+const names = (res) => res.body.users.map(user => user.username);
+
+test('searches go to the text index as plain words, never as a regular expression', async () => {
+  const res = await list({ search: '.*(a+)+$' });
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(User.find.mock.calls[0].arguments[0], { deletedAt: null, $text: { $search: '.*(a+)+$' } });
+  assert.deepEqual(names(await list({ search: 'ar' })), ['carol']);
+});
+
+test('users are filtered by activity and sign-up date, leaving out deleted users', async () => {
+  assert.deepEqual(names(await list({ sortBy: 'username', order: 'asc' })), ['alice', 'bob', 'carol', 'dave', 'erin']);
+  assert.deepEqual(names(await list({ isActive: 'false' })), ['bob']);
+  assert.deepEqual(names(await list({ from: '2026-01-02T00:00:00Z', to: '2026-01-03T00:00:00Z', sortBy: 'username', order: 'asc' })), ['bob', 'carol', 'dave']);
+});
+
+test('cursors page forward and back through users with equal sort values', async () => {
+  const first = await list({ limit: 2 });
+  const second = await list({ limit: 2, cursor: first.body.pagination.next });
+  const third = await list({ limit: 2, cursor: second.body.pagination.next });
+  const back = await list({ limit: 2, cursor: third.body.pagination.prev });
+
+  const newestFirst = [...users.slice(0, 5)].sort((a, b) => compare(b.createdAt, a.createdAt) || compare(b._id, a._id)).map(user => user.username);
+  assert.deepEqual([...names(first), ...names(second), ...names(third)], newestFirst);
+  assert.equal(first.body.pagination.prev, null);
+  assert.equal(third.body.pagination.next, null);
+  assert.deepEqual(names(back), names(second));
+  assert.ok(back.body.pagination.prev);
+  assert.equal(second.body.pagination.total, undefined);
+});
+
+test('cursors keep the sort of their listing', async () => {
+  const first = await list({ limit: 3, sortBy: 'username', order: 'asc' });
+  const second = await list({ limit: 3, cursor: first.body.pagination.next, sortBy: 'createdAt' });
+
+  assert.deepEqual(names(first), ['alice', 'bob', 'carol']);
+  assert.deepEqual(names(second), ['dave', 'erin']);
+  assert.equal(second.body.pagination.next, null);
+});
+
+test('offset pagination still works and hands out cursors to continue from', async () => {
+  const res = await list({ page: 2, limit: 2, sortBy: 'username', order: 'asc' });
+
+  assert.deepEqual(names(res), ['carol', 'dave']);
+  assert.equal(res.body.pagination.page, 2);
+  assert.equal(res.body.pagination.total, 5);
+  assert.equal(res.body.pagination.totalPages, 3);
+  assert.deepEqual(names(await list({ limit: 2, cursor: res.body.pagination.next })), ['erin']);
+  assert.deepEqual(names(await list({ limit: 2, cursor: res.body.pagination.prev })), ['alice', 'bob']);
+});
+
+test('invalid sorts, filters and cursors are rejected', async () => {
+  const cursor = encodeCursor(users[0], { sortBy: 'username', order: 'asc', direction: 'next' });
+  const passwordCursor = encodeCursor({ password: 'x', _id: users[0]._id }, { sortBy: 'password', order: 'asc', direction: 'next' });
+  const invalid = [
+    { sortBy: 'password' },
+    { order: 'sideways' },
+    { isActive: 'maybe' },
+    { from: 'last week' },
+    { limit: 101 },
+    { cursor: 'not-a-cursor' },
+    { cursor: passwordCursor },
+    { cursor, page: 2 }
+  ];
+
+  for (const params of invalid) {
+    const res = await list(params);
+    assert.equal(res.status, 400, JSON.stringify(params));
+  }
+  assert.equal(User.find.mock.callCount(), 0);
+});
+
+test('cursors are opaque and restore dates and ids', () => {
+  const cursor = encodeCursor(users[2], { sortBy: 'createdAt', order: 'desc', direction: 'prev' });
+  const decoded = decodeCursor(cursor);
+
+  assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+  assert.equal(decoded.value.getTime(), users[2].createdAt.getTime());
+  assert.equal(decoded.id.toString(), users[2].id);
+  assert.equal(decoded.direction, 'prev');
+  assert.equal(decodeCursor(Buffer.from(JSON.stringify({ sortBy: 'createdAt', order: 'desc', direction: 'next', id: 'x' })).toString('base64url')), null);
+});
@@ -0,0 +1,52 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApi, serveRouter } = require('../helpers/api');
+const { request } = require('../helpers/http');
+const { query } = require('../helpers/mongo');
+const { load } = require('../helpers/modules');
+
+const { bullmq } = loadApi();
+const Task = load('api-service/models/Task');
+
+let server;
+
+before(async () => {
+  server = await serveRouter('/api/tasks', 'api-service/routes/tasks');
+});
+
+after(() => server.close());
+
+beforeEach((t) => {
+  bullmq.Queue.reset();
+  t.mock.method(Task, 'insertMany', async () => []);
+  t.mock.method(Task, 'findOne', () => query({ userId: 'user-1' }));
+});
+
+const callbackTask = (fields) => ({ type: 'email', data: { recipient: 'a@example.com' }, callbackUrl: 'https://hooks.example.com/tasks', ...fields });
+
+test('the callback travels with the job, and its secret never leaves the queue', async () => {
+  const created = await request(server.url, 'POST', '/api/tasks', { body: callbackTask({ callbackSecret: 'a-very-secret-value' }) });
+  const [job] = bullmq.Queue.jobs('tasks-email');
+
+  assert.equal(created.status, 201);
+  assert.deepEqual(job.data.callback, { url: 'https://hooks.example.com/tasks', secret: 'a-very-secret-value' });
+
+  const res = await request(server.url, 'GET', `/api/tasks/${job.id}`);
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.task.data.callback, { url: 'https://hooks.example.com/tasks', signed: true });
+  assert.doesNotMatch(JSON.stringify(res.body), /a-very-secret-value/);
+});
+
+test('callback options are validated', async () => {
+  const invalid = [
+    callbackTask({ callbackUrl: 'ftp://hooks.example.com' }),
+    callbackTask({ callbackSecret: 'short' }),
+    { type: 'email', data: { recipient: 'a@example.com' }, callbackSecret: 'a-very-secret-value' }
+  ];
+
+  for (const body of invalid) {
+    const res = await request(server.url, 'POST', '/api/tasks', { body });
+    assert.equal(res.status, 400, JSON.stringify(body));
+  }
+});
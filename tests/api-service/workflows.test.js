@@ -0,0 +1,111 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApi, serveRouter } = require('../helpers/api');
+const { request } = require('../helpers/http');
+const { load } = require('../helpers/modules');
+
+const { bullmq, producer } = loadApi();
+const Task = load('api-service/models/Task');
+const Workflow = load('api-service/models/Workflow');
+
+let server;
+
+before(async () => {
+  server = await serveRouter('/api/workflows', 'api-service/routes/workflows');
+});
+
+after(() => server.close());
+
+beforeEach((t) => {
+  bullmq.Queue.reset();
+  t.mock.method(Task, 'insertMany', async () => []);
+});
+
+const report = { id: 'report', type: 'report', data: { reportType: 'sales' } };
+const mail = { id: 'mail', type: 'email', data: { recipient: 'ops@example.com' }, dependsOn: ['report'], inputs: { body: 'report.downloadUrl' } };
+
+test('graphs that are not DAGs of known tasks are rejected', async () => {
+  const invalid = [
+    [{ ...report, dependsOn: ['mail'] }, mail],
+    [report, { ...mail, dependsOn: ['missing'], inputs: {} }],
+    [report, { ...mail, id: 'report' }],
+    [report, { ...mail, dependsOn: ['report'], inputs: { body: 'other.downloadUrl' } }],
+    [{ ...report, dependsOn: ['report'] }]
+  ];
+
+  for (const tasks of invalid) {
+    const res = await request(server.url, 'POST', '/api/workflows', { body: { tasks } });
+    assert.equal(res.status, 400, JSON.stringify(tasks));
+  }
+});
+
+test('fields supplied by inputs may be missing from a task\'s data', async (t) => {
+  let workflow;
+  t.mock.method(Workflow, 'create', async (fields) => (workflow = new Workflow(fields)));
+  t.mock.method(Workflow, 'findOneAndUpdate', async () => workflow);
+  t.mock.method(Workflow, 'findById', async () => workflow);
+
+  const withoutRecipient = { ...mail, data: {}, inputs: { recipient: 'report.owner' } };
+  const res = await request(server.url, 'POST', '/api/workflows', { body: { tasks: [report, withoutRecipient] } });
+
+  assert.equal(res.status, 201);
+});
+
+test('creating a workflow queues only its root tasks', async (t) => {
+  let workflow;
+  const create = t.mock.method(Workflow, 'create', async (fields) => (workflow = new Workflow(fields)));
+  const claim = t.mock.method(Workflow, 'findOneAndUpdate', async () => workflow);
+  t.mock.method(Workflow, 'findById', async () => workflow);
+
+  const res = await request(server.url, 'POST', '/api/workflows', {
+    body: { name: 'Weekly sales', failurePolicy: 'skip', tasks: [report, mail] }
+  });
+
+  assert.equal(res.status, 201);
+  const fields = create.mock.calls[0].arguments[0];
+  assert.equal(fields.userId, 'user-1');
+  assert.deepEqual(fields.nodes.map(node => [node.key, node.dependsOn]), [['report', []], ['mail', ['report']]]);
+
+  // The root node is claimed out of pending before it is queued
+  assert.equal(claim.mock.callCount(), 1);
+  assert.equal(claim.mock.calls[0].arguments[0].nodes.$elemMatch.key, 'report');
+
+  const [job] = bullmq.Queue.jobs('tasks-report');
+  assert.equal(job.id, `workflow-${workflow.id}-report`);
+  assert.equal(job.data.workflowId, workflow.id);
+  assert.equal(job.data.nodeKey, 'report');
+  assert.deepEqual(bullmq.Queue.jobs('tasks-email'), []);
+
+  // Queued root nodes are in the task history right away
+  const [history] = Task.insertMany.mock.calls[0].arguments[0];
+  assert.equal(history.jobId, job.id);
+  assert.equal(history.type, 'report');
+  assert.equal(history.userId, 'user-1');
+  assert.equal(history.state, 'waiting');
+  assert.equal(Task.insertMany.mock.callCount(), 1);
+});
+
+test('GET /api/workflows/:id hides workflows of other users', async (t) => {
+  const workflow = new Workflow({ userId: 'user-2', nodes: [{ key: 'report', type: 'report' }] });
+  t.mock.method(Workflow, 'findById', async () => workflow);
+
+  const res = await request(server.url, 'GET', `/api/workflows/${workflow.id}`);
+
+  assert.equal(res.status, 404);
+});
+
+test('cancelling a queued workflow node settles it in the workflow', async (t) => {
+  t.mock.method(Task, 'updateOne', async () => ({}));
+  const workflow = new Workflow({ userId: 'user-1', nodes: [{ key: 'report', type: 'report', state: 'cancelled' }] });
+  const settle = t.mock.method(Workflow, 'findOneAndUpdate', async () => workflow);
+  t.mock.method(Workflow, 'updateOne', async () => ({}));
+  const queue = producer.getTaskQueue('report');
+  const job = await queue.add('report', { type: 'report', data: {}, userId: 'user-1', workflowId: workflow.id, nodeKey: 'report' });
+
+  const outcome = await producer.cancelTask(job.id);
+
+  assert.equal(outcome.state, 'cancelled');
+  const [filter, update] = settle.mock.calls[0].arguments;
+  assert.deepEqual(filter, { _id: workflow.id, 'nodes.key': 'report' });
+  assert.equal(update.$set['nodes.$.state'], 'cancelled');
+});
@@ -12,7 +12,7 @@ const endpoints = [
   { method: "post", url: "/api/tasks", data: {
     type: "email",
     data: { recipient: "test@example.com", subject: "API Test" },
-    priority: 5, userId: "tester"
+    priority: 5
   }},
   { method: "get", url: "/api/tasks" },
   { method: "post", url: "/api/users", data: {
@@ -26,6 +26,21 @@ const endpoints = [
 const testMatrix = [];
 let successCount = 0;
 let failCount = 0;
+let accessToken = null;
+
+// Register a throwaway account; its access token authenticates every /api request
+async function authenticate() {
+  const suffix = Math.random().toString(36).substring(7);
+  const res = await axios.post(BASE_URL + "/api/auth/register", {
+    username: "tester_" + suffix,
+    email: "tester_" + suffix + "@test.com",
+    password: "tester-password-" + suffix
+  }, { validateStatus: () => true });
+  if (res.status !== 201) {
+    throw new Error(`Registration failed with status ${res.status}`);
+  }
+  accessToken = res.data.tokens.accessToken;
+}
 
 // Utility to print results
 function prettyPrintMatrix(matrix) {
@@ -47,6 +62,7 @@ async function testEndpoint(ep, i, retries = 3, delay = 700) {
         method: ep.method,
         url,
         data: ep.data,
+        headers: accessToken ? { Authorization: `Bearer ${accessToken}` } : {},
         validateStatus: () => true
       });
       let time_ms = Math.round(performance.now() - start);
@@ -87,6 +103,7 @@ async function testEndpoint(ep, i, retries = 3, delay = 700) {
 async function runTests() {
   console.log("⏳ Waiting 15 seconds for all Docker services to initialize...");
   await new Promise(r => setTimeout(r, 15000));
+  await authenticate();
   let requests = [];
   for (let u = 0; u < CONCURRENT_USERS; u++) {
     for (let r = 0; r < TOTAL_REQUESTS / CONCURRENT_USERS; r++) {
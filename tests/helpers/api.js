@@ -0,0 +1,59 @@
+/**
+ * API service harness: loads the API's queue layer on the in-memory fakes and
+ * serves its routers to fetch, as a given user or behind their real auth.
+ */
+
+const { load, loadPackage } = require('./modules');
+const { useFakeQueues } = require('./services');
+const { routerApp, listen } = require('./http');
+
+/**
+ * Load the producer on fake Redis and BullMQ. Quotas are off unless asked for,
+ * since they run as a Lua script. Fair-share allocation, also a Lua script, is
+ * replaced by consecutive tags per call.
+ */
+const loadApi = ({ quotas = false } = {}) => {
+  process.env.TASK_QUOTAS_ENABLED = String(quotas);
+  const bullmq = useFakeQueues('api-service');
+  const producer = load('api-service/queue/producer');
+  const redis = producer.redisConnection;
+
+  let tag = 0;
+  redis.eval = async (script, numKeys, ...args) => {
+    const count = Number(args[numKeys + 1]);
+    const first = tag + 1;
+    tag += count;
+    return first;
+  };
+
+  return { bullmq, producer, redis };
+};
+
+const apiUser = (overrides = {}) => ({
+  id: 'user-1',
+  username: 'alice',
+  roles: ['user'],
+  emailVerified: true,
+  ...overrides
+});
+
+// Serve an API router, e.g. 'api-service/routes/tasks', under mountPath
+const serveRouter = (mountPath, file, user = apiUser()) => listen(routerApp(mountPath, load(file), user));
+
+// Serve routers with their real auth middleware, as server.js mounts them, e.g.
+// ['/api/tasks', 'api-service/middleware/auth', requireScope('tasks'), 'api-service/routes/tasks']
+// (strings are repository files, anything else is used as middleware)
+const serveRoutes = (...mounts) => {
+  const express = loadPackage('api-service', 'express');
+  const app = express();
+  app.use(express.json());
+  mounts.forEach(([mountPath, ...handlers]) => app.use(mountPath, ...handlers.map(handler => (typeof handler === 'string' ? load(handler) : handler))));
+  return listen(app);
+};
+
+module.exports = {
+  loadApi,
+  apiUser,
+  serveRouter,
+  serveRoutes
+};
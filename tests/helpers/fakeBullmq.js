@@ -0,0 +1,217 @@
+/**
+ * In-memory stand-in for the parts of BullMQ the services use. Queues with the
+ * same name share their jobs, as they would through Redis, so a test can reach
+ * the jobs a service queued with FakeQueue.jobs(name). Workers never run jobs by
+ * themselves; tests call their processor directly.
+ */
+
+const { EventEmitter } = require('events');
+
+// Shared state of each queue name
+const queueState = new Map();
+
+const stateOf = (name) => {
+  if (!queueState.has(name)) {
+    queueState.set(name, { jobs: new Map(), paused: false, schedulers: new Map(), nextId: 1 });
+  }
+  return queueState.get(name);
+};
+
+class FakeJob {
+  constructor(queueName, name, data, opts = {}) {
+    const state = stateOf(queueName);
+    this.queueName = queueName;
+    this.id = opts.jobId || String(state.nextId++);
+    this.name = name;
+    this.data = data;
+    this.opts = opts;
+    this.priority = opts.priority || 0;
+    this.timestamp = Date.now();
+    this.attemptsMade = 0;
+    this.failedReason = undefined;
+    this.stacktrace = [];
+    this.progress = 0;
+    this.returnvalue = null;
+    this.processedOn = undefined;
+    this.finishedOn = undefined;
+    this.state = opts.delay > 0 ? 'delayed' : (opts.priority ? 'prioritized' : 'waiting');
+  }
+
+  async getState() {
+    return this.state;
+  }
+
+  // Active jobs are locked by their worker and cannot be removed
+  async remove() {
+    if (this.state === 'active') {
+      throw new Error(`Job ${this.id} could not be removed because it is locked by another worker`);
+    }
+    stateOf(this.queueName).jobs.delete(this.id);
+    this.state = 'removed';
+  }
+
+  async retry(state = 'failed', { resetAttemptsMade = false } = {}) {
+    if (this.state !== state) {
+      throw new Error(`Job ${this.id} is not in the ${state} state`);
+    }
+    if (resetAttemptsMade) {
+      this.attemptsMade = 0;
+    }
+    this.failedReason = undefined;
+    this.finishedOn = undefined;
+    this.state = 'waiting';
+  }
+
+  async updateProgress(progress) {
+    this.progress = progress;
+  }
+
+  async changePriority({ priority }) {
+    this.priority = priority;
+    this.opts = { ...this.opts, priority };
+  }
+
+  // Test helper: put the job in a finished state
+  fail(reason, { attemptsMade = this.opts.attempts || 1, finishedOn = Date.now() } = {}) {
+    this.state = 'failed';
+    this.failedReason = reason;
+    this.attemptsMade = attemptsMade;
+    this.finishedOn = finishedOn;
+    return this;
+  }
+}
+
+class FakeQueue extends EventEmitter {
+  constructor(name, { defaultJobOptions = {} } = {}) {
+    super();
+    this.name = name;
+    this.defaultJobOptions = defaultJobOptions;
+  }
+
+  // Jobs of a queue name, in the order they were added
+  static jobs(name) {
+    return [...stateOf(name).jobs.values()];
+  }
+
+  static reset() {
+    queueState.clear();
+  }
+
+  get state() {
+    return stateOf(this.name);
+  }
+
+  async add(name, data, opts = {}) {
+    const job = new FakeJob(this.name, name, data, { ...this.defaultJobOptions, ...opts });
+    this.state.jobs.set(job.id, job);
+    return job;
+  }
+
+  async addBulk(jobs) {
+    return Promise.all(jobs.map(({ name, data, opts }) => this.add(name, data, opts)));
+  }
+
+  async getJob(id) {
+    return this.state.jobs.get(id);
+  }
+
+  async getFailed() {
+    return FakeQueue.jobs(this.name).filter(job => job.state === 'failed');
+  }
+
+  async getJobCounts(...states) {
+    const counts = Object.fromEntries(states.map(state => [state, 0]));
+    FakeQueue.jobs(this.name).forEach(job => {
+      const state = job.state === 'waiting' && this.state.paused ? 'paused' : job.state;
+      counts[state] = (counts[state] || 0) + 1;
+    });
+    return counts;
+  }
+
+  async getRanges(states) {
+    return FakeQueue.jobs(this.name).filter(job => states.includes(job.state)).map(job => job.id);
+  }
+
+  async pause() {
+    this.state.paused = true;
+  }
+
+  async resume() {
+    this.state.paused = false;
+  }
+
+  async isPaused() {
+    return this.state.paused;
+  }
+
+  async drain(delayed = false) {
+    const states = delayed ? ['waiting', 'prioritized', 'delayed'] : ['waiting', 'prioritized'];
+    FakeQueue.jobs(this.name).filter(job => states.includes(job.state)).forEach(job => this.state.jobs.delete(job.id));
+  }
+
+  async clean(grace, limit, state) {
+    const cutoff = Date.now() - grace;
+    const cleaned = FakeQueue.jobs(this.name)
+      .filter(job => job.state === state && job.finishedOn <= cutoff)
+      .slice(0, limit || undefined);
+    cleaned.forEach(job => this.state.jobs.delete(job.id));
+    return cleaned.map(job => job.id);
+  }
+
+  async upsertJobScheduler(id, repeat, template) {
+    this.state.schedulers.set(id, { id, repeat, template, next: Date.now() + 60000 });
+  }
+
+  async removeJobScheduler(id) {
+    return this.state.schedulers.delete(id);
+  }
+
+  async getJobScheduler(id) {
+    return this.state.schedulers.get(id);
+  }
+
+  async close() {}
+}
+
+class FakeQueueEvents extends EventEmitter {
+  constructor(name) {
+    super();
+    this.name = name;
+    FakeQueueEvents.instances.push(this);
+  }
+
+  async waitUntilReady() {}
+
+  async close() {}
+}
+
+FakeQueueEvents.instances = [];
+
+class FakeWorker extends EventEmitter {
+  constructor(name, processor, opts = {}) {
+    super();
+    this.name = name;
+    this.processor = processor;
+    this.opts = opts;
+    FakeWorker.instances.push(this);
+  }
+
+  async close() {}
+}
+
+FakeWorker.instances = [];
+
+class UnrecoverableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnrecoverableError';
+  }
+}
+
+module.exports = {
+  Queue: FakeQueue,
+  QueueEvents: FakeQueueEvents,
+  Worker: FakeWorker,
+  Job: FakeJob,
+  UnrecoverableError
+};
@@ -0,0 +1,144 @@
+/**
+ * In-memory stand-in for the ioredis commands the services use. Expiry is
+ * recorded but never applied; published messages are kept in `published`.
+ * Lua scripts (eval and commands registered with defineCommand) fail unless a
+ * test replaces them. Connections are kept in FakeRedis.instances; tests deliver
+ * Pub/Sub messages to a subscriber with emit('message', channel, message).
+ */
+
+const { EventEmitter } = require('events');
+
+class FakeRedis extends EventEmitter {
+  constructor() {
+    super();
+    FakeRedis.instances.push(this);
+    this.channels = [];
+    this.store = new Map();
+    this.sortedSets = new Map();
+    this.ttls = new Map();
+    this.published = [];
+  }
+
+  async get(key) {
+    return this.store.has(key) ? this.store.get(key) : null;
+  }
+
+  // Supports the EX/PX and NX options
+  async set(key, value, ...options) {
+    const upper = options.map(option => (typeof option === 'string' ? option.toUpperCase() : option));
+    if (upper.includes('NX') && this.store.has(key)) {
+      return null;
+    }
+    this.store.set(key, String(value));
+    const ttlIndex = upper.findIndex(option => option === 'EX' || option === 'PX');
+    if (ttlIndex !== -1) {
+      this.ttls.set(key, upper[ttlIndex] === 'EX' ? options[ttlIndex + 1] : options[ttlIndex + 1] / 1000);
+    }
+    return 'OK';
+  }
+
+  async getdel(key) {
+    const value = await this.get(key);
+    this.store.delete(key);
+    return value;
+  }
+
+  async del(...keys) {
+    return keys.flat().filter(key => this.store.delete(key)).length;
+  }
+
+  async exists(...keys) {
+    return keys.flat().filter(key => this.store.has(key)).length;
+  }
+
+  async incr(key) {
+    const value = parseInt(this.store.get(key) || '0', 10) + 1;
+    this.store.set(key, String(value));
+    return value;
+  }
+
+  async expire(key, seconds) {
+    this.ttls.set(key, seconds);
+    return this.store.has(key) ? 1 : 0;
+  }
+
+  async zadd(key, score, member) {
+    const set = this.sortedSets.get(key) || new Map();
+    const added = set.has(member) ? 0 : 1;
+    set.set(member, Number(score));
+    this.sortedSets.set(key, set);
+    return added;
+  }
+
+  async zrem(key, ...members) {
+    const set = this.sortedSets.get(key) || new Map();
+    return members.flat().filter(member => set.delete(member)).length;
+  }
+
+  async zcard(key) {
+    return (this.sortedSets.get(key) || new Map()).size;
+  }
+
+  // Bounds are scores, '-inf'/'+inf', or '(score' for an exclusive bound
+  async zcount(key, min, max) {
+    const above = (score, bound) => (String(bound).startsWith('(') ? score > Number(bound.slice(1)) : score >= Number(bound));
+    const below = (score, bound) => (String(bound).startsWith('(') ? score < Number(bound.slice(1)) : score <= Number(bound));
+    const scores = [...(this.sortedSets.get(key) || new Map()).values()];
+    return scores.filter(score => above(score, String(min).replace('-inf', '-Infinity')) && below(score, String(max).replace('+inf', 'Infinity'))).length;
+  }
+
+  async publish(channel, message) {
+    this.published.push({ channel, message });
+    return 0;
+  }
+
+  // Queues commands and runs them in order on exec, answering [error, result] pairs
+  pipeline() {
+    const commands = [];
+    const pipeline = new Proxy({}, {
+      get: (target, name) => {
+        if (name === 'exec') {
+          return async () => {
+            const results = [];
+            for (const [command, args] of commands) {
+              results.push([null, await this[command](...args)]);
+            }
+            return results;
+          };
+        }
+        return (...args) => {
+          commands.push([name, args]);
+          return pipeline;
+        };
+      }
+    });
+    return pipeline;
+  }
+
+  async eval() {
+    throw new Error('Lua scripts need a Redis server');
+  }
+
+  defineCommand(name) {
+    this[name] = async () => {
+      throw new Error(`${name} needs a Redis server`);
+    };
+  }
+
+  subscribe(...args) {
+    const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+    this.channels.push(...args);
+    if (callback) {
+      callback(null, this.channels.length);
+    }
+    return Promise.resolve(this.channels.length);
+  }
+
+  async quit() {
+    return 'OK';
+  }
+}
+
+FakeRedis.instances = [];
+
+module.exports = FakeRedis;
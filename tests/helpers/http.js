@@ -0,0 +1,58 @@
+/**
+ * HTTP helpers: mount a router in a bare Express app of the API service, as the
+ * authenticated user given, and call it with fetch.
+ */
+
+const { loadPackage } = require('./modules');
+
+const express = loadPackage('api-service', 'express');
+
+// App serving router at mountPath, with req.user set (no auth middleware runs)
+const routerApp = (mountPath, router, user) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = user;
+    req.apiKey = null;
+    next();
+  });
+  app.use(mountPath, router);
+  return app;
+};
+
+// Listen on a free port; resolves with the base URL and a close function
+const listen = (app) => new Promise((resolve) => {
+  const server = app.listen(0, '127.0.0.1', () => {
+    resolve({
+      url: `http://127.0.0.1:${server.address().port}`,
+      // Streams a failed test left open would otherwise keep the server up
+      close: () => new Promise((done) => {
+        server.close(done);
+        server.closeAllConnections();
+      })
+    });
+  });
+});
+
+// Send a JSON request; resolves with the status and parsed body
+const request = async (baseUrl, method, path, { body, headers = {} } = {}) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { ...(body !== undefined && { 'Content-Type': 'application/json' }), ...headers },
+    ...(body !== undefined && { body: JSON.stringify(body) })
+  });
+  const text = await response.text();
+  let json = null;
+  try {
+    json = text ? JSON.parse(text) : null;
+  } catch (error) {
+    json = text;
+  }
+  return { status: response.status, headers: response.headers, body: json };
+};
+
+module.exports = {
+  routerApp,
+  listen,
+  request
+};
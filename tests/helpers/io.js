@@ -0,0 +1,32 @@
+/**
+ * Stand-in for the Socket.io server the notification subscriber emits through.
+ * Emits are recorded in `emitted` as { room, except, event, data } (room is null
+ * for everyone); `rooms` lists the rooms clients have joined.
+ */
+
+const fakeIo = (rooms = []) => {
+  const io = {
+    emitted: [],
+    disconnected: [],
+    sockets: { adapter: { rooms: new Map(rooms.map(room => [room, new Set()])) } },
+    emit(event, data) {
+      io.emitted.push({ room: null, except: [], event, data });
+    },
+    to(room) {
+      return { emit: (event, data) => io.emitted.push({ room, except: [], event, data }) };
+    },
+    except(except) {
+      return { emit: (event, data) => io.emitted.push({ room: null, except, event, data }) };
+    },
+    in(room) {
+      return { disconnectSockets: (close) => io.disconnected.push({ room, close }) };
+    },
+    // Events in the order emitted, as 'room event' (or just the event for everyone)
+    events() {
+      return io.emitted.map(({ room, event }) => (room ? `${room} ${event}` : event));
+    }
+  };
+  return io;
+};
+
+module.exports = { fakeIo };
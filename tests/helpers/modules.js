@@ -0,0 +1,40 @@
+/**
+ * Module helpers for the behaviour tests
+ * Tests load service code straight from the repository, so every file resolves
+ * packages from its own service's node_modules. Modules that reach Redis,
+ * MongoDB or BullMQ are replaced in the require cache before the code under
+ * test is loaded; each test file runs in its own process, so stubs never leak.
+ */
+
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+// Absolute path of a repository file, e.g. 'api-service/queue/producer'
+const resolveFile = (file) => require.resolve(path.join(ROOT, file));
+
+// Absolute path of a package as a service resolves it
+const resolvePackage = (service, name) => require.resolve(name, { paths: [path.join(ROOT, service)] });
+
+const cacheExports = (filename, exports) => {
+  require.cache[filename] = { id: filename, filename, loaded: true, exports, children: [], paths: [] };
+  return exports;
+};
+
+// Replace a repository module, returning the stand-in exports
+const stubModule = (file, exports) => cacheExports(resolveFile(file), exports);
+
+// Replace a package for one service, returning the stand-in exports
+const stubPackage = (service, name, exports) => cacheExports(resolvePackage(service, name), exports);
+
+const load = (file) => require(resolveFile(file));
+
+const loadPackage = (service, name) => require(resolvePackage(service, name));
+
+module.exports = {
+  ROOT,
+  stubModule,
+  stubPackage,
+  load,
+  loadPackage
+};
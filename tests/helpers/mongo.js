@@ -0,0 +1,29 @@
+/**
+ * Stand-in for a Mongoose query: every chained call (select, sort, skip, limit,
+ * lean, ...) returns the same query, and awaiting it resolves to the result.
+ * Chained calls are recorded in `calls` for assertions.
+ */
+
+const query = (result) => {
+  const calls = [];
+  const chain = new Proxy({}, {
+    get: (target, name) => {
+      if (name === 'calls') {
+        return calls;
+      }
+      if (name === 'then') {
+        return (resolve, reject) => Promise.resolve(typeof result === 'function' ? result() : result).then(resolve, reject);
+      }
+      if (name === 'exec') {
+        return () => Promise.resolve(typeof result === 'function' ? result() : result);
+      }
+      return (...args) => {
+        calls.push([name, args]);
+        return chain;
+      };
+    }
+  });
+  return chain;
+};
+
+module.exports = { query };
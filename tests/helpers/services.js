@@ -0,0 +1,39 @@
+/**
+ * Load a service with its Redis (and BullMQ) packages replaced by the in-memory
+ * fakes, so its modules can be required without a server, and with its logs
+ * muted. Mongoose models are
+ * the real ones; tests replace the static query methods they need with
+ * mock.method, since no database is connected.
+ */
+
+const { stubPackage } = require('./modules');
+const FakeRedis = require('./fakeRedis');
+const fakeBullmq = require('./fakeBullmq');
+
+// Service logs are noise in test output and, on Node 20, can garble the test
+// runner's stream, so they are dropped unless TEST_LOGS=true
+const quietLogs = () => {
+  if (process.env.TEST_LOGS === 'true') {
+    return;
+  }
+  ['log', 'info', 'warn', 'error'].forEach(method => {
+    console[method] = () => {};
+  });
+};
+
+// Call before requiring anything from the service
+const useFakeQueues = (service) => {
+  quietLogs();
+  stubPackage(service, 'bullmq', fakeBullmq);
+  stubPackage(service, 'ioredis', FakeRedis);
+  return fakeBullmq;
+};
+
+// For services without BullMQ, such as the notification service
+const useFakeRedis = (service) => {
+  quietLogs();
+  stubPackage(service, 'ioredis', FakeRedis);
+  return FakeRedis;
+};
+
+module.exports = { useFakeQueues, useFakeRedis };
@@ -0,0 +1,147 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeRedis } = require('../helpers/services');
+const { fakeIo } = require('../helpers/io');
+const { query } = require('../helpers/mongo');
+const { load } = require('../helpers/modules');
+
+const FakeRedis = useFakeRedis('notification-service');
+const { shouldDeliver, isWithinQuietHours } = load('shared/preferences');
+const { initializeRedisSubscriber } = load('notification-service/pubsub/subscriber');
+const User = load('notification-service/models/User');
+
+// Stored users by id; the cache is shared by all tests, so each test uses its own users
+let users;
+let io;
+let subscriber;
+
+beforeEach((t) => {
+  users = new Map();
+  t.mock.method(User, 'findById', (id) => query(() => users.get(id) || null));
+  io = fakeIo();
+  initializeRedisSubscriber(io);
+  subscriber = FakeRedis.instances[FakeRedis.instances.length - 1];
+});
+
+const storeUser = (preferences = {}, fields = {}) => {
+  const user = new User({ username: 'alice', notificationPreferences: preferences, ...fields });
+  users.set(user.id, user);
+  return user.id;
+};
+
+// Replace a stored user, as saving it in the API would
+const updateUser = (userId, preferences) => {
+  users.set(userId, new User({ _id: userId, username: 'alice', notificationPreferences: preferences }));
+};
+
+// Deliver a Pub/Sub message and wait for its async handler
+const deliver = (channel, data) => {
+  subscriber.emit('message', channel, JSON.stringify(data));
+  return new Promise(resolve => setImmediate(resolve));
+};
+
+test('quiet hours may run past midnight and are read in the user\'s timezone', () => {
+  const overnight = { start: '22:00', end: '07:00' };
+  const at = (iso) => new Date(iso);
+
+  assert.equal(isWithinQuietHours(overnight, 'UTC', at('2026-03-02T23:30:00Z')), true);
+  assert.equal(isWithinQuietHours(overnight, 'UTC', at('2026-03-02T06:59:00Z')), true);
+  assert.equal(isWithinQuietHours(overnight, 'UTC', at('2026-03-02T07:00:00Z')), false);
+  // 21:30 UTC is 22:30 in Berlin in winter
+  assert.equal(isWithinQuietHours(overnight, 'Europe/Berlin', at('2026-03-02T21:30:00Z')), true);
+  assert.equal(isWithinQuietHours({ start: '09:00', end: '17:00' }, 'UTC', at('2026-03-02T17:00:00Z')), false);
+  assert.equal(isWithinQuietHours(null, 'UTC'), false);
+});
+
+test('shouldDeliver checks the event type is enabled, on the channel and outside quiet hours', () => {
+  const noon = new Date('2026-03-02T12:00:00Z');
+  const preferences = {
+    timezone: 'UTC',
+    events: {
+      completed: { enabled: false, channels: ['socket'], quietHours: null },
+      failed: { enabled: true, channels: ['socket'], quietHours: { start: '11:00', end: '13:00' } },
+      started: { enabled: true, channels: [], quietHours: null }
+    }
+  };
+
+  assert.equal(shouldDeliver(preferences, 'completed', 'socket', noon), false);
+  assert.equal(shouldDeliver(preferences, 'failed', 'socket', noon), false);
+  assert.equal(shouldDeliver(preferences, 'failed', 'socket', new Date('2026-03-02T14:00:00Z')), true);
+  assert.equal(shouldDeliver(preferences, 'started', 'socket', noon), false);
+  assert.equal(shouldDeliver(preferences, 'system', 'socket', noon), true);
+  assert.equal(shouldDeliver(undefined, 'completed', 'socket', noon), true);
+});
+
+test('task events are held back for event types a user turned off', async () => {
+  const userId = storeUser({ events: { completed: { enabled: false } } });
+
+  await deliver('task:completed', { jobId: '1', taskType: 'email', userId });
+  await deliver('task:failed', { jobId: '2', taskType: 'email', userId });
+
+  assert.deepEqual(io.events(), [`user:${userId} notification`, `user:${userId} task:failed`]);
+});
+
+test('timeouts follow the failed preference and cancellations their own', async () => {
+  const userId = storeUser({ events: { failed: { enabled: false } } });
+
+  await deliver('task:timeout', { jobId: '1', taskType: 'email', userId, willRetry: true });
+  await deliver('task:cancelled', { jobId: '2', taskType: 'email', userId });
+
+  assert.deepEqual(io.events(), [`user:${userId} notification`, `user:${userId} task:cancelled`]);
+});
+
+test('turning notifications off holds back every event type', async () => {
+  const userId = storeUser({}, { notificationsEnabled: false });
+
+  for (const channel of ['task:completed', 'task:failed', 'task:started', 'task:cancelled']) {
+    await deliver(channel, { jobId: '1', taskType: 'email', userId });
+  }
+
+  assert.deepEqual(io.emitted, []);
+});
+
+test('preferences are cached until the API publishes user:updated', async () => {
+  const userId = storeUser();
+
+  await deliver('task:completed', { jobId: '1', taskType: 'email', userId });
+  updateUser(userId, { events: { completed: { enabled: false } } });
+  await deliver('task:completed', { jobId: '2', taskType: 'email', userId });
+
+  assert.equal(User.findById.mock.callCount(), 1);
+  assert.equal(io.emitted.length, 4);
+
+  await deliver('user:updated', { userId });
+  await deliver('task:completed', { jobId: '3', taskType: 'email', userId });
+
+  assert.equal(User.findById.mock.callCount(), 2);
+  assert.equal(io.emitted.length, 4);
+});
+
+test('anonymous tasks, unknown users and failed lookups still get notified', async () => {
+  const unknownId = new User().id;
+  const failingId = new User().id;
+  User.findById.mock.mockImplementation((id) => query(() => (id === failingId ? Promise.reject(new Error('connection lost')) : null)));
+
+  await deliver('task:completed', { jobId: '1', taskType: 'email', userId: 'anonymous' });
+  await deliver('task:completed', { jobId: '2', taskType: 'email', userId: unknownId });
+  await deliver('task:completed', { jobId: '3', taskType: 'email', userId: failingId });
+
+  assert.deepEqual(io.events(), [
+    'notification',
+    `user:${unknownId} notification`, `user:${unknownId} task:completed`,
+    `user:${failingId} notification`, `user:${failingId} task:completed`
+  ]);
+});
+
+test('system broadcasts leave out the rooms of users who turned them off', async () => {
+  const quiet = storeUser({ events: { system: { enabled: false } } });
+  const listening = storeUser();
+  io.sockets.adapter.rooms = new Map([[`user:${quiet}`, new Set()], [`user:${listening}`, new Set()], ['socket-1', new Set()]]);
+
+  await deliver('system:broadcast', { title: 'Maintenance', message: 'Back in 5 minutes' });
+
+  assert.deepEqual(io.emitted.map(({ event, except }) => [event, except]), [
+    ['notification', [`user:${quiet}`]],
+    ['system:broadcast', [`user:${quiet}`]]
+  ]);
+});
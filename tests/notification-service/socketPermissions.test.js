@@ -0,0 +1,159 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeRedis } = require('../helpers/services');
+const { fakeIo } = require('../helpers/io');
+const { query } = require('../helpers/mongo');
+const { load, loadPackage } = require('../helpers/modules');
+
+process.env.JWT_SECRET = 'socket-secret';
+
+useFakeRedis('notification-service');
+const jwt = loadPackage('notification-service', 'jsonwebtoken');
+const { initializeSocketHandlers } = load('notification-service/socket/socketHandler');
+const User = load('notification-service/models/User');
+
+// Socket.io server stand-in, also taking the connection middleware and handler
+const io = Object.assign(fakeIo(), {
+  middleware: [],
+  engine: { clientsCount: 1 },
+  use(fn) {
+    this.middleware.push(fn);
+  },
+  on(event, handler) {
+    this.onConnection = handler;
+  }
+});
+
+class FakeSocket {
+  constructor(token) {
+    this.id = `socket-${Math.random().toString(36).slice(2)}`;
+    this.handshake = { auth: token ? { token } : {} };
+    this.conn = { transport: { name: 'websocket' } };
+    this.packetMiddleware = [];
+    this.handlers = {};
+    this.sent = [];
+    this.broadcast = { emit: () => {} };
+    this.rooms = new Set([this.id]);
+  }
+
+  join(room) {
+    this.rooms.add(room);
+  }
+
+  to() {
+    return { emit: () => {} };
+  }
+
+  use(fn) {
+    this.packetMiddleware.push(fn);
+  }
+
+  on(event, handler) {
+    this.handlers[event] = handler;
+  }
+
+  // Events sent to this client
+  emit(event, data) {
+    this.sent.push({ event, data });
+  }
+
+  // Deliver an event from the client through the packet middleware, as socket.io does
+  receive(event, data) {
+    const run = ([fn, ...rest]) => (fn ? fn([event, data], () => run(rest)) : this.handlers[event](data));
+    run(this.packetMiddleware);
+  }
+}
+
+// The connection stats log would keep the test process alive
+mock.timers.enable({ apis: ['setInterval'] });
+initializeSocketHandlers(io);
+
+const connect = (claims) => {
+  const token = claims && jwt.sign({ type: 'access', ...claims }, process.env.JWT_SECRET, { subject: 'user-1' });
+  const socket = new FakeSocket(token);
+  io.middleware.forEach(fn => fn(socket, (error) => assert.ifError(error)));
+  io.onConnection(socket);
+  return socket;
+};
+
+// Wait for an async event handler
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('admins can broadcast to every socket', async () => {
+  io.emitted = [];
+  const socket = connect({ username: 'root', roles: ['admin'] });
+
+  socket.receive('broadcast', { message: 'Maintenance at 22:00' });
+  await settle();
+
+  assert.equal(io.emitted.length, 1);
+  assert.equal(io.emitted[0].event, 'broadcast_message');
+  assert.deepEqual({ ...io.emitted[0].data, timestamp: undefined }, { from: 'root', message: 'Maintenance at 22:00', timestamp: undefined });
+});
+
+test('admin broadcasts skip users who turned system notifications off', async (t) => {
+  const quiet = new User({ username: 'carol', notificationPreferences: { events: { system: { enabled: false } } } });
+  const listening = new User({ username: 'dave' });
+  const users = new Map([[quiet.id, quiet], [listening.id, listening]]);
+  t.mock.method(User, 'findById', (id) => query(() => users.get(id) || null));
+  io.emitted = [];
+  io.sockets.adapter.rooms = new Map([[`user:${quiet.id}`, new Set()], [`user:${listening.id}`, new Set()]]);
+  const socket = connect({ username: 'root', roles: ['admin'] });
+
+  socket.receive('broadcast', { message: 'Maintenance at 22:00' });
+  await settle();
+
+  assert.deepEqual(io.emitted.map(({ event, except }) => [event, except]), [['broadcast_message', [`user:${quiet.id}`]]]);
+  io.sockets.adapter.rooms = new Map();
+});
+
+test('broadcasts from users and anonymous sockets are dropped with a 403', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  io.emitted = [];
+  const user = connect({ username: 'alice', roles: ['user'] });
+  const anonymous = connect();
+
+  user.receive('broadcast', { message: 'spam' });
+  anonymous.receive('broadcast', { message: 'spam' });
+
+  assert.equal(io.emitted.length, 0);
+  for (const socket of [user, anonymous]) {
+    const denied = socket.sent.find(({ event }) => event === 'permission_denied');
+    assert.equal(denied.data.status, 403);
+    assert.equal(denied.data.permission, 'notifications:broadcast');
+  }
+  assert.match(warn.mock.calls[0].arguments[0], /alice \(user-1\) lacks notifications:broadcast/);
+  assert.match(warn.mock.calls[1].arguments[0], /anonymous lacks notifications:broadcast/);
+});
+
+test('events without a permission are open to every socket', () => {
+  const socket = connect();
+
+  socket.receive('ping');
+
+  assert.ok(socket.sent.some(({ event }) => event === 'pong'));
+});
+
+test('sockets identify as the user of their token', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const socket = connect({ username: 'alice', roles: ['user'] });
+
+  socket.receive('identify', { userId: 'user-2', username: 'bob' });
+
+  assert.ok(socket.rooms.has('user:user-1'));
+  assert.ok(!socket.rooms.has('user:user-2'));
+  assert.equal(socket.sent.find(({ event }) => event === 'identified').data.userId, 'user-1');
+});
+
+test('anonymous sockets cannot identify or join user rooms', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const socket = connect();
+
+  socket.receive('identify', { userId: 'user-2', username: 'bob' });
+  socket.receive('join_room', { room: 'user:user-2' });
+
+  assert.deepEqual([...socket.rooms], [socket.id]);
+  const denied = socket.sent.filter(({ event }) => event === 'permission_denied');
+  assert.deepEqual(denied.map(({ data }) => [data.event, data.status]), [['identify', 401], ['join_room', 403]]);
+  assert.ok(!socket.sent.some(({ event }) => event === 'identified'));
+});
@@ -0,0 +1,58 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeRedis } = require('../helpers/services');
+const { fakeIo } = require('../helpers/io');
+const { load } = require('../helpers/modules');
+
+const FakeRedis = useFakeRedis('notification-service');
+const { initializeRedisSubscriber } = load('notification-service/pubsub/subscriber');
+
+const USER_ID = '64b000000000000000000001';
+
+let io;
+let subscriber;
+
+beforeEach(() => {
+  io = fakeIo();
+  initializeRedisSubscriber(io);
+  subscriber = FakeRedis.instances[FakeRedis.instances.length - 1];
+});
+
+// Deliver a Pub/Sub message and wait for its handler
+const deliver = (channel, data) => {
+  subscriber.emit('message', channel, JSON.stringify(data));
+  return new Promise(resolve => setImmediate(resolve));
+};
+
+test('import progress goes to the socket of the user who started the import', async () => {
+  await deliver('import:progress', { importId: 'import-1', userId: USER_ID, dryRun: false, processed: 100, total: 250, created: 98, failed: 2 });
+
+  assert.deepEqual(io.events(), [`user:${USER_ID} import:progress`]);
+  const { timestamp, ...progress } = io.emitted[0].data;
+  assert.deepEqual(progress, { importId: 'import-1', dryRun: false, processed: 100, total: 250, created: 98, failed: 2 });
+  assert.ok(timestamp);
+});
+
+test('finished imports are reported as notifications, warning about failed rows', async () => {
+  await deliver('import:completed', { importId: 'import-1', userId: USER_ID, dryRun: true, total: 10, created: 8, failed: 2 });
+  await deliver('import:completed', { importId: 'import-2', userId: USER_ID, dryRun: false, total: 10, created: 10, failed: 0 });
+
+  assert.deepEqual(io.events(), [
+    `user:${USER_ID} notification`, `user:${USER_ID} import:completed`,
+    `user:${USER_ID} notification`, `user:${USER_ID} import:completed`
+  ]);
+  const [dryRun, , done] = io.emitted.map(emit => emit.data);
+  assert.equal(dryRun.type, 'warning');
+  assert.equal(dryRun.title, 'Import Dry Run Finished');
+  assert.equal(dryRun.message, '8 of 10 users would be created, 2 rows have errors');
+  assert.equal(done.type, 'success');
+  assert.equal(done.message, '10 of 10 users were created, 0 rows have errors');
+});
+
+test('failed imports say how many users were created before the failure', async () => {
+  await deliver('import:failed', { importId: 'import-1', userId: USER_ID, dryRun: false, created: 200, error: 'connection lost' });
+
+  assert.deepEqual(io.events(), [`user:${USER_ID} notification`, `user:${USER_ID} import:failed`]);
+  assert.equal(io.emitted[0].data.message, 'Your user import failed after creating 200 users');
+  assert.equal(io.emitted[0].data.data.error, 'connection lost');
+});
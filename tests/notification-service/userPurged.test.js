@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeRedis } = require('../helpers/services');
+const { fakeIo } = require('../helpers/io');
+const { query } = require('../helpers/mongo');
+const { load } = require('../helpers/modules');
+
+const FakeRedis = useFakeRedis('notification-service');
+const { initializeRedisSubscriber } = load('notification-service/pubsub/subscriber');
+
+// Deliver a Pub/Sub message and wait for its async handler
+const deliver = (subscriber, channel, data) => {
+  subscriber.emit('message', channel, JSON.stringify(data));
+  return new Promise(resolve => setImmediate(resolve));
+};
+
+test('purged users are told their account is gone and their sockets are disconnected', async () => {
+  const io = fakeIo(['user:64b000000000000000000001']);
+  initializeRedisSubscriber(io);
+  const subscriber = FakeRedis.instances[FakeRedis.instances.length - 1];
+
+  assert.ok(subscriber.channels.includes('user:purged'));
+
+  await deliver(subscriber, 'user:purged', { userId: '64b000000000000000000001', username: 'alice', purgedAt: new Date().toISOString() });
+
+  assert.deepEqual(io.events(), ['user:64b000000000000000000001 account_deleted']);
+  assert.equal(io.emitted[0].data.userId, '64b000000000000000000001');
+  assert.equal(io.emitted[0].data.message, 'Your account has been deleted');
+  assert.deepEqual(io.disconnected, [{ room: 'user:64b000000000000000000001', close: true }]);
+});
+
+test('soft-deleted users get no task notifications while they wait for the purge', async (t) => {
+  const User = load('notification-service/models/User');
+  const userId = '64b000000000000000000002';
+  t.mock.method(User, 'findById', () => query({ notificationsEnabled: true, notificationPreferences: {}, deletedAt: new Date() }));
+  const io = fakeIo();
+  initializeRedisSubscriber(io);
+  const subscriber = FakeRedis.instances[FakeRedis.instances.length - 1];
+
+  await deliver(subscriber, 'task:completed', { jobId: '1', taskType: 'email', userId });
+
+  assert.deepEqual(io.emitted, []);
+});
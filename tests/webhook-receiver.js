@@ -0,0 +1,55 @@
+const http = require("http");
+const crypto = require("crypto");
+
+// Settings
+const PORT = process.env.WEBHOOK_RECEIVER_PORT || 5050;
+const SECRET = process.env.WEBHOOK_SECRET || "";
+// Fraction of deliveries answered with HTTP 500 to exercise retries (0-1)
+const FAILURE_RATE = parseFloat(process.env.WEBHOOK_FAILURE_RATE) || 0;
+
+// Check "sha256=<hex>" against an HMAC of "<timestamp>.<body>"
+function verifySignature(headers, body) {
+  const signature = headers["x-webhook-signature"];
+  if (!SECRET || !signature) {
+    return null;
+  }
+
+  const expected = "sha256=" + crypto
+    .createHmac("sha256", SECRET)
+    .update(`${headers["x-webhook-timestamp"]}.${body}`)
+    .digest("hex");
+
+  return signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", chunk => { body += chunk; });
+  req.on("end", () => {
+    const verified = verifySignature(req.headers, body);
+    const fail = Math.random() < FAILURE_RATE;
+
+    console.log(`\n📨 ${req.method} ${req.url} - ${req.headers["x-webhook-event"]} (${req.headers["x-webhook-id"]})`);
+    console.log(`   Signature: ${verified === null ? "not checked" : verified ? "✅ valid" : "❌ invalid"}`);
+    console.log(`   Body: ${body}`);
+
+    if (verified === false) {
+      res.writeHead(401);
+      return res.end("Invalid signature");
+    }
+
+    if (fail) {
+      console.log("   ↩️  Responding 500 (simulated failure)");
+      res.writeHead(500);
+      return res.end("Simulated failure");
+    }
+
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ received: true }));
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`🪝 Webhook receiver listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,64 @@
+const { test, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { useFakeQueues } = require('../helpers/services');
+const { query } = require('../helpers/mongo');
+const { load } = require('../helpers/modules');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'artifacts-'));
+process.env.ARTIFACT_STORAGE_DIR = storageDir;
+
+useFakeQueues('worker-service');
+const Artifact = load('worker-service/models/Artifact');
+const { saveArtifact, removeExpiredArtifacts } = load('worker-service/artifacts/artifactStore');
+const { getStorage } = load('worker-service/storage');
+
+const DAY = 24 * 3600 * 1000;
+
+after(() => fs.rmSync(storageDir, { recursive: true, force: true }));
+
+beforeEach((t) => {
+  t.mock.method(Artifact, 'updateOne', async () => ({}));
+});
+
+const storedFile = (key) => path.join(storageDir, key);
+
+test('saveArtifact writes the file and records it with a retention date', async () => {
+  const saved = await saveArtifact('task-1', 'summary.json', '{"total":42}', 'application/json');
+
+  assert.deepEqual(saved, { name: 'summary.json', contentType: 'application/json', size: 12, url: '/api/tasks/task-1/artifacts/summary.json' });
+  assert.equal(fs.readFileSync(storedFile('tasks/task-1/summary.json'), 'utf8'), '{"total":42}');
+
+  const [filter, update, options] = Artifact.updateOne.mock.calls[0].arguments;
+  assert.deepEqual(filter, { taskId: 'task-1', name: 'summary.json' });
+  assert.equal(update.$set.storage, 'local');
+  assert.equal(update.$set.key, 'tasks/task-1/summary.json');
+  assert.ok(Math.abs(update.$set.expiresAt - (Date.now() + 7 * DAY)) < 1000);
+  assert.deepEqual(options, { upsert: true });
+});
+
+test('artifact names that are not single path segments are rejected', async () => {
+  await assert.rejects(saveArtifact('task-1', '../escape.txt', 'x', 'text/plain'), /Invalid artifact name/);
+  assert.equal(Artifact.updateOne.mock.callCount(), 0);
+});
+
+test('local storage keeps keys inside its directory', async () => {
+  await assert.rejects(getStorage().putObject('../outside.txt', 'x'), /Invalid storage key/);
+  assert.equal(await getStorage().getObjectStream('tasks/missing/file.txt'), null);
+});
+
+test('the retention sweep deletes expired artifacts, keeping ones it could not remove', async (t) => {
+  await getStorage().putObject('tasks/task-2/old.csv', 'a,b\n');
+  const deleted = [];
+  const expired = (key) => ({ key, deleteOne: async () => deleted.push(key) });
+  const find = t.mock.method(Artifact, 'find', () => query([expired('tasks/task-2/old.csv'), expired('tasks/../../escape')]));
+
+  const result = await removeExpiredArtifacts();
+
+  assert.deepEqual(result, { removed: 1 });
+  assert.deepEqual(deleted, ['tasks/task-2/old.csv']);
+  assert.equal(fs.existsSync(storedFile('tasks/task-2/old.csv')), false);
+  assert.ok(find.mock.calls[0].arguments[0].expiresAt.$lte <= new Date());
+});
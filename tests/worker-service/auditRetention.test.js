@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeQueues } = require('../helpers/services');
+const { load } = require('../helpers/modules');
+
+process.env.AUDIT_RETENTION_DAYS = '30';
+
+const bullmq = useFakeQueues('worker-service');
+const AuditEvent = load('worker-service/models/AuditEvent');
+const { removeExpiredAuditEvents } = load('worker-service/maintenance/auditRetention');
+const { initializeMaintenance } = load('worker-service/maintenance/scheduler');
+
+const DAY = 24 * 3600 * 1000;
+
+test('audit events older than AUDIT_RETENTION_DAYS are deleted', async (t) => {
+  const deleteMany = t.mock.method(AuditEvent, 'deleteMany', async () => ({ deletedCount: 3 }));
+
+  const result = await removeExpiredAuditEvents();
+
+  assert.deepEqual(result, { removed: 3 });
+  const { createdAt } = deleteMany.mock.calls[0].arguments[0];
+  assert.ok(Math.abs(createdAt.$lt.getTime() - (Date.now() - 30 * DAY)) < 1000);
+});
+
+test('the retention job runs daily on the maintenance queue', async (t) => {
+  const deleteMany = t.mock.method(AuditEvent, 'deleteMany', async () => ({ deletedCount: 0 }));
+
+  await initializeMaintenance({}, 'worker-1');
+
+  const scheduler = await new bullmq.Queue('maintenance').getJobScheduler('audit-retention');
+  assert.equal(scheduler.repeat.every, DAY);
+  const worker = bullmq.Worker.instances.find(instance => instance.name === 'maintenance');
+  assert.deepEqual(await worker.processor({ name: 'audit-retention' }), { removed: 0 });
+  assert.equal(deleteMany.mock.callCount(), 1);
+});
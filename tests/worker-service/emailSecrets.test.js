@@ -0,0 +1,66 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeQueues } = require('../helpers/services');
+const { load, loadPackage } = require('../helpers/modules');
+
+useFakeQueues('worker-service');
+const Redis = loadPackage('worker-service', 'ioredis');
+const { processTask } = load('worker-service/processors/taskProcessor');
+const { SECRET_PLACEHOLDER, storeTaskSecret, readTaskSecret, deleteTaskSecret, fillTaskSecret } = load('shared/taskSecrets');
+
+const TOKEN = 'eyJhbGciOiJIUzI1NiJ9.verification-token';
+
+let redis;
+
+beforeEach(() => {
+  redis = new Redis();
+});
+
+// An email task as the API queues verification emails
+const emailJob = (secretRef) => ({
+  id: 'email-1',
+  name: 'email',
+  data: {
+    type: 'email',
+    data: { recipient: 'bob@example.com', subject: 'Verify your email address', body: `Submit this token: ${SECRET_PLACEHOLDER}` },
+    secretRef,
+    userId: 'system'
+  },
+  updateProgress: async () => {}
+});
+
+// Context the worker passes to processors, reading secrets from Redis
+const context = {
+  readSecret: (ref) => readTaskSecret(redis, ref),
+  deleteSecret: (ref) => deleteTaskSecret(redis, ref)
+};
+
+test('task secrets are stored under a random reference for their lifetime and filled into text', async () => {
+  const ref = await storeTaskSecret(redis, TOKEN, 3600);
+
+  assert.match(ref, /^[0-9a-f]{32}$/);
+  assert.equal(await readTaskSecret(redis, ref), TOKEN);
+  assert.equal(redis.ttls.get(`task:secret:${ref}`), 3600);
+  assert.equal(fillTaskSecret(`a ${SECRET_PLACEHOLDER} b ${SECRET_PLACEHOLDER}`, 'x'), 'a x b x');
+});
+
+test('the email processor sends the secret and deletes it, without logging it', async (t) => {
+  const ref = await storeTaskSecret(redis, TOKEN, 3600);
+  const logs = t.mock.method(console, 'log', () => {});
+  const read = t.mock.method(context, 'readSecret');
+
+  const result = await processTask(emailJob(ref), context);
+
+  assert.equal(result.status, 'sent');
+  assert.deepEqual(read.mock.calls[0].arguments, [ref]);
+  assert.equal(await readTaskSecret(redis, ref), null);
+  assert.ok(logs.mock.calls.every(call => !call.arguments.join(' ').includes(TOKEN)));
+  assert.ok(!JSON.stringify(result).includes(TOKEN));
+});
+
+test('emails whose secret has expired fail instead of sending the placeholder', async (t) => {
+  const deleteSecret = t.mock.method(context, 'deleteSecret');
+
+  await assert.rejects(processTask(emailJob('0'.repeat(32)), context), /Email secret has expired/);
+  assert.equal(deleteSecret.mock.callCount(), 0);
+});
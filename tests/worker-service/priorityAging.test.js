@@ -0,0 +1,68 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeQueues } = require('../helpers/services');
+const { query } = require('../helpers/mongo');
+const { load, loadPackage } = require('../helpers/modules');
+
+const bullmq = useFakeQueues('worker-service');
+const Redis = loadPackage('worker-service', 'ioredis');
+const Task = load('worker-service/models/Task');
+const { agePriorities } = load('worker-service/maintenance/priorityAging');
+
+const redis = new Redis();
+const reports = new bullmq.Queue('tasks-report');
+
+let shifts;
+
+beforeEach((t) => {
+  bullmq.Queue.reset();
+  redis.store.clear();
+  shifts = {};
+  t.mock.method(Task, 'find', () => query([]));
+  t.mock.method(Task, 'updateOne', async () => ({}));
+  // Stand-in for the compaction script: shifts the clock of queues given in `shifts`
+  t.mock.method(redis, 'eval', async (script, numKeys, clockKey) => {
+    const shift = shifts[clockKey] || 0;
+    if (shift > 0) {
+      await redis.set(clockKey, '0');
+    }
+    return shift;
+  });
+});
+
+const addReport = (jobId, priority, opts = {}) =>
+  reports.add('report', { type: 'report', data: {}, userId: 'user-1' }, { jobId, priority, ...opts });
+
+test('jobs waiting past the aging threshold move to the front of their queue', async (t) => {
+  await redis.set('fair:tasks-report:clock', '40');
+  const stale = await addReport('stale', 100);
+  const ahead = await addReport('ahead', 30);
+  const delayed = await addReport('delayed', 120, { delay: 60000 });
+  const find = t.mock.method(Task, 'find', (filter) => query(filter.type === 'report' ? [{ jobId: 'stale' }, { jobId: 'ahead' }, { jobId: 'delayed' }] : []));
+
+  const result = await agePriorities(redis);
+
+  assert.deepEqual(result.promoted, { email: 0, report: 1, dataProcessing: 0, imageProcessing: 0 });
+  assert.equal(stale.priority, 41);
+  assert.equal(ahead.priority, 30);
+  assert.equal(delayed.priority, 120);
+  assert.deepEqual(Task.updateOne.mock.calls.map(call => call.arguments[0].jobId), ['stale', 'ahead']);
+
+  const filter = find.mock.calls.find(call => call.arguments[0].type === 'report').arguments[0];
+  assert.equal(filter.promotedAt, null);
+  assert.ok(Math.abs(filter.createdAt.$lte - (Date.now() - 10 * 60 * 1000)) < 1000);
+});
+
+test('a rebased fair-share clock shifts queued priorities down with it', async () => {
+  shifts['fair:tasks-report:clock'] = 1000000;
+  const queued = await addReport('queued', 1000050);
+  const nearFront = await addReport('near-front', 1000003);
+  const recurring = await addReport('recurring', 4);
+
+  await agePriorities(redis);
+
+  assert.equal(queued.priority, 50);
+  // Fair-share priorities stay above the static ones of recurring runs
+  assert.equal(nearFront.priority, 11);
+  assert.equal(recurring.priority, 4);
+});
@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeQueues } = require('../helpers/services');
+const { load } = require('../helpers/modules');
+
+const { UnrecoverableError } = useFakeQueues('worker-service');
+const { processTask, TaskCancelledError } = load('worker-service/processors/taskProcessor');
+
+const dataJob = (recordCount) => {
+  const job = {
+    id: 'dataProcessing-1',
+    name: 'dataProcessing',
+    data: { type: 'dataProcessing', data: { recordCount }, userId: 'user-1' },
+    progress: [],
+    updateProgress: async (progress) => job.progress.push(progress)
+  };
+  return job;
+};
+
+test('a cancellation signal stops the task at its next step, without retries', async () => {
+  const job = dataJob(50);
+  let checks = 0;
+  const context = { isCancelled: async () => ++checks > 3 };
+
+  await assert.rejects(processTask(job, context), (error) => {
+    assert.ok(error instanceof TaskCancelledError);
+    assert.ok(error instanceof UnrecoverableError);
+    assert.equal(error.message, 'Task cancelled');
+    return true;
+  });
+
+  // Checked before the task started and before every batch, so two batches ran
+  assert.equal(job.progress.length, 2);
+});
+
+test('tasks that are not cancelled run to completion', async () => {
+  const job = dataJob(20);
+
+  const result = await processTask(job, { isCancelled: async () => false });
+
+  assert.equal(result.status, 'processed');
+  assert.equal(result.recordsProcessed, 20);
+});
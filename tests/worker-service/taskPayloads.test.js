@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeQueues } = require('../helpers/services');
+const { load } = require('../helpers/modules');
+
+const { UnrecoverableError } = useFakeQueues('worker-service');
+const { processTask, InvalidTaskPayloadError } = load('worker-service/processors/taskProcessor');
+
+const job = (name, data) => ({
+  id: `${name}-1`,
+  name,
+  data: { type: name, data, userId: 'user-1' },
+  updateProgress: async () => {}
+});
+
+test('the worker rejects invalid payloads that bypassed the API, without retries', async () => {
+  await assert.rejects(processTask(job('dataProcessing', { recordCount: 'many' })), (error) => {
+    assert.ok(error instanceof InvalidTaskPayloadError);
+    assert.ok(error instanceof UnrecoverableError);
+    assert.match(error.message, /^Invalid task payload: recordCount must be integer$/);
+    assert.deepEqual(error.errors.map(payloadError => payloadError.field), ['recordCount']);
+    return true;
+  });
+});
+
+test('processors work on the submitted payload', async () => {
+  const result = await processTask(job('dataProcessing', { recordCount: 20, batchId: 'batch-7' }));
+
+  assert.equal(result.batchId, 'batch-7');
+  assert.equal(result.recordsProcessed, 20);
+});
@@ -0,0 +1,27 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeQueues } = require('../helpers/services');
+const { load, stubModule } = require('../helpers/modules');
+
+process.env.WORKER_QUEUES = 'imageProcessing, email';
+
+const bullmq = useFakeQueues('worker-service');
+stubModule('worker-service/config/database', () => {});
+// The metrics log would keep the test process alive
+mock.timers.enable({ apis: ['setInterval'] });
+load('worker-service/worker');
+
+const taskWorkers = () => bullmq.Worker.instances.filter(worker => worker.name.startsWith('tasks-'));
+
+test('a worker process consumes only the task types in WORKER_QUEUES', () => {
+  assert.deepEqual(taskWorkers().map(worker => worker.name), ['tasks-image-processing', 'tasks-email']);
+});
+
+test('each consumed queue gets its task type\'s concurrency and rate limit', () => {
+  const [image, email] = taskWorkers();
+
+  assert.equal(image.opts.concurrency, 5);
+  assert.deepEqual(image.opts.limiter, { max: 10, duration: 1000 });
+  assert.equal(email.opts.concurrency, 50);
+  assert.deepEqual(email.opts.limiter, { max: 200, duration: 1000 });
+});
@@ -0,0 +1,77 @@
+const { test, mock, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeQueues } = require('../helpers/services');
+const { load, loadPackage, stubModule } = require('../helpers/modules');
+
+process.env.WORKER_QUEUES = 'dataProcessing';
+
+const bullmq = useFakeQueues('worker-service');
+const Redis = loadPackage('worker-service', 'ioredis');
+stubModule('worker-service/config/database', () => {});
+// The metrics log would keep the test process alive
+mock.timers.enable({ apis: ['setInterval'] });
+load('worker-service/worker');
+const Task = load('worker-service/models/Task');
+const { processTask, TaskTimeoutError } = load('worker-service/processors/taskProcessor');
+
+const processJob = bullmq.Worker.instances.find(worker => worker.name === 'tasks-data-processing').processor;
+
+let published;
+
+beforeEach((t) => {
+  published = [];
+  t.mock.method(Task, 'updateOne', async () => ({}));
+  t.mock.method(Redis.prototype, 'publish', async (channel, message) => published.push({ channel, ...JSON.parse(message) }));
+});
+
+// A data processing job of 30 records, which takes 300ms
+const slowJob = ({ timeoutMs, attemptsMade = 0 }) => ({
+  id: 'dataProcessing-1',
+  name: 'dataProcessing',
+  data: { type: 'dataProcessing', data: { recordCount: 30 }, userId: 'user-1', timeoutMs },
+  opts: { attempts: 3, backoff: { type: 'exponential', delay: 5000 } },
+  attemptsMade,
+  updateProgress: async () => {}
+});
+
+const lastHistoryUpdate = () => Task.updateOne.mock.calls.at(-1).arguments[1].$set;
+
+test('a job exceeding its timeoutMs fails with a timeout, and will be retried', async () => {
+  const startedAt = Date.now();
+
+  await assert.rejects(processJob(slowJob({ timeoutMs: 50 })), (error) => {
+    assert.ok(error instanceof TaskTimeoutError);
+    assert.ok(!(error instanceof bullmq.UnrecoverableError));
+    assert.equal(error.message, 'Task timed out after 50ms');
+    return true;
+  });
+
+  assert.ok(Date.now() - startedAt < 250);
+  const timeout = published.find(event => event.channel === 'task:timeout');
+  assert.equal(timeout.jobId, 'dataProcessing-1');
+  assert.equal(timeout.timeoutMs, 50);
+  assert.equal(timeout.willRetry, true);
+  assert.ok(!published.some(event => event.channel === 'task:failed'));
+  assert.deepEqual(lastHistoryUpdate(), { state: 'delayed', failedReason: 'Task timed out after 50ms' });
+});
+
+test('a timeout on the final attempt fails the task for good', async () => {
+  await assert.rejects(processJob(slowJob({ timeoutMs: 50, attemptsMade: 2 })), TaskTimeoutError);
+
+  assert.equal(published.find(event => event.channel === 'task:timeout').willRetry, false);
+  assert.equal(lastHistoryUpdate().state, 'failed');
+});
+
+test('jobs finishing within their timeout complete', async () => {
+  const result = await processJob(slowJob({ timeoutMs: 2000 }));
+
+  assert.equal(result.recordsProcessed, 30);
+  assert.ok(published.some(event => event.channel === 'task:completed'));
+});
+
+test('an aborted attempt stops at its next step with the abort reason', async () => {
+  const controller = new AbortController();
+  controller.abort(new TaskTimeoutError(100));
+
+  await assert.rejects(processTask(slowJob({}), { signal: controller.signal }), TaskTimeoutError);
+});
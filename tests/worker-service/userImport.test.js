@@ -0,0 +1,130 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeQueues } = require('../helpers/services');
+const { query } = require('../helpers/mongo');
+const { load, loadPackage } = require('../helpers/modules');
+
+const bullmq = useFakeQueues('worker-service');
+const Redis = loadPackage('worker-service', 'ioredis');
+const User = load('worker-service/models/User');
+const AuditEvent = load('worker-service/models/AuditEvent');
+const { initializeUserImports } = load('worker-service/imports/userImport');
+
+const redis = new Redis();
+initializeUserImports(redis, 'worker-1');
+const importWorker = bullmq.Worker.instances.find(worker => worker.name === 'user-imports');
+
+let existing;
+
+beforeEach((t) => {
+  redis.published = [];
+  existing = [{ username: 'taken', email: 'old@example.com' }];
+  t.mock.method(User, 'find', () => query(() => existing));
+  t.mock.method(User, 'insertMany', async (docs) => docs);
+  t.mock.method(AuditEvent, 'create', async (fields) => fields);
+});
+
+const row = (number, username, email = `${username}@example.com`) => ({ row: number, username, email, name: username });
+
+// Run an import job as the worker would; the API passes rows it rejected as errors
+const runImport = async ({ rows, errors = [], dryRun = false }) => {
+  const job = await new bullmq.Queue('user-imports').add('import', {
+    requestedBy: { id: 'admin-1', username: 'root' },
+    format: 'csv',
+    dryRun,
+    total: rows.length + errors.length,
+    rows,
+    errors
+  }, { jobId: 'import-1' });
+  const report = await importWorker.processor(job);
+  return { job, report };
+};
+
+const events = (channel) => redis.published
+  .filter(message => message.channel === channel)
+  .map(message => JSON.parse(message.message));
+
+test('new users are created and existing or repeated ones reported per row', async () => {
+  const apiErrors = [{ row: 2, errors: [{ msg: 'Invalid email address' }] }];
+  const rows = [row(1, 'ann'), row(3, 'taken'), row(4, 'cyd', 'old@example.com'), row(5, 'ann', 'ann2@example.com'), row(6, 'dee')];
+
+  const { job, report } = await runImport({ rows, errors: apiErrors });
+
+  assert.deepEqual(User.insertMany.mock.calls[0].arguments[0].map(({ username, email, name }) => ({ username, email, name })), [
+    { username: 'ann', email: 'ann@example.com', name: 'ann' },
+    { username: 'dee', email: 'dee@example.com', name: 'dee' }
+  ]);
+  assert.equal(report.created, 2);
+  assert.equal(report.failed, 4);
+  assert.deepEqual(report.errors.map(error => [error.row, error.errors[0].msg]), [
+    [2, 'Invalid email address'],
+    [3, 'User already exists with this email or username'],
+    [4, 'User already exists with this email or username'],
+    [5, 'Duplicate of an earlier row in the upload']
+  ]);
+  assert.deepEqual(job.progress, { processed: 6, total: 6, created: 2, failed: 4 });
+
+  const [completed] = events('import:completed');
+  assert.equal(completed.importId, 'import-1');
+  assert.equal(completed.userId, 'admin-1');
+  const audit = AuditEvent.create.mock.calls[0].arguments[0];
+  assert.equal(audit.action, 'user.import');
+  assert.deepEqual(audit.actor, { kind: 'user', id: 'admin-1', name: 'root' });
+  assert.deepEqual(audit.metadata, { importId: 'import-1', format: 'csv', dryRun: false, total: 6, created: 2, failed: 4 });
+});
+
+test('rows are checked against the User schema before they are inserted', async () => {
+  const { report } = await runImport({ rows: [row(1, 'ann'), row(2, 'bob smith', 'bob@example.com'), row(3, 'cyd', 'not-an-address')] });
+
+  assert.deepEqual(User.insertMany.mock.calls[0].arguments[0].map(user => user.username), ['ann']);
+  assert.equal(report.created, 1);
+  assert.deepEqual(report.errors.map(error => [error.row, error.errors]), [
+    [2, [{ msg: 'Username can only contain letters, numbers, and underscores', path: 'username' }]],
+    [3, [{ msg: 'Please provide a valid email address', path: 'email' }]]
+  ]);
+});
+
+test('dry runs check every row but create nobody', async () => {
+  const { report } = await runImport({ rows: [row(1, 'ann'), row(2, 'taken')], dryRun: true });
+
+  assert.equal(User.insertMany.mock.callCount(), 0);
+  assert.equal(report.dryRun, true);
+  assert.equal(report.created, 1);
+  assert.equal(report.failed, 1);
+});
+
+test('progress is published to the requester after every batch of 100 users', async () => {
+  const rows = Array.from({ length: 250 }, (_, index) => row(index + 1, `user${index}`));
+
+  await runImport({ rows });
+
+  assert.deepEqual(events('import:progress').map(progress => progress.processed), [100, 200, 250]);
+  assert.ok(events('import:progress').every(progress => progress.userId === 'admin-1' && progress.total === 250));
+  assert.equal(User.insertMany.mock.callCount(), 3);
+});
+
+test('users created by someone else since the check are reported, not failed', async () => {
+  User.insertMany.mock.mockImplementation(async () => {
+    const error = new Error('E11000 duplicate key error');
+    error.writeErrors = [{ index: 1 }];
+    throw error;
+  });
+
+  const { report } = await runImport({ rows: [row(1, 'ann'), row(2, 'bob')] });
+
+  assert.equal(report.created, 1);
+  assert.deepEqual(report.errors, [{ row: 2, errors: [{ msg: 'User already exists with this email or username' }] }]);
+});
+
+test('failed imports are published, audited and fail the job', async () => {
+  User.find.mock.mockImplementation(() => query(() => Promise.reject(new Error('connection lost'))));
+
+  await assert.rejects(runImport({ rows: [row(1, 'ann')] }), /connection lost/);
+
+  const [failed] = events('import:failed');
+  assert.equal(failed.error, 'connection lost');
+  assert.equal(failed.created, 0);
+  const audit = AuditEvent.create.mock.calls[0].arguments[0];
+  assert.equal(audit.outcome, 'failure');
+  assert.equal(audit.error, 'connection lost');
+});
@@ -0,0 +1,129 @@
+const { test, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { useFakeQueues } = require('../helpers/services');
+const { query } = require('../helpers/mongo');
+const { load, loadPackage } = require('../helpers/modules');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'artifacts-'));
+process.env.ARTIFACT_STORAGE_DIR = storageDir;
+
+const bullmq = useFakeQueues('worker-service');
+const Redis = loadPackage('worker-service', 'ioredis');
+const models = Object.fromEntries(['User', 'Task', 'Schedule', 'Workflow', 'DeadLetter', 'WebhookDelivery', 'Artifact', 'ApiKey', 'AuditEvent']
+  .map(name => [name, load(`worker-service/models/${name}`)]));
+const { getStorage } = load('worker-service/storage');
+const { purgeDeletedUsers } = load('worker-service/maintenance/userPurge');
+
+const { User, Task, Schedule, Workflow, DeadLetter, WebhookDelivery, Artifact, ApiKey, AuditEvent } = models;
+
+const DAY = 24 * 3600 * 1000;
+
+const redis = new Redis();
+const reports = new bullmq.Queue('tasks-report');
+
+after(() => fs.rmSync(storageDir, { recursive: true, force: true }));
+
+const deletedUser = (username, deletedDaysAgo) => User.hydrate({
+  _id: new User()._id,
+  username,
+  email: `${username}@example.com`,
+  name: username,
+  deletedAt: new Date(Date.now() - deletedDaysAgo * DAY)
+});
+
+let dave;
+let tasks;
+let removed;
+
+beforeEach((t) => {
+  bullmq.Queue.reset();
+  redis.published = [];
+  redis.store.clear();
+  dave = deletedUser('dave', 31);
+  tasks = [];
+  removed = [];
+  t.mock.method(User, 'find', () => query([dave]));
+  t.mock.method(User, 'deleteOne', async () => ({ deletedCount: 1 }));
+  t.mock.method(Schedule, 'find', async () => []);
+  t.mock.method(Task, 'find', () => query(tasks.splice(0)));
+  [Workflow, Task].forEach(Model => t.mock.method(Model, 'updateMany', async () => ({})));
+  [Task, Workflow, DeadLetter, WebhookDelivery, ApiKey].forEach(Model => t.mock.method(Model, 'deleteMany', async () => ({})));
+  t.mock.method(Artifact, 'find', async () => []);
+  t.mock.method(AuditEvent, 'create', async (fields) => fields);
+});
+
+test('only users past the grace period are purged', async () => {
+  await purgeDeletedUsers(redis);
+
+  const filter = User.find.mock.calls[0].arguments[0];
+  assert.equal(filter.deletedAt.$ne, null);
+  assert.ok(Math.abs(filter.deletedAt.$lte - (Date.now() - 30 * DAY)) < 1000);
+  const [deleted] = User.deleteOne.mock.calls[0].arguments;
+  // Guarded by deletedAt, so a user restored meanwhile is kept
+  assert.deepEqual(deleted, { _id: dave._id, deletedAt: dave.deletedAt });
+});
+
+test('pending tasks are removed from their queues and running ones signalled to stop', async () => {
+  const waiting = await reports.add('report', { userId: dave.id }, { jobId: 'report-waiting' });
+  const running = await reports.add('report', { userId: dave.id }, { jobId: 'report-running' });
+  running.state = 'active';
+  tasks = [{ jobId: waiting.id, type: 'report' }, { jobId: running.id, type: 'report' }, { jobId: 'report-evicted', type: 'report' }];
+
+  await purgeDeletedUsers(redis);
+
+  assert.deepEqual(bullmq.Queue.jobs('tasks-report').map(job => job.id), ['report-running']);
+  assert.ok(await redis.exists('task:cancel:report-running'));
+  const [cancelled, update] = Task.updateMany.mock.calls[0].arguments;
+  assert.deepEqual(cancelled, { userId: dave.id, state: { $in: ['waiting', 'delayed', 'active'] } });
+  assert.equal(update.$set.state, 'cancelled');
+  assert.deepEqual(Task.deleteMany.mock.calls[0].arguments[0], { jobId: { $in: ['report-waiting', 'report-running', 'report-evicted'] } });
+});
+
+test('schedules, artifacts and everything else the user owns are deleted', async (t) => {
+  await getStorage().putObject('tasks/report-1/report.csv', 'a,b\n');
+  tasks = [{ jobId: 'report-1', type: 'report' }];
+  const schedule = { id: 'schedule-1', type: 'report', deleteOne: async () => removed.push('schedule-1') };
+  await reports.upsertJobScheduler('schedule-1', { every: 60000 }, {});
+  t.mock.method(Schedule, 'find', async () => [schedule]);
+  t.mock.method(Artifact, 'find', async () => [{ key: 'tasks/report-1/report.csv', deleteOne: async () => removed.push('artifact') }]);
+
+  await purgeDeletedUsers(redis);
+
+  assert.equal(await reports.getJobScheduler('schedule-1'), undefined);
+  assert.deepEqual(removed, ['schedule-1', 'artifact']);
+  assert.equal(fs.existsSync(path.join(storageDir, 'tasks/report-1/report.csv')), false);
+  for (const Model of [Workflow, DeadLetter, ApiKey]) {
+    assert.deepEqual(Model.deleteMany.mock.calls[0].arguments[0], { userId: dave.id }, Model.modelName);
+  }
+  assert.deepEqual(WebhookDelivery.deleteMany.mock.calls[0].arguments[0], { taskId: { $in: ['report-1'] } });
+  const audit = AuditEvent.create.mock.calls[0].arguments[0];
+  assert.equal(audit.action, 'user.purge');
+  assert.deepEqual(audit.metadata, { deletedAt: dave.deletedAt, schedules: 1, tasks: 1, artifacts: 1 });
+});
+
+test('the notification service is told to disconnect the user\'s sockets', async () => {
+  await purgeDeletedUsers(redis);
+
+  const [purged] = redis.published;
+  assert.equal(purged.channel, 'user:purged');
+  assert.deepEqual({ ...JSON.parse(purged.message), purgedAt: undefined }, { userId: dave.id, username: 'dave', purgedAt: undefined });
+});
+
+test('a user whose purge fails stays deleted and the others are still purged', async (t) => {
+  const erin = deletedUser('erin', 40);
+  t.mock.method(User, 'find', () => query([dave, erin]));
+  t.mock.method(Workflow, 'deleteMany', async (filter) => {
+    if (filter.userId === dave.id) {
+      throw new Error('MongoDB unavailable');
+    }
+    return {};
+  });
+
+  const result = await purgeDeletedUsers(redis);
+
+  assert.deepEqual(result, { purged: 1 });
+  assert.deepEqual(User.deleteOne.mock.calls.map(call => call.arguments[0]._id), [erin._id]);
+});
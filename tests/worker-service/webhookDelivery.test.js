@@ -0,0 +1,101 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { useFakeQueues } = require('../helpers/services');
+const { load } = require('../helpers/modules');
+const FakeRedis = require('../helpers/fakeRedis');
+
+const bullmq = useFakeQueues('worker-service');
+const WebhookDelivery = load('worker-service/models/WebhookDelivery');
+const { initializeWebhookDelivery, enqueueWebhook } = load('worker-service/webhooks/delivery');
+
+initializeWebhookDelivery(new FakeRedis(), 'test-worker');
+const [webhookWorker] = bullmq.Worker.instances;
+
+// Receiver answering with the next queued status code (200 by default)
+const received = [];
+const statuses = [];
+let receiver;
+let receiverUrl;
+
+before(async () => {
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => (body += chunk));
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = statuses.shift() || 200;
+      res.end();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+});
+
+after(() => new Promise(resolve => receiver.close(resolve)));
+
+beforeEach(() => {
+  bullmq.Queue.reset();
+  received.length = 0;
+});
+
+const taskJob = (callback) => ({ id: 'report-1', name: 'report', data: { type: 'report', userId: 'user-1', callback } });
+
+test('tasks without a callback queue no webhook', async (t) => {
+  const updateOne = t.mock.method(WebhookDelivery, 'updateOne', async () => ({}));
+
+  await enqueueWebhook(taskJob(undefined), 'task:completed', {});
+
+  assert.equal(updateOne.mock.callCount(), 0);
+  assert.deepEqual(bullmq.Queue.jobs('webhooks'), []);
+});
+
+test('a task event is queued once per task and event', async (t) => {
+  const updateOne = t.mock.method(WebhookDelivery, 'updateOne', async () => ({}));
+  const job = taskJob({ url: receiverUrl, secret: 'a-very-secret-value' });
+
+  await enqueueWebhook(job, 'task:completed', { result: 1 });
+  await enqueueWebhook(job, 'task:completed', { result: 1 });
+
+  const [delivery] = bullmq.Queue.jobs('webhooks');
+  assert.equal(bullmq.Queue.jobs('webhooks').length, 1);
+  assert.equal(delivery.id, 'report-1-task-completed');
+  assert.deepEqual(updateOne.mock.calls[0].arguments[2], { upsert: true });
+  assert.equal(updateOne.mock.calls[0].arguments[1].$setOnInsert.state, 'pending');
+});
+
+test('deliveries are signed over the timestamp and body and recorded', async (t) => {
+  const updateOne = t.mock.method(WebhookDelivery, 'updateOne', async () => ({}));
+  await enqueueWebhook(taskJob({ url: receiverUrl, secret: 'a-very-secret-value' }), 'task:completed', { result: 1 });
+  const [delivery] = bullmq.Queue.jobs('webhooks');
+
+  await webhookWorker.processor(delivery);
+
+  const [{ headers, body }] = received;
+  const expected = crypto.createHmac('sha256', 'a-very-secret-value')
+    .update(`${headers['x-webhook-timestamp']}.${body}`)
+    .digest('hex');
+  assert.equal(headers['x-webhook-signature'], `sha256=${expected}`);
+  assert.equal(headers['x-webhook-event'], 'task:completed');
+  assert.deepEqual(JSON.parse(body), { id: 'report-1-task-completed', event: 'task:completed', taskId: 'report-1', data: { result: 1 } });
+
+  const [, update] = updateOne.mock.calls[1].arguments;
+  assert.equal(update.$set.state, 'delivered');
+  assert.equal(update.$push.attempts.statusCode, 200);
+});
+
+test('failed deliveries are retried until their last attempt', async (t) => {
+  const updateOne = t.mock.method(WebhookDelivery, 'updateOne', async () => ({}));
+  await enqueueWebhook(taskJob({ url: receiverUrl, secret: null }), 'task:failed', {});
+  const [delivery] = bullmq.Queue.jobs('webhooks');
+  statuses.push(503, 500);
+
+  await assert.rejects(webhookWorker.processor(delivery), /HTTP 503/);
+  delivery.attemptsMade = delivery.opts.attempts - 1;
+  await assert.rejects(webhookWorker.processor(delivery), /HTTP 500/);
+
+  assert.deepEqual(updateOne.mock.calls.slice(1).map(call => call.arguments[1].$set.state), ['retrying', 'failed']);
+  // No secret and no WEBHOOK_SIGNING_SECRET, so the request is unsigned
+  assert.equal(received[0].headers['x-webhook-signature'], undefined);
+});
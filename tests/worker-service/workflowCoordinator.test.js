@@ -0,0 +1,124 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeQueues } = require('../helpers/services');
+const { load } = require('../helpers/modules');
+const FakeRedis = require('../helpers/fakeRedis');
+
+const bullmq = useFakeQueues('worker-service');
+const Workflow = load('worker-service/models/Workflow');
+const Task = load('worker-service/models/Task');
+const { initializeWorkflowCoordinator, completeWorkflowNode, failWorkflowNode } = load('worker-service/workflows/coordinator');
+
+const redis = new FakeRedis();
+redis.eval = async () => 1;
+initializeWorkflowCoordinator(redis);
+
+beforeEach((t) => {
+  bullmq.Queue.reset();
+  t.mock.method(Task, 'updateOne', async () => ({}));
+});
+
+// extract -> (summary, archive), summary -> mail
+const buildWorkflow = (states, fields = {}) => new Workflow({
+  userId: 'user-1',
+  ...fields,
+  nodes: [
+    { key: 'extract', type: 'dataProcessing', data: { recordCount: 10 }, state: states.extract, result: { batchId: 'b-1', stats: { rows: 10 } } },
+    { key: 'summary', type: 'report', data: { reportType: 'sales' }, dependsOn: ['extract'], inputs: { rows: 'extract.stats.rows' }, state: states.summary },
+    { key: 'archive', type: 'dataProcessing', data: { recordCount: 10 }, dependsOn: ['extract'], state: states.archive },
+    { key: 'mail', type: 'email', data: { recipient: 'ops@example.com' }, dependsOn: ['summary', 'archive'], state: states.mail }
+  ]
+});
+
+const nodeJob = (workflow, nodeKey) => ({ id: `workflow-${workflow.id}-${nodeKey}`, data: { workflowId: workflow.id, nodeKey } });
+
+test('a completed node queues the children whose parents have all completed', async (t) => {
+  const workflow = buildWorkflow({ extract: 'completed', summary: 'pending', archive: 'pending', mail: 'pending' });
+  const findOneAndUpdate = t.mock.method(Workflow, 'findOneAndUpdate', async () => workflow);
+  t.mock.method(Workflow, 'findById', async () => workflow);
+
+  await completeWorkflowNode(nodeJob(workflow, 'extract'), workflow.nodes[0].result);
+
+  // The completion, then one claim per child queued
+  assert.equal(findOneAndUpdate.mock.callCount(), 3);
+  const [summary] = bullmq.Queue.jobs('tasks-report');
+  assert.equal(summary.id, `workflow-${workflow.id}-summary`);
+  assert.deepEqual(summary.data.data, {
+    reportType: 'sales',
+    rows: 10,
+    parentResults: { extract: { batchId: 'b-1', stats: { rows: 10 } } }
+  });
+  assert.deepEqual(bullmq.Queue.jobs('tasks-data-processing').map(job => job.data.nodeKey), ['archive']);
+  assert.deepEqual(bullmq.Queue.jobs('tasks-email'), []);
+  assert.equal(await redis.zcard('quota:inflight:user-1:report'), 1);
+
+  // Queued children are in the task history before a worker starts them
+  const [filter, update, options] = Task.updateOne.mock.calls[0].arguments;
+  assert.deepEqual(filter, { jobId: summary.id });
+  assert.deepEqual(update.$setOnInsert, { type: 'report', userId: 'user-1', data: summary.data.data, priority: 5, state: 'waiting' });
+  assert.deepEqual(options, { upsert: true });
+  assert.equal(Task.updateOne.mock.callCount(), 2);
+});
+
+test('a node another completion already claimed is not queued twice', async (t) => {
+  const workflow = buildWorkflow({ extract: 'completed', summary: 'completed', archive: 'completed', mail: 'pending' });
+  t.mock.method(Workflow, 'findOneAndUpdate', async (filter) => (filter.nodes ? null : workflow));
+  t.mock.method(Workflow, 'findById', async () => workflow);
+
+  await completeWorkflowNode(nodeJob(workflow, 'archive'), {});
+
+  assert.deepEqual(bullmq.Queue.jobs('tasks-email'), []);
+});
+
+test('the last completed node completes the workflow', async (t) => {
+  const workflow = buildWorkflow({ extract: 'completed', summary: 'completed', archive: 'completed', mail: 'completed' });
+  t.mock.method(Workflow, 'findOneAndUpdate', async () => workflow);
+  t.mock.method(Workflow, 'findById', async () => workflow);
+  const updateOne = t.mock.method(Workflow, 'updateOne', async () => ({}));
+
+  await completeWorkflowNode(nodeJob(workflow, 'mail'), {});
+
+  const [filter, update] = updateOne.mock.calls[0].arguments;
+  assert.deepEqual(filter, { _id: workflow.id, state: 'running' });
+  assert.equal(update.$set.state, 'completed');
+});
+
+test('with the fail policy a failed node fails the workflow and cancels pending nodes', async (t) => {
+  const workflow = buildWorkflow({ extract: 'completed', summary: 'failed', archive: 'active', mail: 'pending' });
+  t.mock.method(Workflow, 'findOneAndUpdate', async () => workflow);
+  const updateOne = t.mock.method(Workflow, 'updateOne', async () => ({}));
+
+  await failWorkflowNode(nodeJob(workflow, 'summary'), 'Upstream timeout');
+
+  const [filter, update, options] = updateOne.mock.calls[0].arguments;
+  assert.deepEqual(filter, { _id: workflow.id, state: 'running' });
+  assert.equal(update.$set.state, 'failed');
+  assert.equal(update.$set['nodes.$[node].state'], 'cancelled');
+  assert.deepEqual(options.arrayFilters, [{ 'node.state': 'pending' }]);
+});
+
+test('with the skip policy only the failed node\'s dependants are skipped', async (t) => {
+  const workflow = buildWorkflow({ extract: 'completed', summary: 'failed', archive: 'active', mail: 'pending' }, { failurePolicy: 'skip' });
+  const settle = t.mock.method(Workflow, 'findOneAndUpdate', async () => workflow);
+  t.mock.method(Workflow, 'findById', async () => workflow);
+  const updateOne = t.mock.method(Workflow, 'updateOne', async () => ({}));
+
+  await failWorkflowNode(nodeJob(workflow, 'summary'), 'Upstream timeout');
+
+  assert.equal(settle.mock.calls[0].arguments[1].$set['nodes.$.failedReason'], 'Upstream timeout');
+  assert.equal(updateOne.mock.callCount(), 1);
+  const [, update, options] = updateOne.mock.calls[0].arguments;
+  assert.deepEqual(update, { $set: { 'nodes.$[node].state': 'skipped' } });
+  assert.deepEqual(options.arrayFilters, [{ 'node.key': { $in: ['mail'] }, 'node.state': 'pending' }]);
+});
+
+test('a skipped branch fails the workflow once the other branches finish', async (t) => {
+  const workflow = buildWorkflow({ extract: 'completed', summary: 'failed', archive: 'completed', mail: 'skipped' }, { failurePolicy: 'skip' });
+  t.mock.method(Workflow, 'findOneAndUpdate', async () => workflow);
+  t.mock.method(Workflow, 'findById', async () => workflow);
+  const updateOne = t.mock.method(Workflow, 'updateOne', async () => ({}));
+
+  await completeWorkflowNode(nodeJob(workflow, 'archive'), {});
+
+  assert.equal(updateOne.mock.calls[0].arguments[1].$set.state, 'failed');
+});
@@ -0,0 +1,74 @@
+/**
+ * Artifact Store
+ * Saves task output files to the configured storage backend, records them in
+ * MongoDB for the API to serve, and removes them once their retention expires
+ */
+
+const Artifact = require('../models/Artifact');
+const { getStorage, artifactKey, ARTIFACT_NAME_PATTERN } = require('../storage');
+
+// How long artifacts are kept after they are written
+const ARTIFACT_RETENTION_DAYS = parseInt(process.env.ARTIFACT_RETENTION_DAYS) || 7;
+
+// Largest number of expired artifacts removed per sweep
+const RETENTION_BATCH_SIZE = 500;
+
+// Store an artifact for a task and return its description for the task result
+// (url is the API download path, which redirects to a signed link)
+const saveArtifact = async (taskId, name, body, contentType) => {
+  if (!ARTIFACT_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid artifact name: ${name}`);
+  }
+
+  const storage = getStorage();
+  const key = artifactKey(taskId, name);
+  const size = Buffer.byteLength(body);
+
+  await storage.putObject(key, body, contentType);
+
+  await Artifact.updateOne(
+    { taskId, name },
+    {
+      $set: {
+        key,
+        storage: storage.name,
+        contentType,
+        size,
+        expiresAt: new Date(Date.now() + ARTIFACT_RETENTION_DAYS * 24 * 3600 * 1000)
+      }
+    },
+    { upsert: true }
+  );
+
+  console.log(`💾 Stored artifact ${name} for task ${taskId} (${size} bytes, ${storage.name})`);
+
+  return { name, contentType, size, url: `/api/tasks/${taskId}/artifacts/${name}` };
+};
+
+// Delete artifacts past their retention from storage and MongoDB
+const removeExpiredArtifacts = async () => {
+  const storage = getStorage();
+  const expired = await Artifact.find({ expiresAt: { $lte: new Date() } }).limit(RETENTION_BATCH_SIZE);
+  let removed = 0;
+
+  for (const artifact of expired) {
+    try {
+      await storage.deleteObject(artifact.key);
+      await artifact.deleteOne();
+      removed++;
+    } catch (error) {
+      console.error(`❌ Failed to remove artifact ${artifact.key}:`, error.message);
+    }
+  }
+
+  if (removed > 0) {
+    console.log(`🧹 Removed ${removed} expired artifact(s)`);
+  }
+
+  return { removed };
+};
+
+module.exports = {
+  saveArtifact,
+  removeExpiredArtifacts
+};
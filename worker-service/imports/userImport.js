@@ -0,0 +1,197 @@
+/**
+ * User Import
+ * Creates the users of a CSV or NDJSON upload queued by POST /api/users/import.
+ * Rows arrive validated by the API and are checked against the User schema
+ * again before they are inserted. This job skips users that already exist
+ * (deleted ones included, as their usernames and emails stay taken until they
+ * are purged) or appear earlier in the same upload, and inserts the rest in
+ * batches. Progress and the final report are published for the notification
+ * service to forward to the requester's socket. A dry run performs every check
+ * but creates nothing. Imported users start unverified and are not mailed a
+ * token; admins send one with POST /api/users/:id/verification-email.
+ */
+
+const { Worker } = require('bullmq');
+const User = require('../models/User');
+const AuditEvent = require('../models/AuditEvent');
+
+const USER_IMPORT_QUEUE = 'user-imports';
+
+// Users checked and inserted at once, with progress published after each batch
+const IMPORT_BATCH_SIZE = 100;
+
+// Largest number of row errors kept in the report
+const MAX_REPORTED_ERRORS = 1000;
+
+const DUPLICATE_ERROR = 'User already exists with this email or username';
+
+let importWorker = null;
+
+const publishImportEvent = async (connection, channel, data) => {
+  try {
+    await connection.publish(channel, JSON.stringify(data));
+  } catch (error) {
+    console.error(`❌ Failed to publish ${channel} for import ${data.importId}:`, error.message);
+  }
+};
+
+const rowError = (row, msg) => ({ row, errors: [{ msg }] });
+
+// Schema validation errors of a row, in the API's { msg, path } form, or null
+const validationErrors = (user) => {
+  const error = user.validateSync();
+  return error ? Object.values(error.errors).map(({ message, path }) => ({ msg: message, path })) : null;
+};
+
+// Check and insert one batch of rows; returns the number created and the rows' errors
+const importBatch = async (rows, seen, dryRun) => {
+  const errors = [];
+  const batch = rows.map(row => ({ ...row, user: new User({ username: row.username, email: row.email, name: row.name }) }));
+
+  const existing = await User.find({
+    $or: [
+      { username: { $in: batch.map(row => row.username) } },
+      { email: { $in: batch.map(row => row.email) } }
+    ]
+  }).select('username email');
+
+  const taken = new Set(existing.flatMap(user => [`username:${user.username}`, `email:${user.email}`]));
+
+  const fresh = batch.filter(row => {
+    const invalid = validationErrors(row.user);
+    if (invalid) {
+      errors.push({ row: row.row, errors: invalid });
+      return false;
+    }
+    const keys = [`username:${row.username}`, `email:${row.email}`];
+    if (keys.some(key => taken.has(key))) {
+      errors.push(rowError(row.row, DUPLICATE_ERROR));
+      return false;
+    }
+    if (keys.some(key => seen.has(key))) {
+      errors.push(rowError(row.row, 'Duplicate of an earlier row in the upload'));
+      return false;
+    }
+    keys.forEach(key => seen.add(key));
+    return true;
+  });
+
+  if (dryRun || fresh.length === 0) {
+    return { created: dryRun ? fresh.length : 0, errors };
+  }
+
+  try {
+    await User.insertMany(fresh.map(row => row.user), { ordered: false });
+    return { created: fresh.length, errors };
+  } catch (error) {
+    if (!error.writeErrors) {
+      throw error;
+    }
+
+    // Users created since the check above, e.g. by a concurrent import
+    for (const writeError of error.writeErrors) {
+      errors.push(rowError(fresh[writeError.index].row, DUPLICATE_ERROR));
+    }
+    return { created: fresh.length - error.writeErrors.length, errors };
+  }
+};
+
+// Audit the import as an action of the user who uploaded it
+const recordImport = (importId, requestedBy, metadata, error = null) => AuditEvent.create({
+  action: 'user.import',
+  actor: { kind: 'user', id: requestedBy.id, name: requestedBy.username },
+  outcome: error ? 'failure' : 'success',
+  error,
+  metadata: { importId, ...metadata }
+}).catch(auditError => console.error(`❌ Failed to audit import ${importId}:`, auditError.message));
+
+const processUserImport = async (job, connection, workerName) => {
+  const { requestedBy, format, dryRun, total, rows } = job.data;
+  const importId = job.id;
+  const errors = [...job.data.errors];
+  const seen = new Set();
+  let created = 0;
+
+  console.log(`[${workerName}] 📥 Importing ${rows.length} user(s) for ${requestedBy.username} (${importId}${dryRun ? ', dry run' : ''})`);
+
+  try {
+    for (let start = 0; start < rows.length; start += IMPORT_BATCH_SIZE) {
+      const result = await importBatch(rows.slice(start, start + IMPORT_BATCH_SIZE), seen, dryRun);
+      created += result.created;
+      errors.push(...result.errors);
+
+      // Rows rejected by the API count as processed from the start
+      const progress = {
+        processed: job.data.errors.length + Math.min(start + IMPORT_BATCH_SIZE, rows.length),
+        total,
+        created,
+        failed: errors.length
+      };
+      await job.updateProgress(progress);
+      await publishImportEvent(connection, 'import:progress', { importId, userId: requestedBy.id, dryRun, ...progress });
+    }
+  } catch (error) {
+    console.error(`[${workerName}] ❌ Import ${importId} failed after creating ${created} user(s):`, error.message);
+
+    await publishImportEvent(connection, 'import:failed', {
+      importId,
+      userId: requestedBy.id,
+      dryRun,
+      created,
+      error: error.message,
+      failedAt: new Date().toISOString()
+    });
+    await recordImport(importId, requestedBy, { format, dryRun, total, created, failed: errors.length }, error.message);
+    throw error;
+  }
+
+  errors.sort((a, b) => a.row - b.row);
+  const report = {
+    total,
+    created,
+    failed: errors.length,
+    dryRun,
+    errors: errors.slice(0, MAX_REPORTED_ERRORS),
+    errorsTruncated: errors.length > MAX_REPORTED_ERRORS
+  };
+
+  await publishImportEvent(connection, 'import:completed', {
+    importId,
+    userId: requestedBy.id,
+    dryRun,
+    total,
+    created,
+    failed: errors.length,
+    completedAt: new Date().toISOString()
+  });
+  await recordImport(importId, requestedBy, { format, dryRun, total, created, failed: errors.length });
+
+  console.log(`[${workerName}] ✅ Import ${importId}: ${created} user(s) ${dryRun ? 'would be created' : 'created'}, ${errors.length} row(s) failed`);
+
+  return report;
+};
+
+const initializeUserImports = (connection, workerName) => {
+  // Imports are large and rare, so each worker runs one at a time
+  importWorker = new Worker(USER_IMPORT_QUEUE, job => processUserImport(job, connection, workerName), {
+    connection,
+    concurrency: 1
+  });
+
+  importWorker.on('error', (error) => {
+    console.error(`[${workerName}] ❌ User import worker error:`, error);
+  });
+
+  console.log(`[${workerName}] 📥 User imports started`);
+};
+
+const closeUserImports = async () => {
+  if (importWorker) {
+    await importWorker.close();
+  }
+};
+
+module.exports = {
+  initializeUserImports,
+  closeUserImports
+};
@@ -0,0 +1,24 @@
+/**
+ * Audit Retention
+ * Deletes audit events older than AUDIT_RETENTION_DAYS. This is the only place
+ * audit events are ever removed.
+ */
+
+const AuditEvent = require('../models/AuditEvent');
+
+const AUDIT_RETENTION_DAYS = parseInt(process.env.AUDIT_RETENTION_DAYS) || 365;
+
+const removeExpiredAuditEvents = async () => {
+  const cutoff = new Date(Date.now() - AUDIT_RETENTION_DAYS * 24 * 3600 * 1000);
+  const { deletedCount } = await AuditEvent.deleteMany({ createdAt: { $lt: cutoff } });
+
+  if (deletedCount > 0) {
+    console.log(`🧹 Removed ${deletedCount} audit event(s) older than ${AUDIT_RETENTION_DAYS} days`);
+  }
+
+  return { removed: deletedCount };
+};
+
+module.exports = {
+  removeExpiredAuditEvents
+};
@@ -0,0 +1,122 @@
+/**
+ * Priority Aging
+ * Moves task jobs that have waited longer than PRIORITY_AGING_MINUTES to the
+ * front of their queue's fair-share order, so low-priority work from busy users
+ * still finishes. Also compacts the fair-share state of every task queue.
+ */
+
+const { Queue } = require('bullmq');
+const Task = require('../models/Task');
+const { TASK_QUEUES } = require('../../shared/config/queues');
+const { PRIORITY_LEVELS, getFairClock, compactFairShare } = require('../../shared/fairShare');
+
+// How long a job may wait before it is promoted
+const PRIORITY_AGING_MS = (parseInt(process.env.PRIORITY_AGING_MINUTES) || 10) * 60 * 1000;
+
+// Largest number of jobs promoted per queue per run
+const AGING_BATCH_SIZE = 500;
+
+let agingQueues = null;
+
+const getAgingQueues = (connection) => {
+  if (!agingQueues) {
+    agingQueues = Object.entries(TASK_QUEUES).map(([type, config]) => ({
+      type,
+      queue: new Queue(config.queue, { connection })
+    }));
+  }
+  return agingQueues;
+};
+
+// Shift the priorities of queued jobs down after the queue's fair-share clock was rebased
+const rebaseQueuedJobs = async (queue, shift) => {
+  const jobIds = await queue.getRanges(['prioritized'], 0, -1);
+
+  for (const jobId of jobIds) {
+    const job = await queue.getJob(jobId);
+
+    // Jobs at PRIORITY_LEVELS or below are already at the front (recurring runs use them)
+    if (job && job.priority > PRIORITY_LEVELS) {
+      await job.changePriority({ priority: Math.max(job.priority - shift, PRIORITY_LEVELS + 1) });
+    }
+  }
+
+  console.log(`⚖️  Rebased fair-share priorities of ${jobIds.length} job(s) in ${queue.name} by ${shift}`);
+};
+
+// Promote jobs of one queue that have waited past the aging threshold
+const promoteWaitingJobs = async (connection, type, queue) => {
+  const cutoff = new Date(Date.now() - PRIORITY_AGING_MS);
+
+  const candidates = await Task.find({
+    type,
+    promotedAt: null,
+    createdAt: { $lte: cutoff },
+    $or: [
+      { state: 'waiting' },
+      { state: 'delayed', scheduledFor: { $ne: null, $lte: cutoff } }
+    ]
+  })
+    .sort({ createdAt: 1 })
+    .limit(AGING_BATCH_SIZE)
+    .select('jobId');
+
+  if (candidates.length === 0) {
+    return 0;
+  }
+
+  // Promoted jobs run right after the job the workers are on, in the order they waited
+  const frontPriority = (await getFairClock(connection, queue.name)) + 1;
+  let promoted = 0;
+
+  for (const { jobId } of candidates) {
+    const job = await queue.getJob(jobId);
+
+    if (!job || await job.getState() !== 'prioritized') {
+      continue;
+    }
+
+    if (job.priority > frontPriority) {
+      await job.changePriority({ priority: frontPriority });
+      promoted++;
+    }
+
+    await Task.updateOne({ jobId }, { $set: { promotedAt: new Date() } });
+  }
+
+  return promoted;
+};
+
+// Maintenance job: compact fair-share state and promote long-waiting jobs on every task queue
+const agePriorities = async (connection) => {
+  const results = {};
+
+  for (const { type, queue } of getAgingQueues(connection)) {
+    const shift = await compactFairShare(connection, queue.name);
+
+    if (shift > 0) {
+      await rebaseQueuedJobs(queue, shift);
+    }
+
+    results[type] = await promoteWaitingJobs(connection, type, queue);
+  }
+
+  const total = Object.values(results).reduce((sum, count) => sum + count, 0);
+  if (total > 0) {
+    console.log(`⏫ Promoted ${total} long-waiting job(s)`);
+  }
+
+  return { promoted: results };
+};
+
+const closePriorityAging = async () => {
+  if (agingQueues) {
+    await Promise.all(agingQueues.map(({ queue }) => queue.close()));
+    agingQueues = null;
+  }
+};
+
+module.exports = {
+  agePriorities,
+  closePriorityAging
+};
@@ -0,0 +1,95 @@
+/**
+ * Maintenance Scheduler
+ * Runs periodic housekeeping jobs (such as artifact and audit log retention,
+ * priority aging and purging deleted users) on a dedicated queue. Job schedulers are
+ * idempotent, so every worker can register them and each run is still
+ * processed by exactly one worker.
+ */
+
+const { Queue, Worker } = require('bullmq');
+const { removeExpiredArtifacts } = require('../artifacts/artifactStore');
+const { agePriorities, closePriorityAging } = require('./priorityAging');
+const { purgeDeletedUsers, closeUserPurge } = require('./userPurge');
+const { removeExpiredAuditEvents } = require('./auditRetention');
+
+const MAINTENANCE_QUEUE = 'maintenance';
+
+// Housekeeping jobs by name, with how often they run; run(connection) does the work
+const MAINTENANCE_JOBS = {
+  'artifact-retention': {
+    every: (parseInt(process.env.ARTIFACT_RETENTION_INTERVAL_MINUTES) || 60) * 60 * 1000,
+    run: removeExpiredArtifacts
+  },
+  'priority-aging': {
+    every: 60 * 1000, // 1 minute
+    run: agePriorities
+  },
+  'user-purge': {
+    every: 60 * 60 * 1000, // 1 hour
+    run: purgeDeletedUsers
+  },
+  'audit-retention': {
+    every: 24 * 60 * 60 * 1000, // 1 day
+    run: removeExpiredAuditEvents
+  }
+};
+
+let maintenanceQueue = null;
+let maintenanceWorker = null;
+
+const initializeMaintenance = async (connection, workerName) => {
+  maintenanceQueue = new Queue(MAINTENANCE_QUEUE, {
+    connection,
+    defaultJobOptions: {
+      removeOnComplete: { count: 100 },
+      removeOnFail: { count: 100 }
+    }
+  });
+
+  maintenanceWorker = new Worker(MAINTENANCE_QUEUE, async (job) => {
+    const task = MAINTENANCE_JOBS[job.name];
+
+    if (!task) {
+      console.warn(`[${workerName}] ⚠️  Unknown maintenance job: ${job.name}`);
+      return null;
+    }
+
+    return task.run(connection);
+  }, {
+    connection,
+    concurrency: 1
+  });
+
+  maintenanceWorker.on('failed', (job, error) => {
+    console.error(`[${workerName}] ❌ Maintenance job ${job.name} failed:`, error.message);
+  });
+
+  maintenanceWorker.on('error', (error) => {
+    console.error(`[${workerName}] ❌ Maintenance worker error:`, error);
+  });
+
+  try {
+    for (const [name, { every }] of Object.entries(MAINTENANCE_JOBS)) {
+      await maintenanceQueue.upsertJobScheduler(name, { every }, { name });
+    }
+    console.log(`[${workerName}] 🧰 Maintenance jobs scheduled: ${Object.keys(MAINTENANCE_JOBS).join(', ')}`);
+  } catch (error) {
+    console.error(`[${workerName}] ❌ Failed to schedule maintenance jobs:`, error.message);
+  }
+};
+
+const closeMaintenance = async () => {
+  if (maintenanceWorker) {
+    await maintenanceWorker.close();
+  }
+  if (maintenanceQueue) {
+    await maintenanceQueue.close();
+  }
+  await closePriorityAging();
+  await closeUserPurge();
+};
+
+module.exports = {
+  initializeMaintenance,
+  closeMaintenance
+};
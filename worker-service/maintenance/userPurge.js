@@ -0,0 +1,176 @@
+/**
+ * User Purge
+ * Permanently removes users deleted more than USER_DELETION_GRACE_DAYS ago,
+ * with everything they own: pending tasks are cancelled, recurring schedules
+ * removed, and task history, workflows, dead-letter entries, webhook deliveries,
+ * artifacts and API keys deleted. Their sockets are then disconnected through
+ * the notification service. A user whose purge fails stays deleted and is
+ * retried on the next run.
+ */
+
+const { Queue } = require('bullmq');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Schedule = require('../models/Schedule');
+const Workflow = require('../models/Workflow');
+const DeadLetter = require('../models/DeadLetter');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const Artifact = require('../models/Artifact');
+const ApiKey = require('../models/ApiKey');
+const AuditEvent = require('../models/AuditEvent');
+const { TASK_QUEUES } = require('../../shared/config/queues');
+const { inFlightKey } = require('../../shared/quotas/inFlight');
+const { getStorage } = require('../storage');
+
+// Must match the API, which stops offering restores after the same period
+const USER_DELETION_GRACE_DAYS = parseInt(process.env.USER_DELETION_GRACE_DAYS) || 30;
+
+// Largest number of users purged per run, and of tasks removed per batch
+const PURGE_BATCH_SIZE = 20;
+const TASK_BATCH_SIZE = 500;
+
+// Cancellation reason and signal shared with the API's cancelTask and the workers
+const CANCELLED_REASON = 'Task cancelled';
+const CANCEL_KEY_PREFIX = 'task:cancel:';
+const CANCEL_SIGNAL_TTL = 24 * 3600; // 24 hours
+
+const UNFINISHED_STATES = ['waiting', 'delayed', 'active'];
+
+let purgeQueues = null;
+
+const getPurgeQueue = (connection, type) => {
+  if (!purgeQueues) {
+    purgeQueues = Object.fromEntries(Object.entries(TASK_QUEUES).map(([taskType, config]) => [
+      taskType,
+      new Queue(config.queue, { connection })
+    ]));
+  }
+  return purgeQueues[type];
+};
+
+// Remove a task's job from its queue; running jobs are signalled to stop instead
+const removeTaskJob = async (connection, task) => {
+  const job = await getPurgeQueue(connection, task.type).getJob(task.jobId);
+
+  if (!job) {
+    return;
+  }
+
+  try {
+    await job.remove();
+  } catch (error) {
+    // Locked by a worker, it stops at its next cancellation check
+    await connection.set(`${CANCEL_KEY_PREFIX}${job.id}`, new Date().toISOString(), 'EX', CANCEL_SIGNAL_TTL);
+  }
+};
+
+// Delete a batch of tasks with their artifacts and webhook deliveries
+const removeTasks = async (connection, tasks) => {
+  const jobIds = tasks.map(task => task.jobId);
+
+  for (const task of tasks) {
+    await removeTaskJob(connection, task);
+  }
+
+  const storage = getStorage();
+  const artifacts = await Artifact.find({ taskId: { $in: jobIds } });
+
+  for (const artifact of artifacts) {
+    await storage.deleteObject(artifact.key);
+    await artifact.deleteOne();
+  }
+
+  await WebhookDelivery.deleteMany({ taskId: { $in: jobIds } });
+  await Task.deleteMany({ jobId: { $in: jobIds } });
+
+  return artifacts.length;
+};
+
+// Remove everything a user owns, then the user
+const purgeUser = async (connection, user) => {
+  const userId = user.id;
+
+  // Schedules first, so no new runs are queued while tasks are removed
+  const schedules = await Schedule.find({ userId });
+  for (const schedule of schedules) {
+    await getPurgeQueue(connection, schedule.type).removeJobScheduler(schedule.id);
+    await schedule.deleteOne();
+  }
+
+  // Running workflows are failed first, so finishing nodes do not enqueue their children
+  await Workflow.updateMany(
+    { userId, state: 'running' },
+    { $set: { state: 'failed', finishedAt: new Date(), 'nodes.$[node].state': 'cancelled' } },
+    { arrayFilters: [{ 'node.state': { $in: ['pending', 'queued'] } }] }
+  );
+
+  // Unfinished tasks are marked cancelled before removal, in case a worker picks one up meanwhile
+  await Task.updateMany(
+    { userId, state: { $in: UNFINISHED_STATES } },
+    { $set: { state: 'cancelled', failedReason: CANCELLED_REASON, finishedAt: new Date() } }
+  );
+
+  let tasks = 0;
+  let artifacts = 0;
+  let batch;
+  do {
+    batch = await Task.find({ userId }).limit(TASK_BATCH_SIZE).select('jobId type');
+    artifacts += await removeTasks(connection, batch);
+    tasks += batch.length;
+  } while (batch.length === TASK_BATCH_SIZE);
+
+  await Workflow.deleteMany({ userId });
+  await DeadLetter.deleteMany({ userId });
+  await ApiKey.deleteMany({ userId });
+  await connection.del(...Object.keys(TASK_QUEUES).map(type => inFlightKey(userId, type)));
+
+  await connection.publish('user:purged', JSON.stringify({
+    userId,
+    username: user.username,
+    purgedAt: new Date().toISOString()
+  }));
+
+  await User.deleteOne({ _id: user._id, deletedAt: user.deletedAt });
+
+  await AuditEvent.create({
+    action: 'user.purge',
+    actor: { kind: 'system', name: 'user-purge' },
+    target: { kind: 'user', id: userId, name: user.username },
+    metadata: { deletedAt: user.deletedAt, schedules: schedules.length, tasks, artifacts }
+  }).catch(error => console.error(`❌ Failed to audit purge of user ${userId}:`, error.message));
+
+  console.log(`🗑️  Purged user ${user.username} (${userId}): ${schedules.length} schedule(s), ${tasks} task(s), ${artifacts} artifact(s)`);
+};
+
+// Maintenance job: purge users whose restore period has ended
+const purgeDeletedUsers = async (connection) => {
+  const cutoff = new Date(Date.now() - USER_DELETION_GRACE_DAYS * 24 * 3600 * 1000);
+  const users = await User.find({ deletedAt: { $ne: null, $lte: cutoff } })
+    .sort({ deletedAt: 1 })
+    .limit(PURGE_BATCH_SIZE);
+
+  let purged = 0;
+
+  for (const user of users) {
+    try {
+      await purgeUser(connection, user);
+      purged++;
+    } catch (error) {
+      console.error(`❌ Failed to purge user ${user.id}:`, error.message);
+    }
+  }
+
+  return { purged };
+};
+
+const closeUserPurge = async () => {
+  if (purgeQueues) {
+    await Promise.all(Object.values(purgeQueues).map(queue => queue.close()));
+    purgeQueues = null;
+  }
+};
+
+module.exports = {
+  purgeDeletedUsers,
+  closeUserPurge
+};
@@ -3,15 +3,76 @@
  * Supports: email, report, dataProcessing, imageProcessing
  */
 
+const { UnrecoverableError } = require('bullmq');
+const { validateTaskData } = require('../schemas/taskSchemas');
+const { renderCsv, renderPdf, renderPng } = require('../artifacts/renderers');
+const { fillTaskSecret } = require('../../shared/taskSecrets');
+
+const CANCELLED_REASON = 'Task cancelled';
+
+// Raised when a cancellation signal is seen; unrecoverable so BullMQ does not retry it
+class TaskCancelledError extends UnrecoverableError {
+  constructor() {
+    super(CANCELLED_REASON);
+    this.name = 'TaskCancelledError';
+  }
+}
+
+// Raised when job data does not match its task type's schema; retrying cannot fix it
+class InvalidTaskPayloadError extends UnrecoverableError {
+  constructor(errors) {
+    super(`Invalid task payload: ${errors.map(error => error.message).join('; ')}`);
+    this.name = 'InvalidTaskPayloadError';
+    this.errors = errors;
+  }
+}
+
+// Raised when an attempt exceeds its execution timeout; recoverable so the job's
+// remaining attempts still apply
+class TaskTimeoutError extends Error {
+  constructor(timeoutMs) {
+    super(`Task timed out after ${timeoutMs}ms`);
+    this.name = 'TaskTimeoutError';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+// Cooperative cancellation check, called between processing steps; also stops
+// an attempt that was aborted (e.g. timed out) while it kept running
+const throwIfCancelled = async (context) => {
+  if (context && context.signal && context.signal.aborted) {
+    throw context.signal.reason;
+  }
+  if (context && context.isCancelled && await context.isCancelled()) {
+    throw new TaskCancelledError();
+  }
+};
+
 // Simulate email sending
-const processEmailTask = async (jobData) => {
-    const { data } = jobData;
+const processEmailTask = async (jobData, context) => {
+    const { data } = jobData.data;
+    
+    await throwIfCancelled(context);
     
     console.log(`📧 Sending email to: ${data.recipient || 'user@example.com'}`);
     console.log(`   Subject: ${data.subject || 'Notification'}`);
     
-    // Simulate email sending delay
-    await delay(randomDelay(500, 1500));
+    // A task secret (e.g. a verification token) only goes into the outgoing body
+    const { secretRef } = jobData.data;
+    let body = data.body || '';
+    if (secretRef) {
+      const secret = await context.readSecret(secretRef);
+      if (!secret) {
+        throw new Error('Email secret has expired');
+      }
+      body = fillTaskSecret(body, secret);
+    }
+    
+    await sendEmail({ recipient: data.recipient, subject: data.subject, body });
+    
+    if (secretRef) {
+      await context.deleteSecret(secretRef);
+    }
     
     return {
       status: 'sent',
@@ -23,8 +84,8 @@ const processEmailTask = async (jobData) => {
   };
   
   // Simulate report generation
-  const processReportTask = async (jobData) => {
-    const { data } = jobData;
+  const processReportTask = async (jobData, context) => {
+    const { data } = jobData.data;
     
     console.log(`📊 Generating report: ${data.reportType || 'general'}`);
     console.log(`   Format: ${data.format || 'PDF'}`);
@@ -34,24 +95,44 @@ const processEmailTask = async (jobData) => {
     
     // Simulate progress updates
     for (let i = 20; i <= 80; i += 20) {
+      await throwIfCancelled(context);
       await jobData.updateProgress(i);
       await delay(500);
     }
     
+    const reportId = generateId();
+    const format = data.format || 'PDF';
+    const rows = Array.from({ length: 10 }, (_, i) => [
+      `item-${i + 1}`,
+      Math.floor(Math.random() * 1000),
+      (Math.random() * 100).toFixed(2)
+    ]);
+    
+    // XLSX is stored as CSV, which spreadsheet applications open directly
+    const artifact = format === 'PDF'
+      ? await context.saveArtifact('report.pdf', renderPdf([
+        `Report: ${data.reportType || 'general'}`,
+        `Report ID: ${reportId}`,
+        `Generated: ${new Date().toISOString()}`,
+        '',
+        ...rows.map(([item, count, score]) => `${item}   count=${count}   score=${score}`)
+      ]), 'application/pdf')
+      : await context.saveArtifact('report.csv', renderCsv(['item', 'count', 'score'], rows), 'text/csv');
+    
     return {
       status: 'generated',
       reportType: data.reportType || 'general',
-      format: data.format || 'PDF',
-      fileSize: Math.floor(Math.random() * 5000) + 1000, // KB
-      downloadUrl: `https://reports.example.com/${generateId()}.pdf`,
+      format,
+      fileSize: artifact.size,
+      downloadUrl: artifact.url,
       generatedAt: new Date().toISOString(),
-      reportId: generateId()
+      reportId
     };
   };
   
   // Simulate data processing
-  const processDataProcessingTask = async (jobData) => {
-    const { data } = jobData;
+  const processDataProcessingTask = async (jobData, context) => {
+    const { data } = jobData.data;
     
     console.log(`⚙️  Processing data batch: ${data.batchId || 'unknown'}`);
     console.log(`   Records: ${data.recordCount || 100}`);
@@ -60,6 +141,7 @@ const processEmailTask = async (jobData) => {
     
     // Simulate processing records
     for (let i = 0; i < recordCount; i += 10) {
+      await throwIfCancelled(context);
       await delay(100);
       const progress = Math.min(Math.floor((i / recordCount) * 80) + 10, 90);
       await jobData.updateProgress(progress);
@@ -76,8 +158,8 @@ const processEmailTask = async (jobData) => {
   };
   
   // Simulate image processing
-  const processImageProcessingTask = async (jobData) => {
-    const { data } = jobData;
+  const processImageProcessingTask = async (jobData, context) => {
+    const { data } = jobData.data;
     
     console.log(`🖼️  Processing image: ${data.imageUrl || 'image.jpg'}`);
     console.log(`   Operations: ${data.operations?.join(', ') || 'resize, compress'}`);
@@ -86,29 +168,39 @@ const processEmailTask = async (jobData) => {
     const operations = data.operations || ['resize', 'compress', 'watermark'];
     
     for (let i = 0; i < operations.length; i++) {
+      await throwIfCancelled(context);
       console.log(`   • Applying ${operations[i]}...`);
       await delay(randomDelay(800, 1500));
       const progress = Math.floor(((i + 1) / operations.length) * 80) + 10;
       await jobData.updateProgress(progress);
     }
     
+    const width = data.targetWidth || 1920;
+    const height = data.targetHeight || 1080;
+    const artifact = await context.saveArtifact('processed.png', renderPng(width, height), 'image/png');
+    
     return {
       status: 'processed',
       originalImage: data.imageUrl || 'image.jpg',
-      processedImage: `https://cdn.example.com/processed/${generateId()}.jpg`,
+      processedImage: artifact.url,
       operations: operations,
       dimensions: {
-        width: data.targetWidth || 1920,
-        height: data.targetHeight || 1080
+        width,
+        height
       },
-      fileSize: Math.floor(Math.random() * 2000) + 500, // KB
+      fileSize: artifact.size,
       processedAt: new Date().toISOString(),
       imageId: generateId()
     };
   };
   
   // Main task processor
-  const processTask = async (job) => {
+  // Processors get the job; the submitted task payload is job.data.data
+  // context.isCancelled() is polled between steps for cooperative cancellation,
+  // context.signal aborts the remaining steps once the attempt has timed out,
+  // context.saveArtifact(name, body, contentType) stores an output file for the task,
+  // context.readSecret(ref) and context.deleteSecret(ref) access its task secret
+  const processTask = async (job, context = {}) => {
     const { name, data } = job;
     
     console.log(`\n🔧 Processing task type: ${name}`);
@@ -119,21 +211,29 @@ const processEmailTask = async (jobData) => {
     try {
       let result;
       
+      await throwIfCancelled(context);
+      
+      // Enforce the payload schema even if the job bypassed API validation
+      const payloadErrors = validateTaskData(name, data.data);
+      if (payloadErrors.length > 0) {
+        throw new InvalidTaskPayloadError(payloadErrors);
+      }
+      
       switch (name) {
         case 'email':
-          result = await processEmailTask(job);
+          result = await processEmailTask(job, context);
           break;
           
         case 'report':
-          result = await processReportTask(job);
+          result = await processReportTask(job, context);
           break;
           
         case 'dataProcessing':
-          result = await processDataProcessingTask(job);
+          result = await processDataProcessingTask(job, context);
           break;
           
         case 'imageProcessing':
-          result = await processImageProcessingTask(job);
+          result = await processImageProcessingTask(job, context);
           break;
           
         default:
@@ -156,6 +256,21 @@ const processEmailTask = async (jobData) => {
       };
       
     } catch (error) {
+      if (error instanceof TaskCancelledError) {
+        console.log(`🚫 Task ${name} cancelled: ${job.id}`);
+        throw error;
+      }
+      
+      if (error instanceof TaskTimeoutError) {
+        console.log(`⏱️  Task ${name} aborted after timeout: ${job.id}`);
+        throw error;
+      }
+      
+      if (error instanceof InvalidTaskPayloadError) {
+        console.error(`❌ Rejected task ${name} with invalid payload: ${job.id}`);
+        throw error;
+      }
+      
       console.error(`❌ Error processing task ${name}:`, error);
       throw new Error(`Task processing failed: ${error.message}`);
     }
@@ -164,6 +279,9 @@ const processEmailTask = async (jobData) => {
   // Utility functions
   const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
   
+  // Simulate handing an email to a mail provider
+  const sendEmail = () => delay(randomDelay(500, 1500));
+  
   const randomDelay = (min, max) => {
     return Math.floor(Math.random() * (max - min + 1)) + min;
   };
@@ -173,6 +291,9 @@ const processEmailTask = async (jobData) => {
   };
   
   module.exports = {
-    processTask
+    processTask,
+    TaskCancelledError,
+    TaskTimeoutError,
+    InvalidTaskPayloadError
   };
   
\ No newline at end of file
@@ -0,0 +1,4 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+
+module.exports = require('../../shared/schemas/taskSchemas')({ Ajv, addFormats });
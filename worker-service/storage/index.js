@@ -0,0 +1,3 @@
+const s3 = require('@aws-sdk/client-s3');
+
+module.exports = require('../../shared/storage')(s3);
@@ -0,0 +1,161 @@
+/**
+ * Webhook Delivery
+ * POSTs task events to the callbackUrl attached at submission time, signed with
+ * an HMAC-SHA256 header. Deliveries run on their own queue so BullMQ handles
+ * retries with exponential backoff; every attempt is recorded in MongoDB.
+ */
+
+const crypto = require('crypto');
+const { Queue, Worker } = require('bullmq');
+const WebhookDelivery = require('../models/WebhookDelivery');
+
+const WEBHOOK_QUEUE = 'webhooks';
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const WEBHOOK_BACKOFF_DELAY = parseInt(process.env.WEBHOOK_BACKOFF_DELAY) || 5000;
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const WEBHOOK_CONCURRENCY = parseInt(process.env.WEBHOOK_CONCURRENCY) || 20;
+
+// Used when a task was submitted without its own callbackSecret
+const WEBHOOK_SIGNING_SECRET = process.env.WEBHOOK_SIGNING_SECRET || null;
+
+let webhookQueue = null;
+let webhookWorker = null;
+
+// Signature over "<timestamp>.<body>" so receivers can reject replayed requests
+const signPayload = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+// Perform one delivery attempt and record it
+const deliverWebhook = async (deliveryJob) => {
+  const { deliveryId, taskId, event, url, secret, payload } = deliveryJob.data;
+  const attempt = deliveryJob.attemptsMade + 1;
+  const signingSecret = secret || WEBHOOK_SIGNING_SECRET;
+
+  const body = JSON.stringify({ id: deliveryId, event, taskId, data: payload });
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'microservices-platform-webhooks/1.0',
+    'X-Webhook-Id': deliveryId,
+    'X-Webhook-Event': event,
+    'X-Webhook-Timestamp': timestamp,
+    ...(signingSecret && { 'X-Webhook-Signature': `sha256=${signPayload(signingSecret, timestamp, body)}` })
+  };
+
+  const startTime = Date.now();
+  let statusCode = null;
+  let error = null;
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+    statusCode = response.status;
+    if (!response.ok) {
+      error = `Receiver responded with HTTP ${response.status}`;
+    }
+  } catch (requestError) {
+    error = requestError.message;
+  }
+
+  const finalAttempt = attempt >= (deliveryJob.opts.attempts || 1);
+  const now = new Date();
+
+  try {
+    await WebhookDelivery.updateOne(
+      { deliveryId },
+      {
+        $push: { attempts: { attempt, statusCode, error, durationMs: Date.now() - startTime, attemptedAt: now } },
+        $set: {
+          state: error ? (finalAttempt ? 'failed' : 'retrying') : 'delivered',
+          lastAttemptAt: now,
+          ...(!error && { deliveredAt: now })
+        }
+      }
+    );
+  } catch (recordError) {
+    console.error(`❌ Failed to record webhook attempt ${deliveryId}#${attempt}:`, recordError.message);
+  }
+
+  if (error) {
+    console.warn(`⚠️  Webhook ${deliveryId} attempt ${attempt} to ${url} failed: ${error}`);
+    throw new Error(error); // Re-throw for BullMQ retry logic
+  }
+
+  console.log(`🪝 Webhook ${deliveryId} delivered to ${url} (HTTP ${statusCode})`);
+  return { statusCode };
+};
+
+const initializeWebhookDelivery = (connection, workerName) => {
+  webhookQueue = new Queue(WEBHOOK_QUEUE, {
+    connection,
+    defaultJobOptions: {
+      attempts: WEBHOOK_MAX_ATTEMPTS,
+      backoff: {
+        type: 'exponential',
+        delay: WEBHOOK_BACKOFF_DELAY
+      },
+      removeOnComplete: { count: 1000 },
+      removeOnFail: { count: 5000 }
+    }
+  });
+
+  webhookWorker = new Worker(WEBHOOK_QUEUE, deliverWebhook, {
+    connection,
+    concurrency: WEBHOOK_CONCURRENCY
+  });
+
+  webhookWorker.on('error', (error) => {
+    console.error(`[${workerName}] ❌ Webhook worker error:`, error);
+  });
+
+  console.log(`[${workerName}] 🪝 Webhook delivery started with concurrency: ${WEBHOOK_CONCURRENCY}`);
+};
+
+// Queue a webhook for a task event if the task has a callback
+const enqueueWebhook = async (job, event, payload) => {
+  const callback = job.data.callback;
+
+  if (!callback || !callback.url) {
+    return;
+  }
+
+  // One delivery per task event, even if the event is emitted again
+  const deliveryId = `${job.id}-${event.replace(':', '-')}`;
+
+  try {
+    await WebhookDelivery.updateOne(
+      { deliveryId },
+      { $setOnInsert: { deliveryId, taskId: job.id, event, url: callback.url, state: 'pending' } },
+      { upsert: true }
+    );
+
+    await webhookQueue.add(
+      event,
+      { deliveryId, taskId: job.id, event, url: callback.url, secret: callback.secret, payload },
+      { jobId: deliveryId }
+    );
+  } catch (error) {
+    console.error(`❌ Failed to queue webhook for job ${job.id}:`, error.message);
+  }
+};
+
+const closeWebhookDelivery = async () => {
+  if (webhookWorker) {
+    await webhookWorker.close();
+  }
+  if (webhookQueue) {
+    await webhookQueue.close();
+  }
+};
+
+module.exports = {
+  initializeWebhookDelivery,
+  enqueueWebhook,
+  closeWebhookDelivery
+};
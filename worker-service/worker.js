@@ -1,11 +1,36 @@
-const { Worker, QueueEvents } = require('bullmq');
+const { Worker, QueueEvents, UnrecoverableError } = require('bullmq');
 const Redis = require('ioredis');
+const mongoose = require('mongoose');
 const dotenv = require('dotenv');
-const { processTask } = require('./processors/taskProcessor');
+const connectDB = require('./config/database');
+const Task = require('./models/Task');
+const { TASK_QUEUES, TASK_TYPES } = require('../shared/config/queues');
+const { jobFairTag, advanceFairClock } = require('../shared/fairShare');
+const { releaseInFlightJobs } = require('../shared/quotas/inFlight');
+const { readTaskSecret, deleteTaskSecret } = require('../shared/taskSecrets');
+const { processTask, TaskCancelledError, TaskTimeoutError } = require('./processors/taskProcessor');
+const { saveArtifact } = require('./artifacts/artifactStore');
+const { initializeMaintenance, closeMaintenance } = require('./maintenance/scheduler');
+const {
+  initializeWorkflowCoordinator,
+  markWorkflowNodeActive,
+  completeWorkflowNode,
+  failWorkflowNode,
+  closeWorkflowCoordinator
+} = require('./workflows/coordinator');
+const {
+  initializeWebhookDelivery,
+  enqueueWebhook,
+  closeWebhookDelivery
+} = require('./webhooks/delivery');
+const { initializeUserImports, closeUserImports } = require('./imports/userImport');
 
 // Load environment variables
 dotenv.config();
 
+// Connect to MongoDB (task history)
+connectDB();
+
 // Redis connection for worker
 const redisConnection = new Redis({
   host: process.env.REDIS_HOST || 'redis',
@@ -45,77 +70,224 @@ redisPubSub.on('error', (err) => {
   console.error('❌ Redis Pub/Sub connection error:', err);
 });
 
+// Workflow coordinator enqueues dependent tasks on their task type's queue
+initializeWorkflowCoordinator(redisConnection);
+
 // Worker configuration
-const CONCURRENCY = parseInt(process.env.WORKER_CONCURRENCY) || 100;
 const WORKER_NAME = process.env.WORKER_NAME || `worker-${process.pid}`;
 
-console.log(`🚀 Starting ${WORKER_NAME} with concurrency: ${CONCURRENCY}`);
+// Task types this process consumes, e.g. WORKER_QUEUES=imageProcessing (default: all)
+const WORKER_QUEUES = process.env.WORKER_QUEUES
+  ? process.env.WORKER_QUEUES.split(',').map(type => type.trim()).filter(Boolean)
+  : TASK_TYPES;
 
-// Create worker
-const worker = new Worker(
-  'tasks',
-  async (job) => {
-    const startTime = Date.now();
-    
-    console.log(`[${WORKER_NAME}] 📥 Processing job ${job.id} (${job.name}) - Attempt ${job.attemptsMade + 1}`);
+const unknownQueues = WORKER_QUEUES.filter(type => !TASK_QUEUES[type]);
+if (unknownQueues.length > 0) {
+  console.error(`❌ Unknown task types in WORKER_QUEUES: ${unknownQueues.join(', ')} (expected: ${TASK_TYPES.join(', ')})`);
+  process.exit(1);
+}
+
+// Cancellation signals are set by the API for jobs that are already active
+const CANCEL_KEY_PREFIX = 'task:cancel:';
+
+console.log(`🚀 Starting ${WORKER_NAME} for task types: ${WORKER_QUEUES.join(', ')}`);
+
+// Webhook callbacks are delivered from their own queue with retries
+initializeWebhookDelivery(redisConnection, WORKER_NAME);
+
+// Periodic housekeeping such as artifact retention
+initializeMaintenance(redisConnection, WORKER_NAME);
+
+// Bulk user imports uploaded through the API
+initializeUserImports(redisConnection, WORKER_NAME);
+
+// Run one attempt of a task, aborting it once its execution timeout elapses.
+// A processor stuck between steps keeps running until its next step, but its
+// concurrency slot is released and the job fails as soon as the timer fires.
+const runWithTimeout = (timeoutMs, run) => {
+  const controller = new AbortController();
+  let timer;
+
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new TaskTimeoutError(timeoutMs);
+      controller.abort(error);
+      reject(error);
+    }, timeoutMs);
+  });
 
-    try {
-      // Update progress to 10%
-      await job.updateProgress(10);
+  const attempt = run(controller.signal);
 
-      // Process the task
-      const result = await processTask(job);
+  // An abandoned attempt rejects with the timeout error when it reaches its next step
+  attempt.catch(() => {});
 
-      // Update progress to 90%
-      await job.updateProgress(90);
+  return Promise.race([attempt, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Process a task job from any of the task queues
+const processJob = async (job) => {
+  const startTime = Date.now();
+  
+  console.log(`[${WORKER_NAME}] 📥 Processing job ${job.id} (${job.name}) - Attempt ${job.attemptsMade + 1}`);
+
+  // Jobs spawned by a recurring schedule have no history record yet
+  await updateTaskHistory(job.id, {
+    state: 'active',
+    attemptsMade: job.attemptsMade + 1,
+    startedAt: new Date(startTime)
+  }, {
+    type: job.name,
+    userId: job.data.userId,
+    data: job.data.data,
+    priority: job.data.priority || 5,
+    scheduleId: job.data.scheduleId || null
+  });
+
+  await advanceFairShare(job);
 
-      const duration = Date.now() - startTime;
-      console.log(`[${WORKER_NAME}] ✅ Job ${job.id} completed in ${duration}ms`);
+  await markWorkflowNodeActive(job);
 
-      // Publish completion event to Redis Pub/Sub
-      await publishTaskEvent('task:completed', {
+  try {
+    // Update progress to 10%
+    await job.updateProgress(10);
+
+    // Process the task within the job's timeout, or its task type's default
+    const timeoutMs = job.data.timeoutMs || TASK_QUEUES[job.name].timeoutMs;
+    const result = await runWithTimeout(timeoutMs, (signal) => processTask(job, {
+      signal,
+      isCancelled: () => isCancellationRequested(job.id),
+      saveArtifact: (name, body, contentType) => {
+        signal.throwIfAborted();
+        return saveArtifact(job.id, name, body, contentType);
+      },
+      readSecret: (ref) => readTaskSecret(redisConnection, ref),
+      deleteSecret: (ref) => deleteTaskSecret(redisConnection, ref)
+    }));
+
+    // Update progress to 90%
+    await job.updateProgress(90);
+
+    const duration = Date.now() - startTime;
+    console.log(`[${WORKER_NAME}] ✅ Job ${job.id} completed in ${duration}ms`);
+
+    const completedEvent = {
+      jobId: job.id,
+      taskType: job.name,
+      userId: job.data.userId,
+      result: result,
+      duration,
+      completedAt: new Date().toISOString(),
+      workerName: WORKER_NAME
+    };
+
+    // Publish completion event to Redis Pub/Sub
+    await publishTaskEvent('task:completed', completedEvent);
+
+    // Update progress to 100%
+    await job.updateProgress(100);
+
+    await updateTaskHistory(job.id, {
+      state: 'completed',
+      progress: 100,
+      result,
+      failedReason: null,
+      finishedAt: new Date()
+    });
+
+    await completeWorkflowNode(job, result);
+
+    await releaseInFlightJob(job);
+
+    await enqueueWebhook(job, 'task:completed', completedEvent);
+
+    return result;
+
+  } catch (error) {
+    if (error instanceof TaskCancelledError) {
+      console.log(`[${WORKER_NAME}] 🚫 Job ${job.id} cancelled`);
+
+      await publishTaskEvent('task:cancelled', {
         jobId: job.id,
         taskType: job.name,
         userId: job.data.userId,
-        result: result,
-        duration,
-        completedAt: new Date().toISOString(),
+        previousState: 'active',
+        cancelledAt: new Date().toISOString(),
         workerName: WORKER_NAME
       });
 
-      // Update progress to 100%
-      await job.updateProgress(100);
+      await updateTaskHistory(job.id, {
+        state: 'cancelled',
+        failedReason: error.message,
+        finishedAt: new Date()
+      });
 
-      return result;
+      await redisConnection.del(`${CANCEL_KEY_PREFIX}${job.id}`);
 
-    } catch (error) {
+      await releaseInFlightJob(job);
+
+      await failWorkflowNode(job, error.message, 'cancelled');
+
+      throw error; // Unrecoverable, BullMQ will not retry
+    }
+
+    const timedOut = error instanceof TaskTimeoutError;
+
+    if (timedOut) {
+      console.warn(`[${WORKER_NAME}] ⏱️  Job ${job.id} timed out after ${error.timeoutMs}ms`);
+    } else {
       console.error(`[${WORKER_NAME}] ❌ Job ${job.id} failed:`, error.message);
+    }
 
-      // Publish failure event to Redis Pub/Sub
-      await publishTaskEvent('task:failed', {
-        jobId: job.id,
-        taskType: job.name,
-        userId: job.data.userId,
-        error: error.message,
-        attemptsMade: job.attemptsMade + 1,
-        failedAt: new Date().toISOString(),
-        workerName: WORKER_NAME
-      });
+    // BullMQ retries the job unless this was the final attempt or the error is unrecoverable
+    const finalAttempt = error instanceof UnrecoverableError || job.attemptsMade + 1 >= (job.opts.attempts || 1);
+
+    const failedEvent = {
+      jobId: job.id,
+      taskType: job.name,
+      userId: job.data.userId,
+      error: error.message,
+      attemptsMade: job.attemptsMade + 1,
+      ...(timedOut && { timeoutMs: error.timeoutMs, willRetry: !finalAttempt }),
+      failedAt: new Date().toISOString(),
+      workerName: WORKER_NAME
+    };
+
+    // Publish failure event to Redis Pub/Sub (timeouts have their own channel)
+    await publishTaskEvent(timedOut ? 'task:timeout' : 'task:failed', failedEvent);
+
+    await updateTaskHistory(job.id, {
+      state: finalAttempt ? 'failed' : (job.opts.backoff ? 'delayed' : 'waiting'),
+      failedReason: error.message,
+      ...(finalAttempt && { finishedAt: new Date() })
+    });
+
+    if (finalAttempt) {
+      await failWorkflowNode(job, error.message);
 
-      throw error; // Re-throw for BullMQ retry logic
+      await releaseInFlightJob(job);
+
+      // Callbacks only fire once the task has failed for good
+      await enqueueWebhook(job, 'task:failed', failedEvent);
     }
-  },
-  {
+
+    throw error; // Re-throw for BullMQ retry logic
+  }
+};
+
+// Create one worker per consumed queue, each with its task type's concurrency and rate limit
+const workers = WORKER_QUEUES.map(type => {
+  const { queue, concurrency, limiter } = TASK_QUEUES[type];
+
+  console.log(`[${WORKER_NAME}] 📋 Consuming ${queue} (concurrency: ${concurrency}, limit: ${limiter.max}/${limiter.duration}ms)`);
+
+  return new Worker(queue, processJob, {
     connection: redisConnection,
-    concurrency: CONCURRENCY,
+    concurrency,
+    limiter,
     removeOnComplete: { count: 1000 },
-    removeOnFail: { count: 5000 },
-    limiter: {
-      max: 100, // Max 100 jobs per duration
-      duration: 1000 // 1 second
-    }
-  }
-);
+    removeOnFail: { count: 5000 }
+  });
+});
 
 // Publish events to Redis Pub/Sub
 const publishTaskEvent = async (channel, data) => {
@@ -128,43 +300,71 @@ const publishTaskEvent = async (channel, data) => {
   }
 };
 
-// Queue Events for monitoring
-const queueEvents = new QueueEvents('tasks', {
-  connection: new Redis({
-    host: process.env.REDIS_HOST || 'redis',
-    port: process.env.REDIS_PORT || 6379,
-    maxRetriesPerRequest: null
-  })
-});
-
-// Event listeners
-queueEvents.on('completed', ({ jobId, returnvalue }) => {
-  console.log(`[${WORKER_NAME}] 🎉 Job ${jobId} completed with result:`, returnvalue);
-});
-
-queueEvents.on('failed', ({ jobId, failedReason }) => {
-  console.log(`[${WORKER_NAME}] 💥 Job ${jobId} failed: ${failedReason}`);
-});
-
-queueEvents.on('progress', ({ jobId, data }) => {
-  console.log(`[${WORKER_NAME}] 📊 Job ${jobId} progress: ${data}%`);
-});
+// Check whether the API has requested cancellation of an active job
+const isCancellationRequested = async (jobId) => {
+  try {
+    return (await redisConnection.exists(`${CANCEL_KEY_PREFIX}${jobId}`)) === 1;
+  } catch (error) {
+    console.error(`[${WORKER_NAME}] ❌ Failed to check cancellation for job ${jobId}:`, error.message);
+    return false;
+  }
+};
 
-// Worker event listeners
-worker.on('ready', () => {
-  console.log(`[${WORKER_NAME}] ⚡ Worker is ready and waiting for jobs`);
-});
+// Move the queue's fair-share clock to the tag of a job being started
+const advanceFairShare = async (job) => {
+  try {
+    await advanceFairClock(redisConnection, TASK_QUEUES[job.name].queue, jobFairTag(job));
+  } catch (error) {
+    console.error(`[${WORKER_NAME}] ❌ Failed to advance fair-share clock for job ${job.id}:`, error.message);
+  }
+};
 
-worker.on('active', (job) => {
-  console.log(`[${WORKER_NAME}] 🔄 Job ${job.id} is now active`);
-});
+// Free a finished job's slot in its user's concurrency quota
+const releaseInFlightJob = async (job) => {
+  try {
+    await releaseInFlightJobs(redisConnection, [{ id: job.id, userId: job.data.userId, type: job.name }]);
+  } catch (error) {
+    console.error(`[${WORKER_NAME}] ❌ Failed to release in-flight job ${job.id}:`, error.message);
+  }
+};
 
-worker.on('stalled', (jobId) => {
-  console.warn(`[${WORKER_NAME}] ⚠️  Job ${jobId} has stalled`);
-});
+// Update the task history record in MongoDB, creating it from insertFields if missing
+const updateTaskHistory = async (jobId, fields, insertFields) => {
+  try {
+    if (insertFields) {
+      await Task.updateOne({ jobId }, { $set: fields, $setOnInsert: insertFields }, { upsert: true });
+    } else {
+      await Task.updateOne({ jobId }, { $set: fields });
+    }
+  } catch (error) {
+    console.error(`[${WORKER_NAME}] ❌ Failed to update task history:`, error.message);
+  }
+};
 
-worker.on('error', (error) => {
-  console.error(`[${WORKER_NAME}] ❌ Worker error:`, error);
+// Queue Events for monitoring, one per consumed queue
+const queueEvents = WORKER_QUEUES.map(type => {
+  const events = new QueueEvents(TASK_QUEUES[type].queue, {
+    connection: new Redis({
+      host: process.env.REDIS_HOST || 'redis',
+      port: process.env.REDIS_PORT || 6379,
+      maxRetriesPerRequest: null
+    })
+  });
+
+  // Event listeners
+  events.on('completed', ({ jobId, returnvalue }) => {
+    console.log(`[${WORKER_NAME}] 🎉 Job ${jobId} completed with result:`, returnvalue);
+  });
+
+  events.on('failed', ({ jobId, failedReason }) => {
+    console.log(`[${WORKER_NAME}] 💥 Job ${jobId} failed: ${failedReason}`);
+  });
+
+  events.on('progress', ({ jobId, data }) => {
+    console.log(`[${WORKER_NAME}] 📊 Job ${jobId} progress: ${data}%`);
+  });
+
+  return events;
 });
 
 // Performance metrics
@@ -172,15 +372,34 @@ let processedCount = 0;
 let failedCount = 0;
 let totalProcessingTime = 0;
 
-worker.on('completed', (job, result) => {
-  processedCount++;
-  if (job.finishedOn && job.processedOn) {
-    totalProcessingTime += (job.finishedOn - job.processedOn);
-  }
-});
+// Worker event listeners
+workers.forEach(worker => {
+  worker.on('ready', () => {
+    console.log(`[${WORKER_NAME}] ⚡ Worker for ${worker.name} is ready and waiting for jobs`);
+  });
+
+  worker.on('active', (job) => {
+    console.log(`[${WORKER_NAME}] 🔄 Job ${job.id} is now active`);
+  });
+
+  worker.on('stalled', (jobId) => {
+    console.warn(`[${WORKER_NAME}] ⚠️  Job ${jobId} has stalled`);
+  });
+
+  worker.on('error', (error) => {
+    console.error(`[${WORKER_NAME}] ❌ Worker error (${worker.name}):`, error);
+  });
+
+  worker.on('completed', (job, result) => {
+    processedCount++;
+    if (job.finishedOn && job.processedOn) {
+      totalProcessingTime += (job.finishedOn - job.processedOn);
+    }
+  });
 
-worker.on('failed', (job, error) => {
-  failedCount++;
+  worker.on('failed', (job, error) => {
+    failedCount++;
+  });
 });
 
 // Log metrics every 30 seconds
@@ -204,10 +423,15 @@ const gracefulShutdown = async (signal) => {
   console.log(`\n[${WORKER_NAME}] 🛑 ${signal} received, shutting down gracefully...`);
   
   try {
-    await worker.close();
-    await queueEvents.close();
+    await Promise.all(workers.map(worker => worker.close()));
+    await Promise.all(queueEvents.map(events => events.close()));
+    await closeWorkflowCoordinator();
+    await closeWebhookDelivery();
+    await closeMaintenance();
+    await closeUserImports();
     await redisConnection.quit();
     await redisPubSub.quit();
+    await mongoose.connection.close();
     
     console.log(`[${WORKER_NAME}] ✅ Worker shut down successfully`);
     process.exit(0);
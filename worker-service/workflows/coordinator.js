@@ -0,0 +1,200 @@
+/**
+ * Workflow Coordinator
+ * Advances task workflows (DAGs) as their nodes finish: enqueues children whose
+ * parents have all completed and applies the workflow's failure policy
+ */
+
+const { Queue } = require('bullmq');
+const Workflow = require('../models/Workflow');
+const Task = require('../models/Task');
+const { TASK_QUEUES, queueJobOptions } = require('../../shared/config/queues');
+const { allocateFairPriorities } = require('../../shared/fairShare');
+const { trackInFlightJobs } = require('../../shared/quotas/inFlight');
+const { finalizeWorkflow, settleWorkflowNode } = require('../../shared/workflows/settlement')(Workflow);
+
+// Producer-side queues for every task type, since a child can be of any type
+let workflowQueues = null;
+let redisConnection = null;
+
+const initializeWorkflowCoordinator = (connection) => {
+  redisConnection = connection;
+  workflowQueues = Object.fromEntries(
+    Object.entries(TASK_QUEUES).map(([type, config]) => [
+      type,
+      new Queue(config.queue, { connection, defaultJobOptions: queueJobOptions(type) })
+    ])
+  );
+  return workflowQueues;
+};
+
+// Deterministic job ID so a workflow node is never enqueued twice
+const workflowJobId = (workflowId, nodeKey) => `workflow-${workflowId}-${nodeKey}`;
+
+// Read a dotted path such as "downloadUrl" or "dimensions.width" from a value
+const resolvePath = (value, path) => {
+  if (!path) {
+    return value;
+  }
+  return path.split('.').reduce((current, key) => (current == null ? undefined : current[key]), value);
+};
+
+// Child job data: the node's own data, mapped inputs and all parent return values
+const buildNodeData = (workflow, node) => {
+  const parentResults = {};
+  node.dependsOn.forEach(parentKey => {
+    const parent = workflow.nodes.find(candidate => candidate.key === parentKey);
+    parentResults[parentKey] = parent ? parent.result : null;
+  });
+
+  const inputs = {};
+  Object.entries(node.inputs || {}).forEach(([field, path]) => {
+    const [parentKey, ...rest] = path.split('.');
+    inputs[field] = resolvePath(parentResults[parentKey], rest.join('.'));
+  });
+
+  return { ...node.data, ...inputs, parentResults };
+};
+
+// Claim a pending node and add it to the queue
+const enqueueNode = async (workflow, node) => {
+  const jobId = workflowJobId(workflow.id, node.key);
+
+  // Only the caller that moves the node out of pending enqueues it
+  const claimed = await Workflow.findOneAndUpdate(
+    { _id: workflow._id, state: 'running', nodes: { $elemMatch: { key: node.key, state: 'pending' } } },
+    { $set: { 'nodes.$.state': 'queued', 'nodes.$.jobId': jobId } }
+  );
+
+  if (!claimed) {
+    return;
+  }
+
+  const queue = workflowQueues[node.type];
+  const [jobPriority] = await allocateFairPriorities(redisConnection, queue.name, workflow.userId, [node.priority]);
+
+  const job = await queue.add(
+    node.type,
+    {
+      type: node.type,
+      data: buildNodeData(workflow, node),
+      userId: workflow.userId,
+      priority: node.priority,
+      workflowId: workflow.id,
+      nodeKey: node.key,
+      createdAt: new Date().toISOString()
+    },
+    {
+      priority: jobPriority, // BullMQ: lower number = higher priority
+      jobId
+    }
+  );
+
+  // Listed in the user's task history from the moment it is queued; a worker
+  // that already started the job has created the record
+  try {
+    await Task.updateOne(
+      { jobId },
+      { $setOnInsert: { type: node.type, userId: workflow.userId, data: job.data.data, priority: node.priority, state: 'waiting' } },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.error(`❌ Failed to record task history of workflow node ${jobId}:`, error.message);
+  }
+
+  // Counted against the user's concurrency quota like the tasks the API queues
+  try {
+    await trackInFlightJobs(redisConnection, [job]);
+  } catch (error) {
+    console.error(`❌ Failed to track in-flight workflow node ${jobId}:`, error.message);
+  }
+
+  console.log(`🧩 Workflow ${workflow.id}: enqueued ${node.key} (${jobId})`);
+};
+
+// Record that a workflow node has started processing
+const markWorkflowNodeActive = async (job) => {
+  const { workflowId, nodeKey } = job.data;
+
+  if (!workflowId) {
+    return;
+  }
+
+  try {
+    await Workflow.updateOne(
+      { _id: workflowId, 'nodes.key': nodeKey },
+      { $set: { 'nodes.$.state': 'active', 'nodes.$.startedAt': new Date() } }
+    );
+  } catch (error) {
+    console.error(`❌ Failed to mark workflow node ${nodeKey} active:`, error.message);
+  }
+};
+
+// Record a completed node and enqueue children whose parents have all completed
+const completeWorkflowNode = async (job, result) => {
+  const { workflowId, nodeKey } = job.data;
+
+  if (!workflowId) {
+    return;
+  }
+
+  try {
+    const workflow = await Workflow.findOneAndUpdate(
+      { _id: workflowId, 'nodes.key': nodeKey },
+      {
+        $set: {
+          'nodes.$.state': 'completed',
+          'nodes.$.result': result,
+          'nodes.$.failedReason': null,
+          'nodes.$.finishedAt': new Date()
+        }
+      },
+      { new: true }
+    );
+
+    if (!workflow) {
+      return;
+    }
+
+    if (workflow.state === 'running') {
+      const completed = new Set(
+        workflow.nodes.filter(node => node.state === 'completed').map(node => node.key)
+      );
+      const ready = workflow.nodes.filter(node =>
+        node.state === 'pending' && node.dependsOn.every(parentKey => completed.has(parentKey))
+      );
+
+      for (const node of ready) {
+        await enqueueNode(workflow, node);
+      }
+    }
+
+    await finalizeWorkflow(workflowId);
+  } catch (error) {
+    console.error(`❌ Failed to advance workflow ${workflowId} after ${nodeKey}:`, error.message);
+  }
+};
+
+// Record a permanently failed (or cancelled) node and apply the failure policy
+const failWorkflowNode = async (job, reason, state = 'failed') => {
+  const { workflowId, nodeKey } = job.data;
+
+  if (!workflowId) {
+    return;
+  }
+
+  await settleWorkflowNode(workflowId, nodeKey, reason, state);
+};
+
+const closeWorkflowCoordinator = async () => {
+  if (workflowQueues) {
+    await Promise.all(Object.values(workflowQueues).map(queue => queue.close()));
+  }
+};
+
+module.exports = {
+  initializeWorkflowCoordinator,
+  markWorkflowNodeActive,
+  completeWorkflowNode,
+  failWorkflowNode,
+  closeWorkflowCoordinator
+};